@@ -1,6 +1,17 @@
 import { Command } from 'commander';
 import chalk from 'chalk';
-import { changeLogLevel, listLogModules } from './lib/log-changer.js';
+import {
+  changeLogLevel,
+  changeLogLevelMany,
+  listLogModules,
+  listPendingReverts,
+  getLogLevels,
+  watchLogLevels,
+  isValidLogLevel,
+} from './lib/log-changer.js';
+import { VALID_LOG_LEVELS } from './lib/protocol.js';
+import { resolveTargets } from './lib/process-selector.js';
+import { parseDuration, formatDuration } from './lib/duration.js';
 
 const program = new Command();
 
@@ -9,19 +20,70 @@ program
   .description('Dynamically change the log level of a running Node.js application.')
   .version('1.0.0');
 
+/**
+ * Prints the outcome of a level change for a single process.
+ * @param {number} pid - The Process ID.
+ * @param {object} applied - The change acknowledged by the agent.
+ */
+function printAppliedChange(pid, applied) {
+  if (applied.module) {
+    console.log(chalk.green(`Log level for module "${applied.module}" changed to "${applied.level}" in process ${pid}.`));
+  } else {
+    console.log(chalk.green(`Global log level changed to "${applied.level}" in process ${pid}.`));
+  }
+  if (applied.ttl) {
+    console.log(chalk.yellow(`It will revert to "${applied.revertTo}" in ${formatDuration(applied.ttl)}.`));
+  }
+}
+
 program
-  .command('set <pid> <level>')
+  .command('set <target> [level]')
   .alias('s')
-  .description('Set the global log level for a running process.')
+  .description('Set the log level of one or more running processes. <target> is a PID, a process-name pattern (substring or /regex/), or a PID file glob.')
   .option('-m, --module <moduleName>', 'Specify a module to change log level for (optional, defaults to global).')
-  .action(async (pid, level, options) => {
+  .option('--for <duration>', 'Revert to the previous level after the given time (e.g., 30s, 10m, 1h).')
+  .option('--cluster <primaryPid>', 'Target every worker of a cluster primary (or PM2 daemon) instead of <target>. Usage: set <level> --cluster <primaryPid>.')
+  .action(async (target, level, options) => {
     try {
-      await changeLogLevel(parseInt(pid, 10), options.module, level);
-      if (options.module) {
-        console.log(chalk.green(`Successfully sent request to change log level for module "${options.module}" to "${level}" in process ${pid}.`));
-      } else {
-        console.log(chalk.green(`Successfully sent request to change global log level to "${level}" in process ${pid}.`));
+      // With --cluster the only positional argument is the level.
+      if (options.cluster !== undefined) {
+        if (level !== undefined) {
+          throw new Error(`Both a target ("${target}") and --cluster were given. Usage: set <level> --cluster <primaryPid>.`);
+        }
+        [target, level] = [undefined, target];
+      }
+      if (level === undefined) {
+        throw new Error('Missing log level. Usage: set <target> <level>.');
+      }
+      const ttl = options.for ? parseDuration(options.for) : undefined;
+      const cluster = options.cluster !== undefined ? Number(options.cluster) : undefined;
+
+      if (!isValidLogLevel(level)) {
+        throw new Error(`Invalid log level: "${level}". Supported levels are: ${VALID_LOG_LEVELS.join(', ')}.`);
+      }
+      const pids = await resolveTargets({ target, cluster });
+
+      if (pids.length === 1) {
+        printAppliedChange(pids[0], await changeLogLevel(pids[0], options.module, level, { ttl }));
+        return;
       }
+
+      const outcomes = await changeLogLevelMany(pids, options.module, level, { ttl });
+      outcomes.forEach(({ pid, ok, result, error }) => {
+        if (ok) {
+          const suffix = result.ttl ? `, reverting to "${result.revertTo}" in ${formatDuration(result.ttl)}` : '';
+          console.log(`${chalk.green('✔')} ${pid}: ${result.module ? `module "${result.module}"` : 'global'} -> ${result.level}${suffix}`);
+        } else {
+          console.log(`${chalk.red('✖')} ${pid}: ${error.message}`);
+        }
+      });
+      const failed = outcomes.filter(({ ok }) => !ok).length;
+      const summary = `${outcomes.length - failed} of ${outcomes.length} processes updated.`;
+      if (failed > 0) {
+        console.error(chalk.red(summary));
+        process.exit(1);
+      }
+      console.log(chalk.green(summary));
     } catch (error) {
       console.error(chalk.red(`Error setting log level: ${error.message}`));
       process.exit(1);
@@ -34,7 +96,10 @@ program
   .description('List available modules that can have their log level changed in a running process.')
   .action(async (pid) => {
     try {
-      const modules = await listLogModules(parseInt(pid, 10));
+      const [modules, reverts] = await Promise.all([
+        listLogModules(parseInt(pid, 10)),
+        listPendingReverts(parseInt(pid, 10)),
+      ]);
       if (modules && modules.length > 0) {
         console.log(chalk.blue(`Available modules in process ${pid}:`));
         modules.forEach(moduleName => {
@@ -43,12 +108,76 @@ program
       } else {
         console.log(chalk.yellow(`No specific modules found for log level control in process ${pid}. Global level can still be changed.`));
       }
+      if (reverts.length > 0) {
+        console.log(chalk.blue('Pending reverts:'));
+        reverts.forEach(revert => {
+          const target = revert.module ? `module "${revert.module}"` : 'global';
+          console.log(`- ${chalk.cyan(target)}: ${revert.level} -> ${revert.revertTo} in ${formatDuration(revert.remainingMs)}`);
+        });
+      }
     } catch (error) {
       console.error(chalk.red(`Error listing modules: ${error.message}`));
       process.exit(1);
     }
   });
 
+program
+  .command('get <pid>')
+  .alias('g')
+  .description('Show the current log level of the global logger and of every module in a running process.')
+  .option('--json', 'Print the levels as JSON.')
+  .action(async (pid, options) => {
+    try {
+      const levels = await getLogLevels(parseInt(pid, 10));
+      if (options.json) {
+        console.log(JSON.stringify(levels, null, 2));
+        return;
+      }
+      const rows = [['(global)', levels.global], ...Object.entries(levels.modules)];
+      const width = Math.max(...rows.map(([name]) => name.length));
+      console.log(chalk.blue(`Log levels in process ${pid}:`));
+      rows.forEach(([name, level]) => {
+        console.log(`  ${chalk.cyan(name.padEnd(width))}  ${level}`);
+      });
+    } catch (error) {
+      console.error(chalk.red(`Error reading log levels: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('watch <pid>')
+  .alias('w')
+  .description('Stream log level changes applied in a running process, including changes made by other operators.')
+  .option('--json', 'Print each change as a line of JSON.')
+  .action(async (pid, options) => {
+    try {
+      const watcher = await watchLogLevels(parseInt(pid, 10), (event) => {
+        if (options.json) {
+          console.log(JSON.stringify(event));
+          return;
+        }
+        const time = new Date(event.timestamp).toLocaleTimeString();
+        const target = event.module ? `module "${event.module}"` : 'global';
+        const details = event.reason === 'revert'
+          ? 'automatic revert'
+          : [event.requestedBy && `by ${event.requestedBy}`, event.ttl && `for ${formatDuration(event.ttl)}`].filter(Boolean).join(', ');
+        console.log(`[${time}] ${chalk.cyan(target)} -> ${chalk.green(event.level)}${details ? chalk.gray(` (${details})`) : ''}`);
+      });
+      if (!options.json) {
+        console.log(chalk.blue(`Watching log level changes in process ${pid}. Press Ctrl+C to stop.`));
+      }
+      process.once('SIGINT', () => watcher.close());
+      await watcher.closed;
+      if (!options.json) {
+        console.log(chalk.yellow(`Stopped watching process ${pid}.`));
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error watching log levels: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
 program.parse(process.argv);
 
 // If no command is provided, show help
@@ -0,0 +1,63 @@
+/**
+ * @typedef {object} LoggerAdapter
+ * @property {string} name - The adapter name (e.g., 'pino').
+ * @property {() => string[]} listModules - Returns the names of the individually controllable modules.
+ * @property {(moduleName: string|null, level: string) => void} setLevel - Applies a level to a module, or to
+ *   the root logger and every module when `moduleName` is null.
+ * @property {(moduleName: string|null) => string} getLevel - Returns the current level of a module, or of the
+ *   root logger when `moduleName` is null.
+ */
+
+/**
+ * Creates a logger adapter from a root logger and a set of module loggers.
+ * The library-specific adapters only describe how to read and write the level
+ * of a single logger; module lookup and global changes are handled here.
+ *
+ * @param {object} options - Adapter options.
+ * @param {string} options.name - The adapter name.
+ * @param {object} options.root - The root logger.
+ * @param {() => Map<string, object>} options.getModules - Returns the current module loggers keyed by name.
+ * @param {(target: object, level: string) => void} options.apply - Sets the level of a single logger.
+ * @param {(target: object) => string} options.read - Reads the level of a single logger.
+ * @returns {LoggerAdapter} The adapter.
+ */
+function createBaseAdapter({ name, root, getModules, apply, read }) {
+  const resolve = (moduleName) => {
+    if (!moduleName) {
+      return root;
+    }
+    const target = getModules().get(moduleName);
+    if (!target) {
+      throw new Error(`Unknown module "${moduleName}" for ${name} adapter.`);
+    }
+    return target;
+  };
+
+  return {
+    name,
+    listModules: () => [...getModules().keys()],
+    setLevel(moduleName, level) {
+      if (moduleName) {
+        apply(resolve(moduleName), level);
+        return;
+      }
+      apply(root, level);
+      // Child loggers capture their level when created, so a global change must reach them explicitly.
+      for (const target of getModules().values()) {
+        apply(target, level);
+      }
+    },
+    getLevel: (moduleName) => read(resolve(moduleName)),
+  };
+}
+
+/**
+ * Normalizes a `{ name: logger }` object or a Map into a Map.
+ * @param {Map<string, object>|Record<string, object>} [modules] - The module loggers.
+ * @returns {Map<string, object>} The module loggers as a Map.
+ */
+function toModuleMap(modules = {}) {
+  return modules instanceof Map ? modules : new Map(Object.entries(modules));
+}
+
+export { createBaseAdapter, toModuleMap };
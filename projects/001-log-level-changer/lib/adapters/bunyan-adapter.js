@@ -0,0 +1,49 @@
+import { createBaseAdapter, toModuleMap } from './base-adapter.js';
+
+const BUNYAN_LEVELS = {
+  trace: 10,
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  fatal: 60,
+};
+
+// Anything above FATAL disables output, which is how bunyan expresses 'silent'.
+const BUNYAN_SILENT = BUNYAN_LEVELS.fatal + 1;
+
+/**
+ * Creates an adapter for a bunyan logger. Child loggers passed in `modules` are exposed as modules.
+ *
+ * @param {object} options - Adapter options.
+ * @param {object} options.logger - The root bunyan logger.
+ * @param {Map<string, object>|Record<string, object>} [options.modules] - Child loggers keyed by module name.
+ * @returns {import('./base-adapter.js').LoggerAdapter} The adapter.
+ * @throws {Error} If no logger is provided.
+ */
+function createBunyanAdapter({ logger, modules } = {}) {
+  if (!logger || typeof logger.level !== 'function') {
+    throw new Error('The bunyan adapter requires a bunyan "logger".');
+  }
+
+  const moduleMap = toModuleMap(modules);
+
+  return createBaseAdapter({
+    name: 'bunyan',
+    root: logger,
+    getModules: () => moduleMap,
+    // `logger.level(value)` updates the level of every stream of the logger.
+    apply: (target, level) => {
+      target.level(level === 'silent' ? BUNYAN_SILENT : BUNYAN_LEVELS[level]);
+    },
+    read: (target) => {
+      const value = target.level();
+      if (value > BUNYAN_LEVELS.fatal) {
+        return 'silent';
+      }
+      return Object.keys(BUNYAN_LEVELS).find((name) => BUNYAN_LEVELS[name] === value) ?? String(value);
+    },
+  });
+}
+
+export { createBunyanAdapter };
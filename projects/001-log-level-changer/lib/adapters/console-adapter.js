@@ -0,0 +1,84 @@
+import { VALID_LOG_LEVELS } from '../protocol.js';
+import { createBaseAdapter } from './base-adapter.js';
+
+// The level each console method logs at.
+const METHOD_LEVELS = {
+  trace: 'debug',
+  debug: 'debug',
+  log: 'info',
+  info: 'info',
+  warn: 'warn',
+  error: 'error',
+};
+
+/**
+ * Checks whether a message logged at `methodLevel` passes the `threshold` level.
+ * @param {string} methodLevel - The level of the console method being called.
+ * @param {string} threshold - The configured level.
+ * @returns {boolean} True if the message should be written.
+ */
+function isEnabled(methodLevel, threshold) {
+  return VALID_LOG_LEVELS.indexOf(methodLevel) >= VALID_LOG_LEVELS.indexOf(threshold);
+}
+
+/**
+ * Builds a console-like object whose methods forward to `original` while the level allows it.
+ * @param {object} original - The original console methods, bound to the console.
+ * @param {{ level: string }} state - The mutable level state.
+ * @param {string} [prefix] - An optional prefix written before each message.
+ * @returns {object} The filtered methods, keyed by console method name.
+ */
+function createFilteredMethods(original, state, prefix) {
+  return Object.fromEntries(Object.entries(METHOD_LEVELS).map(([method, methodLevel]) => [
+    method,
+    (...args) => {
+      if (isEnabled(methodLevel, state.level)) {
+        original[method](...(prefix ? [prefix, ...args] : args));
+      }
+    },
+  ]));
+}
+
+/**
+ * Creates an adapter that wraps `console` so its output can be filtered by level.
+ * The console methods are replaced in place. Module loggers are created with the
+ * adapter's `module` helper; they prefix their output with the module name.
+ *
+ * @param {object} [options] - Adapter options.
+ * @param {Console} [options.console=globalThis.console] - The console to wrap.
+ * @param {string} [options.level='debug'] - The initial level.
+ * @returns {import('./base-adapter.js').LoggerAdapter & { module: (moduleName: string) => object, restore: () => void }}
+ *   The adapter, with a `module` helper returning a console-like logger for a module and
+ *   a `restore` function that puts the original console methods back.
+ */
+function createConsoleAdapter({ console: target = globalThis.console, level = 'debug' } = {}) {
+  const original = Object.fromEntries(Object.keys(METHOD_LEVELS).map((method) => [method, target[method].bind(target)]));
+  const root = { level };
+  const moduleStates = new Map();
+
+  Object.assign(target, createFilteredMethods(original, root));
+
+  const adapter = createBaseAdapter({
+    name: 'console',
+    root,
+    getModules: () => moduleStates,
+    apply: (state, newLevel) => {
+      state.level = newLevel;
+    },
+    read: (state) => state.level,
+  });
+
+  return {
+    ...adapter,
+    module(moduleName) {
+      const state = moduleStates.get(moduleName) ?? { level: root.level };
+      moduleStates.set(moduleName, state);
+      return createFilteredMethods(original, state, `[${moduleName}]`);
+    },
+    restore() {
+      Object.assign(target, original);
+    },
+  };
+}
+
+export { createConsoleAdapter };
@@ -0,0 +1,102 @@
+import { createPinoAdapter } from './pino-adapter.js';
+import { createWinstonAdapter } from './winston-adapter.js';
+import { createBunyanAdapter } from './bunyan-adapter.js';
+import { createConsoleAdapter } from './console-adapter.js';
+
+/**
+ * @typedef {import('./base-adapter.js').LoggerAdapter} LoggerAdapter
+ */
+
+const registry = new Map([
+  ['pino', createPinoAdapter],
+  ['winston', createWinstonAdapter],
+  ['bunyan', createBunyanAdapter],
+  ['console', createConsoleAdapter],
+]);
+
+/**
+ * Registers an adapter factory under a name so it can be created with `createAdapter`.
+ * Registering an existing name replaces the previous factory.
+ *
+ * @param {string} name - The adapter name.
+ * @param {(options: object) => LoggerAdapter} factory - Creates the adapter from its options.
+ * @throws {Error} If the name or factory is invalid.
+ */
+function registerAdapter(name, factory) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Adapter name must be a non-empty string.');
+  }
+  if (typeof factory !== 'function') {
+    throw new Error(`Adapter factory for "${name}" must be a function.`);
+  }
+  registry.set(name, factory);
+}
+
+/**
+ * Creates an adapter from a registered factory.
+ *
+ * @param {string} name - The adapter name (e.g., 'pino', 'winston', 'bunyan', 'console').
+ * @param {object} [options] - Options passed to the factory (usually `{ logger }`).
+ * @returns {LoggerAdapter} The adapter.
+ * @throws {Error} If no adapter is registered under `name`.
+ */
+function createAdapter(name, options) {
+  const factory = registry.get(name);
+  if (!factory) {
+    throw new Error(`Unknown logger adapter: "${name}". Registered adapters are: ${[...registry.keys()].join(', ')}.`);
+  }
+  return factory(options);
+}
+
+/**
+ * Returns the names of all registered adapters.
+ * @returns {string[]} The adapter names.
+ */
+function listAdapters() {
+  return [...registry.keys()];
+}
+
+/**
+ * Combines several adapters into one, for applications that use more than one logger.
+ * Global changes are applied to every adapter; module changes go to the adapter owning the module.
+ *
+ * @param {LoggerAdapter[]} adapters - The adapters to combine.
+ * @returns {LoggerAdapter} The combined adapter.
+ */
+function combineAdapters(adapters) {
+  if (adapters.length === 1) {
+    return adapters[0];
+  }
+
+  const findOwner = (moduleName) => {
+    const owner = adapters.find((adapter) => adapter.listModules().includes(moduleName));
+    if (!owner) {
+      throw new Error(`Unknown module "${moduleName}".`);
+    }
+    return owner;
+  };
+
+  return {
+    name: adapters.map((adapter) => adapter.name).join('+'),
+    listModules: () => [...new Set(adapters.flatMap((adapter) => adapter.listModules()))],
+    setLevel(moduleName, level) {
+      if (moduleName) {
+        findOwner(moduleName).setLevel(moduleName, level);
+        return;
+      }
+      adapters.forEach((adapter) => adapter.setLevel(null, level));
+    },
+    getLevel: (moduleName) => (moduleName ? findOwner(moduleName) : adapters[0]).getLevel(moduleName),
+  };
+}
+
+export {
+  registerAdapter,
+  createAdapter,
+  listAdapters,
+  combineAdapters,
+  createPinoAdapter,
+  createWinstonAdapter,
+  createBunyanAdapter,
+  createConsoleAdapter,
+};
@@ -0,0 +1,41 @@
+import { createBaseAdapter, toModuleMap } from './base-adapter.js';
+
+/**
+ * Creates an adapter for a pino logger. Child loggers are exposed as modules,
+ * either passed in up front or created through the adapter's `child` helper.
+ *
+ * @param {object} options - Adapter options.
+ * @param {object} options.logger - The root pino logger.
+ * @param {Map<string, object>|Record<string, object>} [options.modules] - Existing child loggers keyed by module name.
+ * @returns {import('./base-adapter.js').LoggerAdapter & { child: (moduleName: string, bindings?: object) => object }}
+ *   The adapter, with a `child` helper that creates and registers a child logger.
+ * @throws {Error} If no logger is provided.
+ */
+function createPinoAdapter({ logger, modules } = {}) {
+  if (!logger || typeof logger.child !== 'function') {
+    throw new Error('The pino adapter requires a pino "logger".');
+  }
+
+  const moduleMap = toModuleMap(modules);
+  const adapter = createBaseAdapter({
+    name: 'pino',
+    root: logger,
+    getModules: () => moduleMap,
+    // pino accepts 'silent' as a regular level.
+    apply: (target, level) => {
+      target.level = level;
+    },
+    read: (target) => target.level,
+  });
+
+  return {
+    ...adapter,
+    child(moduleName, bindings = { module: moduleName }) {
+      const child = logger.child(bindings);
+      moduleMap.set(moduleName, child);
+      return child;
+    },
+  };
+}
+
+export { createPinoAdapter };
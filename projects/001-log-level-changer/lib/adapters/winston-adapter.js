@@ -0,0 +1,37 @@
+import { createBaseAdapter, toModuleMap } from './base-adapter.js';
+
+/**
+ * Creates an adapter for winston. Named loggers from a `winston.Container`
+ * (such as `winston.loggers`) are exposed as modules alongside any loggers passed in `modules`.
+ *
+ * @param {object} options - Adapter options.
+ * @param {object} options.logger - The root winston logger.
+ * @param {object} [options.container] - A winston container whose named loggers become modules.
+ * @param {Map<string, object>|Record<string, object>} [options.modules] - Additional loggers keyed by module name.
+ * @returns {import('./base-adapter.js').LoggerAdapter} The adapter.
+ * @throws {Error} If no logger is provided.
+ */
+function createWinstonAdapter({ logger, container, modules } = {}) {
+  if (!logger || typeof logger.log !== 'function') {
+    throw new Error('The winston adapter requires a winston "logger".');
+  }
+
+  const extraModules = toModuleMap(modules);
+
+  return createBaseAdapter({
+    name: 'winston',
+    root: logger,
+    // Named loggers can be added to the container at any time, so it is read on every call.
+    getModules: () => new Map([...(container?.loggers ?? new Map()), ...extraModules]),
+    // winston has no 'silent' level; it is expressed through the logger's `silent` flag instead.
+    apply: (target, level) => {
+      target.silent = level === 'silent';
+      if (level !== 'silent') {
+        target.level = level;
+      }
+    },
+    read: (target) => (target.silent ? 'silent' : target.level),
+  });
+}
+
+export { createWinstonAdapter };
@@ -0,0 +1,199 @@
+import net from 'net';
+import { unlinkSync } from 'fs';
+import {
+  MESSAGE_TYPES,
+  VALID_LOG_LEVELS,
+  isValidLogLevel,
+  getSocketPath,
+  encodeMessage,
+  createMessageDecoder,
+} from './protocol.js';
+import { combineAdapters } from './adapters/index.js';
+import { createRevertScheduler } from './revert-scheduler.js';
+
+/**
+ * Removes a socket file left behind by a previous run of the same PID.
+ * Named pipes on Windows are cleaned up by the OS, so nothing is done there.
+ * @param {string} socketPath - The socket path to remove.
+ */
+function removeStaleSocket(socketPath) {
+  if (process.platform === 'win32') {
+    return;
+  }
+  try {
+    unlinkSync(socketPath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Failed to remove stale socket "${socketPath}": ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Builds the level controller used by the agent from either logger adapters
+ * or explicit `setLevel`/`getLevel`/`listModules` functions.
+ *
+ * @param {object} options - The agent options.
+ * @returns {{ setLevel: Function, getLevel?: Function, listModules: Function }} The controller.
+ * @throws {Error} If neither an adapter nor a `setLevel` function is provided.
+ */
+function createController({ adapter, setLevel, getLevel, listModules = () => [] }) {
+  if (adapter) {
+    const combined = combineAdapters(Array.isArray(adapter) ? adapter : [adapter]);
+    return {
+      setLevel: (moduleName, level) => combined.setLevel(moduleName, level),
+      getLevel: (moduleName) => combined.getLevel(moduleName),
+      listModules: () => combined.listModules(),
+    };
+  }
+  if (typeof setLevel !== 'function') {
+    throw new Error('The log level agent requires an "adapter" or a "setLevel" function.');
+  }
+  return { setLevel, getLevel, listModules };
+}
+
+/**
+ * Starts the log level agent inside the application whose log level should be controllable.
+ * The agent listens on a per-PID Unix domain socket (see `getSocketPath`) and answers
+ * `log-level-change`, `list-log-modules`, `list-pending-reverts`, `get-log-levels` and
+ * `watch-log-levels` requests sent by the CLI.
+ * A `log-level-change` request carrying a `ttl` (in milliseconds) is reverted automatically
+ * once it expires. Every applied change, including reverts, is pushed as a `log-level-changed`
+ * event to the connections that sent a `watch-log-levels` request.
+ *
+ * The server is unref'd, so the agent never keeps the application alive on its own,
+ * and the socket file is removed when the process exits.
+ *
+ * @param {object} options - Agent options.
+ * @param {import('./adapters/base-adapter.js').LoggerAdapter|import('./adapters/base-adapter.js').LoggerAdapter[]} [options.adapter] -
+ *   One or more logger adapters (see `lib/adapters`). Takes precedence over `setLevel` and `listModules`.
+ * @param {(moduleName: string|null, level: string) => (void|Promise<void>)} [options.setLevel] -
+ *   Applies a log level. `moduleName` is null for the global level.
+ * @param {(moduleName: string|null) => (string|Promise<string>)} [options.getLevel] - Reads the current
+ *   level. Required for time-boxed changes and `get-log-levels` when no adapter is used.
+ * @param {() => (string[]|Promise<string[]>)} [options.listModules] - Returns the names of the
+ *   modules whose log level can be changed individually.
+ * @param {string} [options.socketPath] - Overrides the socket path. Defaults to the path derived from `process.pid`.
+ * @param {(error: Error) => void} [options.onError] - Called when an automatic revert fails. Defaults to a process warning.
+ * @returns {Promise<{ socketPath: string, close: () => Promise<void> }>} Resolves once the agent is listening.
+ * @throws {Error} If neither an adapter nor `setLevel` is provided, or the socket cannot be opened.
+ */
+async function startAgent(options = {}) {
+  const {
+    socketPath = getSocketPath(process.pid),
+    onError = (error) => process.emitWarning(`Failed to revert log level: ${error.message}`),
+  } = options;
+  const controller = createController(options);
+  const watchers = new Set();
+
+  const broadcast = (change) => {
+    const event = encodeMessage({
+      type: MESSAGE_TYPES.LOG_LEVEL_CHANGED,
+      payload: { timestamp: Date.now(), ...change },
+    });
+    watchers.forEach((socket) => socket.write(event));
+  };
+
+  const scheduler = createRevertScheduler(controller, {
+    onRevert: (moduleName, level) => broadcast({ module: moduleName, level, reason: 'revert', requestedBy: null }),
+    onError,
+  });
+
+  const handlers = {
+    [MESSAGE_TYPES.LOG_LEVEL_CHANGE]: async (payload = {}) => {
+      const { module: moduleName = null, level, ttl = null, requestedBy = null } = payload;
+      if (!isValidLogLevel(level)) {
+        throw new Error(`Invalid log level: "${level}". Supported levels are: ${VALID_LOG_LEVELS.join(', ')}.`);
+      }
+      if (ttl !== null && !(Number.isInteger(ttl) && ttl > 0)) {
+        throw new Error(`Invalid TTL: "${ttl}". Expected a positive number of milliseconds.`);
+      }
+      const applied = await scheduler.apply(moduleName, level.toLowerCase(), ttl);
+      broadcast({ ...applied, reason: 'change', requestedBy });
+      return applied;
+    },
+    [MESSAGE_TYPES.LIST_LOG_MODULES]: async () => {
+      const modules = await controller.listModules();
+      return Array.isArray(modules) ? modules : [];
+    },
+    [MESSAGE_TYPES.LIST_PENDING_REVERTS]: async () => scheduler.list(),
+    [MESSAGE_TYPES.GET_LOG_LEVELS]: async () => {
+      if (typeof controller.getLevel !== 'function') {
+        throw new Error('Reading log levels requires the agent to be started with an adapter or a "getLevel" function.');
+      }
+      const modules = await controller.listModules();
+      const levels = { global: await controller.getLevel(null), modules: {} };
+      for (const moduleName of modules) {
+        levels.modules[moduleName] = await controller.getLevel(moduleName);
+      }
+      return levels;
+    },
+    [MESSAGE_TYPES.WATCH_LOG_LEVELS]: async (payload, socket) => {
+      watchers.add(socket);
+      // Watch connections stay open indefinitely and must not keep the application alive.
+      socket.unref();
+      socket.once('close', () => watchers.delete(socket));
+      return { watching: true };
+    },
+  };
+
+  const handleRequest = async (socket, request) => {
+    const { id = null, type, payload } = request;
+    const handler = handlers[type];
+    let reply;
+    if (!handler) {
+      reply = { id, ok: false, error: `Unsupported message type: "${type}".` };
+    } else {
+      try {
+        reply = { id, ok: true, payload: await handler(payload, socket) };
+      } catch (error) {
+        reply = { id, ok: false, error: error.message };
+      }
+    }
+    if (!socket.destroyed) {
+      socket.write(encodeMessage(reply));
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    socket.setEncoding('utf8');
+    socket.on('data', createMessageDecoder(
+      (request) => handleRequest(socket, request),
+      (error) => socket.write(encodeMessage({ id: null, ok: false, error: error.message })),
+    ));
+    // A client going away mid-request is not an error for the application.
+    socket.on('error', () => socket.destroy());
+  });
+
+  removeStaleSocket(socketPath);
+
+  await new Promise((resolve, reject) => {
+    server.once('error', (error) => {
+      reject(new Error(`Failed to start log level agent on "${socketPath}": ${error.message}`));
+    });
+    server.listen(socketPath, resolve);
+  });
+
+  server.unref();
+
+  const cleanup = () => {
+    try {
+      removeStaleSocket(socketPath);
+    } catch {
+      // The process is exiting; nothing useful can be done with the error.
+    }
+  };
+  process.once('exit', cleanup);
+
+  return {
+    socketPath,
+    close: () => new Promise((resolve) => {
+      process.removeListener('exit', cleanup);
+      scheduler.cancelAll();
+      watchers.forEach((socket) => socket.destroy());
+      server.close(() => resolve());
+    }),
+  };
+}
+
+export { startAgent };
@@ -0,0 +1,65 @@
+const UNIT_MS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+// setTimeout cannot wait longer than a signed 32-bit number of milliseconds.
+const MAX_DURATION_MS = 2 ** 31 - 1;
+
+/**
+ * Parses a human-friendly duration such as `30s`, `10m`, `1h30m` or `500ms` into milliseconds.
+ *
+ * @param {string} input - The duration to parse.
+ * @returns {number} The duration in milliseconds.
+ * @throws {Error} If the duration is malformed, shorter than 1ms, or too long to be scheduled.
+ */
+function parseDuration(input) {
+  const value = String(input).trim().toLowerCase();
+  const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h|d)/g;
+  let total = 0;
+  let consumed = 0;
+  let match;
+
+  while ((match = pattern.exec(value)) !== null) {
+    if (match.index !== consumed) {
+      break;
+    }
+    total += parseFloat(match[1]) * UNIT_MS[match[2]];
+    consumed = pattern.lastIndex;
+  }
+
+  if (!value || consumed !== value.length) {
+    throw new Error(`Invalid duration: "${input}". Use a number followed by ms, s, m, h or d (e.g., "30s", "10m", "1h30m").`);
+  }
+  // Timers have millisecond precision, so durations that round to 0 ms (such as "0.1ms") are rejected too.
+  const ms = Math.round(total);
+  if (ms <= 0) {
+    throw new Error(`Invalid duration: "${input}". The duration must be at least 1ms.`);
+  }
+  if (ms > MAX_DURATION_MS) {
+    throw new Error(`Invalid duration: "${input}". The maximum supported duration is 24 days.`);
+  }
+  return ms;
+}
+
+/**
+ * Formats a number of milliseconds as a compact duration such as `9m 58s`.
+ * @param {number} ms - The duration in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+function formatDuration(ms) {
+  let remainingSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const parts = [];
+  for (const [unit, seconds] of [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]]) {
+    if (remainingSeconds >= seconds) {
+      parts.push(`${Math.floor(remainingSeconds / seconds)}${unit}`);
+      remainingSeconds %= seconds;
+    }
+  }
+  return parts.length > 0 ? parts.join(' ') : '0s';
+}
+
+export { parseDuration, formatDuration };
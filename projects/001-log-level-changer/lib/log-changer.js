@@ -1,41 +1,35 @@
-import { spawn } from 'child_process';
-import { inspect } from 'util';
+import net from 'net';
+import { randomUUID } from 'crypto';
+import { userInfo, hostname } from 'os';
+import {
+  MESSAGE_TYPES,
+  VALID_LOG_LEVELS,
+  isValidLogLevel,
+  getSocketPath,
+  encodeMessage,
+  createMessageDecoder,
+} from './protocol.js';
 
-const VALID_LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+const REQUEST_TIMEOUT_MS = 5000;
 
 /**
- * Checks if a given log level is valid.
- * @param {string} level - The log level to check.
- * @returns {boolean} True if the level is valid, false otherwise.
+ * Describes who is sending a change, so operators watching the target can tell each other's changes apart.
+ * @returns {string} The requester, as `user@host`.
  */
-function isValidLogLevel(level) {
-  return VALID_LOG_LEVELS.includes(level.toLowerCase());
+function describeRequester() {
+  try {
+    return `${userInfo().username}@${hostname()}`;
+  } catch {
+    return `pid ${process.pid}@${hostname()}`;
+  }
 }
 
 /**
- * Sends a message to a target Node.js process to change its log level.
- * This function communicates with the target process by sending it a message.
- * The target process is expected to have a listener for 'log-level-change' messages.
- *
- * @param {number} pid - The Process ID of the target Node.js application.
- * @param {string} moduleName - The name of the module to change the log level for. If empty, it targets the global log level.
- * @param {string} level - The desired log level (e.g., 'debug', 'info', 'warn', 'error', 'silent').
- * @returns {Promise<void>} A promise that resolves when the message is sent successfully.
- * @throws {Error} If the target process is not found, or if there's an error sending the message.
+ * Checks that a process with the given PID exists.
+ * @param {number} pid - The Process ID to check.
+ * @throws {Error} If the process is not found or cannot be checked.
  */
-async function changeLogLevel(pid, moduleName, level) {
-  if (!isValidLogLevel(level)) {
-    throw new Error(`Invalid log level: "${level}". Supported levels are: ${VALID_LOG_LEVELS.join(', ')}.`);
-  }
-
-  const message = {
-    type: 'log-level-change',
-    payload: {
-      module: moduleName || null, // null indicates global
-      level: level.toLowerCase(),
-    },
-  };
-
+function assertProcessExists(pid) {
   try {
     // Use process.kill with signal 0 to check if the process exists without sending a signal.
     // This is a common way to check process existence in Node.js.
@@ -46,73 +40,258 @@ async function changeLogLevel(pid, moduleName, level) {
     }
     throw new Error(`Failed to check process ${pid}: ${error.message}`);
   }
+}
 
-  try {
-    // Send the message to the target process.
-    // Note: This relies on the target process having a message handler for 'log-level-change'.
-    // The target process must also be running with the same Node.js version or compatible
-    // to handle the message structure correctly.
-    process.send(message, pid);
-    // We don't await a response here as process.send is fire-and-forget by default
-    // for child processes. For inter-process communication, a more robust mechanism
-    // like IPC channels or a dedicated communication library might be needed for
-    // confirmation, but for this CLI's purpose, sending the message is sufficient.
-  } catch (error) {
-    throw new Error(`Failed to send log level change message to PID ${pid}: ${error.message}`);
+/**
+ * Turns a socket error into an error message an operator can act on.
+ * @param {number} pid - The Process ID of the target Node.js application.
+ * @param {string} socketPath - The socket path that was used.
+ * @param {Error} error - The socket error.
+ * @returns {Error} The error to report.
+ */
+function toConnectionError(pid, socketPath, error) {
+  if (error.code === 'ENOENT' || error.code === 'ECONNREFUSED') {
+    return new Error(`No log level agent is listening for PID ${pid} at "${socketPath}". Ensure the target process has started the agent.`);
   }
+  return new Error(`Failed to communicate with PID ${pid}: ${error.message}`);
 }
 
 /**
- * Sends a message to a target Node.js process to list available modules.
- * This function communicates with the target process by sending it a message.
- * The target process is expected to have a listener for 'list-log-modules' messages
- * and to respond with a message containing the list of modules.
+ * Sends a request to the log level agent of a target process and waits for its reply.
+ * The agent listens on a per-PID Unix domain socket (see `lib/agent.js`).
+ *
+ * @param {number} pid - The Process ID of the target Node.js application.
+ * @param {string} type - The message type (one of `MESSAGE_TYPES`).
+ * @param {object} [payload] - The message payload.
+ * @param {object} [options] - Request options.
+ * @param {number} [options.timeout=5000] - Milliseconds to wait for the reply.
+ * @returns {Promise<any>} A promise that resolves with the reply payload.
+ * @throws {Error} If no agent is listening, the request times out, or the agent reports an error.
+ */
+function sendRequest(pid, type, payload, { timeout = REQUEST_TIMEOUT_MS } = {}) {
+  const socketPath = getSocketPath(pid);
+  const id = randomUUID();
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(socketPath);
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      socket.destroy();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+
+    const timer = setTimeout(() => {
+      finish(new Error(`Timeout waiting for a reply to "${type}" from PID ${pid}.`));
+    }, timeout);
+
+    socket.on('connect', () => {
+      socket.write(encodeMessage({ id, type, payload }));
+    });
+
+    socket.on('data', createMessageDecoder((reply) => {
+      if (reply.id !== id) {
+        return;
+      }
+      if (reply.ok) {
+        finish(null, reply.payload);
+      } else {
+        finish(new Error(`Process ${pid} rejected the request: ${reply.error}`));
+      }
+    }, (error) => finish(error)));
+
+    socket.on('error', (error) => finish(toConnectionError(pid, socketPath, error)));
+
+    socket.on('close', () => {
+      finish(new Error(`Connection to PID ${pid} closed before a reply was received.`));
+    });
+  });
+}
+
+/**
+ * Asks the log level agent of a target Node.js process to change its log level
+ * and waits for the agent to acknowledge that the change was applied.
+ *
+ * @param {number} pid - The Process ID of the target Node.js application.
+ * @param {string} moduleName - The name of the module to change the log level for. If empty, it targets the global log level.
+ * @param {string} level - The desired log level (e.g., 'debug', 'info', 'warn', 'error', 'silent').
+ * @param {object} [options] - Change options.
+ * @param {number} [options.ttl] - Milliseconds after which the agent restores the previous level.
+ * @returns {Promise<{ module: string|null, level: string, revertTo?: string, expiresAt?: number, ttl?: number }>}
+ *   A promise that resolves with the applied change, including the pending revert for time-boxed changes.
+ * @throws {Error} If the level is invalid, the target process is not found, or the agent does not acknowledge the change.
+ */
+async function changeLogLevel(pid, moduleName, level, { ttl } = {}) {
+  if (!isValidLogLevel(level)) {
+    throw new Error(`Invalid log level: "${level}". Supported levels are: ${VALID_LOG_LEVELS.join(', ')}.`);
+  }
+
+  assertProcessExists(pid);
+
+  return sendRequest(pid, MESSAGE_TYPES.LOG_LEVEL_CHANGE, {
+    module: moduleName || null, // null indicates global
+    level: level.toLowerCase(),
+    ttl: ttl ?? null,
+    requestedBy: describeRequester(),
+  });
+}
+
+/**
+ * Changes the log level of several processes at once. Every process is attempted,
+ * even when some of them fail, so the caller can report a per-process summary.
+ *
+ * @param {number[]} pids - The Process IDs of the target Node.js applications.
+ * @param {string} moduleName - The name of the module to change the log level for. If empty, it targets the global log level.
+ * @param {string} level - The desired log level.
+ * @param {object} [options] - Change options, as for `changeLogLevel`.
+ * @returns {Promise<{ pid: number, ok: boolean, result?: object, error?: Error }[]>} The outcome for each process, in order.
+ * @throws {Error} If the level is invalid (checked once, before any process is contacted).
+ */
+async function changeLogLevelMany(pids, moduleName, level, options = {}) {
+  if (!isValidLogLevel(level)) {
+    throw new Error(`Invalid log level: "${level}". Supported levels are: ${VALID_LOG_LEVELS.join(', ')}.`);
+  }
+
+  const outcomes = await Promise.allSettled(pids.map((pid) => changeLogLevel(pid, moduleName, level, options)));
+  return outcomes.map((outcome, index) => (outcome.status === 'fulfilled'
+    ? { pid: pids[index], ok: true, result: outcome.value }
+    : { pid: pids[index], ok: false, error: outcome.reason }));
+}
+
+/**
+ * Asks the log level agent of a target Node.js process for the modules
+ * whose log level can be changed individually.
  *
  * @param {number} pid - The Process ID of the target Node.js application.
  * @returns {Promise<string[]>} A promise that resolves with an array of module names.
- * @throws {Error} If the target process is not found, or if there's an error sending the message or receiving a response.
+ * @throws {Error} If the target process is not found, or if there's an error sending the request or receiving a response.
  */
 async function listLogModules(pid) {
-  const message = {
-    type: 'list-log-modules',
-  };
+  assertProcessExists(pid);
 
-  try {
-    process.kill(pid, 0);
-  } catch (error) {
-    if (error.code === 'ESRCH') {
-      throw new Error(`Process with PID ${pid} not found.`);
-    }
-    throw new Error(`Failed to check process ${pid}: ${error.message}`);
+  const modules = await sendRequest(pid, MESSAGE_TYPES.LIST_LOG_MODULES);
+  if (!Array.isArray(modules)) {
+    throw new Error(`Received invalid module list format from PID ${pid}. Expected an array.`);
+  }
+  return modules;
+}
+
+/**
+ * Asks the log level agent of a target Node.js process for its time-boxed changes
+ * that have not been reverted yet.
+ *
+ * @param {number} pid - The Process ID of the target Node.js application.
+ * @returns {Promise<import('./revert-scheduler.js').PendingRevert[]>} A promise that resolves with the pending reverts.
+ * @throws {Error} If the target process is not found, or if there's an error sending the request or receiving a response.
+ */
+async function listPendingReverts(pid) {
+  assertProcessExists(pid);
+
+  const reverts = await sendRequest(pid, MESSAGE_TYPES.LIST_PENDING_REVERTS);
+  if (!Array.isArray(reverts)) {
+    throw new Error(`Received invalid pending revert list format from PID ${pid}. Expected an array.`);
+  }
+  return reverts;
+}
+
+/**
+ * Asks the log level agent of a target Node.js process for the current level
+ * of the root logger and of every module.
+ *
+ * @param {number} pid - The Process ID of the target Node.js application.
+ * @returns {Promise<{ global: string, modules: Record<string, string> }>} A promise that resolves with the levels.
+ * @throws {Error} If the target process is not found, or if there's an error sending the request or receiving a response.
+ */
+async function getLogLevels(pid) {
+  assertProcessExists(pid);
+
+  const levels = await sendRequest(pid, MESSAGE_TYPES.GET_LOG_LEVELS);
+  if (!levels || typeof levels.modules !== 'object') {
+    throw new Error(`Received invalid log level format from PID ${pid}. Expected global and module levels.`);
   }
+  return levels;
+}
+
+/**
+ * Subscribes to the level changes applied in a target Node.js process, including
+ * changes made by other operators and automatic reverts.
+ *
+ * @param {number} pid - The Process ID of the target Node.js application.
+ * @param {(event: { module: string|null, level: string, reason: 'change'|'revert', requestedBy: string|null, timestamp: number, ttl?: number, revertTo?: string }) => void} onEvent -
+ *   Called for every level change.
+ * @returns {Promise<{ close: () => void, closed: Promise<void> }>} Resolves once the subscription is acknowledged.
+ *   `closed` resolves when the connection ends, e.g. because the target process exited.
+ * @throws {Error} If the target process is not found or the agent does not accept the subscription.
+ */
+async function watchLogLevels(pid, onEvent) {
+  assertProcessExists(pid);
+
+  const socketPath = getSocketPath(pid);
+  const id = randomUUID();
 
   return new Promise((resolve, reject) => {
-    const timeout = setTimeout(() => {
-      reject(new Error(`Timeout waiting for module list from PID ${pid}. Ensure the target process is listening for 'list-log-modules' messages.`));
-    }, 5000); // 5 second timeout
-
-    const messageHandler = (msg, senderPid) => {
-      if (senderPid === pid && msg && msg.type === 'log-modules-list') {
-        clearTimeout(timeout);
-        process.removeListener('message', messageHandler);
-        if (Array.isArray(msg.payload)) {
-          resolve(msg.payload);
-        } else {
-          reject(new Error(`Received invalid module list format from PID ${pid}. Expected an array.`));
+    const socket = net.createConnection(socketPath);
+    let subscribed = false;
+    let markClosed;
+    const closed = new Promise((resolveClosed) => {
+      markClosed = resolveClosed;
+    });
+
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new Error(`Timeout waiting for PID ${pid} to accept the watch request.`));
+    }, REQUEST_TIMEOUT_MS);
+
+    socket.on('connect', () => {
+      socket.write(encodeMessage({ id, type: MESSAGE_TYPES.WATCH_LOG_LEVELS }));
+    });
+
+    socket.on('data', createMessageDecoder((message) => {
+      if (message.id === id) {
+        clearTimeout(timer);
+        if (!message.ok) {
+          socket.destroy();
+          reject(new Error(`Process ${pid} rejected the request: ${message.error}`));
+          return;
         }
+        subscribed = true;
+        resolve({ close: () => socket.end(), closed });
+      } else if (subscribed && message.type === MESSAGE_TYPES.LOG_LEVEL_CHANGED) {
+        onEvent(message.payload);
       }
-    };
+    }));
 
-    process.on('message', messageHandler);
+    socket.on('error', (error) => {
+      clearTimeout(timer);
+      reject(toConnectionError(pid, socketPath, error));
+    });
 
-    try {
-      process.send(message, pid);
-    } catch (error) {
-      clearTimeout(timeout);
-      process.removeListener('message', messageHandler);
-      reject(new Error(`Failed to send module list request to PID ${pid}: ${error.message}`));
-    }
+    socket.on('close', () => {
+      clearTimeout(timer);
+      if (!subscribed) {
+        reject(new Error(`Connection to PID ${pid} closed before the watch request was accepted.`));
+      }
+      markClosed();
+    });
   });
 }
 
-export { changeLogLevel, listLogModules, isValidLogLevel };
\ No newline at end of file
+export {
+  changeLogLevel,
+  changeLogLevelMany,
+  listLogModules,
+  listPendingReverts,
+  getLogLevels,
+  watchLogLevels,
+  isValidLogLevel,
+  sendRequest,
+};
@@ -0,0 +1,210 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { readdir, readFile } from 'fs/promises';
+import { isAbsolute, join, resolve, sep } from 'path';
+
+const execFileAsync = promisify(execFile);
+
+// A process-name pattern written as `/pattern/flags` is a regular expression.
+const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/;
+
+/**
+ * Lists the running processes with their parent PID and command line.
+ * @returns {Promise<{ pid: number, ppid: number, command: string }[]>} The processes.
+ * @throws {Error} If the process list cannot be read (e.g., `ps` is unavailable).
+ */
+async function listProcesses() {
+  if (process.platform === 'win32') {
+    throw new Error('Selecting processes by name or cluster is not supported on Windows. Use a PID or a PID file instead.');
+  }
+  let stdout;
+  try {
+    ({ stdout } = await execFileAsync('ps', ['-axo', 'pid=,ppid=,command='], { maxBuffer: 16 * 1024 * 1024 }));
+  } catch (error) {
+    throw new Error(`Failed to list running processes: ${error.message}`);
+  }
+  return stdout.split('\n')
+    .map((line) => line.trim().match(/^(\d+)\s+(\d+)\s+(.*)$/))
+    .filter(Boolean)
+    .map(([, pid, ppid, command]) => ({ pid: Number(pid), ppid: Number(ppid), command }));
+}
+
+/**
+ * Converts a glob segment (supporting `*` and `?`) into an anchored regular expression.
+ * @param {string} pattern - The glob segment.
+ * @returns {RegExp} The regular expression.
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Expands a file glob whose segments may contain `*` and `?` wildcards.
+ * @param {string} pattern - The glob, absolute or relative to the working directory.
+ * @returns {Promise<string[]>} The matching file paths.
+ */
+async function expandGlob(pattern) {
+  const absolute = isAbsolute(pattern) ? pattern : resolve(pattern);
+  if (!/[*?]/.test(absolute)) {
+    return [absolute];
+  }
+
+  const segments = absolute.split(sep).filter(Boolean);
+  let paths = [absolute.startsWith(sep) ? sep : ''];
+
+  for (const segment of segments) {
+    if (!/[*?]/.test(segment)) {
+      paths = paths.map((path) => join(path, segment));
+      continue;
+    }
+    const matcher = globToRegExp(segment);
+    const next = [];
+    for (const path of paths) {
+      let entries;
+      try {
+        entries = await readdir(path);
+      } catch {
+        continue;
+      }
+      entries.filter((entry) => matcher.test(entry)).forEach((entry) => next.push(join(path, entry)));
+    }
+    paths = next;
+  }
+  return paths;
+}
+
+/**
+ * Reads the PIDs from every PID file matching a glob.
+ * @param {string} pattern - The PID file glob (e.g., `/var/run/my-app/*.pid`).
+ * @returns {Promise<number[]>} The PIDs.
+ * @throws {Error} If no PID file matches or a matching file does not contain a PID.
+ */
+async function resolvePidFiles(pattern) {
+  const files = await expandGlob(pattern);
+  const pids = [];
+  for (const file of files) {
+    let content;
+    try {
+      content = await readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        continue;
+      }
+      throw new Error(`Failed to read PID file "${file}": ${error.message}`);
+    }
+    const pid = parseInt(content.trim(), 10);
+    if (!Number.isInteger(pid) || pid <= 0) {
+      throw new Error(`PID file "${file}" does not contain a valid PID.`);
+    }
+    pids.push(pid);
+  }
+  if (pids.length === 0) {
+    throw new Error(`No PID files found matching "${pattern}".`);
+  }
+  return pids;
+}
+
+/**
+ * Collects the PIDs of the CLI's own process and all its ancestors (shell, `npx`, `sudo`, ...),
+ * by following parent PIDs through the process list.
+ * @param {{ pid: number, ppid: number }[]} processes - The running processes.
+ * @returns {Set<number>} The PIDs.
+ */
+function getOwnAncestry(processes) {
+  const parents = new Map(processes.map(({ pid, ppid }) => [pid, ppid]));
+  const ancestry = new Set([process.pid, process.ppid]);
+  let pid = process.ppid;
+  while (parents.has(pid) && !ancestry.has(parents.get(pid))) {
+    pid = parents.get(pid);
+    ancestry.add(pid);
+  }
+  return ancestry;
+}
+
+/**
+ * Finds the processes whose command line matches a name pattern.
+ * The pattern is a case-sensitive substring, or a regular expression when written as `/pattern/flags`.
+ * The CLI's own process and its ancestors are never matched, since their command lines may contain the pattern.
+ *
+ * @param {string} pattern - The name pattern.
+ * @returns {Promise<number[]>} The PIDs.
+ * @throws {Error} If no process matches.
+ */
+async function resolveProcessName(pattern) {
+  const regexMatch = pattern.match(REGEX_PATTERN);
+  let matches = (command) => command.includes(pattern);
+  if (regexMatch) {
+    let regex;
+    try {
+      regex = new RegExp(regexMatch[1], regexMatch[2]);
+    } catch (error) {
+      throw new Error(`Invalid process-name pattern "${pattern}": ${error.message}`);
+    }
+    matches = (command) => regex.test(command);
+  }
+
+  const processes = await listProcesses();
+  const ancestry = getOwnAncestry(processes);
+  const pids = processes
+    .filter(({ pid }) => !ancestry.has(pid))
+    .filter(({ command }) => matches(command))
+    .map(({ pid }) => pid);
+  if (pids.length === 0) {
+    throw new Error(`No running process matches "${pattern}".`);
+  }
+  return pids;
+}
+
+/**
+ * Finds the workers of a Node.js `cluster` primary (or of a PM2 daemon), i.e. its child processes.
+ * @param {number} primaryPid - The PID of the primary process.
+ * @returns {Promise<number[]>} The worker PIDs.
+ * @throws {Error} If the primary has no child processes.
+ */
+async function resolveClusterWorkers(primaryPid) {
+  const processes = await listProcesses();
+  const pids = processes.filter(({ ppid }) => ppid === primaryPid).map(({ pid }) => pid);
+  if (pids.length === 0) {
+    throw new Error(`No worker processes found for cluster primary ${primaryPid}.`);
+  }
+  return pids;
+}
+
+/**
+ * Resolves a process selector into the PIDs it targets.
+ * A selector made only of digits is a PID. One written as `/pattern/flags` is a regular
+ * expression matched against process command lines. One containing a path separator or
+ * ending in `.pid` is a PID file glob. Anything else is a process-name pattern.
+ *
+ * @param {object} selector - The selector.
+ * @param {string} [selector.target] - A PID, PID file glob or process-name pattern.
+ * @param {number} [selector.cluster] - The PID of a cluster primary whose workers are targeted.
+ * @returns {Promise<number[]>} The unique PIDs, in ascending order.
+ * @throws {Error} If the selector is empty or matches no process.
+ */
+async function resolveTargets({ target, cluster } = {}) {
+  let pids;
+  if (cluster !== undefined) {
+    if (!Number.isInteger(cluster) || cluster <= 0) {
+      throw new Error(`Invalid cluster primary PID: "${cluster}".`);
+    }
+    pids = await resolveClusterWorkers(cluster);
+  } else if (!target) {
+    throw new Error('A PID, process-name pattern, PID file glob or --cluster option is required.');
+  } else if (/^\d+$/.test(target)) {
+    pids = [parseInt(target, 10)];
+  } else if (REGEX_PATTERN.test(target)) {
+    pids = await resolveProcessName(target);
+  } else if (target.includes('/') || target.includes(sep) || target.endsWith('.pid')) {
+    pids = await resolvePidFiles(target);
+  } else {
+    pids = await resolveProcessName(target);
+  }
+  return [...new Set(pids)].sort((a, b) => a - b);
+}
+
+export { resolveTargets, resolvePidFiles, resolveProcessName, resolveClusterWorkers };
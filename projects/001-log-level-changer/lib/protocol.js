@@ -0,0 +1,90 @@
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const VALID_LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * Message types exchanged between the CLI and the in-app agent.
+ */
+const MESSAGE_TYPES = {
+  LOG_LEVEL_CHANGE: 'log-level-change',
+  LIST_LOG_MODULES: 'list-log-modules',
+  LIST_PENDING_REVERTS: 'list-pending-reverts',
+  GET_LOG_LEVELS: 'get-log-levels',
+  WATCH_LOG_LEVELS: 'watch-log-levels',
+  LOG_LEVEL_CHANGED: 'log-level-changed',
+};
+
+/**
+ * Checks if a given log level is valid.
+ * @param {string} level - The log level to check.
+ * @returns {boolean} True if the level is valid, false otherwise.
+ */
+function isValidLogLevel(level) {
+  return typeof level === 'string' && VALID_LOG_LEVELS.includes(level.toLowerCase());
+}
+
+/**
+ * Returns the path of the socket the agent of a given process listens on.
+ * On Windows a named pipe is used instead of a Unix domain socket.
+ *
+ * @param {number} pid - The Process ID of the target Node.js application.
+ * @returns {string} The socket (or named pipe) path.
+ */
+function getSocketPath(pid) {
+  if (process.platform === 'win32') {
+    return `\\\\.\\pipe\\log-level-${pid}`;
+  }
+  return join(tmpdir(), `log-level-${pid}.sock`);
+}
+
+/**
+ * Serializes a message as a single newline-terminated JSON line.
+ * @param {object} message - The message to encode.
+ * @returns {string} The encoded line.
+ */
+function encodeMessage(message) {
+  return `${JSON.stringify(message)}\n`;
+}
+
+/**
+ * Creates a function that accepts raw socket chunks and invokes `onMessage`
+ * for every complete newline-delimited JSON message found in them.
+ * Lines that are not valid JSON are reported through `onError`.
+ *
+ * @param {(message: object) => void} onMessage - Called with each decoded message.
+ * @param {(error: Error) => void} [onError] - Called when a line cannot be parsed.
+ * @returns {(chunk: Buffer|string) => void} The chunk handler.
+ */
+function createMessageDecoder(onMessage, onError = () => {}) {
+  let buffer = '';
+
+  return (chunk) => {
+    buffer += chunk.toString('utf8');
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).trim();
+      buffer = buffer.slice(newlineIndex + 1);
+      if (!line) {
+        continue;
+      }
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        onError(new Error(`Received malformed message: ${error.message}`));
+        continue;
+      }
+      onMessage(message);
+    }
+  };
+}
+
+export {
+  VALID_LOG_LEVELS,
+  MESSAGE_TYPES,
+  isValidLogLevel,
+  getSocketPath,
+  encodeMessage,
+  createMessageDecoder,
+};
@@ -0,0 +1,130 @@
+/**
+ * @typedef {object} PendingRevert
+ * @property {string|null} module - The module the time-boxed change was applied to (null for global).
+ * @property {string} level - The temporary level.
+ * @property {string} revertTo - The level that will be restored (for global changes, the previous global level).
+ * @property {number} expiresAt - When the revert happens, as a Unix timestamp in milliseconds.
+ * @property {number} remainingMs - Milliseconds until the revert.
+ */
+
+/**
+ * Creates the scheduler that applies level changes on behalf of the agent and
+ * restores the previous level when a time-boxed change expires.
+ *
+ * A module change remembers the module's previous level. A global change remembers the
+ * previous level of the root logger and of every module, since it overrides all of them.
+ * Levels are always restored to what was in place before the first pending time-boxed change,
+ * so stacking changes never makes a temporary level permanent. A change without a TTL is
+ * treated as the new baseline and cancels the reverts it overrides.
+ *
+ * @param {object} controller - The agent's level controller.
+ * @param {(moduleName: string|null, level: string) => (void|Promise<void>)} controller.setLevel - Applies a level.
+ * @param {(moduleName: string|null) => (string|Promise<string>)} [controller.getLevel] - Reads the current level.
+ * @param {() => (string[]|Promise<string[]>)} controller.listModules - Lists the modules.
+ * @param {object} [callbacks] - Scheduler callbacks.
+ * @param {(moduleName: string|null, level: string) => void} [callbacks.onRevert] - Called after each level restored by a revert.
+ * @param {(error: Error) => void} [callbacks.onError] - Called when an automatic revert fails.
+ * @returns {{
+ *   apply: (moduleName: string|null, level: string, ttl?: number) => Promise<object>,
+ *   list: () => PendingRevert[],
+ *   cancelAll: () => void,
+ * }} The scheduler.
+ */
+function createRevertScheduler({ setLevel, getLevel, listModules }, { onRevert = () => {}, onError = () => {} } = {}) {
+  // Keyed by module name, with null for global changes.
+  const pending = new Map();
+
+  const cancel = (key) => {
+    const entry = pending.get(key);
+    if (entry) {
+      clearTimeout(entry.timer);
+      pending.delete(key);
+    }
+  };
+
+  const baselineOf = async (moduleName) => {
+    const moduleEntry = moduleName ? pending.get(moduleName) : null;
+    if (moduleEntry) {
+      return moduleEntry.restore.get(moduleName);
+    }
+    const globalEntry = pending.get(null);
+    if (globalEntry && globalEntry.restore.has(moduleName)) {
+      return globalEntry.restore.get(moduleName);
+    }
+    return getLevel(moduleName);
+  };
+
+  const revert = async (key) => {
+    const entry = pending.get(key);
+    pending.delete(key);
+    for (const [moduleName, level] of entry.restore) {
+      // A module still under its own time-boxed change keeps it; its entry already holds the baseline.
+      if (key === null && moduleName !== null && pending.has(moduleName)) {
+        continue;
+      }
+      await setLevel(moduleName, level);
+      onRevert(moduleName, level);
+    }
+  };
+
+  const schedule = async (moduleName, level, ttl) => {
+    if (typeof getLevel !== 'function') {
+      throw new Error('Time-boxed changes require the agent to be started with an adapter or a "getLevel" function.');
+    }
+
+    const targets = moduleName ? [moduleName] : [null, ...await listModules()];
+    const restore = new Map();
+    for (const target of targets) {
+      restore.set(target, await baselineOf(target));
+    }
+
+    if (moduleName) {
+      cancel(moduleName);
+    } else {
+      [...pending.keys()].forEach(cancel);
+    }
+
+    await setLevel(moduleName, level);
+
+    const expiresAt = Date.now() + ttl;
+    const timer = setTimeout(() => {
+      revert(moduleName).catch(onError);
+    }, ttl);
+    // Pending reverts must not keep the application alive.
+    timer.unref();
+    pending.set(moduleName, { level, restore, expiresAt, timer });
+
+    return { module: moduleName, level, revertTo: restore.get(moduleName), expiresAt, ttl };
+  };
+
+  return {
+    async apply(moduleName, level, ttl) {
+      if (ttl) {
+        return schedule(moduleName, level, ttl);
+      }
+      if (moduleName) {
+        cancel(moduleName);
+        pending.get(null)?.restore.delete(moduleName);
+      } else {
+        [...pending.keys()].forEach(cancel);
+      }
+      await setLevel(moduleName, level);
+      return { module: moduleName, level };
+    },
+    list() {
+      const now = Date.now();
+      return [...pending.entries()].map(([moduleName, entry]) => ({
+        module: moduleName,
+        level: entry.level,
+        revertTo: entry.restore.get(moduleName),
+        expiresAt: entry.expiresAt,
+        remainingMs: Math.max(0, entry.expiresAt - now),
+      }));
+    },
+    cancelAll() {
+      [...pending.keys()].forEach(cancel);
+    },
+  };
+}
+
+export { createRevertScheduler };
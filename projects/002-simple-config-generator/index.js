@@ -1,7 +1,9 @@
 import { Command, Option } from 'commander';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { generateConfig } from './lib/generator.js';
+import { generateConfig, parseInputValues, describeCheckResult } from './lib/generator.js';
+import { generateFromManifest } from './lib/manifest.js';
+import { SUPPORTED_FORMATS } from './lib/formats/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,20 +16,60 @@ program
   .version('1.0.0');
 
 program
-  .requiredOption('-t, --template <templatePath>', 'Path to the EJS template file.')
+  .option('-t, --template <templatePath>', 'Path to the EJS template file. Required unless --manifest is used.')
   .option('-o, --output <outputPath>', 'Path to the output file. If not provided, output goes to stdout.')
-  .option('-f, --format <format>', 'Output format (json or yaml). Defaults to json.', 'json')
+  .option('-f, --format <format>', `Output format (${SUPPORTED_FORMATS.join(', ')}). Defaults to json.`, 'json')
+  .option('-s, --schema <schemaPath>', 'Path to a JSON Schema declaring the template variables. Defaults to the template front-matter or <template>.schema.json.')
+  .option('--non-interactive', 'Fail with a list of missing variables instead of prompting for them.')
+  .option('-m, --manifest <manifestPath>', 'Generate every configuration file listed in a manifest instead of a single template.')
+  .option('-e, --env <environment>', 'Environment to generate from the manifest, or "all".', 'all')
+  .option('--check', 'Compare the rendered configuration with the existing output file(s) instead of writing them. Exits with code 1 on drift.')
   .argument('[inputValues...]', 'Key-value pairs for template variables (e.g., key=value, nested.key=value).')
   .action(async (inputValues, options) => {
-    const { template, output, format } = options;
+    const { template, output, format, schema, nonInteractive, manifest, env, check } = options;
 
-    if (format !== 'json' && format !== 'yaml') {
-      console.error(`Error: Invalid format "${format}". Supported formats are "json" and "yaml".`);
+    if (manifest) {
+      try {
+        // Command-line values override every values file in the manifest.
+        const results = await generateFromManifest(manifest, { env, overrides: parseInputValues(inputValues), check });
+        if (check) {
+          results.forEach((result) => console.log(`[${result.env}] ${describeCheckResult(path.relative(process.cwd(), result.output), result)}`));
+          const drifted = results.filter(({ status }) => status !== 'unchanged').length;
+          console.log(`Checked ${results.length} configuration file(s): ${results.length - drifted} up to date, ${drifted} drifted.`);
+          if (drifted > 0) {
+            process.exit(1);
+          }
+          return;
+        }
+        results.forEach(({ env: resultEnv, output: outputPath, status }) => {
+          console.log(`${status.padEnd(9)} [${resultEnv}] ${path.relative(process.cwd(), outputPath)}`);
+        });
+        const written = results.filter(({ status }) => status === 'written').length;
+        console.log(`Generated ${results.length} configuration file(s): ${written} written, ${results.length - written} unchanged.`);
+      } catch (error) {
+        console.error(`Error generating configuration: ${error.message}`);
+        process.exit(1);
+      }
+      return;
+    }
+
+    if (!template) {
+      console.error('Error: Either --template or --manifest is required.');
+      process.exit(1);
+    }
+
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      console.error(`Error: Invalid format "${format}". Supported formats are ${SUPPORTED_FORMATS.map((name) => `"${name}"`).join(', ')}.`);
       process.exit(1);
     }
 
     try {
-      await generateConfig(template, output, inputValues, format);
+      // Prompting needs a terminal; piped or CI runs behave as --non-interactive.
+      const interactive = !nonInteractive && Boolean(process.stdin.isTTY);
+      const upToDate = await generateConfig(template, output, inputValues, format, { schemaPath: schema, interactive, check });
+      if (check) {
+        process.exit(upToDate ? 0 : 1);
+      }
       if (!output) {
         console.log('Configuration generated successfully to stdout.');
       } else {
@@ -0,0 +1,85 @@
+import { isDeepStrictEqual } from 'util';
+import { isPlainObject } from './formats/utils.js';
+
+/**
+ * @typedef {object} Difference
+ * @property {string} path - The path of the value (e.g., `database.hosts[1]`), or an empty string for the root.
+ * @property {'added' | 'removed' | 'changed'} kind - Whether the value only exists in the rendered configuration,
+ *   only exists in the file on disk, or differs between them.
+ * @property {any} [expected] - The rendered value.
+ * @property {any} [actual] - The value on disk.
+ */
+
+/**
+ * Joins an object key onto a path, quoting keys that are not plain identifiers.
+ * @param {string} parent - The parent path.
+ * @param {string} key - The key.
+ * @returns {string} The child path.
+ */
+function joinPath(parent, key) {
+  const segment = /^[A-Za-z_$][\w$-]*$/.test(key) ? key : JSON.stringify(key);
+  return parent ? `${parent}.${segment}` : segment;
+}
+
+/**
+ * Compares two configuration values structurally. Objects are compared key by key and arrays
+ * index by index, so only the values that actually differ are reported.
+ * @param {any} expected - The rendered configuration.
+ * @param {any} actual - The configuration on disk.
+ * @param {string} [keyPath=''] - The path of the values being compared.
+ * @returns {Difference[]} The differences, in document order. Empty if the values are equal.
+ */
+function diffValues(expected, actual, keyPath = '') {
+  if (isPlainObject(expected) && isPlainObject(actual)) {
+    const keys = [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+    return keys.flatMap((key) => {
+      const childPath = joinPath(keyPath, key);
+      if (!Object.hasOwn(actual, key)) {
+        return [{ path: childPath, kind: 'added', expected: expected[key] }];
+      }
+      if (!Object.hasOwn(expected, key)) {
+        return [{ path: childPath, kind: 'removed', actual: actual[key] }];
+      }
+      return diffValues(expected[key], actual[key], childPath);
+    });
+  }
+
+  if (Array.isArray(expected) && Array.isArray(actual)) {
+    return Array.from({ length: Math.max(expected.length, actual.length) }, (_, index) => {
+      const childPath = `${keyPath}[${index}]`;
+      if (index >= actual.length) {
+        return [{ path: childPath, kind: 'added', expected: expected[index] }];
+      }
+      if (index >= expected.length) {
+        return [{ path: childPath, kind: 'removed', actual: actual[index] }];
+      }
+      return diffValues(expected[index], actual[index], childPath);
+    }).flat();
+  }
+
+  return isDeepStrictEqual(expected, actual) ? [] : [{ path: keyPath, kind: 'changed', expected, actual }];
+}
+
+/**
+ * Formats differences for the terminal, one line per difference:
+ * `+` for values only in the rendered configuration, `-` for values only on disk,
+ * and `~` for changed values (`on disk -> rendered`).
+ * @param {Difference[]} differences - The differences (see `diffValues`).
+ * @returns {string} The formatted diff.
+ */
+function formatDiff(differences) {
+  const format = (value) => (value === undefined ? 'undefined' : JSON.stringify(value));
+  return differences.map(({ path: keyPath, kind, expected, actual }) => {
+    const label = keyPath || '(root)';
+    switch (kind) {
+      case 'added':
+        return `  + ${label}: ${format(expected)}`;
+      case 'removed':
+        return `  - ${label}: ${format(actual)}`;
+      default:
+        return `  ~ ${label}: ${format(actual)} -> ${format(expected)}`;
+    }
+  }).join('\n');
+}
+
+export { diffValues, formatDiff };
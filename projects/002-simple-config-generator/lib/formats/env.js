@@ -0,0 +1,115 @@
+import { isPlainObject } from './utils.js';
+
+// Values made only of these characters are written without quotes.
+const SAFE_VALUE_PATTERN = /^[A-Za-z0-9_.\/:@,+-]*$/;
+
+const ESCAPES = { '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+const UNESCAPES = { '\\': '\\', '"': '"', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Converts a key path into an environment variable name, e.g. `['database', 'maxPool']` -> `DATABASE_MAX_POOL`.
+ * @param {string[]} keys - The key path.
+ * @returns {string} The variable name.
+ */
+function toEnvKey(keys) {
+  return keys
+    .map((key) => key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_'))
+    .join('_')
+    .toUpperCase();
+}
+
+/**
+ * Flattens nested data into environment variables. Arrays of primitives are joined with commas;
+ * other arrays are written as JSON. `null` becomes an empty value.
+ * @param {object} data - The data to flatten.
+ * @returns {Record<string, string>} The variables.
+ * @throws {Error} If the data is not an object, or two keys map to the same variable name.
+ */
+function flatten(data) {
+  if (!isPlainObject(data)) {
+    throw new Error('.env output requires the configuration to be an object.');
+  }
+
+  const variables = {};
+  const visit = (value, keys) => {
+    if (isPlainObject(value)) {
+      Object.entries(value).forEach(([key, child]) => visit(child, [...keys, key]));
+      return;
+    }
+    const name = toEnvKey(keys);
+    if (name in variables) {
+      throw new Error(`Keys "${keys.join('.')}" and another key both map to the environment variable "${name}".`);
+    }
+    if (Array.isArray(value)) {
+      variables[name] = value.every((item) => !isPlainObject(item) && !Array.isArray(item))
+        ? value.join(',')
+        : JSON.stringify(value);
+    } else {
+      variables[name] = value === null || value === undefined ? '' : String(value);
+    }
+  };
+  visit(data, []);
+  return variables;
+}
+
+/**
+ * Quotes a value when it contains characters that need escaping in a .env file.
+ * @param {string} value - The value.
+ * @returns {string} The value as written to the file.
+ */
+function quote(value) {
+  if (SAFE_VALUE_PATTERN.test(value)) {
+    return value;
+  }
+  return `"${value.replace(/[\\"\n\r\t]/g, (char) => ESCAPES[char])}"`;
+}
+
+/**
+ * Parses a .env file into its variables. Supports `export` prefixes, comments,
+ * single-quoted literals and double-quoted values with escapes.
+ * @param {string} content - The .env content.
+ * @returns {Record<string, string>} The variables.
+ * @throws {Error} If a line is not a valid assignment.
+ */
+function parse(content) {
+  const variables = {};
+  content.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      return;
+    }
+    const match = trimmed.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!match) {
+      throw new Error(`Invalid .env line ${index + 1}: "${line}"`);
+    }
+    const [, name, rawValue] = match;
+    if (rawValue.startsWith('"')) {
+      const quoted = rawValue.match(/^"((?:[^"\\]|\\.)*)"/);
+      if (!quoted) {
+        throw new Error(`Unterminated quoted value on .env line ${index + 1}.`);
+      }
+      variables[name] = quoted[1].replace(/\\(.)/g, (escape, char) => UNESCAPES[char] ?? escape);
+    } else if (rawValue.startsWith("'")) {
+      const quoted = rawValue.match(/^'([^']*)'/);
+      if (!quoted) {
+        throw new Error(`Unterminated quoted value on .env line ${index + 1}.`);
+      }
+      variables[name] = quoted[1];
+    } else {
+      variables[name] = rawValue.replace(/\s+#.*$/, '').trim();
+    }
+  });
+  return variables;
+}
+
+/**
+ * .env output format. Nested keys are flattened into upper snake case names (`database.host` -> `DATABASE_HOST`).
+ * Values are untyped, so the round-trip check compares the flattened variables.
+ */
+export default {
+  name: 'env',
+  extensions: ['.env'],
+  stringify: (data) => `${Object.entries(flatten(data)).map(([name, value]) => `${name}=${quote(value)}`).join('\n')}\n`,
+  parse,
+  normalize: flatten,
+};
@@ -0,0 +1,214 @@
+import { isPlainObject } from './utils.js';
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+const INDENT = '  ';
+
+/**
+ * Writes a key as an identifier when possible, or as a quoted string otherwise.
+ * @param {string} key - The key.
+ * @returns {string} The HCL key.
+ */
+function formatKey(key) {
+  return IDENTIFIER_PATTERN.test(key) ? key : formatString(key);
+}
+
+/**
+ * Writes a quoted HCL string. Template sequences (`${`, `%{`) are escaped so they stay literal.
+ * @param {string} value - The string.
+ * @returns {string} The HCL string literal.
+ */
+function formatString(value) {
+  return JSON.stringify(value).replace(/\$\{/g, () => '$${').replace(/%\{/g, () => '%%{');
+}
+
+/**
+ * Writes a value as an HCL expression. Objects inside expressions are written as `{ key = value }` maps.
+ * @param {any} value - The value.
+ * @param {number} depth - The current indentation depth.
+ * @returns {string} The HCL expression.
+ * @throws {Error} If the value cannot be represented (e.g., a non-finite number).
+ */
+function formatExpression(value, depth) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (typeof value === 'string') {
+    return formatString(value);
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`HCL cannot represent the number ${value}.`);
+    }
+    return String(value);
+  }
+  if (typeof value === 'boolean') {
+    return String(value);
+  }
+  const indent = INDENT.repeat(depth + 1);
+  const closingIndent = INDENT.repeat(depth);
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return '[]';
+    }
+    return `[\n${value.map((item) => `${indent}${formatExpression(item, depth + 1)},`).join('\n')}\n${closingIndent}]`;
+  }
+  const entries = Object.entries(value);
+  if (entries.length === 0) {
+    return '{}';
+  }
+  return `{\n${entries.map(([key, item]) => `${indent}${formatKey(key)} = ${formatExpression(item, depth + 1)}`).join('\n')}\n${closingIndent}}`;
+}
+
+/**
+ * Writes the attributes and blocks of an object body. Nested objects become blocks.
+ * @param {object} data - The object.
+ * @param {number} depth - The current indentation depth.
+ * @returns {string[]} The body lines.
+ */
+function formatBody(data, depth) {
+  const indent = INDENT.repeat(depth);
+  return Object.entries(data).map(([key, value]) => {
+    if (isPlainObject(value)) {
+      const body = formatBody(value, depth + 1);
+      return body.length > 0
+        ? `${indent}${formatKey(key)} {\n${body.join('\n')}\n${indent}}`
+        : `${indent}${formatKey(key)} {}`;
+    }
+    return `${indent}${formatKey(key)} = ${formatExpression(value, depth)}`;
+  });
+}
+
+/**
+ * Serializes data as HCL.
+ * @param {object} data - The data to serialize.
+ * @returns {string} The HCL document.
+ * @throws {Error} If the data is not an object.
+ */
+function stringify(data) {
+  if (!isPlainObject(data)) {
+    throw new Error('HCL output requires the configuration to be an object.');
+  }
+  return `${formatBody(data, 0).join('\n')}\n`;
+}
+
+/**
+ * Parses the subset of HCL produced by `stringify`: attributes, blocks without labels,
+ * maps, lists, strings, numbers, booleans and null. Used for the round-trip check.
+ * @param {string} content - The HCL document.
+ * @returns {object} The parsed data.
+ * @throws {Error} If the document uses unsupported or invalid syntax.
+ */
+function parse(content) {
+  let position = 0;
+
+  const fail = (message) => {
+    const line = content.slice(0, position).split('\n').length;
+    throw new Error(`Invalid HCL on line ${line}: ${message}`);
+  };
+
+  const skipWhitespace = (includeNewlines = true) => {
+    const pattern = includeNewlines ? /[\s,]/ : /[ \t]/;
+    while (position < content.length) {
+      if (pattern.test(content[position])) {
+        position += 1;
+      } else if (content[position] === '#' || content.startsWith('//', position)) {
+        while (position < content.length && content[position] !== '\n') {
+          position += 1;
+        }
+      } else {
+        break;
+      }
+    }
+  };
+
+  const readString = () => {
+    const match = content.slice(position).match(/^"((?:[^"\\]|\\.)*)"/);
+    if (!match) {
+      fail('unterminated string');
+    }
+    position += match[0].length;
+    return JSON.parse(`"${match[1]}"`).replace(/\$\$\{/g, () => '${').replace(/%%\{/g, () => '%{');
+  };
+
+  const readKey = () => {
+    if (content[position] === '"') {
+      return readString();
+    }
+    const match = content.slice(position).match(/^[A-Za-z_][A-Za-z0-9_-]*/);
+    if (!match) {
+      fail(`expected a key, found "${content[position]}"`);
+    }
+    position += match[0].length;
+    return match[0];
+  };
+
+  const readBody = (closing) => {
+    const result = {};
+    for (;;) {
+      skipWhitespace();
+      if (closing ? content[position] === closing : position >= content.length) {
+        position += closing ? 1 : 0;
+        return result;
+      }
+      if (position >= content.length) {
+        fail(`expected "${closing}"`);
+      }
+      const key = readKey();
+      skipWhitespace(false);
+      if (content[position] === '{') {
+        position += 1;
+        result[key] = readBody('}');
+      } else if (content[position] === '=') {
+        position += 1;
+        skipWhitespace(false);
+        result[key] = readExpression();
+      } else {
+        fail(`expected "=" or "{" after "${key}"`);
+      }
+    }
+  };
+
+  const readExpression = () => {
+    const char = content[position];
+    if (char === '"') {
+      return readString();
+    }
+    if (char === '{') {
+      position += 1;
+      return readBody('}');
+    }
+    if (char === '[') {
+      position += 1;
+      const items = [];
+      for (;;) {
+        skipWhitespace();
+        if (content[position] === ']') {
+          position += 1;
+          return items;
+        }
+        if (position >= content.length) {
+          fail('expected "]"');
+        }
+        items.push(readExpression());
+      }
+    }
+    const match = content.slice(position).match(/^(true|false|null|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)/);
+    if (!match) {
+      fail(`unexpected "${char}"`);
+    }
+    position += match[0].length;
+    return JSON.parse(match[0]);
+  };
+
+  return readBody(null);
+}
+
+/**
+ * HCL output format. Nested objects become blocks; objects inside lists become maps.
+ */
+export default {
+  name: 'hcl',
+  extensions: ['.hcl', '.tf'],
+  stringify,
+  parse,
+};
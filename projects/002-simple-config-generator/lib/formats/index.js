@@ -0,0 +1,75 @@
+import { isDeepStrictEqual } from 'util';
+import json from './json.js';
+import yaml from './yaml.js';
+import toml from './toml.js';
+import ini from './ini.js';
+import env from './env.js';
+import hcl from './hcl.js';
+
+/**
+ * @typedef {object} OutputFormat
+ * @property {string} name - The format name used with `--format`.
+ * @property {string[]} extensions - File extensions associated with the format.
+ * @property {(data: any) => string} stringify - Serializes data.
+ * @property {(content: string) => any} parse - Parses serialized content.
+ * @property {(data: any) => any} [normalize] - Maps data to the shape `parse` returns, for formats that
+ *   cannot preserve types (e.g., INI and .env store every value as a string). Must be idempotent.
+ */
+
+/** @type {Record<string, OutputFormat>} */
+const FORMATS = { json, yaml, toml, ini, env, hcl };
+
+const SUPPORTED_FORMATS = Object.keys(FORMATS);
+
+/**
+ * Returns the output format registered under a name.
+ * @param {string} name - The format name.
+ * @returns {OutputFormat} The format.
+ * @throws {Error} If the format is unsupported.
+ */
+function getFormat(name) {
+  const format = FORMATS[name];
+  if (!format) {
+    throw new Error(`Unsupported output format: ${name}`);
+  }
+  return format;
+}
+
+/**
+ * Infers the output format from a file's extension (e.g., `.toml` -> `toml`, `.env` -> `env`).
+ * @param {string} filePath - The output file path.
+ * @returns {string | null} The format name, or null if the extension is not associated with a format.
+ */
+function getFormatForPath(filePath) {
+  const fileName = filePath.toLowerCase();
+  const format = Object.values(FORMATS).find(({ extensions }) => extensions.some((extension) => fileName.endsWith(extension)));
+  return format ? format.name : null;
+}
+
+/**
+ * Serializes data in a format and checks that parsing the result gives the same data back.
+ * This catches values a format cannot represent (e.g., `null` in TOML, colliding keys in .env).
+ * @param {any} data - The data to serialize.
+ * @param {string} name - The format name.
+ * @returns {string} The serialized content.
+ * @throws {Error} If serialization fails or the content does not round-trip.
+ */
+function serialize(data, name) {
+  const format = getFormat(name);
+  const normalize = format.normalize ?? ((value) => value);
+
+  let content;
+  let parsed;
+  try {
+    content = format.stringify(data);
+    parsed = format.parse(content);
+  } catch (error) {
+    throw new Error(`Configuration cannot be written as ${name}: ${error.message}`);
+  }
+  if (!isDeepStrictEqual(normalize(parsed), normalize(data))) {
+    throw new Error(`Configuration cannot be written as ${name}: parsing the output does not give the same configuration back (unsupported values such as null, mixed-type arrays or conflicting keys).`);
+  }
+  return content;
+}
+
+export { SUPPORTED_FORMATS, getFormat, getFormatForPath, serialize };
@@ -0,0 +1,14 @@
+import ini from 'ini';
+import { mapLeaves } from './utils.js';
+
+/**
+ * INI output format. Nested objects become `[section.subsection]` sections and arrays use `key[]=` entries.
+ * INI values are untyped, so the round-trip check compares values as strings.
+ */
+export default {
+  name: 'ini',
+  extensions: ['.ini'],
+  stringify: (data) => ini.stringify(data),
+  parse: (content) => ini.parse(content),
+  normalize: (data) => mapLeaves(data, (value) => String(value)),
+};
@@ -0,0 +1,9 @@
+/**
+ * JSON output format.
+ */
+export default {
+  name: 'json',
+  extensions: ['.json'],
+  stringify: (data) => JSON.stringify(data, null, 2),
+  parse: (content) => JSON.parse(content),
+};
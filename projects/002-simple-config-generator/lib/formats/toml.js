@@ -0,0 +1,12 @@
+import { parse, stringify } from 'smol-toml';
+
+/**
+ * TOML output format. TOML has no `null`, so null values fail the round-trip check.
+ */
+export default {
+  name: 'toml',
+  extensions: ['.toml'],
+  stringify: (data) => `${stringify(data)}\n`,
+  // smol-toml returns null-prototype objects; clone them into plain ones for comparison.
+  parse: (content) => structuredClone(parse(content)),
+};
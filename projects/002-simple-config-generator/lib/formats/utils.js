@@ -0,0 +1,24 @@
+/**
+ * Checks whether a value is a plain object (not an array or null).
+ * @param {any} value - The value to check.
+ * @returns {boolean} True if the value is a plain object.
+ */
+export function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Returns a copy of a nested structure with every leaf value replaced by `mapFn(value)`.
+ * @param {any} data - The structure to map.
+ * @param {(value: any) => any} mapFn - Maps a leaf value.
+ * @returns {any} The mapped structure.
+ */
+export function mapLeaves(data, mapFn) {
+  if (Array.isArray(data)) {
+    return data.map((item) => mapLeaves(item, mapFn));
+  }
+  if (isPlainObject(data)) {
+    return Object.fromEntries(Object.entries(data).map(([key, value]) => [key, mapLeaves(value, mapFn)]));
+  }
+  return mapFn(data);
+}
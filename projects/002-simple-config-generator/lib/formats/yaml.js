@@ -0,0 +1,11 @@
+import yaml from 'yaml';
+
+/**
+ * YAML output format.
+ */
+export default {
+  name: 'yaml',
+  extensions: ['.yaml', '.yml'],
+  stringify: (data) => yaml.stringify(data),
+  parse: (content) => yaml.parse(content),
+};
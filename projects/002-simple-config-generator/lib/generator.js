@@ -2,6 +2,11 @@ import fs from 'fs/promises';
 import path from 'path';
 import ejs from 'ejs';
 import yaml from 'yaml';
+import { loadTemplateSchema, applySchema, setPath } from './schema.js';
+import { promptForValues } from './prompt.js';
+import { getFormat, serialize } from './formats/index.js';
+import { isPlainObject } from './formats/utils.js';
+import { diffValues, formatDiff } from './diff.js';
 
 /**
  * Reads the content of a file.
@@ -80,73 +85,248 @@ function parseInputValues(inputArgs) {
 }
 
 /**
- * Formats the generated content based on the desired output format.
- * @param {object} data - The data object to format.
- * @param {'json' | 'yaml'} format - The desired output format.
- * @returns {string} The formatted content.
- * @throws {Error} If the format is unsupported.
+ * Formats a variable for an error message, e.g. `port (integer) - Port the service listens on`.
+ * @param {{ path: string, type: string, description?: string }} variable - The variable definition.
+ * @returns {string} The formatted variable.
  */
-function formatOutput(data, format) {
-  switch (format) {
-    case 'json':
-      return JSON.stringify(data, null, 2);
-    case 'yaml':
-      return yaml.stringify(data);
+function describeVariable(variable) {
+  const description = variable.description ? ` - ${variable.description}` : '';
+  return `${variable.path} (${variable.type})${description}`;
+}
+
+/**
+ * Resolves the template data from the parsed input values and the template's schema.
+ * Declared variables are coerced to their types and defaults are applied. Variables that
+ * are still missing are asked for interactively, or reported as an error when not interactive.
+ * Without a schema, the input values are used as-is.
+ *
+ * @param {object} inputData - The parsed `key=value` input.
+ * @param {object | null} schema - The template's JSON Schema.
+ * @param {object} options - Resolution options.
+ * @param {boolean} options.interactive - Whether missing variables may be asked for.
+ * @param {(variables: object[]) => Promise<Map<string, any>>} options.prompt - Asks for the missing variables.
+ * @returns {Promise<object>} The template data.
+ * @throws {Error} If values cannot be coerced, or required variables are missing in non-interactive mode.
+ */
+async function resolveTemplateData(inputData, schema, { interactive, prompt }) {
+  if (!schema) {
+    return inputData;
+  }
+
+  const { data, missing, errors } = applySchema(inputData, schema);
+  if (errors.length > 0) {
+    throw new Error(`Invalid template variable values:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+  }
+
+  let answers = new Map();
+  if (interactive) {
+    answers = await prompt(missing);
+    answers.forEach((value, variablePath) => setPath(data, variablePath, value));
+  } else {
+    const missingRequired = missing.filter((variable) => variable.required);
+    if (missingRequired.length > 0) {
+      throw new Error(`Missing required template variables:\n${missingRequired.map((variable) => `  - ${describeVariable(variable)}`).join('\n')}`);
+    }
+  }
+
+  // Optional variables without a value are still defined, so templates can reference them without a ReferenceError.
+  missing
+    .filter((variable) => !answers.has(variable.path))
+    .forEach((variable) => setPath(data, variable.path, undefined));
+
+  return data;
+}
+
+/**
+ * Parses the rendered template into configuration data.
+ * JSON and YAML output is validated with its own parser, which catches errors in the template's structure.
+ * Other formats are usually produced from a JSON or YAML template, so those are tried first and the
+ * target format's own parser is the last resort.
+ * @param {string} renderedContent - The rendered template.
+ * @param {string} outputFormat - The desired output format.
+ * @returns {any} The configuration data.
+ * @throws {Error} If the content cannot be parsed.
+ */
+function parseRenderedContent(renderedContent, outputFormat) {
+  const format = getFormat(outputFormat);
+  if (outputFormat === 'json' || outputFormat === 'yaml') {
+    return format.parse(renderedContent);
+  }
+  for (const parse of [JSON.parse, yaml.parse, format.parse]) {
+    try {
+      const data = parse(renderedContent);
+      if (isPlainObject(data)) {
+        return data;
+      }
+    } catch {
+      // Try the next parser.
+    }
+  }
+  throw new Error(`Rendered content is not a valid JSON, YAML or ${outputFormat} document.`);
+}
+
+/**
+ * Renders a template into configuration content in the requested format.
+ * @param {string} templatePath - Path to the EJS template file.
+ * @param {object} inputData - The template data. String values of declared variables are coerced to their schema types.
+ * @param {'json' | 'yaml' | 'toml' | 'ini' | 'env' | 'hcl'} outputFormat - The desired output format.
+ * @param {object} [options] - Additional options.
+ * @param {string} [options.schemaPath] - Path to a JSON Schema declaring the template variables. Defaults to the
+ *   template's front-matter, or a `<template>.schema.json` file next to the template.
+ * @param {boolean} [options.interactive=false] - Ask for missing variables instead of failing.
+ * @param {(variables: object[]) => Promise<Map<string, any>>} [options.prompt] - Asks for missing variables.
+ *   Defaults to prompting on the terminal.
+ * @returns {Promise<string>} The configuration content.
+ */
+export async function renderConfig(templatePath, inputData, outputFormat, options = {}) {
+  const { schemaPath, interactive = false, prompt = promptForValues } = options;
+  const rawTemplate = await readFileContent(templatePath);
+  const { schema, body: templateContent } = await loadTemplateSchema(templatePath, rawTemplate, schemaPath);
+  const templateData = await resolveTemplateData(inputData, schema, { interactive, prompt });
+
+  const renderedContent = await renderTemplate(templateContent, templateData);
+
+  let data;
+  try {
+    // Parse the rendered content to ensure it's valid before re-formatting it.
+    // This helps catch errors in the template's structure.
+    data = parseRenderedContent(renderedContent, outputFormat);
+  } catch (parseError) {
+    // If parsing fails (e.g., invalid JSON/YAML structure in rendered output),
+    // output the raw rendered content.
+    console.warn(`Warning: Could not auto-format rendered content as ${outputFormat}. Outputting raw content. Error: ${parseError.message}`);
+    return renderedContent;
+  }
+
+  // Serialization includes a round-trip parse, so values the format cannot represent are reported here.
+  return serialize(data, outputFormat);
+}
+
+/**
+ * Writes content to a file unless the file already has exactly that content,
+ * so unchanged configuration files keep their modification time. Missing directories are created.
+ * @param {string} filePath - The path to the file.
+ * @param {string} content - The content to write.
+ * @returns {Promise<boolean>} True if the file was written, false if it was already up to date.
+ * @throws {Error} If the file cannot be written.
+ */
+export async function writeIfChanged(filePath, content) {
+  try {
+    if (await fs.readFile(filePath, 'utf-8') === content) {
+      return false;
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Failed to read file "${filePath}": ${error.message}`);
+    }
+  }
+  try {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+  } catch (error) {
+    throw new Error(`Failed to create directory for "${filePath}": ${error.message}`);
+  }
+  await writeFileContent(filePath, content);
+  return true;
+}
+
+/**
+ * Compares rendered configuration content with an existing file. The comparison is semantic:
+ * both sides are parsed with the output format's parser, so formatting, key order in the
+ * serializer and comments do not count as drift. Content that cannot be parsed is compared as text.
+ * @param {string} filePath - The path to the existing file.
+ * @param {string} content - The rendered configuration content.
+ * @param {string} outputFormat - The output format.
+ * @returns {Promise<{ status: 'unchanged' | 'drifted' | 'missing', differences: import('./diff.js').Difference[], reason?: string }>}
+ *   The result. `reason` explains drift that cannot be shown as a structural diff.
+ * @throws {Error} If the file cannot be read.
+ */
+export async function checkConfig(filePath, content, outputFormat) {
+  let existingContent;
+  try {
+    existingContent = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { status: 'missing', differences: [] };
+    }
+    throw new Error(`Failed to read file "${filePath}": ${error.message}`);
+  }
+
+  const format = getFormat(outputFormat);
+  let expected;
+  let actual;
+  try {
+    expected = format.parse(content);
+  } catch {
+    // The template did not produce valid output (it was written raw), so only the text can be compared.
+    return existingContent === content
+      ? { status: 'unchanged', differences: [] }
+      : { status: 'drifted', differences: [], reason: 'The rendered content differs from the file.' };
+  }
+  try {
+    actual = format.parse(existingContent);
+  } catch (error) {
+    return { status: 'drifted', differences: [], reason: `The file is not valid ${outputFormat}: ${error.message}` };
+  }
+
+  const differences = diffValues(expected, actual);
+  return { status: differences.length > 0 ? 'drifted' : 'unchanged', differences };
+}
+
+/**
+ * Describes the result of `checkConfig` for the terminal, including the structural diff on drift.
+ * @param {string} filePath - The checked file.
+ * @param {{ status: string, differences: object[], reason?: string }} result - The check result.
+ * @returns {string} The description.
+ */
+export function describeCheckResult(filePath, { status, differences, reason }) {
+  switch (status) {
+    case 'unchanged':
+      return `Configuration file "${filePath}" is up to date`;
+    case 'missing':
+      return `Configuration file "${filePath}" does not exist`;
     default:
-      throw new Error(`Unsupported output format: ${format}`);
+      return reason
+        ? `Configuration file "${filePath}" has drifted from its template: ${reason}`
+        : `Configuration file "${filePath}" has drifted from its template (- on disk, + rendered, ~ on disk -> rendered):\n${formatDiff(differences)}`;
   }
 }
 
 /**
  * Generates a configuration file based on a template and user inputs.
+ * In check mode nothing is written: the rendered configuration is compared with the existing
+ * output file and any drift is reported.
  * @param {string} templatePath - Path to the EJS template file.
  * @param {string | undefined} outputPath - Path to the output file. If not provided, output goes to stdout.
  * @param {string[]} inputArgs - Array of key-value pair strings for template data.
- * @param {'json' | 'yaml'} outputFormat - The desired output format.
- * @returns {Promise<void>}
+ * @param {'json' | 'yaml' | 'toml' | 'ini' | 'env' | 'hcl'} outputFormat - The desired output format.
+ * @param {object} [options] - Additional options, as for `renderConfig`.
+ * @param {boolean} [options.check=false] - Compare with the output file instead of writing it.
+ * @returns {Promise<boolean>} False if check mode found drift (or a missing file), true otherwise.
+ * @throws {Error} If check mode is used without an output path, or generation fails.
  */
-export async function generateConfig(templatePath, outputPath, inputArgs, outputFormat) {
-  const templateContent = await readFileContent(templatePath);
-  const inputData = parseInputValues(inputArgs);
+export async function generateConfig(templatePath, outputPath, inputArgs, outputFormat, options = {}) {
+  const { check = false, ...renderOptions } = options;
+  if (check && !outputPath) {
+    throw new Error('Check mode requires an output file to compare with.');
+  }
 
-  const renderedContent = await renderTemplate(templateContent, inputData);
+  const finalOutput = await renderConfig(templatePath, parseInputValues(inputArgs), outputFormat, renderOptions);
 
-  let finalOutput;
-  try {
-    // Attempt to parse the rendered content as JSON or YAML to ensure it's valid
-    // before re-formatting it. This helps catch errors in the template's structure.
-    if (outputFormat === 'json') {
-      finalOutput = JSON.stringify(JSON.parse(renderedContent), null, 2);
-    } else if (outputFormat === 'yaml') {
-      finalOutput = yaml.stringify(yaml.parse(renderedContent));
-    } else {
-      // If the template doesn't produce valid JSON/YAML, output as is.
-      // This might happen for plain text templates or if the user explicitly wants it.
-      // However, given the context of JSON/YAML generation, this is less likely.
-      // For robustness, we'll still try to format if possible.
-      try {
-        finalOutput = formatOutput(JSON.parse(renderedContent), outputFormat);
-      } catch (jsonParseError) {
-        try {
-          finalOutput = formatOutput(yaml.parse(renderedContent), outputFormat);
-        } catch (yamlParseError) {
-          // If neither JSON nor YAML parsing works, output the raw rendered content.
-          finalOutput = renderedContent;
-        }
-      }
-    }
-  } catch (formattingError) {
-    // If formatting fails (e.g., invalid JSON/YAML structure in rendered output),
-    // output the raw rendered content.
-    console.warn(`Warning: Could not auto-format rendered content as ${outputFormat}. Outputting raw content. Error: ${formattingError.message}`);
-    finalOutput = renderedContent;
+  if (check) {
+    const result = await checkConfig(outputPath, finalOutput, outputFormat);
+    console.log(describeCheckResult(outputPath, result));
+    return result.status === 'unchanged';
   }
 
-
   if (outputPath) {
-    await writeFileContent(outputPath, finalOutput);
-    console.log(`Configuration file generated successfully at "${outputPath}"`);
+    const written = await writeIfChanged(outputPath, finalOutput);
+    console.log(written
+      ? `Configuration file generated successfully at "${outputPath}"`
+      : `Configuration file "${outputPath}" is already up to date`);
   } else {
     process.stdout.write(finalOutput);
   }
-}
\ No newline at end of file
+  return true;
+}
+
+export { parseInputValues };
@@ -0,0 +1,209 @@
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'yaml';
+import { renderConfig, writeIfChanged, checkConfig } from './generator.js';
+import { SUPPORTED_FORMATS, getFormatForPath } from './formats/index.js';
+import { isPlainObject } from './formats/utils.js';
+
+const ENV_PLACEHOLDER = /\{env\}/g;
+
+/**
+ * @typedef {object} ManifestConfig
+ * @property {string} template - Path to the EJS template, relative to the manifest.
+ * @property {string} output - Output path, relative to the manifest. May contain `{env}`.
+ * @property {string} [format] - Output format. Defaults to the format of the output's extension, or json.
+ * @property {string} [schema] - Path to the template's JSON Schema, relative to the manifest.
+ * @property {string[]} [values] - Value files layered on top of the manifest-level ones. May contain `{env}`.
+ * @property {string[]} [environments] - Restricts the config to these environments.
+ */
+
+/**
+ * @typedef {object} Manifest
+ * @property {string} baseDir - The directory of the manifest; relative paths are resolved against it.
+ * @property {string[]} environments - All environments.
+ * @property {string[]} values - Value files shared by every config. May contain `{env}`.
+ * @property {ManifestConfig[]} configs - The configuration files to generate.
+ */
+
+/**
+ * Deep-merges value layers from left to right. Objects are merged key by key;
+ * arrays and scalar values from later layers replace earlier ones.
+ * @param {...object} layers - The layers to merge.
+ * @returns {object} The merged values.
+ */
+export function deepMerge(...layers) {
+  return layers.reduce((merged, layer) => {
+    for (const [key, value] of Object.entries(layer ?? {})) {
+      merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+        ? deepMerge(merged[key], value)
+        : structuredClone(value);
+    }
+    return merged;
+  }, {});
+}
+
+/**
+ * Checks that a manifest field is a list of strings.
+ * @param {any} value - The field value.
+ * @param {string} field - The field name, for error messages.
+ * @returns {string[]} The list (empty if the field is absent).
+ * @throws {Error} If the field is not a list of strings.
+ */
+function requireStringList(value, field) {
+  if (value === undefined) {
+    return [];
+  }
+  if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+    throw new Error(`Manifest field "${field}" must be a list of strings.`);
+  }
+  return value;
+}
+
+/**
+ * Loads and validates a manifest file (YAML or JSON).
+ * @param {string} manifestPath - Path to the manifest.
+ * @returns {Promise<Manifest>} The manifest.
+ * @throws {Error} If the manifest cannot be read or is invalid.
+ */
+export async function loadManifest(manifestPath) {
+  let content;
+  try {
+    content = await fs.readFile(manifestPath, 'utf-8');
+  } catch (error) {
+    throw new Error(`Failed to read manifest "${manifestPath}": ${error.message}`);
+  }
+
+  let manifest;
+  try {
+    manifest = yaml.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid manifest "${manifestPath}": ${error.message}`);
+  }
+  if (!isPlainObject(manifest)) {
+    throw new Error(`Invalid manifest "${manifestPath}": expected an object.`);
+  }
+
+  const environments = requireStringList(manifest.environments, 'environments');
+  if (environments.length === 0) {
+    throw new Error('Manifest field "environments" must list at least one environment.');
+  }
+  if (!Array.isArray(manifest.configs) || manifest.configs.length === 0) {
+    throw new Error('Manifest field "configs" must list at least one configuration file.');
+  }
+
+  const configs = manifest.configs.map((config, index) => {
+    if (!isPlainObject(config) || typeof config.template !== 'string' || typeof config.output !== 'string') {
+      throw new Error(`Manifest config #${index + 1} must have "template" and "output" paths.`);
+    }
+    const format = config.format ?? getFormatForPath(config.output) ?? 'json';
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      throw new Error(`Manifest config #${index + 1} has an invalid format "${format}". Supported formats are ${SUPPORTED_FORMATS.join(', ')}.`);
+    }
+    const configEnvironments = requireStringList(config.environments, `configs[${index}].environments`);
+    const unknown = configEnvironments.filter((env) => !environments.includes(env));
+    if (unknown.length > 0) {
+      throw new Error(`Manifest config #${index + 1} uses unknown environments: ${unknown.join(', ')}.`);
+    }
+    return {
+      template: config.template,
+      output: config.output,
+      format,
+      schema: config.schema,
+      values: requireStringList(config.values, `configs[${index}].values`),
+      environments: configEnvironments.length > 0 ? configEnvironments : environments,
+    };
+  });
+
+  return {
+    baseDir: path.dirname(path.resolve(manifestPath)),
+    environments,
+    values: requireStringList(manifest.values, 'values'),
+    configs,
+  };
+}
+
+/**
+ * Reads and merges value files for an environment. Paths containing `{env}` are environment
+ * overrides and are skipped when the file does not exist; other files are required.
+ * @param {string[]} valueFiles - The value file paths, in layering order.
+ * @param {string} env - The environment.
+ * @param {string} baseDir - The directory relative paths are resolved against.
+ * @returns {Promise<object>} The merged values.
+ * @throws {Error} If a required file is missing or a file is not a YAML/JSON object.
+ */
+async function loadValueLayers(valueFiles, env, baseDir) {
+  const layers = [];
+  for (const valueFile of valueFiles) {
+    const filePath = path.resolve(baseDir, valueFile.replace(ENV_PLACEHOLDER, env));
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT' && valueFile.includes('{env}')) {
+        continue;
+      }
+      throw new Error(`Failed to read values file "${filePath}": ${error.message}`);
+    }
+    let values;
+    try {
+      values = yaml.parse(content) ?? {};
+    } catch (error) {
+      throw new Error(`Invalid values file "${filePath}": ${error.message}`);
+    }
+    if (!isPlainObject(values)) {
+      throw new Error(`Invalid values file "${filePath}": expected an object.`);
+    }
+    layers.push(values);
+  }
+  return deepMerge(...layers);
+}
+
+/**
+ * Renders every configuration file of a manifest for the selected environments.
+ * Values are layered as: manifest `values`, then the config's `values`, then `overrides`.
+ * Files whose content did not change are not rewritten. Generation never prompts.
+ * In check mode nothing is written; each file is compared with its rendered configuration instead.
+ *
+ * @param {string} manifestPath - Path to the manifest.
+ * @param {object} [options] - Generation options.
+ * @param {string} [options.env='all'] - The environment to generate, or 'all'.
+ * @param {object} [options.overrides={}] - Values applied on top of every value file (e.g., from the command line).
+ * @param {boolean} [options.check=false] - Compare the files on disk with their rendered configuration instead of writing them.
+ * @returns {Promise<{ env: string, template: string, output: string, status: 'written' | 'unchanged' | 'drifted' | 'missing',
+ *   differences?: object[], reason?: string }[]>} One result per file. Check mode adds the result of `checkConfig`.
+ * @throws {Error} If the manifest is invalid, the environment is unknown, or a file fails to generate.
+ */
+export async function generateFromManifest(manifestPath, { env = 'all', overrides = {}, check = false } = {}) {
+  const manifest = await loadManifest(manifestPath);
+  if (env !== 'all' && !manifest.environments.includes(env)) {
+    throw new Error(`Unknown environment "${env}". The manifest defines: ${manifest.environments.join(', ')}.`);
+  }
+  const selectedEnvironments = env === 'all' ? manifest.environments : [env];
+
+  const results = [];
+  for (const currentEnv of selectedEnvironments) {
+    for (const config of manifest.configs.filter(({ environments }) => environments.includes(currentEnv))) {
+      const templatePath = path.resolve(manifest.baseDir, config.template);
+      const outputPath = path.resolve(manifest.baseDir, config.output.replace(ENV_PLACEHOLDER, currentEnv));
+      const values = await loadValueLayers([...manifest.values, ...config.values], currentEnv, manifest.baseDir);
+
+      let content;
+      try {
+        content = await renderConfig(templatePath, deepMerge(values, overrides), config.format, {
+          schemaPath: config.schema && path.resolve(manifest.baseDir, config.schema),
+          interactive: false,
+        });
+      } catch (error) {
+        throw new Error(`Failed to generate "${outputPath}" for environment "${currentEnv}": ${error.message}`);
+      }
+
+      if (check) {
+        results.push({ env: currentEnv, template: templatePath, output: outputPath, ...await checkConfig(outputPath, content, config.format) });
+        continue;
+      }
+      const written = await writeIfChanged(outputPath, content);
+      results.push({ env: currentEnv, template: templatePath, output: outputPath, status: written ? 'written' : 'unchanged' });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,76 @@
+import readline from 'readline';
+import { coerceValue } from './schema.js';
+
+/**
+ * Builds the question shown for a variable, including its description, type and allowed values.
+ * @param {{ path: string, type: string, required: boolean, description?: string, enum?: any[] }} variable - The variable definition.
+ * @returns {string} The question text.
+ */
+function formatQuestion(variable) {
+  const details = [variable.type];
+  if (variable.enum) {
+    details.push(`one of ${variable.enum.join(', ')}`);
+  }
+  if (variable.type === 'array') {
+    details.push('comma-separated');
+  }
+  if (!variable.required) {
+    details.push('optional');
+  }
+  const description = variable.description ? ` - ${variable.description}` : '';
+  return `${variable.path} (${details.join(', ')})${description}: `;
+}
+
+/**
+ * Interactively asks for a value for each variable, coercing the answers to their declared types.
+ * Invalid answers are asked again. An empty answer skips an optional variable and is asked again
+ * for a required one. Questions are written to stderr so stdout stays reserved for the generated configuration.
+ *
+ * @param {object[]} variables - The variables to ask for (see `collectVariables`).
+ * @param {object} [streams] - The streams to use.
+ * @param {NodeJS.ReadableStream} [streams.input=process.stdin] - Where answers are read from.
+ * @param {NodeJS.WritableStream} [streams.output=process.stderr] - Where questions are written to.
+ * @returns {Promise<Map<string, any>>} The answers, keyed by variable path. Skipped variables are absent.
+ */
+export async function promptForValues(variables, { input = process.stdin, output = process.stderr } = {}) {
+  const answers = new Map();
+  if (variables.length === 0) {
+    return answers;
+  }
+
+  const rl = readline.createInterface({ input, output, terminal: Boolean(output.isTTY) });
+  // Reading through the line iterator buffers answers that arrive before their question (e.g., piped input).
+  const lines = rl[Symbol.asyncIterator]();
+  const ask = async (question) => {
+    output.write(question);
+    const { value, done } = await lines.next();
+    if (done) {
+      throw new Error('Input ended before all template variables were provided.');
+    }
+    return value;
+  };
+
+  try {
+    output.write('Please provide values for the following template variables:\n');
+    for (const variable of variables) {
+      while (!answers.has(variable.path)) {
+        const answer = await ask(formatQuestion(variable));
+        if (answer.trim() === '') {
+          if (!variable.required) {
+            break;
+          }
+          output.write(`  "${variable.path}" is required.\n`);
+          continue;
+        }
+        try {
+          answers.set(variable.path, coerceValue(answer, variable));
+        } catch (error) {
+          output.write(`  ${error.message}\n`);
+        }
+      }
+    }
+  } finally {
+    rl.close();
+  }
+  return answers;
+}
@@ -0,0 +1,260 @@
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'yaml';
+
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+// A leading `---` block is only a schema if it uses one of these keywords at its top level;
+// otherwise it is the first document of a multi-document YAML template (e.g. Kubernetes manifests).
+const SCHEMA_KEYWORDS = ['$schema', 'type', 'properties'];
+const SCHEMA_KEYWORD_PATTERN = /^(?:\$schema|type|properties)\s*:/m;
+
+const TRUE_VALUES = ['true', 'yes', 'y', 'on', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', 'off', '0'];
+
+/**
+ * Splits an EJS template into its YAML front-matter schema and the template body.
+ * The front-matter is a JSON Schema written in YAML between two `---` lines at the top of the file.
+ * A leading `---` block without a top-level `$schema`, `type` or `properties` key is not front-matter
+ * but part of the template (e.g. the first document of a multi-document YAML file), and is kept.
+ * @param {string} templateContent - The raw template content.
+ * @returns {{ schema: object | null, body: string }} The schema (null if there is no front-matter) and the body to render.
+ * @throws {Error} If the front-matter looks like a schema but is not valid YAML.
+ */
+function extractFrontMatter(templateContent) {
+  const match = templateContent.match(FRONT_MATTER_PATTERN);
+  if (!match) {
+    return { schema: null, body: templateContent };
+  }
+  let frontMatter;
+  try {
+    frontMatter = yaml.parse(match[1]);
+  } catch (error) {
+    if (!SCHEMA_KEYWORD_PATTERN.test(match[1])) {
+      return { schema: null, body: templateContent };
+    }
+    throw new Error(`Invalid template front-matter: ${error.message}`);
+  }
+  const isSchema = frontMatter !== null && typeof frontMatter === 'object' && !Array.isArray(frontMatter)
+    && SCHEMA_KEYWORDS.some((keyword) => Object.hasOwn(frontMatter, keyword));
+  if (!isSchema) {
+    return { schema: null, body: templateContent };
+  }
+  return { schema: frontMatter, body: templateContent.slice(match[0].length) };
+}
+
+/**
+ * Returns the path of the sidecar schema for a template: the template path with its
+ * `.ejs` extension replaced by `.schema.json` (e.g., `api.config.ejs` -> `api.config.schema.json`).
+ * @param {string} templatePath - Path to the EJS template file.
+ * @returns {string} The sidecar schema path.
+ */
+function getSidecarSchemaPath(templatePath) {
+  const { dir, name, ext } = path.parse(templatePath);
+  const baseName = ext === '.ejs' ? name : `${name}${ext}`;
+  return path.join(dir, `${baseName}.schema.json`);
+}
+
+/**
+ * Loads the variable schema of a template. An explicit schema path wins, then the
+ * template's front-matter, then a sidecar `.schema.json` file next to the template.
+ * @param {string} templatePath - Path to the EJS template file.
+ * @param {string} templateContent - The raw template content.
+ * @param {string} [schemaPath] - Explicit path to a JSON Schema file.
+ * @returns {Promise<{ schema: object | null, body: string }>} The schema (null if none was found) and the template body.
+ * @throws {Error} If a schema file cannot be read or parsed.
+ */
+async function loadTemplateSchema(templatePath, templateContent, schemaPath) {
+  const { schema: frontMatterSchema, body } = extractFrontMatter(templateContent);
+
+  const readSchemaFile = async (filePath) => {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT' && !schemaPath) {
+        return null;
+      }
+      throw new Error(`Failed to read schema file "${filePath}": ${error.message}`);
+    }
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON in schema file "${filePath}": ${error.message}`);
+    }
+  };
+
+  if (schemaPath) {
+    return { schema: await readSchemaFile(schemaPath), body };
+  }
+  if (frontMatterSchema) {
+    return { schema: frontMatterSchema, body };
+  }
+  return { schema: await readSchemaFile(getSidecarSchemaPath(templatePath)), body };
+}
+
+/**
+ * Flattens a JSON Schema into the list of leaf variables it declares, keyed by dot-notation path.
+ * Objects with `properties` are walked recursively; everything else is a variable.
+ * @param {object} schema - The JSON Schema (its root must describe an object).
+ * @param {string} [prefix] - The path of the object being walked.
+ * @param {boolean} [parentRequired=true] - Whether the object being walked is itself required.
+ * @returns {{ path: string, type: string, required: boolean, default?: any, description?: string, enum?: any[], items?: object }[]} The variables.
+ */
+function collectVariables(schema, prefix = '', parentRequired = true) {
+  const properties = schema?.properties ?? {};
+  const required = new Set(schema?.required ?? []);
+
+  return Object.entries(properties).flatMap(([key, definition]) => {
+    const variablePath = prefix ? `${prefix}.${key}` : key;
+    const isRequired = parentRequired && required.has(key);
+    if (definition.properties) {
+      return collectVariables(definition, variablePath, isRequired);
+    }
+    return [{
+      path: variablePath,
+      type: definition.type ?? 'string',
+      required: isRequired,
+      ...(definition.default !== undefined && { default: definition.default }),
+      ...(definition.description && { description: definition.description }),
+      ...(definition.enum && { enum: definition.enum }),
+      ...(definition.items && { items: definition.items }),
+    }];
+  });
+}
+
+/**
+ * Coerces a raw string value into the type a variable declares.
+ * Arrays accept a JSON array or a comma-separated list; their items are coerced with `items.type`.
+ * @param {string} rawValue - The value as typed by the user.
+ * @param {{ path: string, type: string, enum?: any[], items?: object }} variable - The variable definition.
+ * @returns {any} The coerced value.
+ * @throws {Error} If the value cannot be coerced or is not one of the allowed `enum` values.
+ */
+function coerceValue(rawValue, variable) {
+  const value = String(rawValue).trim();
+  let result;
+
+  switch (variable.type) {
+    case 'integer':
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || Number.isNaN(number)) {
+        throw new Error(`"${variable.path}" must be ${variable.type === 'integer' ? 'an integer' : 'a number'}, got "${rawValue}".`);
+      }
+      if (variable.type === 'integer' && !Number.isInteger(number)) {
+        throw new Error(`"${variable.path}" must be an integer, got "${rawValue}".`);
+      }
+      result = number;
+      break;
+    }
+    case 'boolean':
+      if (TRUE_VALUES.includes(value.toLowerCase())) {
+        result = true;
+      } else if (FALSE_VALUES.includes(value.toLowerCase())) {
+        result = false;
+      } else {
+        throw new Error(`"${variable.path}" must be a boolean (true/false), got "${rawValue}".`);
+      }
+      break;
+    case 'array': {
+      let items;
+      if (value.startsWith('[')) {
+        try {
+          items = JSON.parse(value);
+        } catch (error) {
+          throw new Error(`"${variable.path}" must be a JSON array or a comma-separated list: ${error.message}`);
+        }
+      } else {
+        items = value === '' ? [] : value.split(',').map((item) => item.trim());
+      }
+      const itemVariable = { path: `${variable.path}[]`, type: variable.items?.type ?? 'string', enum: variable.items?.enum };
+      result = items.map((item) => (typeof item === 'string' ? coerceValue(item, itemVariable) : item));
+      break;
+    }
+    case 'object':
+      try {
+        result = JSON.parse(value);
+      } catch (error) {
+        throw new Error(`"${variable.path}" must be a JSON object: ${error.message}`);
+      }
+      break;
+    default:
+      result = rawValue;
+  }
+
+  if (variable.enum && variable.type !== 'array' && !variable.enum.includes(result)) {
+    throw new Error(`"${variable.path}" must be one of ${variable.enum.map((option) => JSON.stringify(option)).join(', ')}, got "${rawValue}".`);
+  }
+  return result;
+}
+
+/**
+ * Reads a value from a nested object by dot-notation path.
+ * @param {object} data - The object to read from.
+ * @param {string} keyPath - The dot-notation path.
+ * @returns {any} The value, or undefined if any segment is missing.
+ */
+function getPath(data, keyPath) {
+  return keyPath.split('.').reduce((current, key) => (current == null ? undefined : current[key]), data);
+}
+
+/**
+ * Sets a value in a nested object by dot-notation path, creating intermediate objects.
+ * @param {object} data - The object to write to.
+ * @param {string} keyPath - The dot-notation path.
+ * @param {any} value - The value to set.
+ */
+function setPath(data, keyPath, value) {
+  const keys = keyPath.split('.');
+  const lastKey = keys.pop();
+  let current = data;
+  for (const key of keys) {
+    if (typeof current[key] !== 'object' || current[key] === null) {
+      current[key] = {};
+    }
+    current = current[key];
+  }
+  current[lastKey] = value;
+}
+
+/**
+ * Applies a schema to the parsed input values: coerces provided values to their declared
+ * types and fills in defaults. Values for undeclared keys are kept as strings.
+ * @param {object} inputData - The parsed `key=value` input (all values are strings).
+ * @param {object} schema - The template's JSON Schema.
+ * @returns {{ data: object, missing: object[], errors: string[] }} The resolved data, the variables
+ *   still without a value, and the coercion errors.
+ */
+function applySchema(inputData, schema) {
+  const data = structuredClone(inputData);
+  const missing = [];
+  const errors = [];
+
+  for (const variable of collectVariables(schema)) {
+    const provided = getPath(inputData, variable.path);
+    if (provided !== undefined) {
+      try {
+        // A nested `key.sub=value` input for an object-typed variable is already structured.
+        setPath(data, variable.path, typeof provided === 'string' ? coerceValue(provided, variable) : provided);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    } else if (variable.default !== undefined) {
+      setPath(data, variable.path, structuredClone(variable.default));
+    } else {
+      missing.push(variable);
+    }
+  }
+
+  return { data, missing, errors };
+}
+
+export {
+  extractFrontMatter,
+  getSidecarSchemaPath,
+  loadTemplateSchema,
+  collectVariables,
+  coerceValue,
+  applySchema,
+  setPath,
+};
@@ -0,0 +1,124 @@
+/**
+ * @file test/check.test.js
+ * @description Tests for `--check`: comparing rendered configuration with the files on disk.
+ * This file uses the built-in Node.js test runner and writes its files to a temporary directory.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { checkConfig, describeCheckResult } from '../lib/generator.js';
+import { diffValues, formatDiff } from '../lib/diff.js';
+
+describe('diffValues', () => {
+  it('should report only the values that differ, in document order', () => {
+    const expected = { name: 'api', db: { host: 'db.prod', hosts: ['a', 'b'] }, 'log-level': 'info', debug: false };
+    const actual = { name: 'api', db: { host: 'localhost', hosts: ['a'] }, 'content type': 'json', debug: false };
+
+    assert.deepEqual(diffValues(expected, actual), [
+      { path: 'db.host', kind: 'changed', expected: 'db.prod', actual: 'localhost' },
+      { path: 'db.hosts[1]', kind: 'added', expected: 'b' },
+      { path: 'log-level', kind: 'added', expected: 'info' },
+      { path: '"content type"', kind: 'removed', actual: 'json' },
+    ]);
+  });
+
+  it('should report a type change as a changed value', () => {
+    assert.deepEqual(diffValues({ port: 80 }, { port: '80' }), [{ path: 'port', kind: 'changed', expected: 80, actual: '80' }]);
+    assert.deepEqual(diffValues([1], { 0: 1 }), [{ path: '', kind: 'changed', expected: [1], actual: { 0: 1 } }]);
+  });
+
+  it('should report nothing for equal values', () => {
+    assert.deepEqual(diffValues({ a: [1, { b: null }] }, { a: [1, { b: null }] }), []);
+  });
+});
+
+describe('formatDiff', () => {
+  it('should write one line per difference', () => {
+    const output = formatDiff([
+      { path: 'db.host', kind: 'changed', expected: 'db.prod', actual: 'localhost' },
+      { path: 'hosts[1]', kind: 'added', expected: 'b' },
+      { path: 'debug', kind: 'removed', actual: true },
+      { path: '', kind: 'changed', expected: [], actual: undefined },
+    ]);
+
+    assert.equal(output, [
+      '  ~ db.host: "localhost" -> "db.prod"',
+      '  + hosts[1]: "b"',
+      '  - debug: true',
+      '  ~ (root): undefined -> []',
+    ].join('\n'));
+  });
+});
+
+describe('checkConfig', () => {
+  let tempDir;
+
+  const writeFile = async (name, content) => {
+    const filePath = path.join(tempDir, name);
+    await fs.writeFile(filePath, content);
+    return filePath;
+  };
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-gen-check-'));
+  });
+
+  after(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should report a file with the same configuration as unchanged, whatever its formatting', async () => {
+    const filePath = await writeFile('same.json', '{\n  "port": 80,   "name": "api"\n}\n');
+
+    const result = await checkConfig(filePath, '{\n  "name": "api",\n  "port": 80\n}\n', 'json');
+
+    assert.deepEqual(result, { status: 'unchanged', differences: [] });
+    assert.equal(describeCheckResult(filePath, result), `Configuration file "${filePath}" is up to date`);
+  });
+
+  it('should report a missing file', async () => {
+    const filePath = path.join(tempDir, 'missing.yaml');
+
+    const result = await checkConfig(filePath, 'port: 80\n', 'yaml');
+
+    assert.deepEqual(result, { status: 'missing', differences: [] });
+    assert.equal(describeCheckResult(filePath, result), `Configuration file "${filePath}" does not exist`);
+  });
+
+  it('should report drift with a structural diff', async () => {
+    const filePath = await writeFile('drifted.yaml', 'name: api\nport: 8080\nextra: true\n');
+
+    const result = await checkConfig(filePath, 'name: api\nport: 80\n', 'yaml');
+
+    assert.equal(result.status, 'drifted');
+    assert.equal(
+      describeCheckResult(filePath, result),
+      `Configuration file "${filePath}" has drifted from its template (- on disk, + rendered, ~ on disk -> rendered):\n`
+        + '  ~ port: 8080 -> 80\n  - extra: true',
+    );
+  });
+
+  it('should report a file that cannot be parsed as drifted, with the reason', async () => {
+    const filePath = await writeFile('broken.json', '{ "port": ');
+
+    const result = await checkConfig(filePath, '{"port": 80}', 'json');
+
+    assert.equal(result.status, 'drifted');
+    assert.match(result.reason, /^The file is not valid json: /);
+    assert.match(describeCheckResult(filePath, result), /has drifted from its template: The file is not valid json: /);
+  });
+
+  it('should compare raw rendered content as text', async () => {
+    const filePath = await writeFile('raw.json', 'not json');
+
+    assert.deepEqual(await checkConfig(filePath, 'not json', 'json'), { status: 'unchanged', differences: [] });
+    assert.deepEqual(await checkConfig(filePath, 'still not json', 'json'), {
+      status: 'drifted',
+      differences: [],
+      reason: 'The rendered content differs from the file.',
+    });
+  });
+});
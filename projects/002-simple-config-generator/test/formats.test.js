@@ -0,0 +1,134 @@
+/**
+ * @file test/formats.test.js
+ * @description Round-trip tests for the hand-written HCL and .env serializers and parsers.
+ * This file uses the built-in Node.js test runner.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import hcl from '../lib/formats/hcl.js';
+import env from '../lib/formats/env.js';
+import { serialize } from '../lib/formats/index.js';
+
+const TRICKY_STRINGS = {
+  quotes: 'say "hi" and \'bye\'',
+  backslash: 'C:\\temp\\new',
+  newlines: 'line 1\nline 2\r\n\ttabbed',
+  interpolation: '${var.region}-bucket',
+  directive: '%{ if enabled }on%{ endif }',
+  escapedInterpolation: '$${literal}',
+  unicode: 'café ☕',
+  empty: '',
+};
+
+describe('hcl', () => {
+  it('should round-trip strings with quotes, newlines and template sequences', () => {
+    const content = hcl.stringify(TRICKY_STRINGS);
+
+    assert.deepEqual(hcl.parse(content), TRICKY_STRINGS);
+  });
+
+  it('should escape template sequences so they stay literal', () => {
+    const content = hcl.stringify({ name: '${var.name}', loop: '%{for x in y}' });
+
+    assert.equal(content, 'name = "$${var.name}"\nloop = "%%{for x in y}"\n');
+  });
+
+  it('should round-trip nested maps, lists and scalars', () => {
+    const data = {
+      service: 'api',
+      port: 8080,
+      ratio: -0.25,
+      enabled: true,
+      fallback: null,
+      'needs quotes': 'yes',
+      hosts: ['a.example.com', 'b.example.com'],
+      empty: [],
+      database: {
+        host: 'localhost',
+        options: {},
+        replicas: [{ host: 'r1', 'read-only': true }, { host: 'r2', weights: [1, 2] }],
+      },
+      nested: { lists: [[1, 2], []] },
+    };
+
+    const content = hcl.stringify(data);
+
+    assert.match(content, /^database \{\n {2}host = "localhost"\n {2}options \{\}\n/m);
+    assert.match(content, /^"needs quotes" = "yes"$/m);
+    assert.deepEqual(hcl.parse(content), data);
+  });
+
+  it('should parse comments and commas between list items', () => {
+    const content = '# comment\nlist = [1, 2, 3] // trailing\nblock {\n  key = "value" # note\n}\n';
+
+    assert.deepEqual(hcl.parse(content), { list: [1, 2, 3], block: { key: 'value' } });
+  });
+
+  it('should report invalid documents with their line number', () => {
+    assert.throws(() => hcl.parse('a = 1\nb = "open\n'), /^Error: Invalid HCL on line 2: unterminated string$/);
+    assert.throws(() => hcl.parse('block {\n  a = 1\n'), /^Error: Invalid HCL on line 3: expected "}"$/);
+    assert.throws(() => hcl.parse('a 1'), /expected "=" or "\{" after "a"/);
+  });
+
+  it('should reject data it cannot represent', () => {
+    assert.throws(() => hcl.stringify(['a']), /requires the configuration to be an object/);
+    assert.throws(() => hcl.stringify({ n: Infinity }), /cannot represent the number Infinity/);
+  });
+});
+
+describe('env', () => {
+  it('should round-trip values that need quoting', () => {
+    const content = env.stringify(TRICKY_STRINGS);
+
+    assert.deepEqual(env.parse(content), env.normalize(TRICKY_STRINGS));
+  });
+
+  it('should only quote values that need it', () => {
+    const content = env.stringify({ url: 'postgres://db:5432/app', greeting: 'hello world', comment: 'a#b', blank: '' });
+
+    assert.equal(content, 'URL=postgres://db:5432/app\nGREETING="hello world"\nCOMMENT="a#b"\nBLANK=\n');
+  });
+
+  it('should flatten nested keys and lists', () => {
+    const data = {
+      appName: 'api',
+      database: { host: 'localhost', maxPool: 10, 'read-replica': { enabled: false } },
+      hosts: ['a', 'b'],
+      servers: [{ host: 'a' }],
+      timeout: null,
+    };
+
+    assert.deepEqual(env.normalize(data), {
+      APP_NAME: 'api',
+      DATABASE_HOST: 'localhost',
+      DATABASE_MAX_POOL: '10',
+      DATABASE_READ_REPLICA_ENABLED: 'false',
+      HOSTS: 'a,b',
+      SERVERS: '[{"host":"a"}]',
+      TIMEOUT: '',
+    });
+    assert.deepEqual(env.parse(env.stringify(data)), env.normalize(data));
+  });
+
+  it('should parse export prefixes, comments and single-quoted literals', () => {
+    const content = '# comment\nexport A=1\nB = two # note\nC=\'$HOME "raw"\'\nD="x\\ny"\n';
+
+    assert.deepEqual(env.parse(content), { A: '1', B: 'two', C: '$HOME "raw"', D: 'x\ny' });
+  });
+
+  it('should reject keys that map to the same variable', () => {
+    const data = { database: { maxPool: 10 }, database_max_pool: 20 };
+
+    assert.throws(
+      () => env.normalize(data),
+      /^Error: Keys "database_max_pool" and another key both map to the environment variable "DATABASE_MAX_POOL"\.$/,
+    );
+    assert.throws(() => serialize(data, 'env'), /^Error: Configuration cannot be written as env: Keys/);
+  });
+
+  it('should reject invalid lines', () => {
+    assert.throws(() => env.parse('A=1\nnot an assignment\n'), /^Error: Invalid \.env line 2/);
+    assert.throws(() => env.parse('A="open\n'), /^Error: Unterminated quoted value on \.env line 1\.$/);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * @file test/manifest.test.js
+ * @description Tests for manifest-driven generation: value layering and per-environment outputs.
+ * This file uses the built-in Node.js test runner and writes its manifests to a temporary directory.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { deepMerge, generateFromManifest } from '../lib/manifest.js';
+
+describe('deepMerge', () => {
+  it('should let later layers win, key by key', () => {
+    const merged = deepMerge(
+      { name: 'api', db: { host: 'localhost', port: 5432, pool: { min: 1, max: 5 } } },
+      { db: { host: 'db.prod', pool: { max: 20 } } },
+      { db: { port: 6432 } },
+    );
+
+    assert.deepEqual(merged, { name: 'api', db: { host: 'db.prod', port: 6432, pool: { min: 1, max: 20 } } });
+  });
+
+  it('should replace arrays instead of merging them', () => {
+    assert.deepEqual(deepMerge({ hosts: ['a', 'b', 'c'] }, { hosts: ['d'] }), { hosts: ['d'] });
+  });
+
+  it('should replace objects with scalars and scalars with objects', () => {
+    assert.deepEqual(deepMerge({ a: { b: 1 }, c: 1 }, { a: null, c: { d: 2 } }), { a: null, c: { d: 2 } });
+  });
+
+  it('should not modify or share the layers', () => {
+    const base = { db: { hosts: ['a'] } };
+    const merged = deepMerge(base, undefined, { db: { port: 1 } });
+    merged.db.hosts.push('b');
+
+    assert.deepEqual(base, { db: { hosts: ['a'] } });
+  });
+});
+
+describe('generateFromManifest', () => {
+  let tempDir;
+  let manifestPath;
+
+  const readOutput = async (env) => JSON.parse(await fs.readFile(path.join(tempDir, 'out', env, 'app.json'), 'utf-8'));
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-gen-manifest-'));
+    const files = {
+      'manifest.yaml': [
+        'environments: [dev, staging, prod]',
+        'values: [values/base.yaml, "values/{env}.yaml"]',
+        'configs:',
+        '  - template: app.json.ejs',
+        '    output: "out/{env}/app.json"',
+        '    values: ["values/app-{env}.yaml"]',
+      ].join('\n'),
+      'app.json.ejs': '<%- JSON.stringify({ name, replicas, hosts, db }) %>\n',
+      'values/base.yaml': 'name: api\nreplicas: 1\nhosts: [a, b]\ndb: { host: localhost, port: 5432 }\n',
+      'values/prod.yaml': 'replicas: 3\nhosts: [p]\ndb: { host: db.prod }\n',
+      'values/app-prod.yaml': 'replicas: 5\n',
+    };
+    for (const [name, content] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(tempDir, name)), { recursive: true });
+      await fs.writeFile(path.join(tempDir, name), content);
+    }
+    manifestPath = path.join(tempDir, 'manifest.yaml');
+  });
+
+  after(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should write one output per environment, with the layers applied in order', async () => {
+    const results = await generateFromManifest(manifestPath, { overrides: { db: { port: 6432 } } });
+
+    assert.deepEqual(results.map(({ env, output, status }) => [env, path.relative(tempDir, output), status]), [
+      ['dev', path.join('out', 'dev', 'app.json'), 'written'],
+      ['staging', path.join('out', 'staging', 'app.json'), 'written'],
+      ['prod', path.join('out', 'prod', 'app.json'), 'written'],
+    ]);
+    // Missing `{env}` value files are skipped.
+    assert.deepEqual(await readOutput('dev'), { name: 'api', replicas: 1, hosts: ['a', 'b'], db: { host: 'localhost', port: 6432 } });
+    assert.deepEqual(await readOutput('prod'), { name: 'api', replicas: 5, hosts: ['p'], db: { host: 'db.prod', port: 6432 } });
+  });
+
+  it('should only generate the selected environment and not rewrite unchanged files', async () => {
+    await generateFromManifest(manifestPath, { overrides: { db: { port: 6432 } } });
+
+    const results = await generateFromManifest(manifestPath, { env: 'staging', overrides: { db: { port: 6432 } } });
+
+    assert.deepEqual(results.map(({ env, status }) => [env, status]), [['staging', 'unchanged']]);
+  });
+
+  it('should reject an unknown environment', async () => {
+    await assert.rejects(
+      generateFromManifest(manifestPath, { env: 'qa' }),
+      { message: 'Unknown environment "qa". The manifest defines: dev, staging, prod.' },
+    );
+  });
+});
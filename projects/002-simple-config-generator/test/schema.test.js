@@ -0,0 +1,71 @@
+/**
+ * @file test/schema.test.js
+ * @description Unit tests for reading a template's variable schema from its front-matter.
+ * This file uses the built-in Node.js test runner.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { extractFrontMatter, loadTemplateSchema } from '../lib/schema.js';
+
+const SCHEMA_TEMPLATE = `---
+type: object
+properties:
+  port:
+    type: integer
+---
+port: <%= port %>
+`;
+
+const MULTI_DOCUMENT_TEMPLATE = `---
+kind: Namespace
+metadata:
+  name: <%= namespace %>
+---
+kind: Service
+metadata:
+  name: api
+  namespace: <%= namespace %>
+`;
+
+describe('extractFrontMatter', () => {
+  it('should split a schema front-matter from the template body', () => {
+    const { schema, body } = extractFrontMatter(SCHEMA_TEMPLATE);
+
+    assert.deepEqual(schema, { type: 'object', properties: { port: { type: 'integer' } } });
+    assert.equal(body, 'port: <%= port %>\n');
+  });
+
+  it('should keep the first document of a multi-document YAML template', () => {
+    const { schema, body } = extractFrontMatter(MULTI_DOCUMENT_TEMPLATE);
+
+    assert.equal(schema, null);
+    assert.equal(body, MULTI_DOCUMENT_TEMPLATE);
+  });
+
+  it('should keep a leading block that is not valid YAML unless it looks like a schema', () => {
+    const template = '---\n<% if (debug) { %>\n- a: [\n---\nlevel: debug\n';
+
+    assert.deepEqual(extractFrontMatter(template), { schema: null, body: template });
+    assert.throws(() => extractFrontMatter('---\ntype: [object\n---\n'), /^Error: Invalid template front-matter/);
+  });
+});
+
+describe('loadTemplateSchema', () => {
+  it('should return a multi-document YAML template as the body when it has no schema', async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-gen-'));
+    try {
+      const templatePath = path.join(tempDir, 'manifests.yaml.ejs');
+
+      const { schema, body } = await loadTemplateSchema(templatePath, MULTI_DOCUMENT_TEMPLATE);
+
+      assert.equal(schema, null);
+      assert.equal(body, MULTI_DOCUMENT_TEMPLATE);
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  });
+});
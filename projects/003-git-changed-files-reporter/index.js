@@ -1,30 +1,71 @@
-import { reportChangedFiles } from './lib/reporter.js';
+import { reportChangedFiles, getRepositoryRoot } from './lib/reporter.js';
+import { loadWorkspacePackages, getAffectedPackages, toGithubMatrix } from './lib/workspaces.js';
+import { loadConfig, matchGroups } from './lib/config.js';
 import { parseArgs } from 'node:util';
 
 const scriptName = 'git-changed-files-reporter';
 
 const {
-  values: { reference, filter, format, includeUntracked },
+  values: {
+    reference,
+    'since-merge-base': sinceMergeBase,
+    range,
+    staged,
+    'working-tree': workingTree,
+    filter,
+    status,
+    format,
+    includeUntracked,
+    packages,
+    dependents,
+    include,
+    exclude,
+    config,
+    groups,
+  },
   positionals,
 } = parseArgs({
   options: {
     reference: {
       type: 'string',
       short: 'r',
-      default: 'HEAD~1',
       description: 'The Git reference (commit, tag, or branch) to compare against. Defaults to HEAD~1.',
     },
+    'since-merge-base': {
+      type: 'string',
+      short: 'b',
+      description: 'Compare HEAD with its merge-base with this branch (e.g., "main"), as in a pull request.',
+    },
+    range: {
+      type: 'string',
+      description: 'Compare two references: "<from>..<to>", or "<from>...<to>" for the changes of <to> since it diverged from <from>.',
+    },
+    staged: {
+      type: 'boolean',
+      default: false,
+      description: 'Report staged changes only.',
+    },
+    'working-tree': {
+      type: 'boolean',
+      default: false,
+      description: 'Report unstaged working tree changes only.',
+    },
     filter: {
       type: 'string',
       short: 'f',
       description: 'Filter changes by file extension (e.g., "js", ".ts").',
     },
+    status: {
+      type: 'string',
+      short: 's',
+      description: 'Only report files with these statuses, comma-separated (e.g., "A,M"). A=added, M=modified, D=deleted, R=renamed, C=copied, T=type changed, ?=untracked.',
+    },
     format: {
       type: 'string',
       short: 'o',
-      values: ['json', 'list'],
+      values: ['json', 'list', 'matrix'],
       default: 'list',
-      description: 'Output format: "json" or "list". Defaults to "list".',
+      description: 'Output format: "json", "list" or "matrix" (GitHub Actions matrix, with --packages). Defaults to "list".',
     },
     includeUntracked: {
       type: 'boolean',
@@ -32,31 +73,139 @@ const {
       default: false,
       description: 'Include untracked files in the report.',
     },
+    packages: {
+      type: 'boolean',
+      short: 'p',
+      default: false,
+      description: 'Report the affected workspace packages (npm, Yarn or pnpm workspaces) instead of files.',
+    },
+    dependents: {
+      type: 'boolean',
+      short: 'd',
+      default: false,
+      description: 'With --packages, also report packages that depend on a changed package.',
+    },
+    include: {
+      type: 'string',
+      multiple: true,
+      description: 'Only report files matching this glob (e.g., "src/**"). Can be repeated. Replaces the "include" rules of the config file.',
+    },
+    exclude: {
+      type: 'string',
+      multiple: true,
+      description: 'Do not report files matching this glob (e.g., "*.md"). Can be repeated. Added to the "exclude" rules of the config file.',
+    },
+    config: {
+      type: 'string',
+      short: 'c',
+      description: 'Path to the config file. Defaults to .changedfilesrc at the repository root.',
+    },
+    groups: {
+      type: 'boolean',
+      short: 'g',
+      default: false,
+      description: 'Report which groups of the config file matched the changes instead of files.',
+    },
   },
   allowPositionals: true,
 });
 
+/**
+ * Prints the workspace packages affected by the changed files.
+ * @param {object[]} files - The changed files.
+ */
+async function printAffectedPackages(files) {
+  const workspacePackages = await loadWorkspacePackages(await getRepositoryRoot());
+  const affected = getAffectedPackages(files, workspacePackages, { includeDependents: dependents });
+
+  if (affected.length === 0) {
+    console.error('No affected packages found.');
+    process.exitCode = 1;
+    return;
+  }
+
+  if (format === 'matrix') {
+    // A single line, so it can be written to $GITHUB_OUTPUT directly.
+    console.log(JSON.stringify(toGithubMatrix(affected)));
+  } else if (format === 'json') {
+    console.log(JSON.stringify(affected, null, 2));
+  } else {
+    affected.forEach(pkg => console.log(pkg.name));
+  }
+}
+
+/**
+ * Prints which config groups matched the changed files.
+ * @param {object[]} files - The changed files.
+ * @param {Record<string, object>} configGroups - The groups of the config file.
+ */
+function printMatchedGroups(files, configGroups) {
+  const result = matchGroups(files, configGroups);
+  const matched = Object.keys(result.groups).filter(name => result.groups[name]);
+
+  if (format === 'json') {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    matched.forEach(name => console.log(name));
+  }
+
+  if (matched.length === 0) {
+    console.error('No groups matched.');
+    process.exitCode = 1;
+  }
+}
+
 /**
  * Main function to parse arguments and run the reporter.
  */
 async function main() {
   try {
+    if (!['json', 'list', 'matrix'].includes(format)) {
+      throw new Error(`Invalid format "${format}". Use "json", "list" or "matrix".`);
+    }
+    if (format === 'matrix' && !packages) {
+      throw new Error('The "matrix" format requires --packages.');
+    }
+    if (packages && groups) {
+      throw new Error('Use either --packages or --groups.');
+    }
+
+    const reporterConfig = await loadConfig(await getRepositoryRoot(), config);
+    if (groups && Object.keys(reporterConfig?.groups ?? {}).length === 0) {
+      throw new Error('--groups requires a config file that defines groups (see .changedfilesrc).');
+    }
+
     const files = await reportChangedFiles({
       reference,
+      mergeBase: sinceMergeBase,
+      range,
+      staged,
+      workingTree,
       filterExtension: filter,
+      filterStatus: status,
+      include: include ?? reporterConfig?.include ?? [],
+      exclude: [...reporterConfig?.exclude ?? [], ...exclude ?? []],
       includeUntracked: includeUntracked,
     });
 
+    if (groups) {
+      // Groups are always printed, so pipelines can branch on them even when nothing changed.
+      printMatchedGroups(files, reporterConfig.groups);
+      return;
+    }
+
     if (files.length === 0) {
       console.error('No changes found.');
       process.exitCode = 1; // Exit with non-zero code if no changes
       return;
     }
 
-    if (format === 'json') {
+    if (packages) {
+      await printAffectedPackages(files);
+    } else if (format === 'json') {
       console.log(JSON.stringify(files, null, 2));
     } else {
-      files.forEach(file => console.log(file));
+      files.forEach(file => console.log(file.path));
     }
   } catch (error) {
     console.error(`Error: ${error.message}`);
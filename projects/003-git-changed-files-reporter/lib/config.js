@@ -0,0 +1,130 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { createGlobMatcher } from './glob.js';
+
+/**
+ * Config file names looked up at the repository root, in order.
+ */
+export const CONFIG_FILE_NAMES = ['.changedfilesrc', '.changedfilesrc.json'];
+
+/**
+ * @typedef {object} GlobRules
+ * @property {string[]} include - Glob patterns a file must match (all files when empty).
+ * @property {string[]} exclude - Glob patterns a file must not match.
+ */
+
+/**
+ * @typedef {object} ReporterConfig
+ * @property {string[]} include - Glob patterns limiting the whole report.
+ * @property {string[]} exclude - Glob patterns removed from the whole report.
+ * @property {Record<string, GlobRules>} groups - Named groups of files.
+ */
+
+/**
+ * Checks that a config field is a list of glob patterns.
+ * @param {any} value - The field value.
+ * @param {string} field - The field name, for error messages.
+ * @returns {string[]} The patterns (empty if the field is absent).
+ * @throws {Error} If the field is not a list of strings.
+ */
+function readPatterns(value, field) {
+  if (value === undefined) {
+    return [];
+  }
+  if (!Array.isArray(value) || value.some(pattern => typeof pattern !== 'string')) {
+    throw new Error(`Config field "${field}" must be a list of glob patterns.`);
+  }
+  return value;
+}
+
+/**
+ * Validates a parsed config. A group is either `{ include, exclude }` or a list of patterns,
+ * where patterns starting with `!` are exclusions.
+ * @param {any} config - The parsed config.
+ * @returns {ReporterConfig} The normalized config.
+ * @throws {Error} If the config is invalid.
+ */
+function normalizeConfig(config) {
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+    throw new Error('The config must be a JSON object.');
+  }
+  const groups = config.groups ?? {};
+  if (typeof groups !== 'object' || Array.isArray(groups)) {
+    throw new Error('Config field "groups" must be an object of named groups.');
+  }
+
+  return {
+    include: readPatterns(config.include, 'include'),
+    exclude: readPatterns(config.exclude, 'exclude'),
+    groups: Object.fromEntries(Object.entries(groups).map(([name, group]) => [
+      name,
+      Array.isArray(group)
+        ? { include: readPatterns(group, `groups.${name}`), exclude: [] }
+        : {
+          include: readPatterns(group?.include, `groups.${name}.include`),
+          exclude: readPatterns(group?.exclude, `groups.${name}.exclude`),
+        },
+    ])),
+  };
+}
+
+/**
+ * Loads the reporter config: an explicit file, or `.changedfilesrc` (JSON) at the repository root.
+ * @param {string} rootDir - The repository root.
+ * @param {string} [configPath] - An explicit config file. Unlike the default files, it must exist.
+ * @returns {Promise<ReporterConfig | null>} The config, or null if there is none.
+ * @throws {Error} If the config file cannot be read or is invalid.
+ */
+export async function loadConfig(rootDir, configPath) {
+  const candidates = configPath ? [path.resolve(configPath)] : CONFIG_FILE_NAMES.map(name => path.join(rootDir, name));
+  for (const candidate of candidates) {
+    let content;
+    try {
+      content = await readFile(candidate, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT' && !configPath) {
+        continue;
+      }
+      throw new Error(`Failed to read config "${candidate}": ${error.message}`);
+    }
+    try {
+      return normalizeConfig(JSON.parse(content));
+    } catch (error) {
+      throw new Error(`Invalid config "${candidate}": ${error.message}`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Creates a matcher for include/exclude rules. Patterns without a `/` match file names in
+ * any directory (e.g., '*.md'). Without include patterns every file is included.
+ * @param {GlobRules} rules - The rules.
+ * @returns {(filePath: string) => boolean} The matcher.
+ * @throws {Error} If a pattern is invalid.
+ */
+export function createRulesMatcher({ include = [], exclude = [] }) {
+  const includePatterns = include.length > 0 ? include : ['**'];
+  return createGlobMatcher([...includePatterns, ...exclude.map(pattern => `!${pattern.replace(/^!/, '')}`)], { matchBase: true });
+}
+
+/**
+ * Matches changed files against named groups. A renamed file belongs to a group if its old or new path matches.
+ * @param {{ path: string, oldPath?: string }[]} files - The changed files.
+ * @param {Record<string, GlobRules>} groups - The groups.
+ * @returns {{ groups: Record<string, boolean>, files: Record<string, string[]> }} Whether each group
+ *   matched, and the matching files of each group.
+ * @throws {Error} If a pattern is invalid.
+ */
+export function matchGroups(files, groups) {
+  const result = { groups: {}, files: {} };
+  for (const [name, rules] of Object.entries(groups)) {
+    const matches = createRulesMatcher(rules);
+    const groupFiles = files
+      .filter(file => [file.path, file.oldPath].some(filePath => filePath && matches(filePath)))
+      .map(file => file.path);
+    result.groups[name] = groupFiles.length > 0;
+    result.files[name] = groupFiles;
+  }
+  return result;
+}
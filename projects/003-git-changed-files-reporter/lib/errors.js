@@ -0,0 +1,43 @@
+/**
+ * Thrown when a Git command fails. Carries the arguments, exit code and stderr of the command.
+ */
+export class GitCommandError extends Error {
+  /**
+   * @param {string[]} args - The arguments passed to `git`.
+   * @param {object} [details] - Details about the failure.
+   * @param {number | null} [details.exitCode=null] - The exit code of the command (null if it could not be started).
+   * @param {string} [details.stderr=''] - The stderr output of the command.
+   * @param {Error} [details.cause] - The original error.
+   */
+  constructor(args, { exitCode = null, stderr = '', cause } = {}) {
+    super(`Git command "git ${args.join(' ')}" failed: ${stderr.trim() || cause?.message || `exit code ${exitCode}`}`, { cause });
+    this.name = 'GitCommandError';
+    this.args = args;
+    this.exitCode = exitCode;
+    this.stderr = stderr;
+  }
+}
+
+/**
+ * Thrown when changes are compared against HEAD in a repository without any commit.
+ */
+export class EmptyRepositoryError extends Error {
+  constructor() {
+    super('The repository has no commits yet.');
+    this.name = 'EmptyRepositoryError';
+  }
+}
+
+/**
+ * Thrown when a reference does not name a commit (e.g., a misspelled branch, or HEAD~1 on the first commit).
+ */
+export class UnknownReferenceError extends Error {
+  /**
+   * @param {string} reference - The reference.
+   */
+  constructor(reference) {
+    super(`Unknown Git reference "${reference}".`);
+    this.name = 'UnknownReferenceError';
+    this.reference = reference;
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Escapes a character for use in a regular expression.
+ * @param {string} char - The character.
+ * @returns {string} The escaped character.
+ */
+function escapeRegExp(char) {
+  return char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Converts a glob pattern to a regular expression source.
+ * @param {string} pattern - The glob pattern.
+ * @returns {string} The regular expression source (without anchors).
+ * @throws {Error} If a brace or bracket expression is not closed.
+ */
+function toRegExpSource(pattern) {
+  let source = '';
+  for (let index = 0; index < pattern.length; index += 1) {
+    const char = pattern[index];
+    if (char === '*') {
+      if (pattern[index + 1] === '*') {
+        index += 1;
+        if (pattern[index + 1] === '/') {
+          // "**/" matches zero or more directories.
+          index += 1;
+          source += '(?:.*/)?';
+        } else {
+          source += '.*';
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', index);
+      if (end === -1) {
+        throw new Error(`Invalid glob "${pattern}": unclosed "{".`);
+      }
+      const alternatives = pattern.slice(index + 1, end).split(',');
+      source += `(?:${alternatives.map(toRegExpSource).join('|')})`;
+      index = end;
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', index + 2);
+      if (end === -1) {
+        throw new Error(`Invalid glob "${pattern}": unclosed "[".`);
+      }
+      const body = pattern.slice(index + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+      source += `[${body}]`;
+      index = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return source;
+}
+
+/**
+ * Compiles a glob pattern into a regular expression matching whole POSIX paths.
+ * Supports `*` (anything but `/`), `**` (any number of directories), `?`, `[abc]`/`[!abc]` and `{a,b}`.
+ * A leading `./` and a trailing `/` are ignored.
+ * @param {string} pattern - The glob pattern (e.g., 'packages/*', 'src/**\/*.{js,ts}').
+ * @returns {RegExp} The regular expression.
+ * @throws {Error} If the pattern is invalid.
+ */
+export function globToRegExp(pattern) {
+  const normalized = pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+  return new RegExp(`^${toRegExpSource(normalized)}$`);
+}
+
+/**
+ * Creates a matcher from include and exclude glob patterns. Patterns starting with `!` are exclusions.
+ * A path matches when it matches at least one include pattern and no exclude pattern.
+ * @param {string[]} patterns - The glob patterns (e.g., ['packages/*', '!packages/legacy']).
+ * @param {object} [options] - Matching options.
+ * @param {boolean} [options.matchBase=false] - Match patterns without a `/` against the file name
+ *   in any directory, as in .gitignore (e.g., '*.md' matches 'docs/intro.md').
+ * @returns {(filePath: string) => boolean} The matcher.
+ * @throws {Error} If a pattern is invalid.
+ */
+export function createGlobMatcher(patterns, { matchBase = false } = {}) {
+  const compile = pattern => {
+    const regExp = globToRegExp(pattern);
+    if (!matchBase || pattern.includes('/')) {
+      return filePath => regExp.test(filePath);
+    }
+    return filePath => regExp.test(filePath.slice(filePath.lastIndexOf('/') + 1));
+  };
+  const includes = patterns.filter(pattern => !pattern.startsWith('!')).map(compile);
+  const excludes = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => compile(pattern.slice(1)));
+  return filePath => includes.some(matches => matches(filePath)) && !excludes.some(matches => matches(filePath));
+}
@@ -1,95 +1,362 @@
-import { exec } from 'child_process';
+import { execFile } from 'child_process';
 import { promisify } from 'util';
+import { createRulesMatcher } from './config.js';
+import { GitCommandError, EmptyRepositoryError, UnknownReferenceError } from './errors.js';
 
-const execAsync = promisify(exec);
+export { GitCommandError, EmptyRepositoryError, UnknownReferenceError };
+
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_REFERENCE = 'HEAD~1';
+
+// Large diffs of big repositories easily exceed the default 1 MB.
+const MAX_OUTPUT_SIZE = 64 * 1024 * 1024;
 
 /**
- * Executes a Git command and returns its stdout.
- * @param {string} command - The Git command to execute.
+ * Executes a Git command and returns its stdout. Arguments are passed to `git` directly,
+ * without a shell, so references and paths are never interpreted.
+ * @param {string[]} args - The arguments for `git` (e.g., ['diff', '--name-status']).
  * @returns {Promise<string>} A promise that resolves with the stdout of the command.
- * @throws {Error} If the command execution fails.
+ * @throws {GitCommandError} If the command execution fails.
  */
-async function executeGitCommand(command) {
+async function executeGitCommand(args) {
   try {
-    const { stdout, stderr } = await execAsync(command);
+    const { stdout, stderr } = await execFileAsync('git', args, { maxBuffer: MAX_OUTPUT_SIZE });
     if (stderr) {
       // Git commands often output to stderr even on success (e.g., warnings).
       // We'll log it but not necessarily throw unless it's a critical error.
       console.warn(`Git stderr: ${stderr}`);
     }
-    return stdout.trim();
+    return stdout;
   } catch (error) {
-    throw new Error(`Failed to execute Git command "${command}": ${error.message}`);
+    throw new GitCommandError(args, {
+      exitCode: typeof error.code === 'number' ? error.code : null,
+      stderr: error.stderr ?? '',
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Checks that a reference is usable as a revision argument. References starting with `-`
+ * would be read as options by Git.
+ * @param {string} reference - The reference.
+ * @throws {Error} If the reference is empty or starts with `-`.
+ */
+function assertValidReference(reference) {
+  if (typeof reference !== 'string' || reference.trim() === '' || reference.startsWith('-')) {
+    throw new Error(`Invalid Git reference "${reference}".`);
+  }
+}
+
+/**
+ * Resolves a reference to a commit hash.
+ * @param {string} reference - The reference (commit, tag, or branch).
+ * @returns {Promise<string | null>} The commit hash, or null if the reference does not name a commit.
+ * @throws {GitCommandError} If Git fails for another reason (e.g., not a Git repository).
+ */
+async function resolveCommit(reference) {
+  try {
+    return (await executeGitCommand(['rev-parse', '--verify', '--quiet', `${reference}^{commit}`])).trim();
+  } catch (error) {
+    if (error instanceof GitCommandError && error.exitCode === 1) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Resolves references to commit hashes, checking that HEAD exists first.
+ * @param {string[]} references - The references.
+ * @returns {Promise<string[]>} The commit hashes, in the same order.
+ * @throws {EmptyRepositoryError} If the repository has no commits.
+ * @throws {UnknownReferenceError} If a reference does not name a commit.
+ */
+async function resolveCommits(references) {
+  references.forEach(assertValidReference);
+  if (!await resolveCommit('HEAD')) {
+    throw new EmptyRepositoryError();
+  }
+  const commits = [];
+  for (const reference of references) {
+    const commit = await resolveCommit(reference);
+    if (!commit) {
+      throw new UnknownReferenceError(reference);
+    }
+    commits.push(commit);
+  }
+  return commits;
+}
+
+/**
+ * Gets the best common ancestor of a branch and HEAD.
+ * @param {string} branch - The branch (or any reference).
+ * @returns {Promise<string>} The merge-base commit hash.
+ * @throws {EmptyRepositoryError} If the repository has no commits.
+ * @throws {UnknownReferenceError} If the branch does not exist.
+ * @throws {Error} If the branch and HEAD have no common ancestor.
+ */
+export async function getMergeBase(branch) {
+  const [commit] = await resolveCommits([branch]);
+  try {
+    return (await executeGitCommand(['merge-base', commit, 'HEAD'])).trim();
+  } catch (error) {
+    if (error instanceof GitCommandError && error.exitCode === 1) {
+      throw new Error(`"${branch}" and HEAD have no common ancestor.`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Change statuses reported by `git diff --name-status`, plus `?` for untracked files.
+ */
+export const CHANGE_STATUSES = {
+  A: 'added',
+  C: 'copied',
+  D: 'deleted',
+  M: 'modified',
+  R: 'renamed',
+  T: 'type changed',
+  U: 'unmerged',
+  X: 'unknown',
+  '?': 'untracked',
+};
+
+/**
+ * @typedef {object} ChangedFile
+ * @property {string} path - The path of the file (the new path for renames and copies).
+ * @property {string} status - The change status letter (see `CHANGE_STATUSES`).
+ * @property {string} [oldPath] - The previous path, for renames and copies.
+ * @property {number} [similarity] - The similarity index (0-100), for renames and copies.
+ * @property {number | null} additions - The number of added lines (null for binary or untracked files).
+ * @property {number | null} deletions - The number of deleted lines (null for binary or untracked files).
+ * @property {boolean | null} binary - Whether Git treats the file as binary (null for untracked files).
+ */
+
+/**
+ * Parses the NUL-separated output of `git diff --name-status -z`.
+ * Renames and copies are followed by two paths (old, new); every other status by one.
+ * @param {string} output - The command output.
+ * @returns {{ path: string, status: string, oldPath?: string, similarity?: number }[]} The entries.
+ */
+export function parseNameStatus(output) {
+  const fields = output.split('\0');
+  const entries = [];
+  for (let index = 0; index < fields.length && fields[index]; ) {
+    const code = fields[index];
+    const status = code[0];
+    if (status === 'R' || status === 'C') {
+      entries.push({ path: fields[index + 2], status, oldPath: fields[index + 1], similarity: Number(code.slice(1)) });
+      index += 3;
+    } else {
+      entries.push({ path: fields[index + 1], status });
+      index += 2;
+    }
   }
+  return entries;
 }
 
 /**
- * Gets the list of changed files between the current HEAD and a specified reference.
- * @param {string} reference - The Git reference (commit, tag, or branch) to compare against.
- * @returns {Promise<string[]>} A promise that resolves with an array of changed file paths.
+ * Parses the NUL-separated output of `git diff --numstat -z` into line statistics keyed by path.
+ * Binary files report `-` for both counts. Renames leave the path empty and are followed by the old and new paths.
+ * Paths are not quoted with `-z`, so a path may itself contain tabs or newlines.
+ * @param {string} output - The command output.
+ * @returns {Map<string, { additions: number | null, deletions: number | null, binary: boolean }>} The statistics by (new) path.
  */
-async function getChangedFiles(reference) {
-  const command = `git diff --name-only ${reference}...HEAD`;
-  const output = await executeGitCommand(command);
-  return output ? output.split('\n') : [];
+export function parseNumstat(output) {
+  const fields = output.split('\0');
+  const stats = new Map();
+  for (let index = 0; index < fields.length && fields[index]; ) {
+    const [, added, deleted, filePath] = fields[index].match(/^([^\t]*)\t([^\t]*)\t(.*)$/s);
+    const binary = added === '-' && deleted === '-';
+    const stat = {
+      additions: binary ? null : Number(added),
+      deletions: binary ? null : Number(deleted),
+      binary,
+    };
+    if (filePath) {
+      stats.set(filePath, stat);
+      index += 1;
+    } else {
+      stats.set(fields[index + 2], stat);
+      index += 3;
+    }
+  }
+  return stats;
+}
+
+/**
+ * Resolves the comparison options into `git diff` arguments. Exactly one mode applies:
+ * - `reference` (default): changes on HEAD since it diverged from the reference (`reference...HEAD`).
+ * - `mergeBase`: changes between the merge-base of a branch and HEAD, and HEAD.
+ * - `range`: changes between two references; `from..to` compares them directly, `from...to`
+ *   compares `to` with the merge-base of both.
+ * - `staged`: staged changes (index vs. HEAD).
+ * - `workingTree`: unstaged changes (working tree vs. index).
+ * @param {object} options - The comparison options (see `reportChangedFiles`).
+ * @returns {Promise<string[]>} The revision arguments for `git diff`.
+ * @throws {Error} If several modes are combined, or a reference is invalid or unknown.
+ */
+async function resolveDiffArguments({ reference, mergeBase, range, staged, workingTree }) {
+  const modes = { reference, mergeBase, range, staged, workingTree };
+  const selected = Object.keys(modes).filter(mode => modes[mode] !== undefined && modes[mode] !== false);
+  if (selected.length > 1) {
+    throw new Error(`Only one comparison mode can be used at a time, got: ${selected.join(', ')}.`);
+  }
+
+  if (staged) {
+    return ['--cached'];
+  }
+  if (workingTree) {
+    return [];
+  }
+  if (mergeBase !== undefined) {
+    return [await getMergeBase(mergeBase), 'HEAD'];
+  }
+  if (range !== undefined) {
+    const match = typeof range === 'string' && range.match(/^(.+?)(\.{2,3})(.+)$/);
+    if (!match) {
+      throw new Error(`Invalid range "${range}". Use "<from>..<to>" or "<from>...<to>".`);
+    }
+    const [, from, dots, to] = match;
+    const [fromCommit, toCommit] = await resolveCommits([from, to]);
+    return dots === '...' ? [`${fromCommit}...${toCommit}`] : [fromCommit, toCommit];
+  }
+
+  const [referenceCommit] = await resolveCommits([reference ?? DEFAULT_REFERENCE]);
+  return [`${referenceCommit}...HEAD`];
+}
+
+/**
+ * Gets the files changed in a comparison, with their status (renames are detected),
+ * previous path and line statistics.
+ * @param {string[]} diffArgs - The revision arguments for `git diff` (see `resolveDiffArguments`).
+ * @returns {Promise<ChangedFile[]>} A promise that resolves with the changed files.
+ */
+async function getChangedFiles(diffArgs) {
+  // "--" ends the revisions, so nothing after the resolved arguments can be read as a path.
+  const nameStatus = await executeGitCommand(['diff', '--name-status', '-M', '-z', ...diffArgs, '--']);
+  const numstat = await executeGitCommand(['diff', '--numstat', '-M', '-z', ...diffArgs, '--']);
+  const stats = parseNumstat(numstat);
+
+  return parseNameStatus(nameStatus).map((entry) => ({
+    ...entry,
+    ...(stats.get(entry.path) ?? { additions: null, deletions: null, binary: false }),
+  }));
+}
+
+/**
+ * Gets the root directory of the current Git repository.
+ * @returns {Promise<string>} A promise that resolves with the absolute path of the repository root.
+ */
+export async function getRepositoryRoot() {
+  return (await executeGitCommand(['rev-parse', '--show-toplevel'])).trim();
 }
 
 /**
  * Gets the list of untracked files in the repository.
- * @returns {Promise<string[]>} A promise that resolves with an array of untracked file paths.
+ * @returns {Promise<string[]>} A promise that resolves with an array of untracked file paths, relative to the repository root.
  */
 async function getUntrackedFiles() {
-  const command = 'git ls-files --others --exclude-standard';
-  const output = await executeGitCommand(command);
-  return output ? output.split('\n') : [];
+  const output = await executeGitCommand(['ls-files', '--others', '--exclude-standard', '--full-name', '-z']);
+  return output.split('\0').filter(Boolean);
 }
 
 /**
- * Filters a list of file paths by their extension.
- * @param {string[]} files - An array of file paths.
+ * Filters a list of changed files by their extension.
+ * @param {ChangedFile[]} files - The changed files.
  * @param {string} extension - The file extension to filter by (e.g., 'js', '.ts').
- * @returns {string[]} An array of file paths that match the given extension.
+ * @returns {ChangedFile[]} The changed files whose path has the given extension.
  */
 function filterFilesByExtension(files, extension) {
   if (!extension) {
     return files;
   }
   const normalizedExtension = extension.startsWith('.') ? extension : `.${extension}`;
-  return files.filter(file => file.endsWith(normalizedExtension));
+  return files.filter(file => file.path.endsWith(normalizedExtension));
+}
+
+/**
+ * Parses a comma-separated status filter (e.g., "A,M") into status letters.
+ * @param {string | string[]} statuses - The status letters, as a comma-separated string or an array.
+ * @returns {string[]} The status letters, upper-cased.
+ * @throws {Error} If a status is unknown.
+ */
+function parseStatusFilter(statuses) {
+  const letters = (Array.isArray(statuses) ? statuses : statuses.split(','))
+    .map(status => status.trim().toUpperCase())
+    .filter(Boolean);
+  const unknown = letters.filter(status => !Object.hasOwn(CHANGE_STATUSES, status));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown status "${unknown.join('", "')}". Valid statuses are ${Object.keys(CHANGE_STATUSES).join(', ')}.`);
+  }
+  return letters;
+}
+
+/**
+ * Filters a list of changed files by their status.
+ * @param {ChangedFile[]} files - The changed files.
+ * @param {string[]} statuses - The status letters to keep (e.g., ['A', 'M']).
+ * @returns {ChangedFile[]} The changed files with one of the given statuses.
+ */
+function filterFilesByStatus(files, statuses) {
+  if (!statuses || statuses.length === 0) {
+    return files;
+  }
+  return files.filter(file => statuses.includes(file.status));
 }
 
 /**
  * Reports on changed and/or untracked files in a Git repository.
+ * Only one of `reference`, `mergeBase`, `range`, `staged` and `workingTree` can be used.
  * @param {object} options - Configuration options for the reporter.
  * @param {string} [options.reference='HEAD~1'] - The Git reference to compare against. Defaults to the previous commit.
+ * @param {string} [options.mergeBase] - Compare HEAD with its merge-base with this branch (e.g., 'main').
+ * @param {string} [options.range] - Compare two references: 'from..to', or 'from...to' for the changes of `to` since it diverged from `from`.
+ * @param {boolean} [options.staged=false] - Report staged changes only.
+ * @param {boolean} [options.workingTree=false] - Report unstaged working tree changes only.
  * @param {string} [options.filterExtension] - Filter changes by file extension (e.g., 'js').
+ * @param {string | string[]} [options.filterStatus] - Only report files with these statuses (e.g., 'A,M' or ['A', 'M']).
+ * @param {string[]} [options.include] - Only report files matching one of these glob patterns (e.g., ['src/**']).
+ * @param {string[]} [options.exclude] - Do not report files matching one of these glob patterns (e.g., ['*.md']).
  * @param {boolean} [options.includeUntracked=false] - Whether to include untracked files in the report.
- * @returns {Promise<string[]>} A promise that resolves with an array of file paths to report.
- * @throws {Error} If Git commands fail or if no changes are found and the exit code should be non-zero.
+ * @returns {Promise<ChangedFile[]>} A promise that resolves with the changed files to report.
+ * @throws {EmptyRepositoryError} If an explicit reference is compared in a repository without commits.
+ * @throws {UnknownReferenceError} If an explicit reference does not name a commit.
+ * @throws {GitCommandError} If a Git command fails.
  */
 export async function reportChangedFiles(options = {}) {
   const {
-    reference = 'HEAD~1',
+    reference,
+    mergeBase,
+    range,
+    staged = false,
+    workingTree = false,
     filterExtension,
+    filterStatus,
+    include = [],
+    exclude = [],
     includeUntracked = false,
   } = options;
+  const statuses = filterStatus ? parseStatusFilter(filterStatus) : [];
 
   let changedFiles = [];
   try {
-    changedFiles = await getChangedFiles(reference);
+    changedFiles = await getChangedFiles(await resolveDiffArguments({ reference, mergeBase, range, staged, workingTree }));
   } catch (error) {
-    // If the reference is invalid or HEAD~1 doesn't exist (e.g., empty repo),
-    // we might get an error. For an empty repo, no changes is expected.
-    // If the reference is explicitly provided and invalid, it's a real error.
-    if (reference === 'HEAD~1' && error.message.includes('bad revision')) {
-      console.warn(`Could not get changes relative to ${reference}. This might be an empty repository or a very new commit. Proceeding without changes.`);
+    // With the default reference, an empty repository or a first commit (no HEAD~1) simply has no changes.
+    // If a reference is explicitly provided and invalid, it's a real error.
+    const usesDefaultReference = [reference, mergeBase, range].every(value => value === undefined) && !staged && !workingTree;
+    if (usesDefaultReference && (error instanceof EmptyRepositoryError || error instanceof UnknownReferenceError)) {
+      console.warn(`Could not get changes relative to ${DEFAULT_REFERENCE}: ${error.message} Proceeding without changes.`);
       changedFiles = [];
     } else {
       throw error; // Re-throw other errors
     }
   }
 
-
   let untrackedFiles = [];
   if (includeUntracked) {
     try {
@@ -99,14 +366,25 @@ export async function reportChangedFiles(options = {}) {
     }
   }
 
-  let allFiles = [...changedFiles, ...untrackedFiles];
+  // Skip untracked files that have the same path as a changed file (e.g., a file deleted in HEAD and re-created).
+  const changedPaths = new Set(changedFiles.map(file => file.path));
+  let allFiles = [
+    ...changedFiles,
+    ...untrackedFiles
+      .filter(file => !changedPaths.has(file))
+      .map(file => ({ path: file, status: '?', additions: null, deletions: null, binary: null })),
+  ];
 
   if (filterExtension) {
     allFiles = filterFilesByExtension(allFiles, filterExtension);
   }
 
-  // Remove duplicates that might arise if an untracked file has the same name as a changed file
-  allFiles = [...new Set(allFiles)];
+  allFiles = filterFilesByStatus(allFiles, statuses);
+
+  if (include.length > 0 || exclude.length > 0) {
+    const matches = createRulesMatcher({ include, exclude });
+    allFiles = allFiles.filter(file => matches(file.path));
+  }
 
   return allFiles;
 }
\ No newline at end of file
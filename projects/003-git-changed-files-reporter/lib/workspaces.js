@@ -0,0 +1,224 @@
+import { readFile, readdir } from 'fs/promises';
+import path from 'path';
+import { createGlobMatcher } from './glob.js';
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+/**
+ * @typedef {object} WorkspacePackage
+ * @property {string} name - The package name.
+ * @property {string} path - The package directory, relative to the workspace root (POSIX separators).
+ * @property {string[]} dependencies - The names of the workspace packages this package depends on.
+ */
+
+/**
+ * @typedef {object} AffectedPackage
+ * @property {string} name - The package name.
+ * @property {string} path - The package directory, relative to the workspace root.
+ * @property {'changed' | 'dependent'} reason - Whether files of the package changed, or the package
+ *   depends (directly or transitively) on a changed package.
+ * @property {string[]} files - The changed files of the package (empty for dependents).
+ * @property {string[]} [dependsOn] - For dependents, the changed packages they depend on.
+ */
+
+/**
+ * Reads and parses a JSON file, returning null if it does not exist.
+ * @param {string} filePath - The path to the file.
+ * @returns {Promise<any | null>} The parsed content.
+ * @throws {Error} If the file cannot be read or is not valid JSON.
+ */
+async function readJsonFile(filePath) {
+  let content;
+  try {
+    content = await readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Failed to read "${filePath}": ${error.message}`);
+  }
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON in "${filePath}": ${error.message}`);
+  }
+}
+
+/**
+ * Extracts the `packages` list from a pnpm-workspace.yaml file. Only the subset of YAML used
+ * by these files is supported: a block list (`- 'packages/*'`) or a flow list (`['packages/*']`).
+ * @param {string} content - The file content.
+ * @returns {string[]} The package patterns.
+ */
+function parsePnpmWorkspace(content) {
+  const unquote = value => value.trim().replace(/^(['"])(.*)\1$/, '$2');
+  const lines = content.split(/\r?\n/).map(line => line.replace(/\s+#.*$/, ''));
+  const start = lines.findIndex(line => /^packages\s*:/.test(line));
+  if (start === -1) {
+    return [];
+  }
+
+  const inline = lines[start].replace(/^packages\s*:/, '').trim();
+  if (inline.startsWith('[')) {
+    return inline.replace(/^\[|\]$/g, '').split(',').map(unquote).filter(Boolean);
+  }
+
+  const patterns = [];
+  for (const line of lines.slice(start + 1)) {
+    const item = line.match(/^\s*-\s*(.+)$/);
+    if (item) {
+      patterns.push(unquote(item[1]));
+    } else if (/^\S/.test(line)) {
+      break;
+    }
+  }
+  return patterns;
+}
+
+/**
+ * Reads the workspace package patterns of a repository: `pnpm-workspace.yaml`, or the
+ * `workspaces` field of the root package.json (npm and Yarn, as an array or `{ packages }`).
+ * @param {string} rootDir - The workspace root.
+ * @returns {Promise<string[]>} The package patterns (e.g., ['packages/*', '!packages/legacy']).
+ * @throws {Error} If the repository does not define workspaces.
+ */
+async function readWorkspacePatterns(rootDir) {
+  try {
+    const content = await readFile(path.join(rootDir, 'pnpm-workspace.yaml'), 'utf8');
+    return parsePnpmWorkspace(content);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Failed to read pnpm-workspace.yaml: ${error.message}`);
+    }
+  }
+
+  const manifest = await readJsonFile(path.join(rootDir, 'package.json'));
+  const workspaces = Array.isArray(manifest?.workspaces) ? manifest.workspaces : manifest?.workspaces?.packages;
+  if (!Array.isArray(workspaces)) {
+    throw new Error(`No workspaces found in "${rootDir}". Define them in pnpm-workspace.yaml or in the "workspaces" field of package.json.`);
+  }
+  return workspaces;
+}
+
+/**
+ * Lists the directories below a root, relative to it, skipping node_modules and hidden directories.
+ * @param {string} rootDir - The root directory.
+ * @param {string} [relativeDir=''] - The directory being walked.
+ * @returns {Promise<string[]>} The relative directory paths (POSIX separators).
+ */
+async function listDirectories(rootDir, relativeDir = '') {
+  const entries = await readdir(path.join(rootDir, relativeDir), { withFileTypes: true });
+  const directories = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name === 'node_modules' || entry.name.startsWith('.')) {
+      continue;
+    }
+    const directory = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+    directories.push(directory, ...await listDirectories(rootDir, directory));
+  }
+  return directories;
+}
+
+/**
+ * Finds the workspace packages of a repository and the dependencies between them.
+ * @param {string} rootDir - The workspace root (usually the repository root).
+ * @returns {Promise<WorkspacePackage[]>} The packages, sorted by path.
+ * @throws {Error} If the repository does not define workspaces or a package.json is invalid.
+ */
+export async function loadWorkspacePackages(rootDir) {
+  const matchesWorkspace = createGlobMatcher(await readWorkspacePatterns(rootDir));
+
+  const packages = [];
+  for (const directory of (await listDirectories(rootDir)).filter(matchesWorkspace).sort()) {
+    const manifest = await readJsonFile(path.join(rootDir, directory, 'package.json'));
+    if (manifest) {
+      packages.push({ name: manifest.name ?? directory, path: directory, manifest });
+    }
+  }
+
+  const names = new Set(packages.map(pkg => pkg.name));
+  return packages.map(({ name, path: packagePath, manifest }) => ({
+    name,
+    path: packagePath,
+    dependencies: [...new Set(DEPENDENCY_FIELDS.flatMap(field => Object.keys(manifest[field] ?? {})))]
+      .filter(dependency => names.has(dependency) && dependency !== name),
+  }));
+}
+
+/**
+ * Finds the package that owns a file: the package with the longest path containing it.
+ * @param {string} filePath - The file path, relative to the workspace root.
+ * @param {WorkspacePackage[]} packages - The workspace packages.
+ * @returns {WorkspacePackage | undefined} The owning package, if any.
+ */
+function findOwningPackage(filePath, packages) {
+  return packages
+    .filter(pkg => filePath.startsWith(`${pkg.path}/`))
+    .reduce((owner, pkg) => (!owner || pkg.path.length > owner.path.length ? pkg : owner), undefined);
+}
+
+/**
+ * Maps changed files to the workspace packages they belong to. Renamed files count for both
+ * their old and new package. Files outside every package are ignored.
+ * @param {{ path: string, oldPath?: string }[]} files - The changed files (see `reportChangedFiles`).
+ * @param {WorkspacePackage[]} packages - The workspace packages.
+ * @param {object} [options] - Mapping options.
+ * @param {boolean} [options.includeDependents=false] - Also report packages that depend,
+ *   directly or transitively, on a changed package.
+ * @returns {AffectedPackage[]} The affected packages: changed packages first, then dependents, each sorted by path.
+ */
+export function getAffectedPackages(files, packages, { includeDependents = false } = {}) {
+  const changed = new Map();
+  for (const file of files) {
+    for (const filePath of [file.path, file.oldPath].filter(Boolean)) {
+      const owner = findOwningPackage(filePath, packages);
+      if (owner) {
+        const ownerFiles = changed.get(owner.name) ?? new Set();
+        changed.set(owner.name, ownerFiles.add(filePath));
+      }
+    }
+  }
+
+  const affected = packages
+    .filter(pkg => changed.has(pkg.name))
+    .map(pkg => ({ name: pkg.name, path: pkg.path, reason: 'changed', files: [...changed.get(pkg.name)] }));
+  if (!includeDependents) {
+    return affected;
+  }
+
+  // Walk the reverse dependency graph from every changed package, remembering which changed packages led to each dependent.
+  const dependents = new Map();
+  for (const origin of changed.keys()) {
+    const queue = [origin];
+    const visited = new Set(queue);
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const pkg of packages.filter(candidate => candidate.dependencies.includes(current))) {
+        if (visited.has(pkg.name)) {
+          continue;
+        }
+        visited.add(pkg.name);
+        queue.push(pkg.name);
+        if (!changed.has(pkg.name)) {
+          dependents.set(pkg.name, (dependents.get(pkg.name) ?? new Set()).add(origin));
+        }
+      }
+    }
+  }
+
+  return [
+    ...affected,
+    ...packages
+      .filter(pkg => dependents.has(pkg.name))
+      .map(pkg => ({ name: pkg.name, path: pkg.path, reason: 'dependent', files: [], dependsOn: [...dependents.get(pkg.name)].sort() })),
+  ];
+}
+
+/**
+ * Formats affected packages as a GitHub Actions matrix, for use with `fromJSON()` in `strategy.matrix`.
+ * @param {AffectedPackage[]} affectedPackages - The affected packages.
+ * @returns {{ include: { package: string, path: string }[] }} The matrix.
+ */
+export function toGithubMatrix(affectedPackages) {
+  return { include: affectedPackages.map(pkg => ({ package: pkg.name, path: pkg.path })) };
+}
@@ -0,0 +1,73 @@
+/**
+ * @file test/glob.test.js
+ * @description Table-driven tests for the glob matcher used by workspaces and include/exclude rules.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { globToRegExp, createGlobMatcher } from '../lib/glob.js';
+
+describe('globToRegExp', () => {
+  const cases = [
+    // [pattern, path, matches]
+    ['*.js', 'index.js', true],
+    ['*.js', 'lib/index.js', false],
+    ['*.js', '.eslintrc.js', true],
+    ['src/*', 'src/a.js', true],
+    ['src/*', 'src/lib/a.js', false],
+    ['src/**', 'src/lib/a.js', true],
+    ['src/**/*.js', 'src/a.js', true],
+    ['src/**/*.js', 'src/lib/deep/a.js', true],
+    ['src/**/*.js', 'srcx/a.js', false],
+    ['**/*.md', 'README.md', true],
+    ['**/*.md', 'docs/guide/intro.md', true],
+    ['**/test/**', 'packages/a/test/unit/x.js', true],
+    ['a?c.txt', 'abc.txt', true],
+    ['a?c.txt', 'a/c.txt', false],
+    ['file[0-9].txt', 'file7.txt', true],
+    ['file[!0-9].txt', 'file7.txt', false],
+    ['file[!0-9].txt', 'fileA.txt', true],
+    ['*.{js,ts}', 'a.ts', true],
+    ['*.{js,ts}', 'a.css', false],
+    ['{src,lib}/**/*.{js,mjs}', 'lib/x/y.mjs', true],
+    ['./packages/*/', 'packages/app', true],
+    ['a.b', 'axb', false],
+    ['(a)+$', '(a)+$', true],
+  ];
+
+  for (const [pattern, filePath, expected] of cases) {
+    it(`should ${expected ? '' : 'not '}match "${filePath}" with "${pattern}"`, () => {
+      assert.equal(globToRegExp(pattern).test(filePath), expected);
+    });
+  }
+
+  it('should reject unclosed braces and brackets', () => {
+    assert.throws(() => globToRegExp('*.{js,ts'), { message: 'Invalid glob "*.{js,ts": unclosed "{".' });
+    assert.throws(() => globToRegExp('file[0-9.txt'), { message: 'Invalid glob "file[0-9.txt": unclosed "[".' });
+  });
+});
+
+describe('createGlobMatcher', () => {
+  const cases = [
+    // [patterns, options, path, matches]
+    [['packages/*'], {}, 'packages/app', true],
+    [['packages/*', '!packages/legacy'], {}, 'packages/legacy', false],
+    [['packages/*', '!packages/legacy'], {}, 'packages/app', true],
+    [['!packages/legacy'], {}, 'packages/app', false],
+    [['*.md'], {}, 'docs/intro.md', false],
+    [['*.md'], { matchBase: true }, 'docs/intro.md', true],
+    [['*.md'], { matchBase: true }, 'README.md', true],
+    [['docs/*.md'], { matchBase: true }, 'guide/docs/intro.md', false],
+    [['**', '!*.lock'], { matchBase: true }, 'packages/app/yarn.lock', false],
+    [['**', '!*.lock'], { matchBase: true }, 'packages/app/index.js', true],
+    [['src/**', '!**/*.test.js'], {}, 'src/a/b.test.js', false],
+    [['src/**', '!**/*.test.js'], {}, 'src/a/b.js', true],
+    [[], {}, 'anything', false],
+  ];
+
+  for (const [patterns, options, filePath, expected] of cases) {
+    it(`should ${expected ? '' : 'not '}match "${filePath}" with ${JSON.stringify(patterns)}${options.matchBase ? ' (matchBase)' : ''}`, () => {
+      assert.equal(createGlobMatcher(patterns, options)(filePath), expected);
+    });
+  }
+});
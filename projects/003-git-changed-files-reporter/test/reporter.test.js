@@ -0,0 +1,60 @@
+/**
+ * @file test/reporter.test.js
+ * @description Unit tests for parsing the `-z` output of `git diff --name-status` and `git diff --numstat`.
+ * The inputs are recorded from `git diff --cached -M -C -z` on a repository with a copy, a rename,
+ * a deletion, a binary file and paths containing a tab and a newline.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseNameStatus, parseNumstat } from '../lib/reporter.js';
+
+const NAME_STATUS = 'C079\0a.txt\0b.txt\0R079\0a.txt\0copy.txt\0D\0del.txt\0M\0img.bin\0A\0new\nline.txt\0M\0tab\tname.txt\0';
+const NUMSTAT = '1\t1\t\0a.txt\0b.txt\0' + '1\t1\t\0a.txt\0copy.txt\0' + '0\t1\tdel.txt\0' + '-\t-\timg.bin\0'
+  + '1\t0\tnew\nline.txt\0' + '1\t0\ttab\tname.txt\0';
+
+describe('parseNameStatus', () => {
+  it('should parse renames and copies with their old path and similarity', () => {
+    assert.deepEqual(parseNameStatus(NAME_STATUS), [
+      { path: 'b.txt', status: 'C', oldPath: 'a.txt', similarity: 79 },
+      { path: 'copy.txt', status: 'R', oldPath: 'a.txt', similarity: 79 },
+      { path: 'del.txt', status: 'D' },
+      { path: 'img.bin', status: 'M' },
+      { path: 'new\nline.txt', status: 'A' },
+      { path: 'tab\tname.txt', status: 'M' },
+    ]);
+  });
+
+  it('should parse a full similarity score and empty output', () => {
+    assert.deepEqual(parseNameStatus('R100\0old name.js\0new name.js\0'), [
+      { path: 'new name.js', status: 'R', oldPath: 'old name.js', similarity: 100 },
+    ]);
+    assert.deepEqual(parseNameStatus(''), []);
+  });
+});
+
+describe('parseNumstat', () => {
+  it('should key the statistics by the new path', () => {
+    const stats = parseNumstat(NUMSTAT);
+
+    assert.deepEqual([...stats.keys()], ['b.txt', 'copy.txt', 'del.txt', 'img.bin', 'new\nline.txt', 'tab\tname.txt']);
+    assert.deepEqual(stats.get('copy.txt'), { additions: 1, deletions: 1, binary: false });
+    assert.deepEqual(stats.get('del.txt'), { additions: 0, deletions: 1, binary: false });
+  });
+
+  it('should report binary files without line counts', () => {
+    assert.deepEqual(parseNumstat(NUMSTAT).get('img.bin'), { additions: null, deletions: null, binary: true });
+  });
+
+  it('should keep tabs and newlines in paths', () => {
+    const stats = parseNumstat(NUMSTAT);
+
+    assert.deepEqual(stats.get('tab\tname.txt'), { additions: 1, deletions: 0, binary: false });
+    assert.deepEqual(stats.get('new\nline.txt'), { additions: 1, deletions: 0, binary: false });
+    assert.deepEqual(parseNumstat('-\t-\t\0a\tb.png\0c\td.png\0').get('c\td.png'), { additions: null, deletions: null, binary: true });
+  });
+
+  it('should parse empty output', () => {
+    assert.equal(parseNumstat('').size, 0);
+  });
+});
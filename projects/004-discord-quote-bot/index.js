@@ -1,210 +1,768 @@
-import { Client, GatewayIntentBits, Partials } from 'discord.js';
+import {
+  ActionRowBuilder,
+  Client,
+  Events,
+  GatewayIntentBits,
+  MessageFlags,
+  ModalBuilder,
+  Partials,
+  TextInputBuilder,
+  TextInputStyle,
+  escapeMarkdown,
+} from 'discord.js';
 import dotenv from 'dotenv';
-import fs from 'fs/promises';
-import path from 'path';
+import { sendAuditEntry } from './lib/audit.js';
+import { KEYWORD_MAX_LENGTH, QUOTE_SETTINGS_COMMAND_NAME, SAVE_AS_QUOTE_COMMAND_NAME } from './lib/commands.js';
+import { findFreeKeyword, generateKeyword, isQuotable, quoteFromMessage } from './lib/message-quotes.js';
+import { replyWithPages } from './lib/pagination.js';
+import { QUOTE_ACTIONS, canPerform, describePermission, getInteractionActor, getMemberActor } from './lib/permissions.js';
+import { searchQuotes } from './lib/search.js';
+import { createStorage, getStorageOptionsFromEnv, warnAboutUnmigratedQuotes } from './lib/storage/index.js';
+import { MAX_TAGS, formatTags, normalizeTag, parseTags } from './lib/tags.js';
 
 dotenv.config();
 
-const QUOTES_FILE_PATH = path.join(process.cwd(), 'quotes.json');
-const BOT_PREFIX = '!quote'; // Define a consistent prefix for commands
+const MAX_AUTOCOMPLETE_CHOICES = 25; // Discord's limit
+const MESSAGE_MAX_LENGTH = 2000; // Discord's limit
+const SAVE_QUOTE_MODAL_PREFIX = 'save-quote:';
+const LIST_PREVIEW_LENGTH = 80;
+
+// Saving by reaction: a message is saved once it has this many of this emoji. An empty emoji disables it.
+const REACTION_EMOJI = process.env.QUOTE_REACTION_EMOJI ?? '💬';
+const REACTION_THRESHOLD = Number(process.env.QUOTE_REACTION_THRESHOLD) || 3;
+
+const storageOptions = getStorageOptionsFromEnv();
+const storage = createStorage(storageOptions);
+await warnAboutUnmigratedQuotes(storage, storageOptions);
 
 // --- Helper Functions ---
 
 /**
- * Reads quotes from the JSON file.
- * @returns {Promise<object>} A promise that resolves with the quotes object.
+ * Normalizes a keyword for storage and lookup.
+ * @param {string} keyword - The keyword as typed by the user.
+ * @returns {string} The normalized keyword.
  */
-async function readQuotes() {
-  try {
-    const data = await fs.readFile(QUOTES_FILE_PATH, 'utf-8');
-    return JSON.parse(data);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      // File doesn't exist, return an empty object
-      return {};
-    }
-    console.error('Error reading quotes file:', error);
-    throw new Error('Failed to read quotes from storage.');
+function normalizeKeyword(keyword) {
+  return keyword.trim().toLowerCase();
+}
+
+/**
+ * Replies with a message only the user who ran the command can see.
+ * Used for errors and usage hints, so they don't clutter the channel.
+ * @param {object} interaction - The Discord interaction object.
+ * @param {string} content - The message content.
+ */
+async function replyEphemeral(interaction, content) {
+  const reply = { content, flags: MessageFlags.Ephemeral };
+  if (interaction.replied || interaction.deferred) {
+    await interaction.followUp(reply);
+  } else {
+    await interaction.reply(reply);
   }
 }
 
 /**
- * Writes quotes to the JSON file.
- * @param {object} quotes - The quotes object to write.
- * @returns {Promise<void>} A promise that resolves when the file is written.
+ * Formats a quote for display, with who said it, who saved it, when, and a link to the message.
+ * Quotes saved from long messages (up to 4000 characters with Nitro) are cut to fit in one
+ * Discord message; the link to the original message then shows the rest.
+ * @param {object} quote - The quote.
+ * @returns {string} The message content, at most 2000 characters long.
  */
-async function writeQuotes(quotes) {
-  try {
-    await fs.writeFile(QUOTES_FILE_PATH, JSON.stringify(quotes, null, 2), 'utf-8');
-  } catch (error) {
-    console.error('Error writing quotes file:', error);
-    throw new Error('Failed to save quotes to storage.');
+function formatQuote(quote) {
+  const details = [
+    quote.quotedUserId && `said by <@${quote.quotedUserId}>`,
+    quote.authorId && `saved by <@${quote.authorId}>`,
+    `<t:${Math.floor(Date.parse(quote.createdAt) / 1000)}:d>`,
+    quote.messageUrl && `[jump to message](${quote.messageUrl})`,
+    quote.tags.length > 0 && formatTags(quote.tags),
+  ].filter(Boolean);
+  const header = `**${quote.keyword}:**\n`;
+  const footer = `\n-# ${details.join(' · ')}`;
+  const maxBodyLength = MESSAGE_MAX_LENGTH - header.length - footer.length;
+  let body = [quote.content, ...quote.attachments].filter(Boolean).join('\n');
+  if (body.length > maxBodyLength) {
+    body = `${body.slice(0, maxBodyLength - 1)}…`;
   }
+  return `${header}${body}${footer}`;
 }
 
 /**
- * Parses the command and arguments from a message.
- * @param {string} content - The message content.
- * @returns {{command: string, args: string[]}} An object containing the command and its arguments.
+ * Formats a quote as one line of a list: its keyword, the start of its content, and its tags.
+ * @param {object} quote - The quote.
+ * @returns {string} The line.
+ */
+function formatListLine(quote) {
+  const text = quote.content.replace(/\s+/g, ' ').trim();
+  const preview = text.length > LIST_PREVIEW_LENGTH ? `${text.slice(0, LIST_PREVIEW_LENGTH - 1)}…` : text;
+  const parts = [
+    `**${escapeMarkdown(quote.keyword)}**`,
+    preview ? escapeMarkdown(preview) : '*(attachment)*',
+    quote.tags.length > 0 && formatTags(quote.tags),
+  ].filter(Boolean);
+  return `- ${parts.join(' · ')}`;
+}
+
+/**
+ * Lists the quotes of the server that have a tag.
+ * @param {string} guildId - The server ID.
+ * @param {string | null} tagOption - The tag as typed by the user, or null for all quotes.
+ * @returns {Promise<object[]>} The quotes.
+ */
+async function listQuotesWithTag(guildId, tagOption) {
+  const quotes = await storage.listQuotes(guildId);
+  if (!tagOption) {
+    return quotes;
+  }
+  const tag = normalizeTag(tagOption);
+  return quotes.filter(quote => quote.tags.includes(tag));
+}
+
+/**
+ * Checks whether a reaction uses the configured quote emoji (a Unicode emoji, or a custom emoji's name or ID).
+ * @param {object} emoji - The Discord emoji object of the reaction.
+ * @returns {boolean} True if it is the quote emoji.
+ */
+function isQuoteEmoji(emoji) {
+  return Boolean(REACTION_EMOJI) && [emoji.name, emoji.id, emoji.toString()].includes(REACTION_EMOJI);
+}
+
+/**
+ * Checks whether the user who ran a command may perform an action, and tells them privately if not.
+ * @param {object} interaction - The Discord interaction object.
+ * @param {'save' | 'edit' | 'delete'} action - The action.
+ * @param {object} settings - The server's settings.
+ * @param {object} [quote] - The quote the action is performed on, for "edit" and "delete".
+ * @returns {Promise<boolean>} True if the action is allowed.
  */
-function parseCommand(content) {
-  const [command, ...args] = content.slice(BOT_PREFIX.length).trim().split(/\s+/);
-  return { command: command ? command.toLowerCase() : '', args };
+async function checkPermission(interaction, action, settings, quote) {
+  if (canPerform(getInteractionActor(interaction), action, settings, quote)) {
+    return true;
+  }
+  await replyEphemeral(interaction, `You don't have permission to ${action} ${quote ? 'this quote' : 'quotes'}. Allowed: ${describePermission(action, settings)}.`);
+  return false;
+}
+
+/**
+ * Logs a change to the server's audit channel, if it has one.
+ * @param {object} settings - The server's settings.
+ * @param {object} entry - The change (see `AuditEntry` in `./lib/audit.js`).
+ */
+async function logChange(settings, entry) {
+  await sendAuditEntry(client, settings.auditChannelId, entry);
+}
+
+/**
+ * Shortens text for the "Changes" field of the audit log.
+ * @param {string} text - The text.
+ * @returns {string} The text, at most 900 characters long.
+ */
+function truncateForAudit(text) {
+  return text.length > 900 ? `${text.slice(0, 899)}…` : text;
 }
 
 // --- Bot Initialization ---
 
 const client = new Client({
+  // Message intents are only needed to save quotes by reaction, which reads the reacted message.
   intents: [
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.GuildMessageReactions,
     GatewayIntentBits.MessageContent,
-    GatewayIntentBits.DirectMessages,
   ],
-  partials: [Partials.Channel],
+  // Reactions can be added to messages sent before the bot started, which are not cached.
+  partials: [Partials.Message, Partials.Channel, Partials.Reaction],
 });
 
-client.once('ready', () => {
+client.once(Events.ClientReady, () => {
   console.log(`Logged in as ${client.user.tag}!`);
-  console.log(`Bot is ready and listening for commands with prefix "${BOT_PREFIX}".`);
+  console.log('Bot is ready and listening for /quote commands.');
 });
 
-// --- Event Listener for Messages ---
+// --- Event Listener for Interactions ---
+
+client.on(Events.InteractionCreate, async (interaction) => {
+  if (interaction.isChatInputCommand() && interaction.commandName === QUOTE_SETTINGS_COMMAND_NAME) {
+    await handleSettingsCommand(interaction)
+      .catch(error => handleInteractionError(interaction, `/${QUOTE_SETTINGS_COMMAND_NAME}`, error));
+    return;
+  }
+
+  if (interaction.isAutocomplete()) {
+    if (interaction.commandName === 'quote') {
+      await handleAutocomplete(interaction);
+    }
+    return;
+  }
 
-client.on('messageCreate', async (message) => {
-  // Ignore messages from bots and messages that don't start with the prefix
-  if (message.author.bot || !message.content.startsWith(BOT_PREFIX)) {
+  if (interaction.isMessageContextMenuCommand() && interaction.commandName === SAVE_AS_QUOTE_COMMAND_NAME) {
+    await handleSaveAsQuoteCommand(interaction)
+      .catch(error => handleInteractionError(interaction, SAVE_AS_QUOTE_COMMAND_NAME, error));
     return;
   }
 
-  const { command, args } = parseCommand(message.content);
+  if (interaction.isModalSubmit() && interaction.customId.startsWith(SAVE_QUOTE_MODAL_PREFIX)) {
+    await handleSaveQuoteModal(interaction)
+      .catch(error => handleInteractionError(interaction, SAVE_AS_QUOTE_COMMAND_NAME, error));
+    return;
+  }
+
+  if (!interaction.isChatInputCommand() || interaction.commandName !== 'quote') {
+    return;
+  }
+
+  const subcommand = interaction.options.getSubcommand();
 
   try {
-    switch (command) {
+    switch (subcommand) {
       case 'save':
-        await handleSaveQuote(message, args);
+        await handleSaveQuote(interaction);
         break;
       case 'get':
-        await handleGetQuote(message, args);
+        await handleGetQuote(interaction);
         break;
       case 'list':
-        await handleListKeywords(message);
+        await handleListQuotes(interaction);
+        break;
+      case 'search':
+        await handleSearchQuotes(interaction);
+        break;
+      case 'tag':
+        await handleTagQuote(interaction);
+        break;
+      case 'edit':
+        await handleEditQuote(interaction);
         break;
       case 'delete':
-        await handleDeleteQuote(message, args);
+        await handleDeleteQuote(interaction);
+        break;
+      case 'restore':
+        await handleRestoreQuote(interaction);
+        break;
+      case 'help':
+        await handleHelp(interaction);
         break;
       default:
-        await message.reply(`Unknown command. Use \`${BOT_PREFIX} help\` for a list of commands.`);
+        await replyEphemeral(interaction, 'Unknown command. Use `/quote help` for a list of commands.');
     }
   } catch (error) {
-    console.error(`Error processing command "${command}":`, error);
-    await message.reply(`An error occurred while processing your command. Please try again later. \nError: ${error.message}`);
+    await handleInteractionError(interaction, `/quote ${subcommand}`, error);
+  }
+});
+
+/**
+ * Logs an error raised while handling an interaction and tells the user, privately.
+ * @param {object} interaction - The Discord interaction object.
+ * @param {string} commandName - The command, for the log.
+ * @param {Error} error - The error.
+ */
+async function handleInteractionError(interaction, commandName, error) {
+  console.error(`Error processing command "${commandName}":`, error);
+  await replyEphemeral(interaction, `An error occurred while processing your command. Please try again later.\nError: ${error.message}`)
+    .catch(replyError => console.error('Failed to send the error reply:', replyError));
+}
+
+// --- Event Listener for Reactions ---
+
+client.on(Events.MessageReactionAdd, async (reaction, user) => {
+  if (user.bot || !isQuoteEmoji(reaction.emoji)) {
+    return;
+  }
+  try {
+    await handleQuoteReaction(reaction, user);
+  } catch (error) {
+    console.error('Error saving a quote from a reaction:', error);
   }
 });
 
 // --- Command Handlers ---
 
 /**
- * Handles the 'save' command to save a new quote.
- * @param {object} message - The Discord message object.
- * @param {string[]} args - The arguments provided with the command.
+ * Suggests saved keywords (deleted ones for `/quote restore`), or tags for the `tag` options,
+ * matching what the user has typed so far.
+ * Suggestions starting with the input are listed before suggestions that only contain it.
+ * @param {object} interaction - The Discord autocomplete interaction object.
  */
-async function handleSaveQuote(message, args) {
-  if (args.length < 2) {
-    await message.reply(`Usage: \`${BOT_PREFIX} save <keyword> <quote content>\``);
-    return;
+async function handleAutocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  try {
+    const quotes = interaction.options.getSubcommand() === 'restore'
+      ? await storage.listDeletedQuotes(interaction.guildId)
+      : await storage.listQuotes(interaction.guildId);
+    let input;
+    let suggestions;
+    if (focused.name === 'tag') {
+      input = normalizeTag(focused.value);
+      suggestions = [...new Set(quotes.flatMap(quote => quote.tags))].sort();
+    } else {
+      input = normalizeKeyword(focused.value);
+      suggestions = quotes.map(quote => quote.keyword);
+    }
+    const choices = [
+      ...suggestions.filter(suggestion => suggestion.startsWith(input)),
+      ...suggestions.filter(suggestion => !suggestion.startsWith(input) && suggestion.includes(input)),
+    ]
+      .slice(0, MAX_AUTOCOMPLETE_CHOICES)
+      .map(suggestion => ({ name: suggestion.slice(0, KEYWORD_MAX_LENGTH), value: suggestion.slice(0, KEYWORD_MAX_LENGTH) }));
+    await interaction.respond(choices);
+  } catch (error) {
+    // Autocomplete cannot show errors; an empty list is the best we can do.
+    console.error('Error processing autocomplete:', error);
+    await interaction.respond([]).catch(() => {});
   }
+}
 
-  const keyword = args[0].toLowerCase();
-  const quoteContent = args.slice(1).join(' ');
+/**
+ * Handles the 'save' subcommand to save a new quote.
+ * @param {object} interaction - The Discord interaction object.
+ */
+async function handleSaveQuote(interaction) {
+  const keyword = normalizeKeyword(interaction.options.getString('keyword', true));
+  const quoteContent = interaction.options.getString('content', true).trim();
 
-  const quotes = await readQuotes();
+  if (!keyword || !quoteContent) {
+    await replyEphemeral(interaction, 'Usage: `/quote save keyword:<keyword> content:<quote content>`');
+    return;
+  }
 
-  if (quotes[keyword]) {
-    await message.reply(`A quote with the keyword "${keyword}" already exists. Use \`${BOT_PREFIX} delete ${keyword}\` to remove it first.`);
+  let tags;
+  try {
+    tags = parseTags(interaction.options.getString('tags'));
+  } catch (error) {
+    await replyEphemeral(interaction, error.message);
     return;
   }
 
-  quotes[keyword] = quoteContent;
-  await writeQuotes(quotes);
+  const settings = await storage.getSettings(interaction.guildId);
+  if (!await checkPermission(interaction, 'save', settings)) {
+    return;
+  }
+
+  const quote = {
+    guildId: interaction.guildId,
+    keyword,
+    content: quoteContent,
+    authorId: interaction.user.id,
+    quotedUserId: interaction.options.getUser('said_by')?.id ?? null,
+    channelId: interaction.channelId,
+    messageUrl: null,
+    tags,
+    createdAt: new Date().toISOString(),
+  };
+  const saved = await storage.addQuote(quote);
+
+  if (!saved) {
+    await replyEphemeral(interaction, `A quote with the keyword "${keyword}" already exists. Use \`/quote delete keyword:${keyword}\` to remove it first.`);
+    return;
+  }
 
-  await message.reply(`Quote saved successfully with keyword "${keyword}"!`);
+  // The confirmation is the message the quote was saved with, so it is used as the quote's message link.
+  const response = await interaction.reply({ content: `Quote saved successfully with keyword "${keyword}"!`, withResponse: true });
+  const replyUrl = response?.resource?.message?.url;
+  if (replyUrl) {
+    await storage.setMessageUrl(interaction.guildId, keyword, replyUrl);
+  }
+  await logChange(settings, { action: 'saved', userId: interaction.user.id, quote: { ...quote, messageUrl: replyUrl ?? null } });
 }
 
 /**
- * Handles the 'get' command to retrieve a quote.
- * @param {object} message - The Discord message object.
- * @param {string[]} args - The arguments provided with the command.
+ * Handles the 'get' subcommand to retrieve a quote.
+ * @param {object} interaction - The Discord interaction object.
  */
-async function handleGetQuote(message, args) {
-  const quotes = await readQuotes();
-
-  if (args.length === 0) {
+async function handleGetQuote(interaction) {
+  const keywordOption = interaction.options.getString('keyword');
+  const tagOption = interaction.options.getString('tag');
+
+  if (!keywordOption && tagOption) {
+    // Retrieve a random quote with the tag
+    const quotes = await listQuotesWithTag(interaction.guildId, tagOption);
+    if (quotes.length === 0) {
+      await replyEphemeral(interaction, `No quotes are tagged "${normalizeTag(tagOption)}".`);
+      return;
+    }
+    const quote = quotes[Math.floor(Math.random() * quotes.length)];
+    await interaction.reply({ content: formatQuote(quote), allowedMentions: { parse: [] } });
+  } else if (!keywordOption) {
     // Retrieve a random quote if no keyword is provided
-    const keywords = Object.keys(quotes);
-    if (keywords.length === 0) {
-      await message.reply('No quotes have been saved yet!');
+    const quote = await storage.getRandomQuote(interaction.guildId);
+    if (!quote) {
+      await replyEphemeral(interaction, 'No quotes have been saved yet!');
       return;
     }
-    const randomKeyword = keywords[Math.floor(Math.random() * keywords.length)];
-    await message.reply(`**${randomKeyword}:**\n${quotes[randomKeyword]}`);
+    await interaction.reply({ content: formatQuote(quote), allowedMentions: { parse: [] } });
   } else {
-    // Retrieve a specific quote by keyword
-    const keyword = args[0].toLowerCase();
-    const quote = quotes[keyword];
+    // Retrieve a specific quote by keyword, checking its tag if one is given
+    const keyword = normalizeKeyword(keywordOption);
+    const quote = await storage.getQuote(interaction.guildId, keyword);
 
     if (!quote) {
-      await message.reply(`No quote found with the keyword "${keyword}".`);
+      await replyEphemeral(interaction, `No quote found with the keyword "${keyword}".`);
+      return;
+    }
+    if (tagOption && !quote.tags.includes(normalizeTag(tagOption))) {
+      await replyEphemeral(interaction, `The quote "${keyword}" is not tagged "${normalizeTag(tagOption)}".`);
       return;
     }
 
-    await message.reply(`**${keyword}:**\n${quote}`);
+    await interaction.reply({ content: formatQuote(quote), allowedMentions: { parse: [] } });
   }
 }
 
 /**
- * Handles the 'list' command to list all saved keywords.
- * @param {object} message - The Discord message object.
+ * Handles the 'list' subcommand to list the saved quotes, optionally only those with a tag.
+ * @param {object} interaction - The Discord interaction object.
  */
-async function handleListKeywords(message) {
-  const quotes = await readQuotes();
-  const keywords = Object.keys(quotes);
+async function handleListQuotes(interaction) {
+  const tagOption = interaction.options.getString('tag');
+  const quotes = await listQuotesWithTag(interaction.guildId, tagOption);
 
-  if (keywords.length === 0) {
-    await message.reply('No quotes have been saved yet!');
+  if (quotes.length === 0) {
+    await replyEphemeral(interaction, tagOption ? `No quotes are tagged "${normalizeTag(tagOption)}".` : 'No quotes have been saved yet!');
     return;
   }
 
-  const keywordList = keywords.map(kw => `- \`${kw}\``).join('\n');
-  await message.reply(`Here are all the saved keywords:\n${keywordList}`);
+  await replyWithPages(interaction, {
+    title: tagOption ? `Quotes tagged #${normalizeTag(tagOption)}` : 'Saved quotes',
+    lines: quotes.map(formatListLine),
+  });
 }
 
 /**
- * Handles the 'delete' command to delete a quote.
- * @param {object} message - The Discord message object.
- * @param {string[]} args - The arguments provided with the command.
+ * Handles the 'search' subcommand to find quotes by their keyword, content or tags.
+ * @param {object} interaction - The Discord interaction object.
  */
-async function handleDeleteQuote(message, args) {
-  if (args.length === 0) {
-    await message.reply(`Usage: \`${BOT_PREFIX} delete <keyword>\``);
+async function handleSearchQuotes(interaction) {
+  const text = interaction.options.getString('text', true).trim();
+  const quotes = searchQuotes(await listQuotesWithTag(interaction.guildId, interaction.options.getString('tag')), text);
+
+  if (quotes.length === 0) {
+    await replyEphemeral(interaction, `No quotes match "${text}".`);
     return;
   }
 
-  const keywordToDelete = args[0].toLowerCase();
-  const quotes = await readQuotes();
+  await replyWithPages(interaction, {
+    title: `Quotes matching "${text}"`,
+    lines: quotes.map(formatListLine),
+  });
+}
 
-  if (!quotes[keywordToDelete]) {
-    await message.reply(`No quote found with the keyword "${keywordToDelete}".`);
+/**
+ * Handles the 'tag' subcommand to add or remove tags of a quote.
+ * @param {object} interaction - The Discord interaction object.
+ */
+async function handleTagQuote(interaction) {
+  const keyword = normalizeKeyword(interaction.options.getString('keyword', true));
+  let tagsToAdd;
+  let tagsToRemove;
+  try {
+    tagsToAdd = parseTags(interaction.options.getString('add'));
+    tagsToRemove = parseTags(interaction.options.getString('remove'));
+  } catch (error) {
+    await replyEphemeral(interaction, error.message);
+    return;
+  }
+
+  if (tagsToAdd.length === 0 && tagsToRemove.length === 0) {
+    await replyEphemeral(interaction, 'Usage: `/quote tag keyword:<keyword> add:<tags> remove:<tags>`');
     return;
   }
 
-  // Use structuredClone for a deep copy to avoid modifying the original object before deletion
-  const updatedQuotes = structuredClone(quotes);
-  delete updatedQuotes[keywordToDelete];
+  const quote = await storage.getQuote(interaction.guildId, keyword);
+  if (!quote) {
+    await replyEphemeral(interaction, `No quote found with the keyword "${keyword}".`);
+    return;
+  }
 
-  await writeQuotes(updatedQuotes);
+  const settings = await storage.getSettings(interaction.guildId);
+  if (!await checkPermission(interaction, 'edit', settings, quote)) {
+    return;
+  }
 
-  await message.reply(`Quote with keyword "${keywordToDelete}" deleted successfully.`);
+  const tags = [...new Set([...quote.tags, ...tagsToAdd])].filter(tag => !tagsToRemove.includes(tag));
+  if (tags.length > MAX_TAGS) {
+    await replyEphemeral(interaction, `A quote can have at most ${MAX_TAGS} tags.`);
+    return;
+  }
+
+  await storage.setTags(interaction.guildId, keyword, tags);
+  await interaction.reply(tags.length > 0
+    ? `Tags of "${keyword}": ${formatTags(tags)}`
+    : `Quote "${keyword}" has no tags now.`);
+  await logChange(settings, {
+    action: 'edited',
+    userId: interaction.user.id,
+    quote: { ...quote, tags },
+    details: `Tags: ${formatTags(quote.tags) || '(none)'} -> ${formatTags(tags) || '(none)'}`,
+  });
+}
+
+/**
+ * Handles the 'edit' subcommand to change the content of a quote.
+ * @param {object} interaction - The Discord interaction object.
+ */
+async function handleEditQuote(interaction) {
+  const keyword = normalizeKeyword(interaction.options.getString('keyword', true));
+  const content = interaction.options.getString('content', true).trim();
+
+  if (!content) {
+    await replyEphemeral(interaction, 'Usage: `/quote edit keyword:<keyword> content:<new content>`');
+    return;
+  }
+
+  const quote = await storage.getQuote(interaction.guildId, keyword);
+  if (!quote) {
+    await replyEphemeral(interaction, `No quote found with the keyword "${keyword}".`);
+    return;
+  }
+
+  const settings = await storage.getSettings(interaction.guildId);
+  if (!await checkPermission(interaction, 'edit', settings, quote)) {
+    return;
+  }
+
+  await storage.setContent(interaction.guildId, keyword, content);
+  await interaction.reply(`Quote with keyword "${keyword}" updated successfully.`);
+  await logChange(settings, {
+    action: 'edited',
+    userId: interaction.user.id,
+    quote: { ...quote, content },
+    details: `Previous content: ${truncateForAudit(quote.content)}`,
+  });
+}
+
+/**
+ * Handles the 'delete' subcommand to delete a quote. Deleted quotes can be restored.
+ * @param {object} interaction - The Discord interaction object.
+ */
+async function handleDeleteQuote(interaction) {
+  const keywordToDelete = normalizeKeyword(interaction.options.getString('keyword', true));
+  const quote = await storage.getQuote(interaction.guildId, keywordToDelete);
+
+  if (!quote) {
+    await replyEphemeral(interaction, `No quote found with the keyword "${keywordToDelete}".`);
+    return;
+  }
+
+  const settings = await storage.getSettings(interaction.guildId);
+  if (!await checkPermission(interaction, 'delete', settings, quote)) {
+    return;
+  }
+
+  await storage.deleteQuote(interaction.guildId, keywordToDelete, interaction.user.id);
+  await interaction.reply(`Quote with keyword "${keywordToDelete}" deleted successfully. Use \`/quote restore keyword:${keywordToDelete}\` to undo.`);
+  await logChange(settings, { action: 'deleted', userId: interaction.user.id, quote });
+}
+
+/**
+ * Handles the 'restore' subcommand to restore a deleted quote.
+ * @param {object} interaction - The Discord interaction object.
+ */
+async function handleRestoreQuote(interaction) {
+  const keyword = normalizeKeyword(interaction.options.getString('keyword', true));
+  const quote = (await storage.listDeletedQuotes(interaction.guildId)).find(deleted => deleted.keyword === keyword);
+
+  if (!quote) {
+    await replyEphemeral(interaction, `No deleted quote found with the keyword "${keyword}".`);
+    return;
+  }
+
+  const settings = await storage.getSettings(interaction.guildId);
+  if (!await checkPermission(interaction, 'delete', settings, quote)) {
+    return;
+  }
+
+  await storage.restoreQuote(interaction.guildId, keyword);
+  await interaction.reply(`Quote with keyword "${keyword}" restored successfully.`);
+  await logChange(settings, {
+    action: 'restored',
+    userId: interaction.user.id,
+    quote,
+    details: `Deleted by <@${quote.deletedBy}> <t:${Math.floor(Date.parse(quote.deletedAt) / 1000)}:R>`,
+  });
+}
+
+/**
+ * Handles the "Save as quote" context-menu command: asks for a keyword in a modal,
+ * pre-filled with one generated from the message.
+ * @param {object} interaction - The Discord message context-menu interaction object.
+ */
+async function handleSaveAsQuoteCommand(interaction) {
+  const message = interaction.targetMessage;
+
+  if (!isQuotable(message)) {
+    await replyEphemeral(interaction, 'This message has no text or attachments to quote.');
+    return;
+  }
+
+  const existing = await storage.getQuoteByMessage(interaction.guildId, message.id);
+  if (existing) {
+    await replyEphemeral(interaction, `This message is already saved as the quote "${existing.keyword}".`);
+    return;
+  }
+
+  if (!await checkPermission(interaction, 'save', await storage.getSettings(interaction.guildId))) {
+    return;
+  }
+
+  const suggestedKeyword = await findFreeKeyword(
+    generateKeyword(message),
+    async keyword => Boolean(await storage.getQuote(interaction.guildId, keyword)),
+  );
+  const keywordInput = new TextInputBuilder()
+    .setCustomId('keyword')
+    .setLabel('Keyword')
+    .setStyle(TextInputStyle.Short)
+    .setMaxLength(KEYWORD_MAX_LENGTH)
+    .setValue(suggestedKeyword)
+    .setRequired(true);
+  const modal = new ModalBuilder()
+    .setCustomId(`${SAVE_QUOTE_MODAL_PREFIX}${message.id}`)
+    .setTitle('Save as quote')
+    .addComponents(new ActionRowBuilder().addComponents(keywordInput));
+
+  await interaction.showModal(modal);
+}
+
+/**
+ * Handles the keyword modal of "Save as quote": saves the message under the chosen keyword.
+ * @param {object} interaction - The Discord modal submit interaction object.
+ */
+async function handleSaveQuoteModal(interaction) {
+  const messageId = interaction.customId.slice(SAVE_QUOTE_MODAL_PREFIX.length);
+  const keyword = normalizeKeyword(interaction.fields.getTextInputValue('keyword'));
+  if (!keyword) {
+    await replyEphemeral(interaction, 'The keyword cannot be empty.');
+    return;
+  }
+
+  // The permissions may have changed since the modal was opened.
+  const settings = await storage.getSettings(interaction.guildId);
+  if (!await checkPermission(interaction, 'save', settings)) {
+    return;
+  }
+
+  // The message is fetched again, so the quote has its content at the time it is saved.
+  const message = await interaction.channel.messages.fetch(messageId);
+  const quote = quoteFromMessage(message, { keyword, savedBy: interaction.user.id });
+  const saved = await storage.addQuote(quote);
+
+  if (!saved) {
+    const existing = await storage.getQuoteByMessage(interaction.guildId, message.id);
+    await replyEphemeral(interaction, existing
+      ? `This message is already saved as the quote "${existing.keyword}".`
+      : `A quote with the keyword "${keyword}" already exists. Please choose another keyword.`);
+    return;
+  }
+
+  await interaction.reply({ content: `Quote saved successfully with keyword "${keyword}"! ${message.url}`, allowedMentions: { parse: [] } });
+  await logChange(settings, { action: 'saved', userId: interaction.user.id, quote });
+}
+
+// Messages being saved by reaction, so reactions arriving at the same time save them only once.
+const pendingReactionSaves = new Set();
+
+/**
+ * Saves a message as a quote, with a generated keyword, once it has enough quote reactions.
+ * The user whose reaction reaches the threshold must be allowed to save quotes.
+ * @param {object} reaction - The Discord message reaction object.
+ * @param {object} user - The user who reacted; recorded as the one who saved the quote.
+ */
+async function handleQuoteReaction(reaction, user) {
+  if (reaction.partial) {
+    await reaction.fetch();
+  }
+  const message = reaction.message.partial ? await reaction.message.fetch() : reaction.message;
+
+  if (!message.inGuild() || message.author.bot || reaction.count < REACTION_THRESHOLD || !isQuotable(message)) {
+    return;
+  }
+  if (pendingReactionSaves.has(message.id)) {
+    return;
+  }
+
+  pendingReactionSaves.add(message.id);
+  try {
+    if (await storage.getQuoteByMessage(message.guildId, message.id)) {
+      return;
+    }
+    const settings = await storage.getSettings(message.guildId);
+    const member = await message.guild.members.fetch(user.id);
+    if (!canPerform(getMemberActor(member), 'save', settings)) {
+      return;
+    }
+    const keyword = await findFreeKeyword(
+      generateKeyword(message),
+      async candidate => Boolean(await storage.getQuote(message.guildId, candidate)),
+    );
+    const quote = quoteFromMessage(message, { keyword, savedBy: user.id });
+    if (await storage.addQuote(quote)) {
+      await message.reply({ content: `Saved as quote "${keyword}".`, allowedMentions: { parse: [] } });
+      await logChange(settings, { action: 'saved', userId: user.id, quote });
+    }
+  } finally {
+    pendingReactionSaves.delete(message.id);
+  }
+}
+
+/**
+ * Handles the `/quote-settings` command to show or change the server's quote permissions and audit channel.
+ * @param {object} interaction - The Discord interaction object.
+ */
+async function handleSettingsCommand(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+  const previous = await storage.getSettings(interaction.guildId);
+  let settings = previous;
+  let details;
+
+  if (subcommand === 'permission') {
+    const action = interaction.options.getString('action', true);
+    const roleId = interaction.options.getRole('role')?.id ?? null;
+    settings = await storage.updateSettings(interaction.guildId, { [`${action}RoleId`]: roleId });
+    details = `Who can ${action} quotes: ${describePermission(action, settings)}`;
+  } else if (subcommand === 'audit-channel') {
+    const channelId = interaction.options.getChannel('channel')?.id ?? null;
+    settings = await storage.updateSettings(interaction.guildId, { auditChannelId: channelId });
+    details = `Audit channel: ${channelId ? `<#${channelId}>` : 'none'}`;
+  }
+
+  const summary = [
+    ...QUOTE_ACTIONS.map(action => `**${action}:** ${describePermission(action, settings)}`),
+    `**Audit channel:** ${settings.auditChannelId ? `<#${settings.auditChannelId}>` : 'none'}`,
+    'Members with Manage Server can always save, edit and delete quotes.',
+  ].join('\n');
+  await replyEphemeral(interaction, details ? `Updated. ${details}\n\n${summary}` : summary);
+
+  if (details) {
+    // When the audit channel is turned off or moved, the old channel still gets to see that.
+    const entry = { action: 'settings', userId: interaction.user.id, details };
+    await logChange(settings, entry);
+    if (previous.auditChannelId && previous.auditChannelId !== settings.auditChannelId) {
+      await logChange(previous, entry);
+    }
+  }
+}
+
+/**
+ * Handles the 'help' subcommand to explain the available commands.
+ * @param {object} interaction - The Discord interaction object.
+ */
+async function handleHelp(interaction) {
+  const help = [
+    '**Quote commands:**',
+    '`/quote save keyword:<keyword> content:<quote> [tags:<tags>]` - Save a new quote, optionally with comma-separated tags.',
+    '`/quote get [keyword:<keyword>] [tag:<tag>]` - Get a quote by keyword, or a random quote (with the tag).',
+    '`/quote list [tag:<tag>]` - List all saved quotes, or those with the tag.',
+    '`/quote search text:<text> [tag:<tag>]` - Search the keywords, content and tags of the quotes.',
+    '`/quote tag keyword:<keyword> [add:<tags>] [remove:<tags>]` - Add or remove tags of a quote.',
+    '`/quote edit keyword:<keyword> content:<quote>` - Change the content of a quote.',
+    '`/quote delete keyword:<keyword>` - Delete a quote.',
+    '`/quote restore keyword:<keyword>` - Restore a deleted quote.',
+    '`/quote help` - Show this message.',
+    `Right-click a message > **Apps** > **${SAVE_AS_QUOTE_COMMAND_NAME}** - Save an existing message as a quote.`,
+    ...REACTION_EMOJI ? [`React with ${REACTION_EMOJI} - A message with ${REACTION_THRESHOLD} ${REACTION_EMOJI} reactions is saved as a quote.`] : [],
+    `\`/${QUOTE_SETTINGS_COMMAND_NAME}\` - Configure who can change quotes and the audit channel (Manage Server).`,
+  ].join('\n');
+  await replyEphemeral(interaction, help);
 }
 
 // --- Bot Login ---
@@ -217,5 +775,17 @@ if (!token) {
 
 client.login(token);
 
+/**
+ * Disconnects from Discord and closes the storage before exiting.
+ */
+async function shutdown() {
+  await client.destroy();
+  await storage.close();
+  process.exit(0);
+}
+
+process.once('SIGINT', shutdown);
+process.once('SIGTERM', shutdown);
+
 // Export the client for potential external use or testing
 export { client };
\ No newline at end of file
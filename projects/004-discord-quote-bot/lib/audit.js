@@ -0,0 +1,62 @@
+import { EmbedBuilder } from 'discord.js';
+
+const AUDIT_PREVIEW_LENGTH = 1000;
+
+const ACTION_COLORS = {
+  saved: 0x57f287,
+  edited: 0xfee75c,
+  deleted: 0xed4245,
+  restored: 0x5865f2,
+  settings: 0x99aab5,
+};
+
+/**
+ * @typedef {object} AuditEntry
+ * @property {'saved' | 'edited' | 'deleted' | 'restored' | 'settings'} action - What happened.
+ * @property {string} userId - Who did it.
+ * @property {object} [quote] - The quote it happened to (see `Quote` in `./storage/index.js`).
+ * @property {string} [details] - What changed, e.g. "Tags: #funny -> #funny #work".
+ */
+
+/**
+ * Builds the audit log message for a change.
+ * @param {AuditEntry} entry - The change.
+ * @returns {EmbedBuilder} The embed.
+ */
+export function buildAuditEmbed({ action, userId, quote, details }) {
+  const embed = new EmbedBuilder()
+    .setTitle(quote ? `Quote "${quote.keyword}" ${action}` : 'Quote settings changed')
+    .setColor(ACTION_COLORS[action])
+    .addFields({ name: 'By', value: `<@${userId}>`, inline: true })
+    .setTimestamp();
+  if (quote) {
+    const content = quote.content || '*(attachment)*';
+    embed.setDescription(content.length > AUDIT_PREVIEW_LENGTH ? `${content.slice(0, AUDIT_PREVIEW_LENGTH - 1)}…` : content);
+    if (quote.messageUrl) {
+      embed.addFields({ name: 'Message', value: `[jump to message](${quote.messageUrl})`, inline: true });
+    }
+  }
+  if (details) {
+    embed.addFields({ name: 'Changes', value: details });
+  }
+  return embed;
+}
+
+/**
+ * Posts a change to a server's audit channel. Failures (e.g., a deleted channel or missing
+ * permissions) are logged, not thrown, so they never undo or fail the change itself.
+ * @param {import('discord.js').Client} client - The Discord client.
+ * @param {string | null} channelId - The audit channel, or null if the server has none.
+ * @param {AuditEntry} entry - The change.
+ */
+export async function sendAuditEntry(client, channelId, entry) {
+  if (!channelId) {
+    return;
+  }
+  try {
+    const channel = await client.channels.fetch(channelId);
+    await channel.send({ embeds: [buildAuditEmbed(entry)], allowedMentions: { parse: [] } });
+  } catch (error) {
+    console.error(`Failed to write to the audit channel ${channelId}:`, error);
+  }
+}
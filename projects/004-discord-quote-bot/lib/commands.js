@@ -0,0 +1,171 @@
+import {
+  ApplicationCommandType,
+  ChannelType,
+  ContextMenuCommandBuilder,
+  InteractionContextType,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} from 'discord.js';
+import { QUOTE_ACTIONS } from './permissions.js';
+
+export const KEYWORD_MAX_LENGTH = 100;
+export const CONTENT_MAX_LENGTH = 1800;
+
+export const SEARCH_MAX_LENGTH = 100;
+
+export const SAVE_AS_QUOTE_COMMAND_NAME = 'Save as quote';
+export const QUOTE_SETTINGS_COMMAND_NAME = 'quote-settings';
+
+/**
+ * The `/quote` slash command and its subcommands.
+ */
+export const quoteCommand = new SlashCommandBuilder()
+  .setName('quote')
+  .setDescription('Save and retrieve memorable quotes.')
+  // Quotes are stored per server, so the command is not available in DMs.
+  .setContexts(InteractionContextType.Guild)
+  .addSubcommand(subcommand => subcommand
+    .setName('save')
+    .setDescription('Save a new quote under a keyword.')
+    .addStringOption(option => option
+      .setName('keyword')
+      .setDescription('The keyword to save the quote under.')
+      .setMaxLength(KEYWORD_MAX_LENGTH)
+      .setRequired(true))
+    .addStringOption(option => option
+      .setName('content')
+      .setDescription('The quote.')
+      .setMaxLength(CONTENT_MAX_LENGTH)
+      .setRequired(true))
+    .addUserOption(option => option
+      .setName('said_by')
+      .setDescription('Who said it.'))
+    .addStringOption(option => option
+      .setName('tags')
+      .setDescription('Comma-separated tags, e.g. "funny, work".')
+      .setMaxLength(400)))
+  .addSubcommand(subcommand => subcommand
+    .setName('get')
+    .setDescription('Get a quote by keyword, or a random quote.')
+    .addStringOption(option => option
+      .setName('keyword')
+      .setDescription('The keyword of the quote. Leave empty for a random quote.')
+      .setAutocomplete(true))
+    .addStringOption(option => option
+      .setName('tag')
+      .setDescription('Pick a random quote with this tag, or check that the keyword\'s quote has it.')
+      .setAutocomplete(true)))
+  .addSubcommand(subcommand => subcommand
+    .setName('list')
+    .setDescription('List all saved quotes.')
+    .addStringOption(option => option
+      .setName('tag')
+      .setDescription('Only list the quotes with this tag.')
+      .setAutocomplete(true)))
+  .addSubcommand(subcommand => subcommand
+    .setName('search')
+    .setDescription('Search the keywords, content and tags of the quotes.')
+    .addStringOption(option => option
+      .setName('text')
+      .setDescription('The words to search for. Small typos are tolerated.')
+      .setMaxLength(SEARCH_MAX_LENGTH)
+      .setRequired(true))
+    .addStringOption(option => option
+      .setName('tag')
+      .setDescription('Only search the quotes with this tag.')
+      .setAutocomplete(true)))
+  .addSubcommand(subcommand => subcommand
+    .setName('tag')
+    .setDescription('Add or remove tags of a quote.')
+    .addStringOption(option => option
+      .setName('keyword')
+      .setDescription('The keyword of the quote.')
+      .setAutocomplete(true)
+      .setRequired(true))
+    .addStringOption(option => option
+      .setName('add')
+      .setDescription('Comma-separated tags to add.')
+      .setMaxLength(400))
+    .addStringOption(option => option
+      .setName('remove')
+      .setDescription('Comma-separated tags to remove.')
+      .setMaxLength(400)))
+  .addSubcommand(subcommand => subcommand
+    .setName('edit')
+    .setDescription('Change the content of a quote.')
+    .addStringOption(option => option
+      .setName('keyword')
+      .setDescription('The keyword of the quote to edit.')
+      .setAutocomplete(true)
+      .setRequired(true))
+    .addStringOption(option => option
+      .setName('content')
+      .setDescription('The new content of the quote.')
+      .setMaxLength(CONTENT_MAX_LENGTH)
+      .setRequired(true)))
+  .addSubcommand(subcommand => subcommand
+    .setName('delete')
+    .setDescription('Delete a quote. It can be restored with /quote restore.')
+    .addStringOption(option => option
+      .setName('keyword')
+      .setDescription('The keyword of the quote to delete.')
+      .setAutocomplete(true)
+      .setRequired(true)))
+  .addSubcommand(subcommand => subcommand
+    .setName('restore')
+    .setDescription('Restore a deleted quote.')
+    .addStringOption(option => option
+      .setName('keyword')
+      .setDescription('The keyword of the deleted quote.')
+      .setAutocomplete(true)
+      .setRequired(true)))
+  .addSubcommand(subcommand => subcommand
+    .setName('help')
+    .setDescription('Show how to use the quote commands.'));
+
+/**
+ * The `/quote-settings` slash command, for configuring the quote permissions and audit log of a server.
+ * Only members with Manage Server see it, unless the server changes the command's permissions.
+ */
+export const quoteSettingsCommand = new SlashCommandBuilder()
+  .setName(QUOTE_SETTINGS_COMMAND_NAME)
+  .setDescription('Configure who can change quotes and where changes are logged.')
+  .setContexts(InteractionContextType.Guild)
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addSubcommand(subcommand => subcommand
+    .setName('show')
+    .setDescription('Show the current settings.'))
+  .addSubcommand(subcommand => subcommand
+    .setName('permission')
+    .setDescription('Set the role required to save, edit or delete quotes.')
+    .addStringOption(option => option
+      .setName('action')
+      .setDescription('The action.')
+      .addChoices(...QUOTE_ACTIONS.map(action => ({ name: action, value: action })))
+      .setRequired(true))
+    .addRoleOption(option => option
+      .setName('role')
+      .setDescription('The required role. Leave empty to restore the default.')))
+  .addSubcommand(subcommand => subcommand
+    .setName('audit-channel')
+    .setDescription('Set the channel every quote change is logged to.')
+    .addChannelOption(option => option
+      .setName('channel')
+      .setDescription('The channel. Leave empty to stop logging.')
+      .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)));
+
+/**
+ * The "Save as quote" message context-menu command (right-click a message > Apps).
+ */
+export const saveAsQuoteCommand = new ContextMenuCommandBuilder()
+  .setName(SAVE_AS_QUOTE_COMMAND_NAME)
+  .setType(ApplicationCommandType.Message)
+  .setContexts(InteractionContextType.Guild);
+
+/**
+ * Returns the command data to register with Discord.
+ * @returns {object[]} The application command JSON bodies.
+ */
+export function getCommandData() {
+  return [quoteCommand.toJSON(), quoteSettingsCommand.toJSON(), saveAsQuoteCommand.toJSON()];
+}
@@ -0,0 +1,73 @@
+import { KEYWORD_MAX_LENGTH } from './commands.js';
+
+const GENERATED_KEYWORD_WORDS = 4;
+const GENERATED_KEYWORD_MAX_LENGTH = 40;
+
+/**
+ * Generates a keyword for a message from the first words of its content, e.g.
+ * "Why don't scientists trust atoms?" -> "why-dont-scientists-trust". Messages without
+ * words (e.g., only an image) use the author's name instead.
+ * @param {object} message - The Discord message object.
+ * @returns {string} The keyword (not checked for uniqueness).
+ */
+export function generateKeyword(message) {
+  const words = message.content
+    .toLowerCase()
+    .replace(/<a?:(\w+):\d+>/g, '$1') // Custom emojis
+    .replace(/<[@#][!&]?\d+>/g, '') // Mentions
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/['’]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, GENERATED_KEYWORD_WORDS);
+  const keyword = words.length > 0 ? words.join('-') : `${message.author.username.toLowerCase()}-quote`;
+  return keyword.slice(0, GENERATED_KEYWORD_MAX_LENGTH).replace(/-+$/, '');
+}
+
+/**
+ * Makes a keyword unique by appending a number ("keyword-2", "keyword-3", ...) if it is taken.
+ * @param {string} keyword - The keyword.
+ * @param {(keyword: string) => Promise<boolean>} isTaken - Checks whether a keyword is taken.
+ * @returns {Promise<string>} The first free keyword.
+ */
+export async function findFreeKeyword(keyword, isTaken) {
+  let candidate = keyword;
+  for (let suffix = 2; await isTaken(candidate); suffix += 1) {
+    const ending = `-${suffix}`;
+    candidate = `${keyword.slice(0, KEYWORD_MAX_LENGTH - ending.length)}${ending}`;
+  }
+  return candidate;
+}
+
+/**
+ * Builds a quote from an existing message: its content, author, attachments and link.
+ * @param {object} message - The Discord message object.
+ * @param {object} details - The quote details.
+ * @param {string} details.keyword - The normalized keyword.
+ * @param {string} details.savedBy - The ID of the user saving the quote.
+ * @returns {object} The quote (see `Quote` in `./storage/index.js`).
+ */
+export function quoteFromMessage(message, { keyword, savedBy }) {
+  return {
+    guildId: message.guildId,
+    keyword,
+    content: message.content,
+    authorId: savedBy,
+    quotedUserId: message.author.id,
+    channelId: message.channelId,
+    messageUrl: message.url,
+    attachments: [...message.attachments.values()].map(attachment => attachment.url),
+    sourceMessageId: message.id,
+    tags: [],
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Checks whether a message has anything to quote.
+ * @param {object} message - The Discord message object.
+ * @returns {boolean} True if the message has text or attachments.
+ */
+export function isQuotable(message) {
+  return message.content.trim() !== '' || message.attachments.size > 0;
+}
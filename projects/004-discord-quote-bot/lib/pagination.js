@@ -0,0 +1,115 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ComponentType,
+  EmbedBuilder,
+  MessageFlags,
+} from 'discord.js';
+
+export const PAGE_SIZE = 10;
+const DESCRIPTION_MAX_LENGTH = 4096; // Discord's limit for embed descriptions
+
+// How long the page buttons keep working after the last click.
+const PAGINATION_IDLE_TIME = 5 * 60 * 1000;
+
+const PREVIOUS_BUTTON_ID = 'page-previous';
+const NEXT_BUTTON_ID = 'page-next';
+
+/**
+ * Splits the lines of a list into pages of at most `PAGE_SIZE` lines that fit in an embed
+ * description. A page holds fewer lines if they are long (e.g. quotes with long keywords and many tags).
+ * @param {string[]} lines - All lines of the list.
+ * @returns {string[][]} The lines of each page; one empty page for an empty list.
+ */
+export function splitIntoPages(lines) {
+  const pages = [[]];
+  let pageLength = 0;
+  for (const line of lines) {
+    const fittedLine = line.length > DESCRIPTION_MAX_LENGTH ? `${line.slice(0, DESCRIPTION_MAX_LENGTH - 1)}…` : line;
+    const page = pages.at(-1);
+    // Lines are joined with a newline.
+    const lineLength = page.length > 0 ? fittedLine.length + 1 : fittedLine.length;
+    if (page.length === PAGE_SIZE || pageLength + lineLength > DESCRIPTION_MAX_LENGTH) {
+      pages.push([fittedLine]);
+      pageLength = fittedLine.length;
+    } else {
+      page.push(fittedLine);
+      pageLength += lineLength;
+    }
+  }
+  return pages;
+}
+
+/**
+ * Builds the message for one page of a list: an embed with the page's lines and,
+ * if there is more than one page, previous/next buttons.
+ * @param {object} list - The list.
+ * @param {string} list.title - The embed title.
+ * @param {string[]} list.lines - All lines of the list.
+ * @param {number} page - The zero-based page number.
+ * @returns {{ embeds: EmbedBuilder[], components: ActionRowBuilder[] }} The message options.
+ */
+export function buildPage({ title, lines }, page) {
+  const pages = splitIntoPages(lines);
+  const pageCount = pages.length;
+  const embed = new EmbedBuilder()
+    .setTitle(title)
+    .setDescription(pages[page].join('\n'))
+    .setFooter({ text: `Page ${page + 1} of ${pageCount} · ${lines.length} in total` });
+
+  if (pageCount === 1) {
+    return { embeds: [embed], components: [] };
+  }
+
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(PREVIOUS_BUTTON_ID)
+      .setLabel('Previous')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page === 0),
+    new ButtonBuilder()
+      .setCustomId(NEXT_BUTTON_ID)
+      .setLabel('Next')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page === pageCount - 1),
+  );
+  return { embeds: [embed], components: [buttons] };
+}
+
+/**
+ * Replies with a paginated list. The person who ran the command can page through it with
+ * the buttons until they have been idle for a few minutes, after which the buttons are removed.
+ * @param {object} interaction - The Discord interaction object.
+ * @param {object} list - The list (see `buildPage`).
+ */
+export async function replyWithPages(interaction, list) {
+  let page = 0;
+  const response = await interaction.reply({ ...buildPage(list, page), allowedMentions: { parse: [] }, withResponse: true });
+  if (splitIntoPages(list.lines).length === 1) {
+    return;
+  }
+
+  const collector = response.resource.message.createMessageComponentCollector({
+    componentType: ComponentType.Button,
+    idle: PAGINATION_IDLE_TIME,
+  });
+
+  collector.on('collect', async (buttonInteraction) => {
+    try {
+      if (buttonInteraction.user.id !== interaction.user.id) {
+        await buttonInteraction.reply({ content: 'Only the person who ran the command can change pages.', flags: MessageFlags.Ephemeral });
+        return;
+      }
+      page += buttonInteraction.customId === NEXT_BUTTON_ID ? 1 : -1;
+      await buttonInteraction.update(buildPage(list, page));
+    } catch (error) {
+      console.error('Error changing pages:', error);
+    }
+  });
+
+  collector.on('end', () => {
+    interaction.editReply({ components: [] })
+      .catch(error => console.error('Failed to remove the page buttons:', error));
+  });
+}
@@ -0,0 +1,81 @@
+import { PermissionFlagsBits } from 'discord.js';
+
+/**
+ * The actions a role can be required for. "edit" covers `/quote edit` and `/quote tag`,
+ * "delete" covers `/quote delete` and `/quote restore`.
+ */
+export const QUOTE_ACTIONS = ['save', 'edit', 'delete'];
+
+/**
+ * @typedef {object} Actor
+ * @property {string} userId - The user's ID.
+ * @property {import('discord.js').PermissionsBitField} permissions - The user's permissions in the server.
+ * @property {string[]} roleIds - The IDs of the user's roles in the server.
+ */
+
+/**
+ * Gets who ran an interaction in a server.
+ * @param {object} interaction - The Discord interaction object.
+ * @returns {Actor} The actor.
+ */
+export function getInteractionActor(interaction) {
+  // The member is a raw API object with a list of role IDs if the server is not cached.
+  const { roles } = interaction.member;
+  return {
+    userId: interaction.user.id,
+    permissions: interaction.memberPermissions,
+    roleIds: Array.isArray(roles) ? roles : [...roles.cache.keys()],
+  };
+}
+
+/**
+ * Gets the actor for a server member.
+ * @param {object} member - The Discord guild member object.
+ * @returns {Actor} The actor.
+ */
+export function getMemberActor(member) {
+  return {
+    userId: member.id,
+    permissions: member.permissions,
+    roleIds: [...member.roles.cache.keys()],
+  };
+}
+
+/**
+ * Checks whether someone may perform an action on a quote.
+ * Members with Manage Server may do everything, and the person who saved a quote may always
+ * edit or delete it. Otherwise a configured role is required; without one, everyone may save
+ * and members with Manage Messages may edit and delete.
+ * @param {Actor} actor - Who performs the action.
+ * @param {'save' | 'edit' | 'delete'} action - The action.
+ * @param {object} settings - The server's settings (see `GuildSettings` in `./storage/index.js`).
+ * @param {object} [quote] - The quote the action is performed on, for "edit" and "delete".
+ * @returns {boolean} True if the action is allowed.
+ */
+export function canPerform(actor, action, settings, quote) {
+  if (actor.permissions.has(PermissionFlagsBits.ManageGuild)) {
+    return true;
+  }
+  if (quote && quote.authorId === actor.userId) {
+    return true;
+  }
+  const roleId = settings[`${action}RoleId`];
+  if (roleId) {
+    return actor.roleIds.includes(roleId);
+  }
+  return action === 'save' || actor.permissions.has(PermissionFlagsBits.ManageMessages);
+}
+
+/**
+ * Describes who may perform an action, for display.
+ * @param {'save' | 'edit' | 'delete'} action - The action.
+ * @param {object} settings - The server's settings (see `GuildSettings` in `./storage/index.js`).
+ * @returns {string} The description, e.g. "<@&123> and the person who saved the quote".
+ */
+export function describePermission(action, settings) {
+  const roleId = settings[`${action}RoleId`];
+  if (action === 'save') {
+    return roleId ? `<@&${roleId}>` : 'everyone';
+  }
+  return `${roleId ? `<@&${roleId}>` : 'members with Manage Messages'} and the person who saved the quote`;
+}
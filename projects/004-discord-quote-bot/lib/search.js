@@ -0,0 +1,109 @@
+// A match in the keyword counts more than one in the content or tags.
+const KEYWORD_WEIGHT = 1.5;
+// Bonus for quotes containing the whole query as typed, so exact phrases rank first.
+const PHRASE_BONUS = 0.5;
+
+/**
+ * Lowercases text and strips accents, so "Café" matches "cafe".
+ * @param {string} text - The text.
+ * @returns {string} The normalized text.
+ */
+function normalizeText(text) {
+  return text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Splits text into normalized words.
+ * @param {string} text - The text.
+ * @returns {string[]} The words.
+ */
+function tokenize(text) {
+  return normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Computes the edit distance between two words, counting swapped adjacent letters as one edit
+ * (optimal string alignment distance).
+ * @param {string} a - The first word.
+ * @param {string} b - The second word.
+ * @returns {number} The number of edits to turn one into the other.
+ */
+export function editDistance(a, b) {
+  const distances = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j += 1) {
+    distances[0][j] = j;
+  }
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1,
+        distances[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return distances[a.length][b.length];
+}
+
+/**
+ * Scores how well a search term matches the best of the given words.
+ * Terms of one or two letters must match exactly or as a prefix; longer ones tolerate typos.
+ * @param {string} term - The normalized search term.
+ * @param {string[]} words - The normalized words to search.
+ * @returns {number} The score, from 0 (no match) to 1 (exact match).
+ */
+function scoreTerm(term, words) {
+  const maxTypos = term.length < 3 ? 0 : term.length <= 5 ? 1 : 2;
+  let best = 0;
+  for (const word of words) {
+    if (word === term) {
+      return 1;
+    }
+    if (word.startsWith(term)) {
+      best = Math.max(best, 0.9);
+    } else if (term.length >= 3 && word.includes(term)) {
+      best = Math.max(best, 0.7);
+    } else if (maxTypos > 0) {
+      // Also compare with the start of longer words, so "progrma" matches "programming".
+      const distance = Math.min(editDistance(term, word), editDistance(term, word.slice(0, term.length)) + 0.5);
+      if (distance <= maxTypos) {
+        best = Math.max(best, 0.8 - 0.2 * distance);
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Finds the quotes matching a search query, tolerating typos. Every word of the query must
+ * match a word of the quote's keyword, content or tags.
+ * @param {object[]} quotes - The quotes to search (see `Quote` in `./storage/index.js`).
+ * @param {string} query - The search query.
+ * @returns {object[]} The matching quotes, best matches first.
+ */
+export function searchQuotes(quotes, query) {
+  const terms = tokenize(query);
+  if (terms.length === 0) {
+    return [];
+  }
+  const phrase = normalizeText(query.trim());
+
+  return quotes
+    .map((quote) => {
+      const keywordWords = tokenize(quote.keyword);
+      const otherWords = [...tokenize(quote.content), ...quote.tags.flatMap(tokenize)];
+      const termScores = terms.map(term => Math.max(KEYWORD_WEIGHT * scoreTerm(term, keywordWords), scoreTerm(term, otherWords)));
+      if (termScores.includes(0)) {
+        return { quote, score: 0 };
+      }
+      const isPhraseMatch = normalizeText(quote.keyword).includes(phrase) || normalizeText(quote.content).includes(phrase);
+      const score = termScores.reduce((sum, termScore) => sum + termScore, 0) / terms.length + (isPhraseMatch ? PHRASE_BONUS : 0);
+      return { quote, score };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.quote.keyword.localeCompare(b.quote.keyword))
+    .map(({ quote }) => quote);
+}
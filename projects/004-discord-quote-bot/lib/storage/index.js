@@ -0,0 +1,102 @@
+import fs from 'fs';
+import path from 'path';
+import { createJsonStorage } from './json-storage.js';
+import { createSqliteStorage } from './sqlite-storage.js';
+
+export { DEFAULT_SETTINGS } from './settings.js';
+
+/**
+ * @typedef {object} Quote
+ * @property {string} guildId - The server the quote belongs to. Keywords are unique per server.
+ * @property {string} keyword - The normalized keyword.
+ * @property {string} content - The quote.
+ * @property {string | null} authorId - The user who saved the quote.
+ * @property {string | null} quotedUserId - The user who said it, if known.
+ * @property {string | null} channelId - The channel the quote was saved in.
+ * @property {string | null} messageUrl - A link to the message the quote was saved from or with.
+ * @property {string[]} attachments - The URLs of the attachments of the quoted message.
+ * @property {string | null} sourceMessageId - The message the quote was saved from, if any. A message can only be saved once.
+ * @property {string[]} tags - The normalized tags of the quote.
+ * @property {string} createdAt - When the quote was saved (ISO 8601).
+ * @property {string | null} deletedAt - When the quote was deleted (ISO 8601), or null if it was not.
+ * @property {string | null} deletedBy - The user who deleted the quote.
+ */
+
+/**
+ * @typedef {object} GuildSettings
+ * @property {string | null} saveRoleId - The role allowed to save quotes, or null for everyone.
+ * @property {string | null} editRoleId - The role allowed to edit any quote, or null for members with Manage Messages.
+ * @property {string | null} deleteRoleId - The role allowed to delete and restore any quote, or null for members with Manage Messages.
+ * @property {string | null} auditChannelId - The channel quote changes are logged to, or null for none.
+ */
+
+/**
+ * @typedef {object} QuoteStorage
+ * @property {(guildId: string, keyword: string) => Promise<Quote | null>} getQuote - Gets a quote by keyword.
+ * @property {(guildId: string, messageId: string) => Promise<Quote | null>} getQuoteByMessage - Gets the quote saved from a message.
+ * @property {(guildId: string) => Promise<Quote[]>} listQuotes - Lists the quotes of a server, sorted by keyword.
+ * @property {(guildId: string) => Promise<Quote | null>} getRandomQuote - Gets a random quote of a server.
+ * @property {(quote: Quote) => Promise<boolean>} addQuote - Saves a quote. Resolves to false if the keyword is taken or the source message was already saved.
+ *   A deleted quote with the same keyword or source message is permanently replaced.
+ * @property {(guildId: string, keyword: string, messageUrl: string) => Promise<boolean>} setMessageUrl - Sets the message link of a quote.
+ * @property {(guildId: string, keyword: string, content: string) => Promise<boolean>} setContent - Replaces the content of a quote.
+ * @property {(guildId: string, keyword: string, tags: string[]) => Promise<boolean>} setTags - Replaces the tags of a quote.
+ * @property {(guildId: string, keyword: string, deletedBy: string) => Promise<boolean>} deleteQuote - Deletes a quote, so it can be restored.
+ *   Resolves to false if it does not exist.
+ * @property {(guildId: string) => Promise<Quote[]>} listDeletedQuotes - Lists the deleted quotes of a server, most recently deleted first.
+ * @property {(guildId: string, keyword: string) => Promise<boolean>} restoreQuote - Restores a deleted quote. Resolves to false if there is no deleted quote with the keyword.
+ * @property {() => Promise<number>} countQuotes - Counts the quotes of all servers, deleted ones included.
+ * @property {(guildId: string) => Promise<GuildSettings>} getSettings - Gets the settings of a server.
+ * @property {(guildId: string, changes: Partial<GuildSettings>) => Promise<GuildSettings>} updateSettings - Changes settings of a server and resolves to all its settings.
+ * @property {() => Promise<void>} close - Releases the storage.
+ */
+
+export const STORAGE_DRIVERS = ['sqlite', 'json'];
+
+/**
+ * Creates the quote storage.
+ * @param {object} options - Storage options.
+ * @param {'sqlite' | 'json'} [options.driver='sqlite'] - The storage backend.
+ * @param {string} options.filePath - Path to the database or JSON file.
+ * @returns {QuoteStorage} The storage.
+ * @throws {Error} If the driver is unknown.
+ */
+export function createStorage({ driver = 'sqlite', filePath }) {
+  switch (driver) {
+    case 'sqlite':
+      return createSqliteStorage({ filePath });
+    case 'json':
+      return createJsonStorage({ filePath });
+    default:
+      throw new Error(`Unknown storage driver "${driver}". Use one of: ${STORAGE_DRIVERS.join(', ')}.`);
+  }
+}
+
+/**
+ * Reads the storage configuration from the environment:
+ * `QUOTES_STORAGE` (`sqlite` or `json`, defaults to `sqlite`) and `QUOTES_PATH`
+ * (defaults to `quotes.db` or `quotes.json` in the working directory).
+ * @returns {{ driver: string, filePath: string }} The storage options.
+ */
+export function getStorageOptionsFromEnv() {
+  const driver = process.env.QUOTES_STORAGE || 'sqlite';
+  const defaultFile = driver === 'json' ? 'quotes.json' : 'quotes.db';
+  return { driver, filePath: path.resolve(process.env.QUOTES_PATH || defaultFile) };
+}
+
+/**
+ * Warns when the SQLite database is empty but a `quotes.json` is in the working directory.
+ * Before SQLite became the default, quotes were stored in that file, and they are not used
+ * until they are imported (`scripts/migrate-quotes.js`) or the JSON backend is chosen again.
+ * @param {QuoteStorage} storage - The storage.
+ * @param {{ driver: string }} options - The storage options it was created with.
+ */
+export async function warnAboutUnmigratedQuotes(storage, { driver }) {
+  const legacyPath = path.resolve('quotes.json');
+  if (driver !== 'sqlite' || !fs.existsSync(legacyPath) || await storage.countQuotes() > 0) {
+    return;
+  }
+  console.warn(`Warning: the SQLite database has no quotes, but "${legacyPath}" exists and is not used. `
+    + 'Import it with `npm run migrate -- --guild <server id>` (scripts/migrate-quotes.js) if it is in the old single-server format, '
+    + 'or set QUOTES_STORAGE=json to keep using it.');
+}
@@ -0,0 +1,224 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DEFAULT_SETTINGS } from './settings.js';
+
+const FORMAT_VERSION = 2;
+
+/**
+ * Creates a quote storage backed by a JSON file of the form
+ * `{ "version": 2, "guilds": { "<guildId>": { "<keyword>": { ...quote } } }, "settings": { "<guildId>": { ...settings } } }`.
+ * Deleted quotes stay in the file, with `deletedAt` set, until restored or replaced by a new quote.
+ * Mutations are serialized and written atomically (to a temporary file, then renamed),
+ * so concurrent commands cannot overwrite each other's changes.
+ * @param {object} options - Storage options.
+ * @param {string} options.filePath - Path to the JSON file. It is created on the first save.
+ * @returns {object} The storage (see `createStorage` in `./index.js`).
+ */
+export function createJsonStorage({ filePath }) {
+  let queue = Promise.resolve();
+
+  /**
+   * Reads the whole file.
+   * @returns {Promise<{ version: number, guilds: object, settings: object }>} The stored data.
+   */
+  async function readData() {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { version: FORMAT_VERSION, guilds: {}, settings: {} };
+      }
+      console.error('Error reading quotes file:', error);
+      throw new Error('Failed to read quotes from storage.');
+    }
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      console.error('Error parsing quotes file:', error);
+      throw new Error('Failed to read quotes from storage.');
+    }
+    if (data.version === undefined && Object.keys(data).length === 0) {
+      return { version: FORMAT_VERSION, guilds: {}, settings: {} };
+    }
+    if (data.version !== FORMAT_VERSION) {
+      throw new Error(`"${filePath}" uses the old single-server format. Run \`npm run migrate -- --guild <server id>\` to convert it.`);
+    }
+    // Files written before settings were added have no `settings`.
+    data.settings ??= {};
+    return data;
+  }
+
+  /**
+   * Writes the whole file.
+   * @param {{ version: number, guilds: object, settings: object }} data - The data to store.
+   */
+  async function writeData(data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf-8');
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      console.error('Error writing quotes file:', error);
+      throw new Error('Failed to save quotes to storage.');
+    }
+  }
+
+  /**
+   * Runs a read-modify-write operation after all previously queued ones.
+   * @param {(data: object) => any} mutate - Changes the data and returns the result. The file is only written if it returns a truthy value.
+   * @returns {Promise<any>} The result of `mutate`.
+   */
+  function update(mutate) {
+    const result = queue.then(async () => {
+      const data = await readData();
+      const changed = mutate(data);
+      if (changed) {
+        await writeData(data);
+      }
+      return changed;
+    });
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  const toQuote = (guildId, keyword, stored) => (stored
+    ? { attachments: [], sourceMessageId: null, tags: [], deletedAt: null, deletedBy: null, guildId, keyword, ...stored }
+    : null);
+
+  /**
+   * Gets a quote that is not deleted, as stored in the data.
+   * @param {object} data - The stored data.
+   * @param {string} guildId - The server ID.
+   * @param {string} keyword - The keyword.
+   * @returns {object | undefined} The stored quote.
+   */
+  const getStored = (data, guildId, keyword) => {
+    const stored = data.guilds[guildId]?.[keyword];
+    return stored && !stored.deletedAt ? stored : undefined;
+  };
+
+  /**
+   * Lists the quotes of a server.
+   * @param {string} guildId - The server ID.
+   * @param {boolean} deleted - Whether to list the deleted quotes instead of the others.
+   * @returns {Promise<object[]>} The quotes, sorted by keyword.
+   */
+  async function listStored(guildId, deleted) {
+    const data = await readData();
+    return Object.entries(data.guilds[guildId] ?? {})
+      .filter(([, stored]) => Boolean(stored.deletedAt) === deleted)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([keyword, stored]) => toQuote(guildId, keyword, stored));
+  }
+
+  return {
+    async getQuote(guildId, keyword) {
+      const data = await readData();
+      return toQuote(guildId, keyword, getStored(data, guildId, keyword));
+    },
+    async getQuoteByMessage(guildId, messageId) {
+      const quotes = await this.listQuotes(guildId);
+      return quotes.find(quote => quote.sourceMessageId === messageId) ?? null;
+    },
+    async listQuotes(guildId) {
+      return listStored(guildId, false);
+    },
+    async getRandomQuote(guildId) {
+      const quotes = await this.listQuotes(guildId);
+      return quotes.length > 0 ? quotes[Math.floor(Math.random() * quotes.length)] : null;
+    },
+    async addQuote({ guildId, keyword, ...stored }) {
+      return update((data) => {
+        const guildQuotes = (data.guilds[guildId] ??= {});
+        const { sourceMessageId = null } = stored;
+        const conflicts = Object.entries(guildQuotes)
+          .filter(([existingKeyword, quote]) => existingKeyword === keyword || (sourceMessageId && quote.sourceMessageId === sourceMessageId));
+        if (conflicts.some(([, quote]) => !quote.deletedAt)) {
+          return false;
+        }
+        conflicts.forEach(([existingKeyword]) => delete guildQuotes[existingKeyword]);
+        guildQuotes[keyword] = { attachments: [], tags: [], ...stored, sourceMessageId, deletedAt: null, deletedBy: null };
+        return true;
+      });
+    },
+    async setMessageUrl(guildId, keyword, messageUrl) {
+      return update((data) => {
+        const stored = getStored(data, guildId, keyword);
+        if (!stored) {
+          return false;
+        }
+        stored.messageUrl = messageUrl;
+        return true;
+      });
+    },
+    async setContent(guildId, keyword, content) {
+      return update((data) => {
+        const stored = getStored(data, guildId, keyword);
+        if (!stored) {
+          return false;
+        }
+        stored.content = content;
+        return true;
+      });
+    },
+    async setTags(guildId, keyword, tags) {
+      return update((data) => {
+        const stored = getStored(data, guildId, keyword);
+        if (!stored) {
+          return false;
+        }
+        stored.tags = tags;
+        return true;
+      });
+    },
+    async deleteQuote(guildId, keyword, deletedBy) {
+      return update((data) => {
+        const stored = getStored(data, guildId, keyword);
+        if (!stored) {
+          return false;
+        }
+        stored.deletedAt = new Date().toISOString();
+        stored.deletedBy = deletedBy;
+        return true;
+      });
+    },
+    async listDeletedQuotes(guildId) {
+      const quotes = await listStored(guildId, true);
+      return quotes.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    },
+    async restoreQuote(guildId, keyword) {
+      return update((data) => {
+        const stored = data.guilds[guildId]?.[keyword];
+        if (!stored?.deletedAt) {
+          return false;
+        }
+        stored.deletedAt = null;
+        stored.deletedBy = null;
+        return true;
+      });
+    },
+    async countQuotes() {
+      const data = await readData();
+      return Object.values(data.guilds).reduce((count, guildQuotes) => count + Object.keys(guildQuotes).length, 0);
+    },
+    async getSettings(guildId) {
+      const data = await readData();
+      return { ...DEFAULT_SETTINGS, ...data.settings[guildId] };
+    },
+    async updateSettings(guildId, changes) {
+      let settings;
+      await update((data) => {
+        settings = { ...DEFAULT_SETTINGS, ...data.settings[guildId], ...changes };
+        data.settings[guildId] = settings;
+        return true;
+      });
+      return settings;
+    },
+    async close() {
+      await queue;
+    },
+  };
+}
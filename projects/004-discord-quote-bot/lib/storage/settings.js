@@ -0,0 +1,9 @@
+/**
+ * The settings of a server that has not changed any (see `GuildSettings` in `./index.js`).
+ */
+export const DEFAULT_SETTINGS = Object.freeze({
+  saveRoleId: null,
+  editRoleId: null,
+  deleteRoleId: null,
+  auditChannelId: null,
+});
@@ -0,0 +1,218 @@
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_SETTINGS } from './settings.js';
+
+/**
+ * Schema migrations, applied in order. `PRAGMA user_version` records how many have run,
+ * so each migration runs exactly once per database.
+ */
+const MIGRATIONS = [
+  (db) => db.exec(`
+    CREATE TABLE quotes (
+      guild_id TEXT NOT NULL,
+      keyword TEXT NOT NULL,
+      content TEXT NOT NULL,
+      author_id TEXT,
+      quoted_user_id TEXT,
+      channel_id TEXT,
+      message_url TEXT,
+      created_at TEXT NOT NULL,
+      PRIMARY KEY (guild_id, keyword)
+    );
+  `),
+  (db) => db.exec(`
+    ALTER TABLE quotes ADD COLUMN attachments TEXT NOT NULL DEFAULT '[]';
+    ALTER TABLE quotes ADD COLUMN source_message_id TEXT;
+    CREATE UNIQUE INDEX quotes_source_message ON quotes (guild_id, source_message_id) WHERE source_message_id IS NOT NULL;
+  `),
+  (db) => db.exec(`
+    ALTER TABLE quotes ADD COLUMN tags TEXT NOT NULL DEFAULT '[]';
+  `),
+  (db) => db.exec(`
+    ALTER TABLE quotes ADD COLUMN deleted_at TEXT;
+    ALTER TABLE quotes ADD COLUMN deleted_by TEXT;
+    CREATE TABLE guild_settings (
+      guild_id TEXT PRIMARY KEY,
+      save_role_id TEXT,
+      edit_role_id TEXT,
+      delete_role_id TEXT,
+      audit_channel_id TEXT
+    );
+  `),
+];
+
+/**
+ * Converts a database row to a quote object.
+ * @param {object | undefined} row - The row.
+ * @returns {object | null} The quote, or null if there is no row.
+ */
+function toQuote(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    guildId: row.guild_id,
+    keyword: row.keyword,
+    content: row.content,
+    authorId: row.author_id,
+    quotedUserId: row.quoted_user_id,
+    channelId: row.channel_id,
+    messageUrl: row.message_url,
+    attachments: JSON.parse(row.attachments),
+    sourceMessageId: row.source_message_id,
+    tags: JSON.parse(row.tags),
+    createdAt: row.created_at,
+    deletedAt: row.deleted_at,
+    deletedBy: row.deleted_by,
+  };
+}
+
+/**
+ * Converts a settings row to a settings object.
+ * @param {object | undefined} row - The row.
+ * @returns {object} The settings (see `GuildSettings` in `./index.js`).
+ */
+function toSettings(row) {
+  if (!row) {
+    return { ...DEFAULT_SETTINGS };
+  }
+  return {
+    saveRoleId: row.save_role_id,
+    editRoleId: row.edit_role_id,
+    deleteRoleId: row.delete_role_id,
+    auditChannelId: row.audit_channel_id,
+  };
+}
+
+/**
+ * Applies the pending schema migrations.
+ * @param {Database.Database} db - The database.
+ */
+function migrate(db) {
+  const version = db.pragma('user_version', { simple: true });
+  MIGRATIONS.slice(version).forEach((migration, index) => {
+    db.transaction(() => {
+      migration(db);
+      db.pragma(`user_version = ${version + index + 1}`);
+    })();
+  });
+}
+
+/**
+ * Creates a quote storage backed by a SQLite database.
+ * @param {object} options - Storage options.
+ * @param {string} options.filePath - Path to the database file. Missing directories are created.
+ * @returns {object} The storage (see `createStorage` in `./index.js`).
+ */
+export function createSqliteStorage({ filePath }) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  migrate(db);
+
+  // Deleted quotes are kept (with `deleted_at` set) until restored or replaced by a new quote.
+  const statements = {
+    get: db.prepare('SELECT * FROM quotes WHERE guild_id = ? AND keyword = ? AND deleted_at IS NULL'),
+    getByMessage: db.prepare('SELECT * FROM quotes WHERE guild_id = ? AND source_message_id = ? AND deleted_at IS NULL'),
+    list: db.prepare('SELECT * FROM quotes WHERE guild_id = ? AND deleted_at IS NULL ORDER BY keyword'),
+    random: db.prepare('SELECT * FROM quotes WHERE guild_id = ? AND deleted_at IS NULL ORDER BY RANDOM() LIMIT 1'),
+    listDeleted: db.prepare('SELECT * FROM quotes WHERE guild_id = ? AND deleted_at IS NOT NULL ORDER BY deleted_at DESC'),
+    count: db.prepare('SELECT COUNT(*) FROM quotes').pluck(),
+    conflicts: db.prepare(`
+      SELECT deleted_at FROM quotes
+      WHERE guild_id = @guildId AND (keyword = @keyword OR source_message_id = @sourceMessageId)
+    `),
+    purgeDeleted: db.prepare(`
+      DELETE FROM quotes
+      WHERE guild_id = @guildId AND deleted_at IS NOT NULL AND (keyword = @keyword OR source_message_id = @sourceMessageId)
+    `),
+    insert: db.prepare(`
+      INSERT INTO quotes (guild_id, keyword, content, author_id, quoted_user_id, channel_id, message_url, attachments, source_message_id, tags, created_at)
+      VALUES (@guildId, @keyword, @content, @authorId, @quotedUserId, @channelId, @messageUrl, @attachments, @sourceMessageId, @tags, @createdAt)
+    `),
+    setMessageUrl: db.prepare('UPDATE quotes SET message_url = ? WHERE guild_id = ? AND keyword = ? AND deleted_at IS NULL'),
+    setContent: db.prepare('UPDATE quotes SET content = ? WHERE guild_id = ? AND keyword = ? AND deleted_at IS NULL'),
+    setTags: db.prepare('UPDATE quotes SET tags = ? WHERE guild_id = ? AND keyword = ? AND deleted_at IS NULL'),
+    delete: db.prepare('UPDATE quotes SET deleted_at = ?, deleted_by = ? WHERE guild_id = ? AND keyword = ? AND deleted_at IS NULL'),
+    restore: db.prepare('UPDATE quotes SET deleted_at = NULL, deleted_by = NULL WHERE guild_id = ? AND keyword = ? AND deleted_at IS NOT NULL'),
+    getSettings: db.prepare('SELECT * FROM guild_settings WHERE guild_id = ?'),
+    saveSettings: db.prepare(`
+      INSERT INTO guild_settings (guild_id, save_role_id, edit_role_id, delete_role_id, audit_channel_id)
+      VALUES (@guildId, @saveRoleId, @editRoleId, @deleteRoleId, @auditChannelId)
+      ON CONFLICT (guild_id) DO UPDATE SET
+        save_role_id = excluded.save_role_id,
+        edit_role_id = excluded.edit_role_id,
+        delete_role_id = excluded.delete_role_id,
+        audit_channel_id = excluded.audit_channel_id
+    `),
+  };
+
+  const insertQuote = db.transaction((row) => {
+    if (statements.conflicts.all(row).some(conflict => conflict.deleted_at === null)) {
+      return false;
+    }
+    statements.purgeDeleted.run(row);
+    statements.insert.run(row);
+    return true;
+  });
+
+  const updateSettings = db.transaction((guildId, changes) => {
+    const settings = { ...toSettings(statements.getSettings.get(guildId)), ...changes };
+    statements.saveSettings.run({ guildId, ...settings });
+    return settings;
+  });
+
+  return {
+    async getQuote(guildId, keyword) {
+      return toQuote(statements.get.get(guildId, keyword));
+    },
+    async getQuoteByMessage(guildId, messageId) {
+      return toQuote(statements.getByMessage.get(guildId, messageId));
+    },
+    async listQuotes(guildId) {
+      return statements.list.all(guildId).map(toQuote);
+    },
+    async getRandomQuote(guildId) {
+      return toQuote(statements.random.get(guildId));
+    },
+    async addQuote(quote) {
+      return insertQuote({
+        ...quote,
+        attachments: JSON.stringify(quote.attachments ?? []),
+        sourceMessageId: quote.sourceMessageId ?? null,
+        tags: JSON.stringify(quote.tags ?? []),
+      });
+    },
+    async setMessageUrl(guildId, keyword, messageUrl) {
+      return statements.setMessageUrl.run(messageUrl, guildId, keyword).changes > 0;
+    },
+    async setContent(guildId, keyword, content) {
+      return statements.setContent.run(content, guildId, keyword).changes > 0;
+    },
+    async setTags(guildId, keyword, tags) {
+      return statements.setTags.run(JSON.stringify(tags), guildId, keyword).changes > 0;
+    },
+    async deleteQuote(guildId, keyword, deletedBy) {
+      return statements.delete.run(new Date().toISOString(), deletedBy, guildId, keyword).changes > 0;
+    },
+    async listDeletedQuotes(guildId) {
+      return statements.listDeleted.all(guildId).map(toQuote);
+    },
+    async restoreQuote(guildId, keyword) {
+      return statements.restore.run(guildId, keyword).changes > 0;
+    },
+    async countQuotes() {
+      return statements.count.get();
+    },
+    async getSettings(guildId) {
+      return toSettings(statements.getSettings.get(guildId));
+    },
+    async updateSettings(guildId, changes) {
+      return updateSettings(guildId, changes);
+    },
+    async close() {
+      db.close();
+    },
+  };
+}
@@ -0,0 +1,39 @@
+export const TAG_MAX_LENGTH = 32;
+export const MAX_TAGS = 10;
+
+/**
+ * Normalizes a tag for storage and lookup, e.g. "#Inside Jokes" -> "inside-jokes".
+ * @param {string} tag - The tag as typed by the user.
+ * @returns {string} The normalized tag (empty if nothing is left).
+ */
+export function normalizeTag(tag) {
+  return tag
+    .trim()
+    .toLowerCase()
+    .replace(/^#+/, '')
+    .replace(/\s+/g, '-')
+    .slice(0, TAG_MAX_LENGTH);
+}
+
+/**
+ * Parses a comma-separated list of tags, e.g. "funny, #work".
+ * @param {string | null} input - The tags as typed by the user.
+ * @returns {string[]} The unique normalized tags, in the order they were given.
+ * @throws {Error} If there are more than `MAX_TAGS` tags.
+ */
+export function parseTags(input) {
+  const tags = [...new Set((input ?? '').split(',').map(normalizeTag).filter(Boolean))];
+  if (tags.length > MAX_TAGS) {
+    throw new Error(`A quote can have at most ${MAX_TAGS} tags.`);
+  }
+  return tags;
+}
+
+/**
+ * Formats tags for display.
+ * @param {string[]} tags - The tags.
+ * @returns {string} The tags as "#tag1 #tag2".
+ */
+export function formatTags(tags) {
+  return tags.map(tag => `#${tag}`).join(' ');
+}
@@ -0,0 +1,85 @@
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'node:util';
+import { createStorage, getStorageOptionsFromEnv } from '../lib/storage/index.js';
+
+dotenv.config();
+
+const {
+  values: { guild: guildId, from: legacyPath, author: authorId },
+} = parseArgs({
+  options: {
+    guild: { type: 'string', short: 'g' },
+    from: { type: 'string', short: 'f', default: 'quotes.json' },
+    author: { type: 'string', short: 'a' },
+  },
+});
+
+if (!guildId) {
+  console.error('Usage: npm run migrate -- --guild <server id> [--from quotes.json] [--author <user id>]');
+  console.error('The old quotes.json was shared by every server, so its quotes are imported into the given server.');
+  process.exit(1);
+}
+
+/**
+ * Reads the old `{ "<keyword>": "<quote>" }` quotes file.
+ * @param {string} filePath - Path to the file.
+ * @returns {Promise<Record<string, string>>} The quotes by keyword.
+ * @throws {Error} If the file cannot be read or is not in the old format.
+ */
+async function readLegacyQuotes(filePath) {
+  const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  if (typeof data !== 'object' || data === null || data.version !== undefined
+    || Object.values(data).some(content => typeof content !== 'string')) {
+    throw new Error(`"${filePath}" is not an old-format quotes file.`);
+  }
+  return data;
+}
+
+/**
+ * Imports the quotes of the old quotes file into the configured storage for one server.
+ * Keywords that already exist in that server are skipped. The file's modification time is
+ * used as the creation time, since the old format did not record one.
+ */
+async function migrateQuotes() {
+  const filePath = path.resolve(legacyPath);
+  const quotes = await readLegacyQuotes(filePath);
+  const { mtime } = await fs.stat(filePath);
+
+  // With QUOTES_STORAGE=json the new file may replace the old one, which is kept as a backup.
+  const storageOptions = getStorageOptionsFromEnv();
+  if (storageOptions.filePath === filePath) {
+    await fs.rename(filePath, `${filePath}.bak`);
+    console.log(`Moved the old quotes file to "${filePath}.bak".`);
+  }
+  const storage = createStorage(storageOptions);
+  let imported = 0;
+  try {
+    for (const [keyword, content] of Object.entries(quotes)) {
+      const added = await storage.addQuote({
+        guildId,
+        keyword: keyword.trim().toLowerCase(),
+        content,
+        authorId: authorId ?? null,
+        quotedUserId: null,
+        channelId: null,
+        messageUrl: null,
+        createdAt: mtime.toISOString(),
+      });
+      if (added) {
+        imported += 1;
+      } else {
+        console.warn(`Skipped "${keyword}": the keyword already exists in server ${guildId}.`);
+      }
+    }
+  } finally {
+    await storage.close();
+  }
+  console.log(`Imported ${imported} of ${Object.keys(quotes).length} quote(s) into server ${guildId}.`);
+}
+
+migrateQuotes().catch((error) => {
+  console.error('Migration failed:', error.message);
+  process.exitCode = 1;
+});
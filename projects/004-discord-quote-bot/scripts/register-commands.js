@@ -0,0 +1,37 @@
+import { REST, Routes } from 'discord.js';
+import dotenv from 'dotenv';
+import { getCommandData } from '../lib/commands.js';
+
+dotenv.config();
+
+const token = process.env.DISCORD_BOT_TOKEN;
+const clientId = process.env.DISCORD_CLIENT_ID;
+const guildId = process.env.DISCORD_GUILD_ID;
+
+if (!token || !clientId) {
+  console.error('DISCORD_BOT_TOKEN and DISCORD_CLIENT_ID must be set in the .env file!');
+  process.exit(1);
+}
+
+const rest = new REST().setToken(token);
+
+/**
+ * Registers the slash commands. With DISCORD_GUILD_ID they are registered for that guild only,
+ * which takes effect immediately (useful during development); otherwise they are registered globally.
+ */
+async function registerCommands() {
+  const commands = getCommandData();
+  const route = guildId
+    ? Routes.applicationGuildCommands(clientId, guildId)
+    : Routes.applicationCommands(clientId);
+
+  try {
+    const registered = await rest.put(route, { body: commands });
+    console.log(`Registered ${registered.length} command(s) ${guildId ? `for guild ${guildId}` : 'globally'}.`);
+  } catch (error) {
+    console.error('Failed to register commands:', error);
+    process.exitCode = 1;
+  }
+}
+
+registerCommands();
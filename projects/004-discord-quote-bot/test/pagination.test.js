@@ -0,0 +1,73 @@
+/**
+ * @file test/pagination.test.js
+ * @description Unit tests for splitting list lines into embed pages.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PAGE_SIZE, buildPage, splitIntoPages } from '../lib/pagination.js';
+
+const DESCRIPTION_MAX_LENGTH = 4096;
+
+/**
+ * Creates lines of a given length.
+ * @param {number} count - The number of lines.
+ * @param {number} length - The length of each line.
+ * @returns {string[]} The lines, each ending with its number.
+ */
+const createLines = (count, length) => Array.from({ length: count }, (_, index) => `${index}`.padStart(length, 'x'));
+
+describe('splitIntoPages', () => {
+  it('should put at most PAGE_SIZE short lines on a page', () => {
+    const pages = splitIntoPages(createLines(25, 20));
+
+    assert.deepEqual(pages.map((page) => page.length), [PAGE_SIZE, PAGE_SIZE, 5]);
+    assert.deepEqual(pages.flat(), createLines(25, 20));
+  });
+
+  it('should put fewer long lines on a page to stay within the description limit', () => {
+    const pages = splitIntoPages(createLines(25, 700));
+
+    assert.deepEqual(pages.map((page) => page.length), [5, 5, 5, 5, 5]);
+    for (const page of pages) {
+      assert(page.join('\n').length <= DESCRIPTION_MAX_LENGTH);
+    }
+  });
+
+  it('should fill a page exactly up to the description limit', () => {
+    // 2047 characters, a newline and 2048 characters make exactly 4096.
+    const lines = ['a'.repeat(2047), 'b'.repeat(2048), 'c'];
+
+    const pages = splitIntoPages(lines);
+
+    assert.deepEqual(pages.map((page) => page.join('\n').length), [DESCRIPTION_MAX_LENGTH, 1]);
+  });
+
+  it('should cut a single line longer than the description limit', () => {
+    const pages = splitIntoPages(['short', 'x'.repeat(5000), 'after']);
+
+    assert.equal(pages.length, 3);
+    assert.deepEqual(pages[0], ['short']);
+    assert.equal(pages[1][0].length, DESCRIPTION_MAX_LENGTH);
+    assert(pages[1][0].endsWith('…'));
+    assert.deepEqual(pages[2], ['after']);
+  });
+
+  it('should return one empty page for an empty list', () => {
+    assert.deepEqual(splitIntoPages([]), [[]]);
+  });
+});
+
+describe('buildPage', () => {
+  it('should show the page number and the buttons only for multi-page lists', () => {
+    const lines = createLines(12, 700);
+
+    const first = buildPage({ title: 'Saved quotes', lines }, 0);
+    const single = buildPage({ title: 'Saved quotes', lines: ['- one'] }, 0);
+
+    assert.equal(first.embeds[0].data.footer.text, 'Page 1 of 3 · 12 in total');
+    assert.equal(first.components.length, 1);
+    assert.equal(single.embeds[0].data.description, '- one');
+    assert.deepEqual(single.components, []);
+  });
+});
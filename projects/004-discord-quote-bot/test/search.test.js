@@ -0,0 +1,120 @@
+/**
+ * @file test/search.test.js
+ * @description Unit tests for the typo-tolerant quote search.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { editDistance, searchQuotes } from '../lib/search.js';
+
+/**
+ * Creates a quote with the fields the search reads.
+ * @param {string} keyword - The quote's keyword.
+ * @param {string} content - The quote's content.
+ * @param {string[]} [tags] - The quote's tags.
+ * @returns {object} The quote.
+ */
+const createQuote = (keyword, content, tags = []) => ({ keyword, content, tags });
+
+/**
+ * Returns the keywords of the quotes matching a query, in result order.
+ * @param {object[]} quotes - The quotes to search.
+ * @param {string} query - The search query.
+ * @returns {string[]} The matching keywords.
+ */
+const searchKeywords = (quotes, query) => searchQuotes(quotes, query).map((quote) => quote.keyword);
+
+describe('editDistance', () => {
+  for (const [a, b, expected] of [
+    ['quote', 'quote', 0],
+    ['', 'abc', 3],
+    ['quote', 'qoute', 1],
+    ['quote', 'quotes', 1],
+    ['quote', 'qute', 1],
+    ['quote', 'quite', 1],
+    ['kitten', 'sitting', 3],
+    ['ca', 'abc', 3],
+  ]) {
+    it(`should return ${expected} for "${a}" and "${b}"`, () => {
+      assert.equal(editDistance(a, b), expected);
+      assert.equal(editDistance(b, a), expected);
+    });
+  }
+});
+
+describe('searchQuotes', () => {
+  const quotes = [
+    createQuote('monday', 'I hate Mondays', ['garfield']),
+    createQuote('lasagna', 'Lasagna is a food group', ['garfield', 'food']),
+    createQuote('deploy', 'Never deploy on a Friday', ['work']),
+    createQuote('coffee', 'First coffee, then code', ['work', 'food']),
+  ];
+
+  it('should match words with a swapped or missing letter', () => {
+    assert.deepEqual(searchKeywords(quotes, 'lasgana'), ['lasagna']);
+    assert.deepEqual(searchKeywords(quotes, 'fridy'), ['deploy']);
+    assert.deepEqual(searchKeywords(quotes, 'cofee'), ['coffee']);
+  });
+
+  it('should match the start of longer words despite a typo', () => {
+    const long = [createQuote('a', 'Programming is fun'), createQuote('b', 'Deployment day')];
+
+    assert.deepEqual(searchKeywords(long, 'progrma'), ['a']);
+    assert.deepEqual(searchKeywords(long, 'delpoy'), ['b']);
+  });
+
+  it('should ignore case and accents', () => {
+    assert.deepEqual(searchKeywords([createQuote('cafe', 'Un CAFÉ, s’il vous plaît')], 'cafe plait'), ['cafe']);
+  });
+
+  it('should not tolerate typos in terms shorter than three letters', () => {
+    assert.deepEqual(searchKeywords(quotes, 'xo'), []);
+    assert.deepEqual(searchKeywords(quotes, 'on'), ['deploy']);
+  });
+
+  it('should not match words that are too far off', () => {
+    assert.deepEqual(searchKeywords(quotes, 'lsgn'), []);
+    assert.deepEqual(searchKeywords(quotes, 'pizza'), []);
+  });
+
+  it('should require every term to match', () => {
+    assert.deepEqual(searchKeywords(quotes, 'food garfield'), ['lasagna']);
+    assert.deepEqual(searchKeywords(quotes, 'food deploy'), []);
+  });
+
+  it('should rank keyword matches above content and tag matches', () => {
+    const ranked = [
+      createQuote('alpha', 'Talking about the weather'),
+      createQuote('weather', 'Rain again'),
+    ];
+
+    assert.deepEqual(searchKeywords(ranked, 'weather'), ['weather', 'alpha']);
+  });
+
+  it('should rank exact matches above prefixes and typos', () => {
+    const ranked = [
+      createQuote('a', 'Codes everywhere'),
+      createQuote('b', 'Cdoe review'),
+      createQuote('c', 'Code review'),
+    ];
+
+    assert.deepEqual(searchKeywords(ranked, 'code'), ['c', 'a', 'b']);
+  });
+
+  it('should rank phrase matches above scattered words', () => {
+    const ranked = [
+      createQuote('a', 'Code first, review later'),
+      createQuote('b', 'Review the code first'),
+    ];
+
+    assert.deepEqual(searchKeywords(ranked, 'code first'), ['a', 'b']);
+  });
+
+  it('should order equal scores by keyword', () => {
+    assert.deepEqual(searchKeywords(quotes, 'work'), ['coffee', 'deploy']);
+  });
+
+  it('should return nothing for an empty query', () => {
+    assert.deepEqual(searchQuotes(quotes, '  '), []);
+  });
+});
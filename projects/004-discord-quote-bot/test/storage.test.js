@@ -0,0 +1,136 @@
+/**
+ * @file test/storage.test.js
+ * @description Unit tests for the SQLite and JSON quote storage drivers.
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { STORAGE_DRIVERS, createStorage, warnAboutUnmigratedQuotes } from '../lib/storage/index.js';
+
+/**
+ * Creates a quote to save.
+ * @param {string} keyword - The quote's keyword.
+ * @returns {object} The quote.
+ */
+const createQuote = (keyword) => ({
+  guildId: 'guild',
+  keyword,
+  content: `The ${keyword} quote`,
+  authorId: 'author',
+  quotedUserId: null,
+  channelId: 'channel',
+  messageUrl: null,
+  createdAt: '2026-01-01T00:00:00.000Z',
+});
+
+let tempDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quote-storage-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+for (const driver of STORAGE_DRIVERS) {
+  describe(`${driver} storage`, () => {
+    /**
+     * Creates a storage in the temporary directory.
+     * @returns {object} The storage.
+     */
+    const openStorage = () => createStorage({ driver, filePath: path.join(tempDir, `quotes.${driver}`) });
+
+    it('should set the message link of a quote', async () => {
+      const storage = openStorage();
+      await storage.addQuote(createQuote('hello'));
+
+      assert.equal(await storage.setMessageUrl('guild', 'hello', 'https://discord.com/channels/1/2/3'), true);
+      assert.equal((await storage.getQuote('guild', 'hello')).messageUrl, 'https://discord.com/channels/1/2/3');
+      await storage.close();
+    });
+
+    it('should not set the message link of a deleted quote', async () => {
+      const storage = openStorage();
+      await storage.addQuote(createQuote('hello'));
+      await storage.deleteQuote('guild', 'hello', 'deleter');
+
+      assert.equal(await storage.setMessageUrl('guild', 'hello', 'https://discord.com/channels/1/2/3'), false);
+      await storage.restoreQuote('guild', 'hello');
+      assert.equal((await storage.getQuote('guild', 'hello')).messageUrl, null);
+      await storage.close();
+    });
+
+    it('should count the quotes of all servers, deleted ones included', async () => {
+      const storage = openStorage();
+      assert.equal(await storage.countQuotes(), 0);
+
+      await storage.addQuote(createQuote('hello'));
+      await storage.addQuote({ ...createQuote('hello'), guildId: 'other' });
+      await storage.addQuote(createQuote('bye'));
+      await storage.deleteQuote('guild', 'bye', 'deleter');
+
+      assert.equal(await storage.countQuotes(), 3);
+      await storage.close();
+    });
+  });
+}
+
+describe('warnAboutUnmigratedQuotes', () => {
+  let cwd;
+
+  beforeEach(() => {
+    cwd = process.cwd();
+    process.chdir(tempDir);
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    process.chdir(cwd);
+  });
+
+  it('should warn when the database is empty and a quotes.json exists', async () => {
+    fs.writeFileSync('quotes.json', '{ "hello": "world" }');
+    const storage = createStorage({ driver: 'sqlite', filePath: path.join(tempDir, 'quotes.db') });
+
+    await warnAboutUnmigratedQuotes(storage, { driver: 'sqlite' });
+
+    assert.equal(console.warn.mock.callCount(), 1);
+    assert.match(console.warn.mock.calls[0].arguments[0], /scripts\/migrate-quotes\.js/);
+    await storage.close();
+  });
+
+  it('should not warn without a quotes.json', async () => {
+    const storage = createStorage({ driver: 'sqlite', filePath: path.join(tempDir, 'quotes.db') });
+
+    await warnAboutUnmigratedQuotes(storage, { driver: 'sqlite' });
+
+    assert.equal(console.warn.mock.callCount(), 0);
+    await storage.close();
+  });
+
+  it('should not warn when the database has quotes', async () => {
+    fs.writeFileSync('quotes.json', '{ "hello": "world" }');
+    const storage = createStorage({ driver: 'sqlite', filePath: path.join(tempDir, 'quotes.db') });
+    await storage.addQuote(createQuote('hello'));
+
+    await warnAboutUnmigratedQuotes(storage, { driver: 'sqlite' });
+
+    assert.equal(console.warn.mock.callCount(), 0);
+    await storage.close();
+  });
+
+  it('should not warn when the JSON backend is used', async () => {
+    fs.writeFileSync('quotes.json', '{}');
+    const storage = createStorage({ driver: 'json', filePath: path.join(tempDir, 'quotes.json') });
+
+    await warnAboutUnmigratedQuotes(storage, { driver: 'json' });
+
+    assert.equal(console.warn.mock.callCount(), 0);
+    await storage.close();
+  });
+});
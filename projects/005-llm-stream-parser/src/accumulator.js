@@ -0,0 +1,189 @@
+/**
+ * @file src/accumulator.js
+ * @description Assembles the normalized chunks of a stream into the final response message.
+ *
+ * Consumers usually want both: the chunks in real time (to display text as it
+ * arrives) and the complete response at the end (to store it, or to run its
+ * tool calls). `MessageAccumulator` collects the text, content parts, tool
+ * calls and response metadata from the chunks while passing them through, so
+ * the stream only needs to be read once.
+ */
+
+import { TOOL_CALL_EVENT_TYPES } from './utils/constants.js';
+
+/**
+ * @typedef {import('./adapters/base-adapter.js').NormalizedChunk} NormalizedChunk
+ * @typedef {import('./adapters/base-adapter.js').Usage} Usage
+ * @typedef {import('./utils/tool-call-buffer.js').ToolCall} ToolCall
+ */
+
+/**
+ * @typedef {{type: 'text', text: string} | {type: 'tool_call', toolCall: ToolCall}} ContentPart
+ * A part of the response content, in the order the model generated them.
+ */
+
+/**
+ * @typedef {object} AccumulatedMessage
+ * @property {string | null} id - The provider's identifier for the response.
+ * @property {string | null} model - The model that generated the response.
+ * @property {string} text - The full text of the response.
+ * @property {ContentPart[]} content - The text and tool calls of the response, in order.
+ * @property {ToolCall[]} toolCalls - The complete tool calls of the response.
+ * @property {string | null} stopReason - Why the model stopped generating, as reported by the provider.
+ * @property {{inputTokens: number | null, outputTokens: number | null, totalTokens: number | null} | null} usage -
+ *   The token usage, or null if the provider did not report any.
+ */
+
+/**
+ * Collects normalized chunks into the final, provider-neutral response message.
+ *
+ * A new accumulator must be used for every stream.
+ *
+ * @example
+ * const accumulator = new MessageAccumulator();
+ * for await (const chunk of accumulator.track(parser.parse(response.body))) {
+ *   process.stdout.write(chunk.data);
+ * }
+ * const { text, toolCalls, usage } = accumulator.message;
+ */
+export class MessageAccumulator {
+  /**
+   * @type {string | null}
+   */
+  #id = null;
+
+  /**
+   * @type {string | null}
+   */
+  #model = null;
+
+  /**
+   * @type {string | null}
+   */
+  #stopReason = null;
+
+  /**
+   * The token counts reported so far. Later reports replace earlier ones, as providers send cumulative counts.
+   * @type {Usage | null}
+   */
+  #usage = null;
+
+  /**
+   * @type {ContentPart[]}
+   */
+  #content = [];
+
+  /**
+   * The content block of the last text chunk, or null if its provider does not stream content blocks.
+   * @type {number | null}
+   */
+  #textBlock = null;
+
+  /**
+   * Adds a chunk to the message.
+   *
+   * Text is appended to the current text part, and a tool call starts a new part, so
+   * text before and after a tool call ends up in separate parts. Providers that stream
+   * content blocks (Anthropic, Cohere) send the block's `index` with each chunk, and text
+   * of a new block also starts a new part. `tool_call_delta` chunks are ignored; the
+   * complete `tool_call` chunk that follows them is used instead.
+   *
+   * @param {NormalizedChunk} chunk - The next chunk of the stream.
+   * @returns {NormalizedChunk} The same chunk, for use in pipelines.
+   */
+  add(chunk) {
+    if (chunk.metadata) {
+      this.#addMetadata(chunk.metadata);
+    }
+    // Adapters without metadata support still report the stream ID on every chunk.
+    this.#id ??= chunk.id ?? null;
+
+    if (chunk.event === TOOL_CALL_EVENT_TYPES.COMPLETE && chunk.toolCall) {
+      this.#content.push({ type: 'tool_call', toolCall: chunk.toolCall });
+    } else if (chunk.data) {
+      const lastPart = this.#content.at(-1);
+      const block = Number.isInteger(chunk.raw?.index) ? chunk.raw.index : null;
+      if (lastPart?.type === 'text' && block === this.#textBlock) {
+        lastPart.text += chunk.data;
+      } else {
+        this.#content.push({ type: 'text', text: chunk.data });
+      }
+      this.#textBlock = block;
+    }
+    return chunk;
+  }
+
+  /**
+   * Passes the chunks of a stream through, adding each to the message before yielding it.
+   *
+   * @async
+   * @generator
+   * @param {AsyncIterable<NormalizedChunk>} chunks - The normalized chunks, e.g. from `parseStream`.
+   * @yields {NormalizedChunk} The same chunks, in real time.
+   */
+  async* track(chunks) {
+    for await (const chunk of chunks) {
+      yield this.add(chunk);
+    }
+  }
+
+  /**
+   * The message assembled from the chunks added so far.
+   * Each access returns a new object, so it can be kept while the stream continues.
+   *
+   * @returns {AccumulatedMessage} The message.
+   */
+  get message() {
+    const content = this.#content.map((part) => ({ ...part }));
+    return {
+      id: this.#id,
+      model: this.#model,
+      text: content.filter((part) => part.type === 'text').map((part) => part.text).join(''),
+      content,
+      toolCalls: content.filter((part) => part.type === 'tool_call').map((part) => part.toolCall),
+      stopReason: this.#stopReason,
+      usage: this.#usage && {
+        inputTokens: this.#usage.inputTokens ?? null,
+        outputTokens: this.#usage.outputTokens ?? null,
+        totalTokens: this.#usage.totalTokens
+          ?? (this.#usage.inputTokens !== undefined && this.#usage.outputTokens !== undefined
+            ? this.#usage.inputTokens + this.#usage.outputTokens
+            : null),
+      },
+    };
+  }
+
+  /**
+   * Merges the response metadata of a chunk into the message.
+   *
+   * @param {import('./adapters/base-adapter.js').ChunkMetadata} metadata - The metadata.
+   * @private
+   */
+  #addMetadata({ messageId, model, stopReason, usage }) {
+    this.#id = messageId ?? this.#id;
+    this.#model = model ?? this.#model;
+    this.#stopReason = stopReason ?? this.#stopReason;
+    if (usage) {
+      this.#usage = { ...this.#usage, ...usage };
+    }
+  }
+}
+
+/**
+ * Reads a stream of normalized chunks to the end and returns the assembled message.
+ * Use `MessageAccumulator#track` instead to also process the chunks as they arrive.
+ *
+ * @param {AsyncIterable<NormalizedChunk>} chunks - The normalized chunks, e.g. from `parseStream`.
+ * @returns {Promise<AccumulatedMessage>} The message.
+ *
+ * @example
+ * const message = await accumulateMessage(parser.parse(response.body));
+ * console.log(message.text, message.usage);
+ */
+export async function accumulateMessage(chunks) {
+  const accumulator = new MessageAccumulator();
+  for await (const chunk of chunks) {
+    accumulator.add(chunk);
+  }
+  return accumulator.message;
+}
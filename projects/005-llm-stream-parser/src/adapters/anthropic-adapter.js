@@ -12,6 +12,8 @@
 import { BaseAdapter } from './base-adapter.js';
 import { StreamError } from '../errors/StreamError.js';
 import { ANTHROPIC_EVENT_TYPES } from '../utils/constants.js';
+import { createToolCallChunk, createToolCallDeltaChunk } from '../utils/tool-call-buffer.js';
+import { createMetadata, createUsage } from '../utils/metadata.js';
 
 /**
  * An adapter for parsing and normalizing streaming responses from the Anthropic API.
@@ -19,7 +21,8 @@ import { ANTHROPIC_EVENT_TYPES } from '../utils/constants.js';
  * This class extends `BaseAdapter` and implements the `normalize` method
  * to handle the specific JSON structure and event types of Anthropic's
  * streaming events. It correctly extracts content deltas and identifies the
- * end of the stream.
+ * end of the stream. `tool_use` content blocks are reassembled from their
+ * `input_json_delta` parts into `tool_call` chunks when the block stops.
  *
  * @see {@link https://docs.anthropic.com/claude/reference/messages-streaming}
  * @extends {BaseAdapter}
@@ -34,10 +37,12 @@ export class AnthropicAdapter extends BaseAdapter {
    *
    * @param {object} chunk - The parsed JSON object from a single stream event.
    * @param {string} eventType - The SSE event type (e.g., 'message_start', 'content_block_delta').
+   * @param {import('./base-adapter.js').StreamState} [state] - The state of the stream the chunk belongs to.
    * @returns {import('./base-adapter.js').NormalizedChunk | null} A standardized chunk object, or null if the event is not meant for consumption (e.g., 'ping').
-   * @throws {StreamError} If the chunk format is unexpected or an API error is reported.
+   * @throws {StreamError} If the chunk format is unexpected, an API error is reported,
+   *   or the input of a finished `tool_use` block is not valid JSON.
    */
-  normalize(chunk, eventType) {
+  normalize(chunk, eventType, state = this.createStreamState()) {
     // Use a switch statement for clear, efficient handling of different event types.
     switch (eventType) {
       case ANTHROPIC_EVENT_TYPES.PING:
@@ -57,7 +62,22 @@ export class AnthropicAdapter extends BaseAdapter {
         };
 
       case ANTHROPIC_EVENT_TYPES.CONTENT_BLOCK_DELTA:
-        // This event contains a piece of the message content.
+        // The input of a `tool_use` block is streamed as fragments of its JSON.
+        if (chunk.delta?.type === 'input_json_delta' && typeof chunk.delta.partial_json === 'string') {
+          const appended = state.toolCalls.append({ index: chunk.index, argumentsDelta: chunk.delta.partial_json });
+          return createToolCallDeltaChunk(appended, chunk);
+        }
+        // Other deltas (e.g. `thinking_delta`, `signature_delta` or `citations_delta`) carry no message text.
+        if (typeof chunk.delta?.type === 'string' && chunk.delta.type !== 'text_delta') {
+          return {
+            id: null,
+            event: eventType,
+            data: '',
+            done: false,
+            raw: chunk,
+          };
+        }
+        // Otherwise this event contains a piece of the message content.
         // We ensure the chunk has the expected structure before accessing nested properties.
         if (chunk.delta?.type !== 'text_delta' || typeof chunk.delta?.text !== 'string') {
           throw new StreamError('Invalid Anthropic content_block_delta: "delta.text" is missing or not a string.', {
@@ -103,11 +123,30 @@ export class AnthropicAdapter extends BaseAdapter {
           chunk: JSON.stringify(chunk),
         });
 
-      // Events like 'content_block_start' and 'content_block_stop' are metadata events.
-      // While useful, they don't carry primary text content for the consumer.
-      // We treat them as empty, skippable chunks to avoid cluttering the output.
       case ANTHROPIC_EVENT_TYPES.CONTENT_BLOCK_START:
+        // A `tool_use` block starts a tool call; its ID and name are only sent here.
+        if (chunk.content_block?.type === 'tool_use') {
+          const appended = state.toolCalls.append({
+            index: chunk.index,
+            id: chunk.content_block.id,
+            name: chunk.content_block.name,
+          });
+          return createToolCallDeltaChunk(appended, chunk);
+        }
+        return {
+          id: null,
+          event: eventType,
+          data: '',
+          done: false,
+          raw: chunk,
+        };
+
       case ANTHROPIC_EVENT_TYPES.CONTENT_BLOCK_STOP:
+        // The end of a `tool_use` block completes its tool call.
+        if (state.toolCalls.has(chunk.index)) {
+          return createToolCallChunk(state.toolCalls.finish(chunk.index), chunk);
+        }
+        // The end of other blocks is a metadata event without text content for the consumer.
         return {
           id: null,
           event: eventType,
@@ -129,6 +168,47 @@ export class AnthropicAdapter extends BaseAdapter {
         };
     }
   }
+
+  /**
+   * Extracts the response metadata from an Anthropic stream event.
+   * `message_start` carries the message ID, model and input token count, and
+   * `message_delta` the stop reason and the cumulative output token count.
+   *
+   * @param {object} chunk - The parsed JSON object from a single stream event.
+   * @param {string} eventType - The SSE event type.
+   * @returns {import('./base-adapter.js').ChunkMetadata | null} The metadata of the event, or null for other events.
+   */
+  getMetadata(chunk, eventType) {
+    switch (eventType) {
+      case ANTHROPIC_EVENT_TYPES.MESSAGE_START:
+        return createMetadata({
+          messageId: chunk.message?.id,
+          model: chunk.message?.model,
+          stopReason: chunk.message?.stop_reason,
+          usage: toUsage(chunk.message?.usage),
+        });
+      case ANTHROPIC_EVENT_TYPES.MESSAGE_DELTA:
+        return createMetadata({
+          stopReason: chunk.delta?.stop_reason,
+          usage: toUsage(chunk.usage),
+        });
+      default:
+        return null;
+    }
+  }
+}
+
+/**
+ * Converts Anthropic's token counts to the normalized usage.
+ *
+ * @param {object | undefined} usage - The `usage` object of a `message_start` or `message_delta` event.
+ * @returns {import('./base-adapter.js').Usage | null} The usage, or null if the event has none.
+ * @private
+ */
+function toUsage(usage) {
+  return usage
+    ? createUsage({ inputTokens: usage.input_tokens, outputTokens: usage.output_tokens })
+    : null;
 }
 
 // Export a singleton instance for convenience, allowing for direct use
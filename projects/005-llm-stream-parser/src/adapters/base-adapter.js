@@ -15,14 +15,44 @@
  */
 
 import { StreamError } from '../errors/StreamError.js';
+import { ToolCallBuffer } from '../utils/tool-call-buffer.js';
+import { STREAM_FRAMINGS } from '../utils/constants.js';
+
+/**
+ * @typedef {import('../utils/tool-call-buffer.js').ToolCall} ToolCall
+ * @typedef {import('../utils/tool-call-buffer.js').ToolCallDelta} ToolCallDelta
+ */
 
 /**
  * @typedef {object} NormalizedChunk
  * @property {string | null} id - A unique identifier for the stream or event.
- * @property {string | null} event - The type of event (e.g., 'message_delta', 'completion').
+ * @property {string | null} event - The type of event (e.g., 'message_delta', 'completion', 'tool_call').
  * @property {string | null} data - The primary content payload, typically a piece of the generated text.
  * @property {boolean} done - A flag indicating if this is the final chunk in the stream.
  * @property {object | null} raw - The original, unprocessed JSON object from the provider.
+ * @property {ToolCall | ToolCallDelta} [toolCall] - Only on `tool_call` events (the complete call) and
+ *   `tool_call_delta` events (a streamed part of its arguments).
+ * @property {ChunkMetadata} [metadata] - Response metadata carried by the provider chunk, if any (see `BaseAdapter#getMetadata`).
+ */
+
+/**
+ * @typedef {object} Usage
+ * @property {number} [inputTokens] - The number of tokens in the prompt.
+ * @property {number} [outputTokens] - The number of tokens generated so far.
+ * @property {number} [totalTokens] - The total number of tokens, if the provider reports it.
+ */
+
+/**
+ * @typedef {object} ChunkMetadata
+ * @property {string} [messageId] - The provider's identifier for the response.
+ * @property {string} [model] - The model that generated the response.
+ * @property {string} [stopReason] - Why the model stopped generating, as reported by the provider (e.g. 'stop', 'end_turn', 'STOP').
+ * @property {Usage} [usage] - Token usage. Counts may be cumulative and are repeated in later chunks.
+ */
+
+/**
+ * @typedef {object} StreamState
+ * @property {ToolCallBuffer} toolCalls - The tool calls of the response that have not finished yet.
  */
 
 /**
@@ -46,15 +76,57 @@ export class BaseAdapter {
     }
   }
 
+  /**
+   * How the provider frames the messages of its streams. The parser uses this
+   * framing unless it is given one, so adapters for providers that do not use SSE
+   * (e.g. Ollama's newline-delimited JSON) override it.
+   *
+   * @returns {'sse' | 'ndjson' | 'aws-event-stream'} The framing (one of `STREAM_FRAMINGS`).
+   */
+  get framing() {
+    return STREAM_FRAMINGS.SSE;
+  }
+
+  /**
+   * Creates the state an adapter keeps while normalizing a single stream, such as
+   * partially received tool calls. The parser creates one per stream and passes it
+   * to every `normalize` call, so adapter instances can be shared between streams.
+   *
+   * @returns {StreamState} A fresh stream state.
+   */
+  createStreamState() {
+    return { toolCalls: new ToolCallBuffer() };
+  }
+
+  /**
+   * Extracts the response metadata (message ID, model, stop reason and token usage) from a
+   * provider-specific JSON object. The parser attaches it to the first chunk normalized from
+   * that object as `metadata`, which `MessageAccumulator` uses to assemble the final message.
+   *
+   * Adapters override this for providers that send metadata; the default reports none.
+   *
+   * @param {object} chunk - The parsed JSON object from a single stream event.
+   * @param {string} [eventType] - The SSE event type, for providers that use them.
+   * @returns {ChunkMetadata | null} The metadata found in the chunk, or null if there is none.
+   */
+  getMetadata(chunk, eventType) {
+    const _unused = [chunk, eventType];
+    return null;
+  }
+
   /**
    * Normalizes a provider-specific JSON object into a unified format.
    *
    * This is the core method that child classes must implement. It takes a parsed
    * JSON object from a stream chunk and transforms it into a standard `NormalizedChunk` object.
+   * A single provider chunk may produce several normalized chunks (e.g. a text delta and a
+   * finished tool call), in which case an array is returned.
    *
    * @abstract
    * @param {object} chunk - The parsed JSON object from a single stream event.
-   * @returns {NormalizedChunk} A standardized chunk object.
+   * @param {string} [eventType] - The SSE event type, for providers that use them.
+   * @param {StreamState} [state] - The state of the stream the chunk belongs to (see `createStreamState`).
+   * @returns {NormalizedChunk | NormalizedChunk[] | null} A standardized chunk object, several of them, or null to skip the chunk.
    * @throws {StreamError} If the chunk is malformed or cannot be normalized.
    * @throws {Error} If the method is not implemented by a subclass.
    */
@@ -0,0 +1,183 @@
+/**
+ * @file src/adapters/bedrock-adapter.js
+ * @description Adapter for normalizing chunks from Amazon Bedrock's `InvokeModelWithResponseStream` API.
+ *
+ * This module provides the `BedrockAdapter` class. Bedrock streams with the
+ * binary AWS event stream encoding rather than SSE (see
+ * `utils/aws-event-stream-decoder.js`), so this adapter defaults the parser to
+ * the `aws-event-stream` framing. Each `chunk` event carries the model's own
+ * stream chunk as base64-encoded JSON in its `bytes` field, which the adapter
+ * decodes and hands to the adapter of the model's provider.
+ */
+
+import { BaseAdapter } from './base-adapter.js';
+import { AnthropicAdapter } from './anthropic-adapter.js';
+import { StreamError } from '../errors/StreamError.js';
+import { ANTHROPIC_EVENT_TYPES, STREAM_FRAMINGS } from '../utils/constants.js';
+import { createMetadata, createUsage } from '../utils/metadata.js';
+
+/**
+ * The event type of the events that carry a model chunk.
+ * @private
+ */
+const BEDROCK_CHUNK_EVENT_TYPE = 'chunk';
+
+/**
+ * The field Bedrock adds to the last model chunk, with the token counts of the invocation.
+ * @private
+ */
+const INVOCATION_METRICS_FIELD = 'amazon-bedrock-invocationMetrics';
+
+/**
+ * An adapter for parsing and normalizing streaming responses from Amazon Bedrock.
+ *
+ * The model chunks are normalized by the adapter for the model's provider, which
+ * defaults to `AnthropicAdapter` for Claude models. The chunks of Anthropic models
+ * on Bedrock are the same as Anthropic's own stream events, with the event type in
+ * their `type` field instead of the SSE event name.
+ *
+ * @example
+ * // `response` is the raw HTTP response of a signed `InvokeModelWithResponseStream` request.
+ * // (The AWS SDK decodes the event stream itself and does not need this library.)
+ * const parser = createStreamParser({ adapter: new BedrockAdapter() });
+ * for await (const chunk of parser.parse(response.body)) {
+ *   process.stdout.write(chunk.data);
+ * }
+ *
+ * @see {@link https://docs.aws.amazon.com/bedrock/latest/APIReference/API_runtime_InvokeModelWithResponseStream.html}
+ * @extends {BaseAdapter}
+ */
+export class BedrockAdapter extends BaseAdapter {
+  /**
+   * The adapter for the chunks of the invoked model.
+   * @type {BaseAdapter}
+   */
+  #modelAdapter;
+
+  /**
+   * The decoded model chunk of each Bedrock chunk, so `getMetadata` does not decode it again.
+   * @type {WeakMap<object, object>}
+   */
+  #decoded = new WeakMap();
+
+  /**
+   * Constructs a new BedrockAdapter.
+   *
+   * @param {object} [options] - The adapter options.
+   * @param {BaseAdapter} [options.modelAdapter=new AnthropicAdapter()] - The adapter for the chunks of the invoked model.
+   */
+  constructor({ modelAdapter = new AnthropicAdapter() } = {}) {
+    super();
+    this.#modelAdapter = modelAdapter;
+  }
+
+  /**
+   * Bedrock streams with the AWS event stream encoding.
+   *
+   * @returns {'aws-event-stream'} The framing.
+   */
+  get framing() {
+    return STREAM_FRAMINGS.AWS_EVENT_STREAM;
+  }
+
+  /**
+   * Creates the stream state of the model adapter.
+   *
+   * @returns {import('./base-adapter.js').StreamState} A fresh stream state.
+   */
+  createStreamState() {
+    return this.#modelAdapter.createStreamState();
+  }
+
+  /**
+   * Normalizes a Bedrock event by decoding its model chunk and normalizing that with the model adapter.
+   *
+   * @param {object} chunk - The parsed JSON payload of a single event stream message.
+   * @param {string} [eventType] - The `:event-type` header of the message.
+   * @param {import('./base-adapter.js').StreamState} [state] - The state of the stream the chunk belongs to.
+   * @returns {import('./base-adapter.js').NormalizedChunk | import('./base-adapter.js').NormalizedChunk[] | null}
+   *   What the model adapter returns for the model chunk.
+   * @throws {StreamError} If the model chunk is not valid base64-encoded JSON, or the model adapter throws.
+   */
+  normalize(chunk, eventType, state = this.createStreamState()) {
+    if (eventType !== BEDROCK_CHUNK_EVENT_TYPE) {
+      // Other events carry no model output.
+      return {
+        id: null,
+        event: eventType ?? null,
+        data: '',
+        done: false,
+        raw: chunk,
+      };
+    }
+    const modelChunk = this.#decode(chunk);
+    const normalized = this.#modelAdapter.normalize(modelChunk, modelChunk.type ?? eventType, state);
+    if (modelChunk.type === ANTHROPIC_EVENT_TYPES.MESSAGE_DELTA) {
+      // Anthropic's `message_delta` ends the message, but Bedrock adds the invocation metrics
+      // to the `message_stop` after it, so the stream is read until then.
+      return Array.isArray(normalized)
+        ? normalized.map((normalizedChunk) => ({ ...normalizedChunk, done: false }))
+        : normalized && { ...normalized, done: false };
+    }
+    return normalized;
+  }
+
+  /**
+   * Extracts the response metadata with the model adapter, and the token usage from
+   * the invocation metrics Bedrock adds to the last model chunk.
+   *
+   * @param {object} chunk - The parsed JSON payload of a single event stream message.
+   * @param {string} [eventType] - The `:event-type` header of the message.
+   * @returns {import('./base-adapter.js').ChunkMetadata | null} The metadata of the chunk.
+   */
+  getMetadata(chunk, eventType) {
+    if (eventType !== BEDROCK_CHUNK_EVENT_TYPE) {
+      return null;
+    }
+    const modelChunk = this.#decode(chunk);
+    const metadata = this.#modelAdapter.getMetadata(modelChunk, modelChunk.type ?? eventType);
+    const metrics = modelChunk[INVOCATION_METRICS_FIELD];
+    return createMetadata({
+      ...metadata,
+      usage: (metrics && createUsage({ inputTokens: metrics.inputTokenCount, outputTokens: metrics.outputTokenCount }))
+        ?? metadata?.usage,
+    });
+  }
+
+  /**
+   * Decodes the model chunk of a Bedrock chunk event.
+   *
+   * @param {object} chunk - The payload of the event, `{ bytes: '<base64>' }`.
+   * @returns {object} The model chunk.
+   * @throws {StreamError} If `bytes` is missing or not base64-encoded JSON.
+   * @private
+   */
+  #decode(chunk) {
+    if (this.#decoded.has(chunk)) {
+      return this.#decoded.get(chunk);
+    }
+    if (typeof chunk.bytes !== 'string') {
+      throw new StreamError('Invalid Bedrock chunk: "bytes" is missing or not a string.', {
+        code: 'UNEXPECTED_FORMAT',
+        chunk: JSON.stringify(chunk),
+      });
+    }
+    let modelChunk;
+    try {
+      const bytes = Uint8Array.from(atob(chunk.bytes), (character) => character.charCodeAt(0));
+      modelChunk = JSON.parse(new TextDecoder('utf-8').decode(bytes));
+    } catch (error) {
+      throw new StreamError('Failed to decode the Bedrock model chunk as base64-encoded JSON.', {
+        code: 'JSON_PARSE_ERROR',
+        chunk: chunk.bytes,
+        cause: error,
+      });
+    }
+    this.#decoded.set(chunk, modelChunk);
+    return modelChunk;
+  }
+}
+
+// Export a singleton instance for convenience, allowing for direct use
+// without manual instantiation in most cases.
+export const bedrockAdapter = new BedrockAdapter();
@@ -0,0 +1,141 @@
+/**
+ * @file src/adapters/cohere-adapter.js
+ * @description Adapter for normalizing events from Cohere's chat stream.
+ *
+ * This module provides the `CohereAdapter` class, which is responsible for
+ * transforming the events of Cohere's v2 Chat API stream (`/v2/chat` with
+ * `stream: true`) into a standardized format. Like Anthropic, Cohere names
+ * each SSE event (`message-start`, `content-delta`, `tool-call-delta`,
+ * `message-end`, ...) and repeats the name in the payload's `type` field.
+ */
+
+import { BaseAdapter } from './base-adapter.js';
+import { StreamError } from '../errors/StreamError.js';
+import { COHERE_EVENT_TYPES } from '../utils/constants.js';
+import { createToolCallChunk, createToolCallDeltaChunk } from '../utils/tool-call-buffer.js';
+import { createMetadata, createUsage } from '../utils/metadata.js';
+
+/**
+ * An adapter for parsing and normalizing streaming responses from the Cohere Chat API.
+ *
+ * Text arrives in `content-delta` events. Tool calls start with `tool-call-start`,
+ * which carries their ID and name, stream their JSON arguments in `tool-call-delta`
+ * events and become a `tool_call` chunk on `tool-call-end`. The stream ends with
+ * `message-end`, which carries the finish reason and token usage.
+ *
+ * @see {@link https://docs.cohere.com/reference/chat-stream}
+ * @extends {BaseAdapter}
+ */
+export class CohereAdapter extends BaseAdapter {
+  /**
+   * Normalizes an event of the Cohere chat stream into a unified format.
+   *
+   * @param {object} chunk - The parsed JSON object from a single stream event.
+   * @param {string} [eventType] - The SSE event type. The payload's `type` field is used if it has one.
+   * @param {import('./base-adapter.js').StreamState} [state] - The state of the stream the chunk belongs to.
+   * @returns {import('./base-adapter.js').NormalizedChunk} A standardized chunk object.
+   * @throws {StreamError} If a `content-delta` event has no text, or the arguments of a
+   *   finished tool call are not valid JSON.
+   */
+  normalize(chunk, eventType, state = this.createStreamState()) {
+    const type = chunk.type ?? eventType;
+    const toolCall = chunk.delta?.message?.tool_calls;
+
+    switch (type) {
+      case COHERE_EVENT_TYPES.MESSAGE_START:
+        return {
+          id: chunk.id ?? null,
+          event: type,
+          data: '',
+          done: false,
+          raw: chunk,
+        };
+
+      case COHERE_EVENT_TYPES.CONTENT_DELTA: {
+        const text = chunk.delta?.message?.content?.text;
+        if (typeof text !== 'string') {
+          throw new StreamError('Invalid Cohere content-delta: "delta.message.content.text" is missing or not a string.', {
+            code: 'UNEXPECTED_FORMAT',
+            chunk: JSON.stringify(chunk),
+          });
+        }
+        return {
+          id: null,
+          event: type,
+          data: text,
+          done: false,
+          raw: chunk,
+        };
+      }
+
+      case COHERE_EVENT_TYPES.TOOL_CALL_START:
+      case COHERE_EVENT_TYPES.TOOL_CALL_DELTA: {
+        const appended = state.toolCalls.append({
+          index: chunk.index,
+          id: toolCall?.id,
+          name: toolCall?.function?.name,
+          argumentsDelta: toolCall?.function?.arguments ?? '',
+        });
+        return createToolCallDeltaChunk(appended, chunk);
+      }
+
+      case COHERE_EVENT_TYPES.TOOL_CALL_END:
+        if (state.toolCalls.has(chunk.index)) {
+          return createToolCallChunk(state.toolCalls.finish(chunk.index), chunk);
+        }
+        break;
+
+      case COHERE_EVENT_TYPES.MESSAGE_END:
+        // The end of the message is always the end of the stream.
+        return {
+          id: null,
+          event: type,
+          data: '',
+          done: true,
+          raw: chunk,
+        };
+
+      default:
+        break;
+    }
+
+    // Other events (`content-start`, `tool-plan-delta`, citations, ...) are metadata
+    // without text content for the consumer.
+    return {
+      id: null,
+      event: type,
+      data: '',
+      done: false,
+      raw: chunk,
+    };
+  }
+
+  /**
+   * Extracts the response metadata from a Cohere stream event.
+   * `message-start` carries the message ID, and `message-end` the finish reason and token usage.
+   *
+   * @param {object} chunk - The parsed JSON object from a single stream event.
+   * @param {string} [eventType] - The SSE event type.
+   * @returns {import('./base-adapter.js').ChunkMetadata | null} The metadata of the event, or null for other events.
+   */
+  getMetadata(chunk, eventType) {
+    switch (chunk.type ?? eventType) {
+      case COHERE_EVENT_TYPES.MESSAGE_START:
+        return createMetadata({ messageId: chunk.id });
+      case COHERE_EVENT_TYPES.MESSAGE_END: {
+        // `tokens` counts what the model processed; `billed_units` what was charged, and is always present.
+        const tokens = chunk.delta?.usage?.tokens ?? chunk.delta?.usage?.billed_units;
+        return createMetadata({
+          stopReason: chunk.delta?.finish_reason,
+          usage: tokens && createUsage({ inputTokens: tokens.input_tokens, outputTokens: tokens.output_tokens }),
+        });
+      }
+      default:
+        return null;
+    }
+  }
+}
+
+// Export a singleton instance for convenience, allowing for direct use
+// without manual instantiation in most cases.
+export const cohereAdapter = new CohereAdapter();
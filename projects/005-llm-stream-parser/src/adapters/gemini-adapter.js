@@ -11,6 +11,8 @@
 
 import { BaseAdapter } from './base-adapter.js';
 import { StreamError } from '../errors/StreamError.js';
+import { createToolCallChunk } from '../utils/tool-call-buffer.js';
+import { createMetadata, createUsage } from '../utils/metadata.js';
 
 /**
  * An adapter for parsing and normalizing streaming responses from the Google Gemini API.
@@ -24,6 +26,9 @@ import { StreamError } from '../errors/StreamError.js';
  * specific delimiter or by parsing each data event as a self-contained JSON.
  * This adapter assumes the input `chunk` is a single, parsed JSON object from the stream.
  *
+ * Gemini sends function calls whole, as `functionCall` parts with parsed `args`,
+ * so each one becomes a `tool_call` chunk immediately.
+ *
  * @see {@link https://ai.google.dev/docs/gemini_api_overview#stream}
  * @extends {BaseAdapter}
  */
@@ -32,16 +37,20 @@ export class GeminiAdapter extends BaseAdapter {
    * Normalizes a provider-specific JSON object from the Gemini stream into a unified format.
    *
    * This method processes a single parsed JSON object from a Gemini stream.
-   * It extracts the text content from the first candidate's content part.
+   * It extracts the text content from the first candidate's content part, and a
+   * `tool_call` chunk for every `functionCall` part.
    *
    * @param {object} chunk - The parsed JSON object from a single stream event.
    *   Expected to have a `candidates` array, where each candidate contains
    *   `content.parts`.
-   * @returns {import('./base-adapter.js').NormalizedChunk} A standardized chunk object.
+   * @param {string} [eventType] - Unused; Gemini does not name its events.
+   * @param {import('./base-adapter.js').StreamState} [state] - The state of the stream the chunk belongs to.
+   * @returns {import('./base-adapter.js').NormalizedChunk | import('./base-adapter.js').NormalizedChunk[]}
+   *   A standardized chunk object, or several if the chunk contains function calls.
    * @throws {StreamError} If the chunk format is unexpected, lacks essential properties,
    *   or reports a `promptFeedback` error.
    */
-  normalize(chunk) {
+  normalize(chunk, eventType, state = this.createStreamState()) {
     // According to Gemini docs, a stream may end with a `promptFeedback`
     // block indicating a safety-related issue (e.g., `BLOCK_REASON_SAFETY`).
     // This is a terminal state and should be treated as an error.
@@ -81,7 +90,7 @@ export class GeminiAdapter extends BaseAdapter {
     // We use optional chaining for safe navigation.
     const text = candidate.content?.parts?.[0]?.text ?? '';
 
-    return {
+    const completion = {
       // Gemini does not provide a consistent stream ID in each chunk.
       id: null,
       event: 'completion',
@@ -89,6 +98,44 @@ export class GeminiAdapter extends BaseAdapter {
       done,
       raw: chunk,
     };
+
+    const toolChunks = (candidate.content?.parts ?? [])
+      .filter((part) => part.functionCall)
+      .map((part) => createToolCallChunk(
+        state.toolCalls.complete({
+          id: part.functionCall.id ?? null,
+          name: part.functionCall.name,
+          arguments: part.functionCall.args ?? {},
+        }),
+        chunk,
+      ));
+
+    if (toolChunks.length === 0) {
+      return completion;
+    }
+    // The completion chunk comes last, so the parser sees every tool call before `done`.
+    return text || done ? [...toolChunks, completion] : toolChunks;
+  }
+
+  /**
+   * Extracts the response metadata from a Gemini stream chunk: the response ID,
+   * model version, finish reason and `usageMetadata` token counts.
+   *
+   * @param {object} chunk - The parsed JSON object from a single stream event.
+   * @returns {import('./base-adapter.js').ChunkMetadata | null} The metadata of the chunk.
+   */
+  getMetadata(chunk) {
+    const usage = chunk?.usageMetadata;
+    return createMetadata({
+      messageId: chunk?.responseId,
+      model: chunk?.modelVersion,
+      stopReason: chunk?.candidates?.[0]?.finishReason,
+      usage: usage && createUsage({
+        inputTokens: usage.promptTokenCount,
+        outputTokens: usage.candidatesTokenCount,
+        totalTokens: usage.totalTokenCount,
+      }),
+    });
   }
 }
 
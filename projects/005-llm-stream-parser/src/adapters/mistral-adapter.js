@@ -0,0 +1,55 @@
+/**
+ * @file src/adapters/mistral-adapter.js
+ * @description Adapter for normalizing chunks from Mistral's chat completion stream.
+ *
+ * This module provides the `MistralAdapter` class. Mistral's `/v1/chat/completions`
+ * stream follows OpenAI's format (`choices[].delta`, `finish_reason`, `data: [DONE]`),
+ * so the adapter builds on `OpenAIAdapter` and only handles where Mistral differs.
+ */
+
+import { OpenAIAdapter } from './openai-adapter.js';
+
+/**
+ * An adapter for parsing and normalizing streaming responses from the Mistral API.
+ *
+ * Mistral differs from OpenAI in two ways this adapter handles:
+ * - Reasoning models (e.g. Magistral) send `delta.content` as an array of typed
+ *   chunks instead of a string; only the `text` chunks are the answer.
+ * - Tool calls are sent whole in a single delta, which `OpenAIAdapter` already
+ *   handles, and the token `usage` is included in the final chunk.
+ *
+ * @see {@link https://docs.mistral.ai/api/#tag/chat/operation/chat_completion_v1_chat_completions_post}
+ * @extends {OpenAIAdapter}
+ */
+export class MistralAdapter extends OpenAIAdapter {
+  /**
+   * Normalizes a chunk of the Mistral stream into a unified format.
+   *
+   * @param {object} chunk - The parsed JSON object from a single stream event.
+   * @param {string} [eventType] - Unused; Mistral does not name its SSE events.
+   * @param {import('./base-adapter.js').StreamState} [state] - The state of the stream the chunk belongs to.
+   * @returns {import('./base-adapter.js').NormalizedChunk | import('./base-adapter.js').NormalizedChunk[]}
+   *   A standardized chunk object, or several if the chunk contains tool calls.
+   * @throws {StreamError} See `OpenAIAdapter#normalize`.
+   */
+  normalize(chunk, eventType, state = this.createStreamState()) {
+    const delta = chunk?.choices?.[0]?.delta;
+    if (!Array.isArray(delta?.content)) {
+      return super.normalize(chunk, eventType, state);
+    }
+    const text = delta.content
+      .filter((part) => part.type === 'text')
+      .map((part) => part.text)
+      .join('');
+    // Normalize a copy, so `raw` stays the chunk as Mistral sent it.
+    const [choice, ...otherChoices] = chunk.choices;
+    const textChunk = { ...chunk, choices: [{ ...choice, delta: { ...delta, content: text } }, ...otherChoices] };
+    const normalized = super.normalize(textChunk, eventType, state);
+    const withRaw = (normalizedChunk) => ({ ...normalizedChunk, raw: chunk });
+    return Array.isArray(normalized) ? normalized.map(withRaw) : withRaw(normalized);
+  }
+}
+
+// Export a singleton instance for convenience, allowing for direct use
+// without manual instantiation in most cases.
+export const mistralAdapter = new MistralAdapter();
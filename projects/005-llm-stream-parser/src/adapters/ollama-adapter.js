@@ -0,0 +1,107 @@
+/**
+ * @file src/adapters/ollama-adapter.js
+ * @description Adapter for normalizing chunks from Ollama's streaming API.
+ *
+ * This module provides the `OllamaAdapter` class, which is responsible for
+ * transforming the chunks of Ollama's `/api/chat` (and `/api/generate`)
+ * streams into a standardized format. Ollama does not use SSE: it streams
+ * newline-delimited JSON, one object per line, so this adapter defaults the
+ * parser to the `ndjson` framing.
+ */
+
+import { BaseAdapter } from './base-adapter.js';
+import { StreamError } from '../errors/StreamError.js';
+import { STREAM_FRAMINGS } from '../utils/constants.js';
+import { createToolCallChunk } from '../utils/tool-call-buffer.js';
+import { createMetadata, createUsage } from '../utils/metadata.js';
+
+/**
+ * An adapter for parsing and normalizing streaming responses from the Ollama API.
+ *
+ * Each chunk carries a piece of the answer in `message.content` (`/api/chat`) or
+ * `response` (`/api/generate`), and the last one has `done: true` along with the
+ * stop reason and token counts. Tool calls are sent whole in `message.tool_calls`,
+ * so each one becomes a `tool_call` chunk immediately.
+ *
+ * @see {@link https://github.com/ollama/ollama/blob/main/docs/api.md#generate-a-chat-completion}
+ * @extends {BaseAdapter}
+ */
+export class OllamaAdapter extends BaseAdapter {
+  /**
+   * Ollama streams newline-delimited JSON.
+   *
+   * @returns {'ndjson'} The framing.
+   */
+  get framing() {
+    return STREAM_FRAMINGS.NDJSON;
+  }
+
+  /**
+   * Normalizes a chunk of an Ollama stream into a unified format.
+   *
+   * @param {object} chunk - The parsed JSON object from a single line of the stream.
+   * @param {string} [eventType] - Unused; Ollama does not name its events.
+   * @param {import('./base-adapter.js').StreamState} [state] - The state of the stream the chunk belongs to.
+   * @returns {import('./base-adapter.js').NormalizedChunk | import('./base-adapter.js').NormalizedChunk[]}
+   *   A standardized chunk object, or several if the chunk contains tool calls.
+   * @throws {StreamError} If the chunk reports an error.
+   */
+  normalize(chunk, eventType, state = this.createStreamState()) {
+    // Errors that occur after the response has started are sent as a line of their own.
+    if (typeof chunk.error === 'string') {
+      throw new StreamError(`Ollama API Error: ${chunk.error}`, {
+        code: 'PROVIDER_ERROR',
+        chunk: JSON.stringify(chunk),
+      });
+    }
+
+    const text = chunk.message?.content ?? chunk.response ?? '';
+    const done = chunk.done === true;
+    const completion = {
+      // Ollama does not identify its responses.
+      id: null,
+      event: 'completion',
+      data: text,
+      done,
+      raw: chunk,
+    };
+
+    const toolChunks = (chunk.message?.tool_calls ?? []).map((toolCall) => createToolCallChunk(
+      state.toolCalls.complete({
+        id: toolCall.id ?? null,
+        name: toolCall.function?.name ?? null,
+        arguments: toolCall.function?.arguments ?? {},
+      }),
+      chunk,
+    ));
+
+    if (toolChunks.length === 0) {
+      return completion;
+    }
+    // The completion chunk comes last, so the parser sees every tool call before `done`.
+    return text || done ? [...toolChunks, completion] : toolChunks;
+  }
+
+  /**
+   * Extracts the response metadata from an Ollama stream chunk.
+   * Every chunk carries the model; the last one also has the stop reason
+   * (`done_reason`) and the prompt and generated token counts.
+   *
+   * @param {object} chunk - The parsed JSON object from a single line of the stream.
+   * @returns {import('./base-adapter.js').ChunkMetadata | null} The metadata of the chunk.
+   */
+  getMetadata(chunk) {
+    return createMetadata({
+      model: chunk?.model,
+      stopReason: chunk?.done_reason,
+      usage: createUsage({
+        inputTokens: chunk?.prompt_eval_count,
+        outputTokens: chunk?.eval_count,
+      }),
+    });
+  }
+}
+
+// Export a singleton instance for convenience, allowing for direct use
+// without manual instantiation in most cases.
+export const ollamaAdapter = new OllamaAdapter();
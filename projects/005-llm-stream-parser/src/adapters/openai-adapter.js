@@ -11,6 +11,8 @@
 
 import { BaseAdapter } from './base-adapter.js';
 import { StreamError } from '../errors/StreamError.js';
+import { createToolCallChunk, createToolCallDeltaChunk } from '../utils/tool-call-buffer.js';
+import { createMetadata, createUsage } from '../utils/metadata.js';
 
 /**
  * An adapter for parsing and normalizing streaming responses from the OpenAI API.
@@ -18,7 +20,7 @@ import { StreamError } from '../errors/StreamError.js';
  * This class extends `BaseAdapter` and implements the `normalize` method
  * to handle the specific JSON structure of OpenAI's streaming events. It
  * correctly extracts the content delta from chat completion chunks and
- * text from legacy completion chunks.
+ * text from legacy completion chunks, and reassembles streamed tool calls.
  *
  * @see {@link https://platform.openai.com/docs/api-reference/chat/streaming}
  * @extends {BaseAdapter}
@@ -31,13 +33,36 @@ export class OpenAIAdapter extends BaseAdapter {
    * It identifies the type of response (chat completion vs. legacy completion) and
    * extracts the relevant text content.
    *
+   * Tool calls arrive as `delta.tool_calls[i].function.arguments` fragments. Each fragment
+   * becomes a `tool_call_delta` chunk, and each call becomes a `tool_call` chunk with its
+   * parsed arguments once the next call starts or the choice finishes.
+   *
+   * With `stream_options: { include_usage: true }`, every chunk has `usage: null` and the
+   * token usage follows the finished choice in a chunk with an empty `choices` array. The
+   * stream is then only done with that `usage` chunk.
+   *
    * @param {object} chunk - The parsed JSON object from a single stream event.
    *   Expected to have a `choices` array. For chat completions, each choice has a `delta`
    *   object. For legacy completions, it has a `text` property.
-   * @returns {import('./base-adapter.js').NormalizedChunk} A standardized chunk object.
-   * @throws {StreamError} If the chunk format is unexpected or lacks essential properties.
+   * @param {string} [eventType] - Unused; OpenAI does not name its SSE events.
+   * @param {import('./base-adapter.js').StreamState} [state] - The state of the stream the chunk belongs to.
+   * @returns {import('./base-adapter.js').NormalizedChunk | import('./base-adapter.js').NormalizedChunk[]}
+   *   A standardized chunk object, or several if the chunk contains tool calls.
+   * @throws {StreamError} If the chunk format is unexpected or lacks essential properties,
+   *   or if the arguments of a finished tool call are not valid JSON.
    */
-  normalize(chunk) {
+  normalize(chunk, eventType, state = this.createStreamState()) {
+    // The final chunk of a stream with `include_usage` only reports the token usage.
+    if (Array.isArray(chunk?.choices) && chunk.choices.length === 0 && chunk.usage) {
+      return {
+        id: chunk.id ?? null,
+        event: 'usage',
+        data: '',
+        done: true,
+        raw: chunk,
+      };
+    }
+
     if (!chunk || !Array.isArray(chunk.choices) || chunk.choices.length === 0) {
       throw new StreamError('Invalid OpenAI chunk: "choices" array is missing or empty.', {
         code: 'UNEXPECTED_FORMAT',
@@ -47,19 +72,50 @@ export class OpenAIAdapter extends BaseAdapter {
 
     // The primary content is usually in the first choice.
     const choice = chunk.choices[0];
+    // The choice is finished when `finish_reason` is not null (e.g., 'stop', 'length', 'tool_calls').
+    const finished = choice.finish_reason !== null && typeof choice.finish_reason !== 'undefined';
+    // The stream is done with the finished choice, unless `usage: null` announces a usage chunk.
+    const done = finished && chunk.usage !== null;
 
     // Handle chat completion streams (e.g., gpt-4, gpt-3.5-turbo)
     // The delta object can be empty in the first chunk.
     if (typeof choice.delta !== 'undefined') {
       const content = choice.delta?.content ?? '';
-      return {
+      const completion = {
         id: chunk.id ?? null,
         event: 'completion',
         data: content,
-        // The stream is done when `finish_reason` is not null (e.g., 'stop', 'length').
-        done: choice.finish_reason !== null && typeof choice.finish_reason !== 'undefined',
+        done,
         raw: chunk,
       };
+
+      const toolChunks = [];
+      for (const [position, toolCallDelta] of (choice.delta?.tool_calls ?? []).entries()) {
+        // Some OpenAI-compatible APIs send each tool call whole, without an index.
+        const index = toolCallDelta.index ?? position;
+        // Parallel tool calls are streamed one after another, so a new index finishes the previous calls.
+        for (const toolCall of state.toolCalls.finishBefore(index)) {
+          toolChunks.push(createToolCallChunk(toolCall, chunk, chunk.id ?? null));
+        }
+        const appended = state.toolCalls.append({
+          index,
+          id: toolCallDelta.id,
+          name: toolCallDelta.function?.name,
+          argumentsDelta: toolCallDelta.function?.arguments ?? '',
+        });
+        toolChunks.push(createToolCallDeltaChunk(appended, chunk, chunk.id ?? null));
+      }
+      if (finished) {
+        for (const toolCall of state.toolCalls.finishAll()) {
+          toolChunks.push(createToolCallChunk(toolCall, chunk, chunk.id ?? null));
+        }
+      }
+
+      if (toolChunks.length === 0) {
+        return completion;
+      }
+      // The completion chunk comes last, so the parser sees every tool call before `done`.
+      return content || finished ? [...toolChunks, completion] : toolChunks;
     }
 
     // Handle legacy completion streams (e.g., text-davinci-003)
@@ -68,7 +124,7 @@ export class OpenAIAdapter extends BaseAdapter {
         id: chunk.id ?? null,
         event: 'completion',
         data: choice.text,
-        done: choice.finish_reason !== null && typeof choice.finish_reason !== 'undefined',
+        done,
         raw: chunk,
       };
     }
@@ -82,10 +138,31 @@ export class OpenAIAdapter extends BaseAdapter {
       id: chunk.id ?? null,
       event: 'completion',
       data: '',
-      done: choice.finish_reason !== null && typeof choice.finish_reason !== 'undefined',
+      done,
       raw: chunk,
     };
   }
+
+  /**
+   * Extracts the response metadata from an OpenAI stream chunk.
+   * Every chunk carries the completion ID and model; the finish reason and the
+   * token usage are only set once they are known.
+   *
+   * @param {object} chunk - The parsed JSON object from a single stream event.
+   * @returns {import('./base-adapter.js').ChunkMetadata | null} The metadata of the chunk.
+   */
+  getMetadata(chunk) {
+    return createMetadata({
+      messageId: chunk?.id,
+      model: chunk?.model,
+      stopReason: chunk?.choices?.[0]?.finish_reason,
+      usage: chunk?.usage && createUsage({
+        inputTokens: chunk.usage.prompt_tokens,
+        outputTokens: chunk.usage.completion_tokens,
+        totalTokens: chunk.usage.total_tokens,
+      }),
+    });
+  }
 }
 
 // Export a singleton instance for convenience, allowing for direct use
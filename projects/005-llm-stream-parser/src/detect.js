@@ -0,0 +1,386 @@
+/**
+ * @file src/detect.js
+ * @description Detects the provider and framing of an LLM response stream.
+ *
+ * Picking the wrong adapter by hand only shows up as `UNEXPECTED_FORMAT` errors
+ * once the stream is read. `detectStream` reads the start of the stream instead:
+ * the `Content-Type` header and the first bytes decide the framing, and the first
+ * message (its SSE event name and JSON shape) decides the provider. The bytes it
+ * reads are replayed, so the returned stream is parsed from the beginning.
+ */
+
+import { StreamError } from './errors/StreamError.js';
+import { SSEDecoder } from './utils/sse-decoder.js';
+import { AWSEventStreamDecoder } from './utils/aws-event-stream-decoder.js';
+import {
+  ANTHROPIC_EVENT_TYPES,
+  COHERE_EVENT_TYPES,
+  NEWLINE_REGEXP,
+  SSE_DEFAULT_EVENT_TYPE,
+  STREAM_FRAMINGS,
+} from './utils/constants.js';
+import { openAIAdapter } from './adapters/openai-adapter.js';
+import { anthropicAdapter } from './adapters/anthropic-adapter.js';
+import { geminiAdapter } from './adapters/gemini-adapter.js';
+import { ollamaAdapter } from './adapters/ollama-adapter.js';
+import { cohereAdapter } from './adapters/cohere-adapter.js';
+import { mistralAdapter } from './adapters/mistral-adapter.js';
+import { BedrockAdapter, bedrockAdapter } from './adapters/bedrock-adapter.js';
+
+/**
+ * @typedef {'openai' | 'anthropic' | 'gemini' | 'ollama' | 'cohere' | 'mistral' | 'bedrock'} Provider
+ */
+
+/**
+ * @typedef {object} Detection
+ * @property {Provider} provider - The detected provider. Bedrock streams are `'bedrock'` whatever the model.
+ * @property {import('./adapters/base-adapter.js').BaseAdapter} adapter - The adapter for the provider.
+ * @property {'sse' | 'ndjson' | 'aws-event-stream'} framing - How the messages of the stream are framed.
+ */
+
+/**
+ * @typedef {Detection & {stream: AsyncIterable<Uint8Array | string>}} DetectedStream
+ * A detection, with the stream to parse: the original stream including the bytes read for the detection.
+ */
+
+/**
+ * The adapter of each provider that is detected from the shape of its chunks.
+ * @private
+ */
+const PROVIDER_ADAPTERS = {
+  openai: openAIAdapter,
+  anthropic: anthropicAdapter,
+  gemini: geminiAdapter,
+  ollama: ollamaAdapter,
+  cohere: cohereAdapter,
+  mistral: mistralAdapter,
+};
+
+/**
+ * The framing implied by each `Content-Type`, without parameters such as `charset`.
+ * @private
+ */
+const CONTENT_TYPE_FRAMINGS = {
+  'text/event-stream': STREAM_FRAMINGS.SSE,
+  'application/x-ndjson': STREAM_FRAMINGS.NDJSON,
+  'application/jsonl': STREAM_FRAMINGS.NDJSON,
+  'application/vnd.amazon.eventstream': STREAM_FRAMINGS.AWS_EVENT_STREAM,
+};
+
+// Mistral's chunks are shaped like OpenAI's; its model names tell them apart.
+const MISTRAL_MODEL_REGEXP = /^(open-)?(mistral|mixtral|magistral|codestral|ministral|pixtral|devstral|voxtral)/i;
+
+// SSE field names a stream can start with (a `:` starts a comment).
+const SSE_START_REGEXP = /^(:|(data|event|id|retry)(:|\r|\n))/;
+
+// A response that is one JSON array, e.g. Gemini's `streamGenerateContent` without `alt=sse`.
+const JSON_ARRAY_START_REGEXP = /^\uFEFF?\s*\[/;
+
+// How much of the stream is read, at most, to find its first message.
+const MAX_DETECTION_BYTES = 256 * 1024;
+
+/**
+ * Detects the provider and framing of a stream from its `Content-Type` and first message.
+ *
+ * The stream is read until its first message is complete. Use the returned
+ * `stream` to parse it, as the original stream no longer has those bytes.
+ *
+ * @param {AsyncIterable<Uint8Array | string>} stream - The response body.
+ * @param {object} [options] - The detection options.
+ * @param {string | null} [options.contentType] - The `Content-Type` header of the response, if known.
+ * @param {'sse' | 'ndjson' | 'aws-event-stream'} [options.framing] - The framing, if known. Only the provider is then detected.
+ * @returns {Promise<DetectedStream>} The detected provider, its adapter and framing, and the stream to parse.
+ * @throws {Error} If `stream` is not a readable stream.
+ * @throws {StreamError} If the provider cannot be detected (`UNEXPECTED_FORMAT`), or the stream fails
+ *   before its first message (`STREAM_ABORTED`).
+ *
+ * @example
+ * const response = await fetch(url, request);
+ * const { provider, adapter, framing, stream } = await detectStream(response.body, {
+ *   contentType: response.headers.get('content-type'),
+ * });
+ * for await (const chunk of parseStream({ stream, adapter, framing })) {
+ *   // ...
+ * }
+ */
+export async function detectStream(stream, { contentType, framing } = {}) {
+  if (!stream || typeof stream[Symbol.asyncIterator] !== 'function') {
+    throw new Error('A valid ReadableStream must be provided in the `stream` option.');
+  }
+  const iterator = stream[Symbol.asyncIterator]();
+  const sniffer = new FirstMessageSniffer(framing ?? framingFromContentType(contentType));
+  const peeked = [];
+
+  try {
+    while (!sniffer.message) {
+      const { value, done } = await iterator.next();
+      if (done) {
+        break;
+      }
+      peeked.push(value);
+      sniffer.push(value);
+    }
+  } catch (error) {
+    if (error instanceof StreamError) {
+      await iterator.return?.();
+      throw error;
+    }
+    throw new StreamError('The stream was aborted or encountered a network error.', {
+      code: 'STREAM_ABORTED',
+      cause: error,
+    });
+  }
+
+  try {
+    return { ...detectFromMessage(sniffer), stream: replay(peeked, iterator) };
+  } catch (error) {
+    // Nothing will read the rest of the stream.
+    await iterator.return?.();
+    throw error;
+  }
+}
+
+/**
+ * Reads the chunks of a stream until its first message, to detect its framing and provider.
+ * @private
+ */
+class FirstMessageSniffer {
+  /**
+   * The framing of the stream, once it is known.
+   * @type {string | null}
+   */
+  framing;
+
+  /**
+   * The first message of the stream, once it is complete.
+   * @type {{event: string, data: string, headers?: object} | null}
+   */
+  message = null;
+
+  #text = '';
+  #bytes = 0;
+  #textDecoder = new TextDecoder('utf-8');
+  #sseDecoder = new SSEDecoder();
+  #eventStreamDecoder = new AWSEventStreamDecoder();
+
+  /**
+   * @param {string | null} framing - The framing, if known from the options or `Content-Type`.
+   */
+  constructor(framing) {
+    this.framing = framing;
+  }
+
+  /**
+   * Reads the next chunk of the stream.
+   *
+   * @param {Uint8Array | string} value - The chunk.
+   * @throws {StreamError} If the stream is a JSON array, or the first message is not found within the first 256 KiB.
+   */
+  push(value) {
+    this.#bytes += value.length;
+    if (this.#bytes > MAX_DETECTION_BYTES) {
+      throw createDetectionError('no complete message in the first 256 KiB of the stream');
+    }
+
+    // An AWS event stream starts with the message length, so with a zero byte for any message under 16 MB.
+    if (!this.framing && this.#text === '' && typeof value !== 'string' && value[0] === 0) {
+      this.framing = STREAM_FRAMINGS.AWS_EVENT_STREAM;
+    }
+    if (this.framing === STREAM_FRAMINGS.AWS_EVENT_STREAM) {
+      if (typeof value !== 'string') {
+        const [message] = this.#eventStreamDecoder.push(value);
+        if (message) {
+          this.message = {
+            event: message.headers[':event-type'] ?? SSE_DEFAULT_EVENT_TYPE,
+            data: this.#textDecoder.decode(message.payload),
+            headers: message.headers,
+          };
+        }
+      }
+      return;
+    }
+
+    const text = typeof value === 'string' ? value : this.#textDecoder.decode(value, { stream: true });
+    // Until the framing is known, the SSE decoder has not seen any of the text.
+    const unread = this.framing ? text : this.#text + text;
+    this.#text += text;
+    this.framing ??= sniffFraming(this.#text);
+    if (this.framing !== STREAM_FRAMINGS.SSE && JSON_ARRAY_START_REGEXP.test(this.#text)) {
+      throw createDetectionError(
+        'the stream is a single JSON array, not SSE or newline-delimited JSON (e.g. Gemini without `alt=sse`)',
+        this.#text,
+      );
+    }
+    if (this.framing === STREAM_FRAMINGS.SSE) {
+      const [event] = this.#sseDecoder.push(unread);
+      this.message = event ?? null;
+    } else if (this.framing === STREAM_FRAMINGS.NDJSON) {
+      const line = this.#text.split(NEWLINE_REGEXP).slice(0, -1).find((candidate) => candidate.trim());
+      this.message = line ? { event: SSE_DEFAULT_EVENT_TYPE, data: line.trim() } : null;
+    }
+  }
+}
+
+/**
+ * Finds the framing implied by a `Content-Type` header.
+ *
+ * @param {string | null | undefined} contentType - The header value.
+ * @returns {string | null} The framing, or null if the header is missing or not specific.
+ * @private
+ */
+function framingFromContentType(contentType) {
+  const mediaType = contentType?.split(';')[0].trim().toLowerCase();
+  return CONTENT_TYPE_FRAMINGS[mediaType] ?? null;
+}
+
+/**
+ * Guesses the framing of a text stream from its start: SSE streams start with
+ * a field or a comment, newline-delimited JSON with an object.
+ *
+ * @param {string} text - The text of the stream so far.
+ * @returns {string | null} The framing, or null if the text is too short to tell.
+ * @private
+ */
+function sniffFraming(text) {
+  const start = text.replace(/^\uFEFF/, '').trimStart();
+  if (SSE_START_REGEXP.test(start)) {
+    return STREAM_FRAMINGS.SSE;
+  }
+  // A field name split across chunks (e.g. `dat`) may still become SSE.
+  if (start.startsWith('{') || /[\r\n]/.test(start) || start.length > 'retry:'.length) {
+    return STREAM_FRAMINGS.NDJSON;
+  }
+  return null;
+}
+
+/**
+ * Detects the provider from the first message of the stream.
+ *
+ * @param {FirstMessageSniffer} sniffer - The sniffer that read the first message.
+ * @returns {Detection} The detection.
+ * @throws {StreamError} If the stream ended before its first message, or the message matches no provider.
+ * @private
+ */
+function detectFromMessage({ framing, message }) {
+  if (!message) {
+    throw createDetectionError('the stream ended before its first message');
+  }
+
+  if (framing === STREAM_FRAMINGS.AWS_EVENT_STREAM) {
+    const messageType = message.headers[':message-type'];
+    if (messageType === 'exception' || messageType === 'error') {
+      // Only Bedrock streams LLM responses this way; the parser reports the exception.
+      return { provider: 'bedrock', adapter: bedrockAdapter, framing };
+    }
+    const modelChunk = decodeBedrockChunk(message.data);
+    const modelProvider = modelChunk && detectProvider(modelChunk.type, modelChunk);
+    if (!modelProvider) {
+      throw createDetectionError('the model of the Bedrock stream has no adapter', message.data);
+    }
+    const adapter = modelProvider === 'anthropic'
+      ? bedrockAdapter
+      : new BedrockAdapter({ modelAdapter: PROVIDER_ADAPTERS[modelProvider] });
+    return { provider: 'bedrock', adapter, framing };
+  }
+
+  let chunk;
+  try {
+    chunk = JSON.parse(message.data);
+  } catch (error) {
+    throw new StreamError('Failed to parse stream data as JSON.', {
+      code: 'JSON_PARSE_ERROR',
+      chunk: message.data,
+      cause: error,
+    });
+  }
+  const provider = detectProvider(message.event, chunk);
+  if (!provider) {
+    throw createDetectionError('the first message matches no supported provider', message.data);
+  }
+  return { provider, adapter: PROVIDER_ADAPTERS[provider], framing };
+}
+
+/**
+ * Detects the provider of a chunk from its event name and JSON shape.
+ *
+ * @param {string | undefined} event - The SSE event name, or the chunk's `type` for Bedrock model chunks.
+ * @param {object} chunk - The parsed chunk.
+ * @returns {Provider | null} The provider, or null if the chunk matches none.
+ * @private
+ */
+function detectProvider(event, chunk) {
+  if (chunk === null || typeof chunk !== 'object') {
+    return null;
+  }
+  const type = chunk.type ?? event;
+  if (Object.values(ANTHROPIC_EVENT_TYPES).includes(type)) {
+    return 'anthropic';
+  }
+  if (Object.values(COHERE_EVENT_TYPES).includes(type)) {
+    return 'cohere';
+  }
+  if (Array.isArray(chunk.choices)) {
+    return MISTRAL_MODEL_REGEXP.test(chunk.model ?? '') ? 'mistral' : 'openai';
+  }
+  if ('candidates' in chunk || 'usageMetadata' in chunk || 'promptFeedback' in chunk) {
+    return 'gemini';
+  }
+  if (typeof chunk.done === 'boolean' && ('message' in chunk || 'response' in chunk)) {
+    return 'ollama';
+  }
+  // OpenAI reports errors as `{ "error": { "message": ... } }`, Ollama as `{ "error": "..." }`.
+  if (typeof chunk.error === 'string') {
+    return 'ollama';
+  }
+  if (typeof chunk.error?.message === 'string') {
+    return 'openai';
+  }
+  return null;
+}
+
+/**
+ * Decodes the model chunk of a Bedrock `chunk` event payload.
+ *
+ * @param {string} data - The payload, `{ "bytes": "<base64>" }`.
+ * @returns {object | null} The model chunk, or null if the payload is not a Bedrock chunk.
+ * @private
+ */
+function decodeBedrockChunk(data) {
+  try {
+    const bytes = Uint8Array.from(atob(JSON.parse(data).bytes), (character) => character.charCodeAt(0));
+    return JSON.parse(new TextDecoder('utf-8').decode(bytes));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Replays the chunks read for the detection, then the rest of the stream.
+ *
+ * @async
+ * @generator
+ * @param {Array<Uint8Array | string>} peeked - The chunks read for the detection.
+ * @param {AsyncIterator<Uint8Array | string>} iterator - The iterator of the stream.
+ * @yields {Uint8Array | string} The chunks of the stream, from the beginning.
+ * @private
+ */
+async function* replay(peeked, iterator) {
+  yield* peeked;
+  // Wrapped so that stopping early also closes the original stream.
+  yield* { [Symbol.asyncIterator]: () => iterator };
+}
+
+/**
+ * Creates the error thrown when the provider of a stream cannot be detected.
+ *
+ * @param {string} reason - Why the detection failed.
+ * @param {string} [chunk] - The message the detection was based on.
+ * @returns {StreamError} The error.
+ * @private
+ */
+function createDetectionError(reason, chunk) {
+  return new StreamError(`Could not detect the provider of the stream: ${reason}. Pass an adapter instead of 'auto'.`, {
+    code: 'UNEXPECTED_FORMAT',
+    chunk,
+  });
+}
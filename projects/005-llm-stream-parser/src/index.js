@@ -39,20 +39,66 @@ import { parseStream } from './parser.js';
 import { OpenAIAdapter, openAIAdapter } from './adapters/openai-adapter.js';
 import { AnthropicAdapter, anthropicAdapter } from './adapters/anthropic-adapter.js';
 import { GeminiAdapter, geminiAdapter } from './adapters/gemini-adapter.js';
+import { OllamaAdapter, ollamaAdapter } from './adapters/ollama-adapter.js';
+import { CohereAdapter, cohereAdapter } from './adapters/cohere-adapter.js';
+import { MistralAdapter, mistralAdapter } from './adapters/mistral-adapter.js';
+import { BedrockAdapter, bedrockAdapter } from './adapters/bedrock-adapter.js';
 import { BaseAdapter } from './adapters/base-adapter.js';
 import { StreamError } from './errors/StreamError.js';
+import { ToolCallBuffer, createToolCallChunk, createToolCallDeltaChunk } from './utils/tool-call-buffer.js';
+import {
+  TOOL_CALL_EVENT_TYPES,
+  STREAM_FRAMINGS,
+  PARTIAL_JSON_EVENT_TYPES,
+  SSE_RESPONSE_HEADERS,
+} from './utils/constants.js';
+import { SSEDecoder, decodeSSE } from './utils/sse-decoder.js';
+import { AWSEventStreamDecoder, decodeAWSEventStream } from './utils/aws-event-stream-decoder.js';
+import { MessageAccumulator, accumulateMessage } from './accumulator.js';
+import { detectStream } from './detect.js';
+import { PartialJSONParser, parsePartialJSON } from './partial-json.js';
+import { encodeSSE, toReadableStream, toNodeReadable } from './output.js';
 
 /**
  * @typedef {import('./adapters/base-adapter.js').BaseAdapter} Adapter
  * @typedef {import('./adapters/base-adapter.js').NormalizedChunk} NormalizedChunk
+ * @typedef {import('./utils/tool-call-buffer.js').ToolCall} ToolCall
+ * @typedef {import('./utils/tool-call-buffer.js').ToolCallDelta} ToolCallDelta
+ * @typedef {import('./utils/sse-decoder.js').SSEEvent} SSEEvent
+ * @typedef {import('./utils/aws-event-stream-decoder.js').AWSEventStreamMessage} AWSEventStreamMessage
+ * @typedef {import('./adapters/base-adapter.js').ChunkMetadata} ChunkMetadata
+ * @typedef {import('./adapters/base-adapter.js').Usage} Usage
+ * @typedef {import('./accumulator.js').AccumulatedMessage} AccumulatedMessage
+ * @typedef {import('./detect.js').Provider} Provider
+ * @typedef {import('./detect.js').Detection} Detection
+ * @typedef {import('./partial-json.js').PartialJSONEvent} PartialJSONEvent
+ * @typedef {import('./output.js').SSEOutputOptions} SSEOutputOptions
  */
 
 /**
  * @typedef {object} ParserOptions
- * @property {Adapter} adapter - An instance of a provider-specific adapter (e.g., `new OpenAIAdapter()`).
- * @property {boolean} [isSSE=true] - A flag indicating if the stream is in Server-Sent Events (SSE) format. Set to `false` for non-SSE formats like Google Gemini's.
+ * @property {Adapter | 'auto'} adapter - An instance of a provider-specific adapter (e.g., `new OpenAIAdapter()`),
+ *   or `'auto'` to detect the provider of each stream from its `Content-Type` and first message (see `detectStream`).
+ * @property {'sse' | 'ndjson' | 'aws-event-stream'} [framing] - How the messages of the stream are framed. Defaults to the adapter's
+ *   `framing` (`'ndjson'` for Ollama, `'aws-event-stream'` for Bedrock, `'sse'` otherwise).
+ * @property {boolean} [isSSE] - The older way to choose the framing: `true` for `'sse'`, `false` for `'ndjson'`
+ *   (e.g. for Google Gemini without `alt=sse`). Ignored if `framing` is given.
+ * @property {(detection: Detection) => void} [onDetect] - With `adapter: 'auto'`, called with the detected provider,
+ *   adapter and framing of each stream before its first chunk is yielded.
  */
 
+/**
+ * @typedef {object} ParseOptions
+ * @property {string | null} [contentType] - With `adapter: 'auto'`, the `Content-Type` header of the response.
+ *   It decides the framing; without it, the framing is guessed from the first bytes of the stream.
+ */
+
+/**
+ * The `adapter` option value that detects the provider of each stream.
+ * @private
+ */
+const AUTO_ADAPTER = 'auto';
+
 /**
  * Factory function to create a configured stream parser.
  *
@@ -63,7 +109,8 @@ import { StreamError } from './errors/StreamError.js';
  * This approach promotes a clean and reusable pattern for stream processing.
  *
  * @param {ParserOptions} options - The configuration options for the parser.
- * @returns {{parse: (stream: ReadableStream) => AsyncGenerator<NormalizedChunk, void, unknown>}} An object with a `parse` method.
+ * @returns {{parse: (stream: ReadableStream, options?: ParseOptions) => AsyncGenerator<NormalizedChunk, void, unknown>}}
+ *   An object with a `parse` method.
  * @throws {Error} if the `adapter` option is missing or invalid.
  *
  * @example
@@ -80,9 +127,39 @@ import { StreamError } from './errors/StreamError.js';
  *     console.log(chunk.data);
  *   }
  * }
+ *
+ * @example
+ * // Detect the provider from the response
+ * const parser = createStreamParser({
+ *   adapter: 'auto',
+ *   onDetect: ({ provider, framing }) => console.log(`Parsing a ${provider} stream (${framing})`),
+ * });
+ *
+ * for await (const chunk of parser.parse(response.body, { contentType: response.headers.get('content-type') })) {
+ *   console.log(chunk.data);
+ * }
  */
 export function createStreamParser(options) {
-  const { adapter, isSSE = true } = options ?? {};
+  const { adapter, isSSE, framing, onDetect } = options ?? {};
+
+  if (adapter === AUTO_ADAPTER) {
+    return {
+      /**
+       * Detects the provider of a `ReadableStream`, then parses it with the provider's adapter.
+       *
+       * @param {ReadableStream} stream - The Node.js ReadableStream to parse.
+       * @param {ParseOptions} [parseOptions] - The response details to detect the provider with.
+       * @returns {AsyncGenerator<NormalizedChunk, void, unknown>} An async generator that yields normalized data chunks.
+       */
+      parse: function (stream, { contentType } = {}) {
+        return parseDetectedStream(stream, {
+          contentType,
+          framing: framing ?? (typeof isSSE === 'boolean' ? (isSSE ? STREAM_FRAMINGS.SSE : STREAM_FRAMINGS.NDJSON) : undefined),
+          onDetect,
+        });
+      },
+    };
+  }
 
   if (!adapter || typeof adapter.normalize !== 'function') {
     throw new Error(
@@ -98,19 +175,73 @@ export function createStreamParser(options) {
      * @returns {AsyncGenerator<NormalizedChunk, void, unknown>} An async generator that yields normalized data chunks.
      */
     parse: function (stream) {
-      return parseStream({ stream, adapter, isSSE });
+      return parseStream({ stream, adapter, isSSE, framing });
     },
   };
 }
 
+/**
+ * Detects the provider of a stream and parses it with the detected adapter and framing.
+ *
+ * @async
+ * @generator
+ * @param {ReadableStream} stream - The stream to parse.
+ * @param {object} options - The detection options.
+ * @param {string | null} [options.contentType] - The `Content-Type` header of the response.
+ * @param {string} [options.framing] - The framing, if set on the parser.
+ * @param {(detection: Detection) => void} [options.onDetect] - Called with the detection.
+ * @yields {NormalizedChunk} A normalized chunk of data.
+ * @private
+ */
+async function* parseDetectedStream(stream, { contentType, framing, onDetect }) {
+  const { stream: detectedStream, ...detection } = await detectStream(stream, { contentType, framing });
+  onDetect?.(detection);
+  yield* parseStream({ stream: detectedStream, adapter: detection.adapter, framing: detection.framing });
+}
+
 // Export the core async generator for advanced use cases.
 export { parseStream };
 
+// Export the provider detection behind `adapter: 'auto'`.
+export { detectStream };
+
+// Export the partial JSON parser for structured-output streams.
+export { PartialJSONParser, parsePartialJSON, PARTIAL_JSON_EVENT_TYPES };
+
+// Export the output side, for re-emitting normalized chunks as provider-neutral Server-Sent Events.
+export { encodeSSE, toReadableStream, toNodeReadable, SSE_RESPONSE_HEADERS };
+
+// Export the accumulator that assembles the final message from the chunks.
+export { MessageAccumulator, accumulateMessage };
+
+// Export the Server-Sent Events and AWS event stream decoders for reading streams without an adapter.
+export { SSEDecoder, decodeSSE, AWSEventStreamDecoder, decodeAWSEventStream, STREAM_FRAMINGS };
+
 // Export custom error class for type checking and handling.
 export { StreamError };
 
 // Export adapter classes for extension or direct instantiation.
-export { BaseAdapter, OpenAIAdapter, AnthropicAdapter, GeminiAdapter };
+export {
+  BaseAdapter,
+  OpenAIAdapter,
+  AnthropicAdapter,
+  GeminiAdapter,
+  OllamaAdapter,
+  CohereAdapter,
+  MistralAdapter,
+  BedrockAdapter,
+};
+
+// Export the tool call helpers for custom adapters.
+export { ToolCallBuffer, createToolCallChunk, createToolCallDeltaChunk, TOOL_CALL_EVENT_TYPES };
 
 // Export pre-instantiated singleton adapters for convenience.
-export { openAIAdapter, anthropicAdapter, geminiAdapter };
\ No newline at end of file
+export {
+  openAIAdapter,
+  anthropicAdapter,
+  geminiAdapter,
+  ollamaAdapter,
+  cohereAdapter,
+  mistralAdapter,
+  bedrockAdapter,
+};
\ No newline at end of file
@@ -0,0 +1,296 @@
+/**
+ * @file src/output.js
+ * @description Re-emits normalized chunks as a provider-neutral Server-Sent Events stream.
+ *
+ * A backend that proxies an LLM stream to browsers should not pass the provider's
+ * own events through: the frontend would then depend on the provider. This module
+ * is the output side of the library. It serializes the normalized chunks from
+ * `parseStream` as SSE, the same way for every provider, and returns them as
+ * bytes, a WHATWG `ReadableStream` (e.g. for a `Response`) or a Node `Readable`
+ * (e.g. to pipe into an `http.ServerResponse`).
+ *
+ * Each chunk becomes one event with its JSON in `data`. Text chunks use the default
+ * `message` event type, and tool calls their `tool_call`/`tool_call_delta` types:
+ *
+ *     data: {"data":"Hello","done":false}
+ *
+ *     event: tool_call
+ *     data: {"data":"","done":false,"toolCall":{"index":0,"id":"call_1","name":"get_weather","arguments":{}}}
+ *
+ * Errors of the source stream become an `error` event, `{"code":"...","message":"..."}`.
+ */
+
+import { Readable } from 'node:stream';
+import { SSE_DEFAULT_EVENT_TYPE, TOOL_CALL_EVENT_TYPES } from './utils/constants.js';
+
+/**
+ * @typedef {object} SSEOutputOptions
+ * @property {number} [heartbeatInterval=0] - If set, an SSE comment (`: heartbeat`) is sent after this many
+ *   milliseconds without an event, so that proxies and load balancers do not close an idle connection.
+ * @property {AbortSignal} [signal] - Stops the output when aborted (e.g. when the client disconnects),
+ *   and stops reading the source. Pass the same signal to the provider request to also close that.
+ */
+
+// The event type of errors of the source stream.
+const ERROR_EVENT_TYPE = 'error';
+const HEARTBEAT = ': heartbeat\n\n';
+
+// What `waitForNext` resolves with instead of the next chunk.
+const HEARTBEAT_DUE = Symbol('heartbeat due');
+const ABORTED = Symbol('aborted');
+
+/**
+ * Serializes normalized chunks as a provider-neutral SSE byte stream.
+ *
+ * Chunks without text, tool call, metadata or `done` (e.g. Anthropic's `content_block_start`)
+ * carry nothing for the client and are skipped. If the source throws, an `error` event is
+ * sent and the output ends, so the client is told instead of seeing the connection drop.
+ *
+ * @async
+ * @generator
+ * @param {AsyncIterable<import('./adapters/base-adapter.js').NormalizedChunk>} chunks - The normalized chunks,
+ *   e.g. from `parseStream`.
+ * @param {SSEOutputOptions} [options] - The output options.
+ * @yields {Uint8Array} The UTF-8 bytes of each event or heartbeat.
+ *
+ * @example
+ * // In an `http` request handler:
+ * res.writeHead(200, SSE_RESPONSE_HEADERS);
+ * for await (const bytes of encodeSSE(parseStream({ stream, adapter }), { heartbeatInterval: 15000 })) {
+ *   res.write(bytes);
+ * }
+ * res.end();
+ */
+export async function* encodeSSE(chunks, { heartbeatInterval = 0, signal } = {}) {
+  const encoder = new TextEncoder();
+  const iterator = chunks[Symbol.asyncIterator]();
+  let pending = null;
+  let finished = false;
+
+  try {
+    while (!signal?.aborted) {
+      pending ??= iterator.next();
+      const result = await waitForNext(pending, heartbeatInterval, signal);
+      if (result === ABORTED) {
+        return;
+      }
+      if (result === HEARTBEAT_DUE) {
+        yield encoder.encode(HEARTBEAT);
+        continue;
+      }
+      pending = null;
+      if (result.done) {
+        finished = true;
+        return;
+      }
+      if (hasContent(result.value)) {
+        yield encoder.encode(formatChunk(result.value));
+      }
+    }
+  } catch (error) {
+    // The source failed; it is done, and its error is reported to the client.
+    finished = true;
+    if (!signal?.aborted) {
+      yield encoder.encode(formatEvent(ERROR_EVENT_TYPE, {
+        code: error?.code ?? null,
+        message: error?.message ?? String(error),
+      }));
+    }
+  } finally {
+    if (!finished) {
+      // The output was stopped early: stop the source too (e.g. `parseStream` then closes the provider stream).
+      // It is not awaited, as a read in progress may only end when the provider sends its next bytes.
+      pending?.catch(() => {});
+      Promise.resolve(iterator.return?.()).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Serializes normalized chunks as a provider-neutral SSE stream, as a WHATWG `ReadableStream` of bytes.
+ * Cancelling the stream (e.g. when the client disconnects) stops reading the source.
+ *
+ * @param {AsyncIterable<import('./adapters/base-adapter.js').NormalizedChunk>} chunks - The normalized chunks.
+ * @param {SSEOutputOptions} [options] - The output options.
+ * @returns {ReadableStream<Uint8Array>} The stream.
+ *
+ * @example
+ * // In a fetch-style handler (e.g. a Next.js route or Cloudflare worker):
+ * const chunks = parseStream({ stream: upstream.body, adapter: anthropicAdapter });
+ * return new Response(toReadableStream(chunks, { signal: request.signal }), { headers: SSE_RESPONSE_HEADERS });
+ */
+export function toReadableStream(chunks, options = {}) {
+  const output = openOutput(chunks, options);
+  return new ReadableStream({
+    async pull(streamController) {
+      const { value, done } = await output.next();
+      if (done) {
+        streamController.close();
+      } else {
+        streamController.enqueue(value);
+      }
+    },
+    cancel() {
+      output.stop();
+    },
+  });
+}
+
+/**
+ * Serializes normalized chunks as a provider-neutral SSE stream, as a Node `Readable` of bytes.
+ * Destroying the readable (e.g. when the response it is piped into closes) stops reading the source.
+ *
+ * @param {AsyncIterable<import('./adapters/base-adapter.js').NormalizedChunk>} chunks - The normalized chunks.
+ * @param {SSEOutputOptions} [options] - The output options.
+ * @returns {Readable} The readable.
+ *
+ * @example
+ * // In an `http` or Express request handler:
+ * res.writeHead(200, SSE_RESPONSE_HEADERS);
+ * toNodeReadable(parseStream({ stream: upstream.body, adapter: openAIAdapter }), { heartbeatInterval: 15000 }).pipe(res);
+ */
+export function toNodeReadable(chunks, options = {}) {
+  const output = openOutput(chunks, options);
+  return new Readable({
+    read() {
+      output.next().then(
+        ({ value, done }) => this.push(done ? null : value),
+        (error) => this.destroy(error),
+      );
+    },
+    destroy(error, callback) {
+      output.stop();
+      callback(error);
+    },
+  });
+}
+
+/**
+ * Starts the SSE output of a stream wrapper, which can be stopped at any time by its consumer.
+ *
+ * @param {AsyncIterable<import('./adapters/base-adapter.js').NormalizedChunk>} chunks - The normalized chunks.
+ * @param {SSEOutputOptions} options - The output options.
+ * @returns {{next: () => Promise<IteratorResult<Uint8Array>>, stop: () => void}} The output.
+ * @private
+ */
+function openOutput(chunks, options) {
+  const controller = createLinkedAbortController(options.signal);
+  const source = chunks[Symbol.asyncIterator]();
+  const bytes = encodeSSE({ [Symbol.asyncIterator]: () => source }, { ...options, signal: controller.signal });
+  let started = false;
+  return {
+    next() {
+      started = true;
+      return bytes.next();
+    },
+    stop() {
+      // Aborting ends a wait for the source; returning ends the output if it is between events.
+      controller.abort();
+      if (started) {
+        bytes.return().catch(() => {});
+      } else {
+        // The output never started reading, so only the source needs stopping.
+        Promise.resolve(source.return?.()).catch(() => {});
+      }
+    },
+  };
+}
+
+/**
+ * Waits for the next chunk of the source, a heartbeat to be due, or the output to be aborted.
+ *
+ * @param {Promise<IteratorResult<any>>} pending - The pending read of the source.
+ * @param {number} heartbeatInterval - The heartbeat interval in milliseconds, or 0 for none.
+ * @param {AbortSignal} [signal] - The abort signal of the output.
+ * @returns {Promise<IteratorResult<any> | typeof HEARTBEAT_DUE | typeof ABORTED>} Whichever comes first.
+ * @private
+ */
+function waitForNext(pending, heartbeatInterval, signal) {
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    const onAbort = () => {
+      cleanUp();
+      resolve(ABORTED);
+    };
+    const cleanUp = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    if (heartbeatInterval > 0) {
+      timer = setTimeout(() => {
+        cleanUp();
+        resolve(HEARTBEAT_DUE);
+      }, heartbeatInterval);
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+    pending.then(
+      (result) => {
+        cleanUp();
+        resolve(result);
+      },
+      (error) => {
+        cleanUp();
+        reject(error);
+      },
+    );
+  });
+}
+
+/**
+ * Creates an abort controller that is also aborted by the given signal.
+ *
+ * @param {AbortSignal} [signal] - The signal to follow.
+ * @returns {AbortController} The controller.
+ * @private
+ */
+function createLinkedAbortController(signal) {
+  const controller = new AbortController();
+  if (signal?.aborted) {
+    controller.abort();
+  } else {
+    signal?.addEventListener('abort', () => controller.abort(), { once: true });
+  }
+  return controller;
+}
+
+/**
+ * Whether a chunk carries anything for the client.
+ *
+ * @param {import('./adapters/base-adapter.js').NormalizedChunk} chunk - The chunk.
+ * @returns {boolean} Whether the chunk has text, a tool call, metadata or is the last one.
+ * @private
+ */
+function hasContent(chunk) {
+  return Boolean(chunk.data || chunk.toolCall || chunk.metadata || chunk.done);
+}
+
+/**
+ * Formats a normalized chunk as an SSE event, without its provider-specific `id`, `event` and `raw`.
+ *
+ * @param {import('./adapters/base-adapter.js').NormalizedChunk} chunk - The chunk.
+ * @returns {string} The event.
+ * @private
+ */
+function formatChunk({ event, data, done, toolCall, metadata }) {
+  const isToolCall = Boolean(toolCall) && Object.values(TOOL_CALL_EVENT_TYPES).includes(event);
+  return formatEvent(isToolCall ? event : SSE_DEFAULT_EVENT_TYPE, {
+    data: data ?? '',
+    done,
+    ...(toolCall && { toolCall }),
+    ...(metadata && { metadata }),
+  });
+}
+
+/**
+ * Formats an SSE event with a JSON payload.
+ *
+ * @param {string} event - The event type. The default type is left out.
+ * @param {object} payload - The payload.
+ * @returns {string} The event, terminated by a blank line.
+ * @private
+ */
+function formatEvent(event, payload) {
+  // JSON has no raw line breaks, so the payload always fits on one `data` line.
+  const eventLine = event === SSE_DEFAULT_EVENT_TYPE ? '' : `event: ${event}\n`;
+  return `${eventLine}data: ${JSON.stringify(payload)}\n\n`;
+}
@@ -3,37 +3,45 @@
  * @description Core async generator function that takes a readable stream and yields parsed, normalized data objects.
  *
  * This module contains the central logic for processing LLM response streams. It
- * reads chunks from a Node.js ReadableStream, decodes them, splits them into
- * lines or events, and then uses a provider-specific adapter to parse and
- * normalize the data. The output is a standard async iterable, making it easy
+ * reads chunks from a Node.js ReadableStream, decodes them into Server-Sent
+ * Events (see `utils/sse-decoder.js`), JSON lines or AWS event stream messages
+ * (see `utils/aws-event-stream-decoder.js`), and then uses a provider-specific
+ * adapter to parse and normalize the data. The output is a standard async iterable, making it easy
  * to consume streaming data from various LLMs with a consistent `for await...of` loop.
  */
 
 import { StreamError } from './errors/StreamError.js';
+import { SSEDecoder, decodeSSE } from './utils/sse-decoder.js';
+import { AWSEventStreamDecoder, decodeAWSEventStream } from './utils/aws-event-stream-decoder.js';
+import { readText } from './utils/text-stream.js';
 import {
-  SSE_DATA_PREFIX,
-  SSE_EVENT_PREFIX,
+  SSE_DEFAULT_EVENT_TYPE,
   OPENAI_STREAM_TERMINATOR,
   NEWLINE_REGEXP,
+  STREAM_FRAMINGS,
 } from './utils/constants.js';
 
 /**
- * An async generator that parses a readable stream from an LLM API response.
+ * Parses a readable stream from an LLM API response into an async generator.
  *
  * It reads the stream chunk by chunk, handles different streaming formats (SSE, chunked JSON),
  * and yields normalized data objects using a provider-specific adapter. This function
  * is the heart of the library, providing a unified `for await...of` interface for
  * consuming LLM streams.
  *
- * @async
- * @generator
+ * The options are validated immediately, so invalid options throw before any
+ * iteration starts.
+ *
  * @param {object} options - The configuration options for the parser.
- * @param {ReadableStream} options.stream - The Node.js ReadableStream to parse (e.g., from `undici` or `node-fetch`).
+ * @param {ReadableStream} options.stream - The Node.js ReadableStream to parse (e.g., from `undici` or `node-fetch`). Chunks may be bytes or strings.
  * @param {import('./adapters/base-adapter.js').BaseAdapter} options.adapter - An instance of a provider-specific adapter (e.g., `OpenAIAdapter`).
- * @param {boolean} [options.isSSE=true] - A flag indicating if the stream is in Server-Sent Events (SSE) format. Set to `false` for non-SSE formats like Google Gemini's.
- * @yields {Promise<import('./adapters/base-adapter.js').NormalizedChunk>} A promise that resolves to a normalized chunk of data.
- * @throws {StreamError} If the stream is unreadable, data is malformed, or the adapter fails to normalize a chunk.
- * @throws {Error} If the `stream` or `adapter` options are missing.
+ * @param {'sse' | 'ndjson' | 'aws-event-stream'} [options.framing] - How the messages of the stream are framed (see `STREAM_FRAMINGS`).
+ *   Defaults to the adapter's `framing`, which is `'sse'` for most providers.
+ * @param {boolean} [options.isSSE] - The older way to choose the framing: `true` for `'sse'`, `false` for `'ndjson'`
+ *   (e.g. for Google Gemini without `alt=sse`). Ignored if `framing` is given.
+ * @returns {AsyncGenerator<import('./adapters/base-adapter.js').NormalizedChunk, void, unknown>} An async generator that yields normalized chunks.
+ *   It throws a `StreamError` if the stream is unreadable, data is malformed, or the adapter fails to normalize a chunk.
+ * @throws {Error} If the `stream` or `adapter` options are missing, or the framing is unknown.
  *
  * @example
  * // Assuming `response.body` is a ReadableStream from an OpenAI API call
@@ -50,87 +58,78 @@ import {
  *   console.error("Error parsing stream:", error);
  * }
  */
-export async function* parseStream({ stream, adapter, isSSE = true }) {
+export function parseStream({ stream, adapter, isSSE, framing }) {
   if (!stream || typeof stream[Symbol.asyncIterator] !== 'function') {
     throw new Error('A valid ReadableStream must be provided in the `stream` option.');
   }
   if (!adapter || typeof adapter.normalize !== 'function') {
     throw new Error('A valid adapter instance must be provided in the `adapter` option.');
   }
+  const resolvedFraming = framing
+    ?? (typeof isSSE === 'boolean' ? (isSSE ? STREAM_FRAMINGS.SSE : STREAM_FRAMINGS.NDJSON) : null)
+    ?? adapter.framing
+    ?? STREAM_FRAMINGS.SSE;
+  if (!Object.values(STREAM_FRAMINGS).includes(resolvedFraming)) {
+    throw new Error(
+      `Unknown stream framing "${resolvedFraming}". Use one of: ${Object.values(STREAM_FRAMINGS).join(', ')}.`,
+    );
+  }
+  return parseValidatedStream(stream, adapter, resolvedFraming);
+}
 
-  const decoder = new TextDecoder('utf-8');
-  let buffer = '';
-  let currentEvent = 'message'; // Default SSE event type
+/**
+ * The async generator behind `parseStream`, run once the options are validated.
+ *
+ * @async
+ * @generator
+ * @param {ReadableStream} stream - The stream to parse.
+ * @param {import('./adapters/base-adapter.js').BaseAdapter} adapter - The provider-specific adapter.
+ * @param {string} framing - How the messages of the stream are framed (one of `STREAM_FRAMINGS`).
+ * @yields {import('./adapters/base-adapter.js').NormalizedChunk} A normalized chunk of data.
+ * @throws {StreamError} If the stream is unreadable, data is malformed, or the adapter fails to normalize a chunk.
+ * @private
+ */
+async function* parseValidatedStream(stream, adapter, framing) {
+  // Per-stream adapter state (e.g. partial tool calls). Adapters not extending `BaseAdapter` may not have any.
+  const state = typeof adapter.createStreamState === 'function' ? adapter.createStreamState() : {};
+  const messages = MESSAGE_DECODERS[framing](stream);
 
   try {
-    for await (const value of stream) {
-      // Decode the raw Uint8Array chunk to a string and append to buffer.
-      buffer += decoder.decode(value, { stream: true });
-
-      // Process the buffer line by line (or chunk by chunk for non-SSE).
-      let boundary;
-      while ((boundary = findBoundary(buffer, isSSE)) !== -1) {
-        const rawChunk = buffer.substring(0, boundary).trim();
-        buffer = buffer.substring(boundary);
-
-        if (rawChunk === '') {
-          // This was likely a double newline, signaling the end of an SSE event.
-          // Reset the event type for the next one.
-          currentEvent = 'message';
-          continue;
-        }
-
-        let data;
-        if (isSSE) {
-          // For SSE, we need to parse event type and data lines.
-          if (rawChunk.startsWith(SSE_EVENT_PREFIX)) {
-            currentEvent = rawChunk.substring(SSE_EVENT_PREFIX.length).trim();
-            continue; // This line is processed, move to the next.
-          }
-
-          if (!rawChunk.startsWith(SSE_DATA_PREFIX)) {
-            // Ignore lines that are not part of the SSE data/event format (e.g., comments starting with ':').
-            continue;
-          }
-          data = rawChunk.substring(SSE_DATA_PREFIX.length);
-        } else {
-          // For non-SSE, the entire chunk is the data.
-          data = rawChunk;
-        }
-
-        // Check for the stream termination signal (e.g., OpenAI's '[DONE]').
-        if (data === OPENAI_STREAM_TERMINATOR) {
-          return; // Gracefully exit the generator.
-        }
+    for await (const { event, data } of messages) {
+      // Check for the stream termination signal (e.g., OpenAI's '[DONE]').
+      if (data === OPENAI_STREAM_TERMINATOR) {
+        return; // Gracefully exit the generator.
+      }
 
-        let parsedJson;
-        try {
-          parsedJson = JSON.parse(data);
-        } catch (error) {
-          // If JSON parsing fails, it could be a malformed chunk.
-          // We throw a specific StreamError with context.
-          throw new StreamError('Failed to parse stream data as JSON.', {
-            code: 'JSON_PARSE_ERROR',
-            chunk: data,
-            cause: error,
-          });
-        }
+      let parsedJson;
+      try {
+        parsedJson = JSON.parse(data);
+      } catch (error) {
+        // If JSON parsing fails, it could be a malformed chunk.
+        // We throw a specific StreamError with context.
+        throw new StreamError('Failed to parse stream data as JSON.', {
+          code: 'JSON_PARSE_ERROR',
+          chunk: data,
+          cause: error,
+        });
+      }
 
-        // Normalize the parsed JSON using the provided adapter.
-        // The adapter might return null to signal that a chunk should be skipped (e.g., Anthropic's 'ping' event).
-        const normalized = adapter.normalize(parsedJson, currentEvent);
+      // Normalize the parsed JSON using the provided adapter.
+      // The adapter might return null to signal that a chunk should be skipped (e.g., Anthropic's 'ping' event),
+      // or an array when one provider chunk carries several events (e.g., text and a finished tool call).
+      const normalizedChunks = [adapter.normalize(parsedJson, event, state)].flat().filter(Boolean);
 
-        if (normalized) {
-          yield normalized;
-          // If the adapter signals that this is the final chunk, we can stop processing.
-          if (normalized.done) {
-            return;
-          }
-        }
+      // Response metadata (model, stop reason, usage) is attached once per provider chunk.
+      const metadata = typeof adapter.getMetadata === 'function' ? adapter.getMetadata(parsedJson, event) : null;
+      if (metadata && normalizedChunks.length > 0) {
+        normalizedChunks[0].metadata = metadata;
+      }
 
-        // Reset event type after processing a data payload in SSE.
-        if (isSSE) {
-          currentEvent = 'message';
+      for (const normalizedChunk of normalizedChunks) {
+        yield normalizedChunk;
+        // If the adapter signals that this is the final chunk, we can stop processing.
+        if (normalizedChunk.done) {
+          return;
         }
       }
     }
@@ -144,41 +143,113 @@ export async function* parseStream({ stream, adapter, isSSE = true }) {
       code: 'STREAM_ABORTED',
       cause: error,
     });
-  } finally {
-    // After the loop, there might be a final, incomplete chunk in the buffer.
-    // We decode it here to ensure no data is lost, though it's often empty.
-    const finalChunk = decoder.decode(undefined, { stream: false });
-    if (finalChunk.trim()) {
-      // This case is rare but could happen if the stream ends without a proper newline.
-      // We log a warning as it might indicate a truncated response.
-      console.warn(
-        'llm-stream-parser: The stream ended with a non-empty, unprocessed buffer. This may indicate a truncated response.',
-        { buffer: finalChunk },
-      );
+  }
+}
+
+/**
+ * Decodes the SSE events of a stream into messages.
+ *
+ * @async
+ * @generator
+ * @param {ReadableStream} stream - The stream to decode.
+ * @yields {{event: string, data: string}} The events of the stream.
+ * @private
+ */
+async function* decodeSSEMessages(stream) {
+  const decoder = new SSEDecoder();
+  yield* decodeSSE(stream, decoder);
+  // An SSE event that is not terminated by a blank line is discarded, as the specification requires.
+  if (decoder.pending.trim()) {
+    warnUnprocessedBuffer(decoder.pending);
+  }
+}
+
+/**
+ * Splits a newline-delimited JSON stream (e.g. Google Gemini's without `alt=sse`) into messages.
+ *
+ * @async
+ * @generator
+ * @param {ReadableStream} stream - The stream to split.
+ * @yields {{event: string, data: string}} Each non-empty line, as a message of the default event type.
+ * @private
+ */
+async function* decodeJSONLines(stream) {
+  let buffer = '';
+  for await (const text of readText(stream)) {
+    const lines = (buffer + text).split(NEWLINE_REGEXP);
+    // The last part has no newline after it yet.
+    buffer = lines.pop();
+    for (const line of lines) {
+      // Trimming also removes a byte order mark at the start of the stream.
+      if (line.trim()) {
+        yield { event: SSE_DEFAULT_EVENT_TYPE, data: line.trim() };
+      }
     }
   }
+  if (buffer.trim()) {
+    warnUnprocessedBuffer(buffer);
+  }
 }
 
 /**
- * Finds the position of the next event boundary in the buffer.
+ * Decodes the messages of an AWS event stream (e.g. Amazon Bedrock's) into messages,
+ * with the `:event-type` header as the event type and the payload as the data.
  *
- * - For SSE (`isSSE = true`), the boundary is a newline character (`\n`),
- *   as each line is a separate part of an event.
- * - For non-SSE chunked JSON (`isSSE = false`), the boundary is also a newline,
- *   assuming each JSON object is newline-delimited. This is a common convention
- *   for streams like Google Gemini's.
+ * @async
+ * @generator
+ * @param {ReadableStream} stream - The stream to decode.
+ * @yields {{event: string, data: string}} The events of the stream.
+ * @throws {StreamError} If the stream reports an exception or error.
+ * @private
+ */
+async function* decodeEventStreamMessages(stream) {
+  const decoder = new AWSEventStreamDecoder();
+  const textDecoder = new TextDecoder('utf-8');
+  for await (const { headers, payload } of decodeAWSEventStream(stream, decoder)) {
+    const data = textDecoder.decode(payload);
+    const messageType = headers[':message-type'];
+    if (messageType === 'exception' || messageType === 'error') {
+      const name = headers[':exception-type'] ?? headers[':error-code'] ?? 'unknown';
+      let message = headers[':error-message'] ?? data;
+      try {
+        message = JSON.parse(data).message ?? message;
+      } catch {
+        // The payload is not JSON; report it as it is.
+      }
+      throw new StreamError(`AWS event stream ${messageType} "${name}": ${message}`, {
+        code: 'PROVIDER_ERROR',
+        chunk: data,
+      });
+    }
+    yield { event: headers[':event-type'] ?? SSE_DEFAULT_EVENT_TYPE, data };
+  }
+  if (decoder.pendingBytes > 0) {
+    warnUnprocessedBuffer(`${decoder.pendingBytes} bytes of an incomplete AWS event stream message`);
+  }
+}
+
+/**
+ * The message decoder for each stream framing.
+ * @type {Object<string, (stream: ReadableStream) => AsyncGenerator<{event: string, data: string}>>}
+ * @private
+ */
+const MESSAGE_DECODERS = {
+  [STREAM_FRAMINGS.SSE]: decodeSSEMessages,
+  [STREAM_FRAMINGS.NDJSON]: decodeJSONLines,
+  [STREAM_FRAMINGS.AWS_EVENT_STREAM]: decodeEventStreamMessages,
+};
+
+/**
+ * Warns that the stream ended in the middle of a message.
+ * This is rare but could happen if the stream ends without a proper newline,
+ * and might indicate a truncated response.
  *
- * @param {string} buffer - The current data buffer.
- * @param {boolean} isSSE - Flag indicating the stream format.
- * @returns {number} The index of the boundary plus one, or -1 if no boundary is found.
+ * @param {string} buffer - The unprocessed text.
  * @private
  */
-function findBoundary(buffer, isSSE) {
-  // Both SSE and common chunked JSON formats use newlines as delimiters.
-  // The logic is the same for both in this implementation.
-  // The `isSSE` parameter is kept for future extensibility if a format
-  // requires a different delimiter.
-  const _unused = isSSE;
-  const newlineIndex = buffer.search(NEWLINE_REGEXP);
-  return newlineIndex !== -1 ? newlineIndex + 1 : -1;
-}
\ No newline at end of file
+function warnUnprocessedBuffer(buffer) {
+  console.warn(
+    'llm-stream-parser: The stream ended with a non-empty, unprocessed buffer. This may indicate a truncated response.',
+    { buffer },
+  );
+}
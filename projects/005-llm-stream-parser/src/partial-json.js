@@ -0,0 +1,558 @@
+/**
+ * @file src/partial-json.js
+ * @description An incremental, tolerant JSON parser for structured-output streams.
+ *
+ * When a model is asked for JSON output, the document arrives as text over many
+ * chunks, and `JSON.parse` only works once it is complete. `PartialJSONParser`
+ * parses the text as it arrives instead: after each piece it reports a
+ * best-effort snapshot of the document (with strings and numbers cut where the
+ * text ends), and every value whose text is complete, by its path
+ * (e.g. `items[3].title`). Once the document closes, it can be validated
+ * against a JSON Schema.
+ */
+
+import { StreamError } from './errors/StreamError.js';
+import { PARTIAL_JSON_EVENT_TYPES } from './utils/constants.js';
+
+/**
+ * @typedef {{type: 'partial', value: object | Array<any>}} PartialEvent
+ * A best-effort snapshot of the document, after a piece of text changed it.
+ * Incomplete strings and numbers are included as far as they are known; incomplete
+ * keys and `true`/`false`/`null` literals are not.
+ */
+
+/**
+ * @typedef {{type: 'field', path: string, value: any}} FieldEvent
+ * A complete value inside the document, e.g. `{ path: 'items[3].title', value: 'Dune' }`.
+ * Objects and arrays are reported when they close, after the values inside them.
+ */
+
+/**
+ * @typedef {object} CompleteEvent
+ * The complete document.
+ * @property {'complete'} type - The event type.
+ * @property {object | Array<any>} value - The parsed document.
+ * @property {boolean} [valid] - Whether the document matches the schema. Only present if a schema or validator was given.
+ * @property {object[]} [errors] - The schema validation errors (Ajv's format), empty if the document is valid.
+ *   Only present if a schema or validator was given.
+ */
+
+/**
+ * @typedef {PartialEvent | FieldEvent | CompleteEvent} PartialJSONEvent
+ */
+
+/**
+ * @typedef {((value: any) => boolean) & {errors?: object[] | null}} Validator
+ * A compiled schema validator, such as the function returned by Ajv's `compile`.
+ */
+
+// Text before the document (e.g. a Markdown code fence) is skipped until one of these.
+const DOCUMENT_START_CHARACTERS = new Set(['{', '[']);
+// What the outermost object or array expects right after its opening bracket.
+const OPENING_EXPECTATIONS = new Set(['key-or-end', 'value-or-end']);
+const WHITESPACE_REGEXP = /\s/;
+const NUMBER_CHARACTER_REGEXP = /[0-9+\-.eE]/;
+const NUMBER_REGEXP = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+const IDENTIFIER_REGEXP = /^[A-Za-z_$][\w$]*$/;
+
+const LITERALS = {
+  t: ['true', true],
+  f: ['false', false],
+  n: ['null', null],
+};
+
+const ESCAPES = {
+  '"': '"',
+  '\\': '\\',
+  '/': '/',
+  b: '\b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t',
+};
+
+/**
+ * Incrementally parses a JSON document from pieces of text.
+ *
+ * Text before the first `{` or `[` (such as a "```json" fence or a sentence
+ * before the document) and text after the document closes are ignored, so
+ * model output that wraps the JSON still parses. A bracket in that text (e.g.
+ * "see [below]") is skipped too if what follows it cannot start the document.
+ *
+ * A new parser must be used for every document.
+ *
+ * @example
+ * const parser = new PartialJSONParser();
+ * for await (const chunk of parseStream({ stream, adapter })) {
+ *   for (const event of parser.push(chunk.data)) {
+ *     if (event.type === 'field') console.log(`${event.path} =`, event.value);
+ *   }
+ * }
+ * parser.end();
+ */
+export class PartialJSONParser {
+  /**
+   * The validator run on the complete document, if any.
+   * @type {Validator | null}
+   */
+  #validator;
+
+  /**
+   * The document, built as it is parsed.
+   * @type {object | Array<any> | undefined}
+   */
+  #root = undefined;
+
+  /**
+   * The open objects and arrays, innermost last.
+   * @type {Array<{value: object | Array<any>, path: Array<string | number>, key: string | null, expect: string}>}
+   */
+  #stack = [];
+
+  /**
+   * The string, number or literal being read, if any.
+   * @type {{kind: string, text: string, frame: object | null, slot?: string | number, escape?: boolean, unicode?: string | null} | null}
+   */
+  #token = null;
+
+  /**
+   * Whether the document so far is only its opening bracket, possibly followed by the start of
+   * a literal, so that it may still turn out to be a bracket in the text before the document.
+   * @type {boolean}
+   */
+  #tentative = false;
+
+  #done = false;
+  #position = 0;
+
+  /**
+   * The JSON of the last `partial` event, so that unchanged snapshots are not reported again.
+   * @type {string | null}
+   */
+  #lastPartial = null;
+
+  /**
+   * Constructs a new PartialJSONParser.
+   *
+   * @param {object} [options] - The parser options.
+   * @param {Validator} [options.validator] - A compiled schema validator to run on the complete document,
+   *   such as `new Ajv().compile(schema)`. See `parsePartialJSON` to pass a schema instead.
+   */
+  constructor({ validator = null } = {}) {
+    this.#validator = validator;
+  }
+
+  /**
+   * Whether the document is complete.
+   * @type {boolean}
+   */
+  get done() {
+    return this.#done;
+  }
+
+  /**
+   * A snapshot of the document parsed so far, or undefined if it has not started.
+   * @type {object | Array<any> | undefined}
+   */
+  get value() {
+    this.#writePartialToken();
+    return this.#root === undefined ? undefined : structuredClone(this.#root);
+  }
+
+  /**
+   * Parses the next piece of the document.
+   *
+   * @param {string} text - The text, e.g. the `data` of a normalized chunk.
+   * @returns {PartialJSONEvent[]} The `field` events of the values completed by this text, in order, followed by
+   *   a `partial` event if the document so far changed, or the `complete` event if the document closed.
+   * @throws {StreamError} If the text is not valid JSON (`JSON_PARSE_ERROR`).
+   */
+  push(text) {
+    const events = [];
+    for (const character of text) {
+      if (this.#done) {
+        break;
+      }
+      this.#read(character, events, text);
+      this.#position += 1;
+    }
+    if (this.#root !== undefined && !this.#done && !this.#tentative) {
+      const value = this.value;
+      const json = JSON.stringify(value);
+      if (json !== this.#lastPartial) {
+        this.#lastPartial = json;
+        events.push({ type: PARTIAL_JSON_EVENT_TYPES.PARTIAL, value });
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Signals the end of the text.
+   *
+   * @throws {StreamError} If the document is missing or incomplete (`JSON_PARSE_ERROR`).
+   */
+  end() {
+    if (this.#root === undefined || this.#tentative) {
+      throw new StreamError('The stream ended without a JSON document.', { code: 'JSON_PARSE_ERROR' });
+    }
+    if (!this.#done) {
+      throw new StreamError('The stream ended before the JSON document was complete.', {
+        code: 'JSON_PARSE_ERROR',
+        chunk: JSON.stringify(this.value),
+      });
+    }
+  }
+
+  /**
+   * Reads one character of the text. While the document is tentative, a character that
+   * cannot follow its start means the opening bracket was not the document, which is then
+   * looked for again from this character on.
+   *
+   * @param {string} character - The character.
+   * @param {PartialJSONEvent[]} events - The events of the current `push`, to add to.
+   * @param {string} text - The text of the current `push`, for errors.
+   * @private
+   */
+  #read(character, events, text) {
+    if (!this.#tentative) {
+      this.#consume(character, events, text);
+      return;
+    }
+    try {
+      this.#consume(character, events, text);
+    } catch (error) {
+      if (!(error instanceof StreamError)) {
+        throw error;
+      }
+      this.#root = undefined;
+      this.#stack = [];
+      this.#token = null;
+      this.#tentative = false;
+      this.#consume(character, events, text);
+      return;
+    }
+    this.#tentative = this.#stack.length === 1
+      && (OPENING_EXPECTATIONS.has(this.#stack[0].expect) || this.#token?.kind === 'literal');
+  }
+
+  /**
+   * Consumes one character of the document.
+   *
+   * @param {string} character - The character.
+   * @param {PartialJSONEvent[]} events - The events of the current `push`, to add to.
+   * @param {string} text - The text of the current `push`, for errors.
+   * @private
+   */
+  #consume(character, events, text) {
+    if (this.#token && this.#continueToken(character, events, text)) {
+      return;
+    }
+    if (this.#root === undefined) {
+      if (DOCUMENT_START_CHARACTERS.has(character)) {
+        this.#startValue(character, null, events, text);
+        this.#tentative = true;
+      }
+      return;
+    }
+    if (this.#done || WHITESPACE_REGEXP.test(character)) {
+      return;
+    }
+
+    const frame = this.#stack.at(-1);
+    switch (frame.expect) {
+      case 'key-or-end':
+      case 'key':
+        if (character === '}' && frame.expect === 'key-or-end') {
+          this.#close(events);
+        } else if (character === '"') {
+          this.#token = { kind: 'key', text: '', frame, escape: false, unicode: null };
+        } else {
+          throw this.#unexpected(character, text);
+        }
+        break;
+
+      case 'colon':
+        if (character !== ':') {
+          throw this.#unexpected(character, text);
+        }
+        frame.expect = 'value';
+        break;
+
+      case 'value-or-end':
+        if (character === ']') {
+          this.#close(events);
+        } else {
+          this.#startValue(character, frame, events, text);
+        }
+        break;
+
+      case 'value':
+        this.#startValue(character, frame, events, text);
+        break;
+
+      case 'comma-or-end':
+        if (character === ',') {
+          frame.expect = Array.isArray(frame.value) ? 'value' : 'key';
+        } else if (character === (Array.isArray(frame.value) ? ']' : '}')) {
+          this.#close(events);
+        } else {
+          throw this.#unexpected(character, text);
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Starts the value that begins with the given character.
+   *
+   * @param {string} character - The first character of the value.
+   * @param {object | null} frame - The object or array the value is in, or null for the document itself.
+   * @param {PartialJSONEvent[]} events - The events of the current `push`.
+   * @param {string} text - The text of the current `push`, for errors.
+   * @private
+   */
+  #startValue(character, frame, events, text) {
+    const slot = frame && (Array.isArray(frame.value) ? frame.value.length : frame.key);
+    if (frame) {
+      frame.expect = 'comma-or-end';
+    }
+
+    if (character === '{' || character === '[') {
+      const value = character === '{' ? {} : [];
+      if (frame) {
+        setValue(frame.value, slot, value);
+      } else {
+        this.#root = value;
+      }
+      this.#stack.push({
+        value,
+        path: frame ? [...frame.path, slot] : [],
+        key: null,
+        expect: character === '{' ? 'key-or-end' : 'value-or-end',
+      });
+    } else if (character === '"') {
+      this.#token = { kind: 'string', text: '', frame, slot, escape: false, unicode: null };
+    } else if (character === '-' || (character >= '0' && character <= '9')) {
+      this.#token = { kind: 'number', text: character, frame, slot };
+    } else if (character in LITERALS) {
+      this.#token = { kind: 'literal', text: character, frame, slot };
+    } else {
+      throw this.#unexpected(character, text);
+    }
+  }
+
+  /**
+   * Continues the string, number or literal being read.
+   *
+   * @param {string} character - The next character.
+   * @param {PartialJSONEvent[]} events - The events of the current `push`.
+   * @param {string} text - The text of the current `push`, for errors.
+   * @returns {boolean} Whether the character belongs to the token. If not, the token
+   *   is complete and the character must be consumed on its own.
+   * @private
+   */
+  #continueToken(character, events, text) {
+    const token = this.#token;
+
+    if (token.kind === 'number') {
+      if (NUMBER_CHARACTER_REGEXP.test(character)) {
+        token.text += character;
+        return true;
+      }
+      if (!NUMBER_REGEXP.test(token.text)) {
+        throw this.#unexpected(character, text);
+      }
+      this.#completeToken(Number(token.text), events);
+      return false;
+    }
+
+    if (token.kind === 'literal') {
+      const [literal, value] = LITERALS[token.text[0]];
+      token.text += character;
+      if (!literal.startsWith(token.text)) {
+        throw this.#unexpected(character, text);
+      }
+      if (token.text === literal) {
+        this.#completeToken(value, events);
+      }
+      return true;
+    }
+
+    // A string or an object key.
+    if (token.unicode !== null) {
+      token.unicode += character;
+      if (token.unicode.length === 4) {
+        if (!/^[0-9a-fA-F]{4}$/.test(token.unicode)) {
+          throw this.#unexpected(character, text);
+        }
+        token.text += String.fromCharCode(parseInt(token.unicode, 16));
+        token.unicode = null;
+      }
+    } else if (token.escape) {
+      token.escape = false;
+      if (character === 'u') {
+        token.unicode = '';
+      } else if (character in ESCAPES) {
+        token.text += ESCAPES[character];
+      } else {
+        throw this.#unexpected(character, text);
+      }
+    } else if (character === '\\') {
+      token.escape = true;
+    } else if (character === '"') {
+      if (token.kind === 'key') {
+        token.frame.key = token.text;
+        token.frame.expect = 'colon';
+        this.#token = null;
+      } else {
+        this.#completeToken(token.text, events);
+      }
+    } else {
+      token.text += character;
+    }
+    return true;
+  }
+
+  /**
+   * Stores the value of the completed token and reports it.
+   *
+   * @param {any} value - The value.
+   * @param {PartialJSONEvent[]} events - The events of the current `push`.
+   * @private
+   */
+  #completeToken(value, events) {
+    const { frame, slot } = this.#token;
+    this.#token = null;
+    setValue(frame.value, slot, value);
+    events.push({ type: PARTIAL_JSON_EVENT_TYPES.FIELD, path: formatPath([...frame.path, slot]), value });
+  }
+
+  /**
+   * Closes the innermost object or array, and reports it (or the document, if it was the outermost).
+   *
+   * @param {PartialJSONEvent[]} events - The events of the current `push`.
+   * @private
+   */
+  #close(events) {
+    const { value, path } = this.#stack.pop();
+    if (this.#stack.length > 0) {
+      events.push({ type: PARTIAL_JSON_EVENT_TYPES.FIELD, path: formatPath(path), value });
+      return;
+    }
+    this.#done = true;
+    const event = { type: PARTIAL_JSON_EVENT_TYPES.COMPLETE, value };
+    if (this.#validator) {
+      event.valid = Boolean(this.#validator(value));
+      event.errors = event.valid ? [] : [...(this.#validator.errors ?? [])];
+    }
+    events.push(event);
+  }
+
+  /**
+   * Writes the string or number being read into the document, as far as it is known.
+   * @private
+   */
+  #writePartialToken() {
+    const token = this.#token;
+    if (!token?.frame) {
+      return;
+    }
+    if (token.kind === 'string') {
+      setValue(token.frame.value, token.slot, token.text);
+    } else if (token.kind === 'number' && Number.isFinite(Number(token.text))) {
+      setValue(token.frame.value, token.slot, Number(token.text));
+    }
+  }
+
+  /**
+   * Creates the error for a character that is not valid at its position.
+   *
+   * @param {string} character - The character.
+   * @param {string} text - The text of the current `push`.
+   * @returns {StreamError} The error.
+   * @private
+   */
+  #unexpected(character, text) {
+    return new StreamError(
+      `Invalid JSON in the stream: unexpected ${JSON.stringify(character)} at position ${this.#position}.`,
+      { code: 'JSON_PARSE_ERROR', chunk: text },
+    );
+  }
+}
+
+/**
+ * Parses the JSON document in the text of a stream as it arrives.
+ *
+ * @async
+ * @generator
+ * @param {AsyncIterable<import('./adapters/base-adapter.js').NormalizedChunk | string>} chunks - The normalized chunks
+ *   (e.g. from `parseStream`), whose `data` is the text of the document, or the text itself.
+ * @param {object} [options] - The parser options.
+ * @param {object} [options.schema] - A JSON Schema to validate the complete document with (using Ajv).
+ * @param {Validator} [options.validator] - A compiled validator to use instead of `schema`.
+ * @yields {PartialJSONEvent} The events of the document, as `PartialJSONParser#push` returns them.
+ * @throws {StreamError} If the text is not valid JSON, or the stream ends before the document is complete.
+ *
+ * @example
+ * const chunks = parseStream({ stream: response.body, adapter: openAIAdapter });
+ * for await (const event of parsePartialJSON(chunks, { schema })) {
+ *   if (event.type === 'partial') render(event.value);
+ *   if (event.type === 'complete' && !event.valid) console.error(event.errors);
+ * }
+ */
+export async function* parsePartialJSON(chunks, { schema, validator } = {}) {
+  const parser = new PartialJSONParser({ validator: validator ?? (schema && await compileSchema(schema)) });
+  for await (const chunk of chunks) {
+    yield* parser.push(typeof chunk === 'string' ? chunk : chunk.data ?? '');
+  }
+  parser.end();
+}
+
+/**
+ * Compiles a JSON Schema with Ajv, which is only loaded when a schema is used.
+ *
+ * @param {object} schema - The JSON Schema.
+ * @returns {Promise<Validator>} The compiled validator.
+ * @private
+ */
+async function compileSchema(schema) {
+  const { default: Ajv } = await import('ajv');
+  return new Ajv({ allErrors: true }).compile(schema);
+}
+
+/**
+ * Sets a key of an object or an index of an array, as `JSON.parse` does: a `__proto__` key
+ * becomes an own property instead of setting the prototype.
+ *
+ * @param {object | Array<any>} container - The object or array.
+ * @param {string | number} slot - The key or index.
+ * @param {any} value - The value.
+ * @private
+ */
+function setValue(container, slot, value) {
+  Object.defineProperty(container, slot, { value, enumerable: true, writable: true, configurable: true });
+}
+
+/**
+ * Formats the path of a value, e.g. `items[3].title` or `meta["content-type"]`.
+ *
+ * @param {Array<string | number>} path - The keys and indexes from the document to the value.
+ * @returns {string} The formatted path.
+ * @private
+ */
+function formatPath(path) {
+  return path.reduce((formatted, segment) => {
+    if (typeof segment === 'number') {
+      return `${formatted}[${segment}]`;
+    }
+    if (IDENTIFIER_REGEXP.test(segment)) {
+      return formatted ? `${formatted}.${segment}` : segment;
+    }
+    return `${formatted}[${JSON.stringify(segment)}]`;
+  }, '');
+}
@@ -0,0 +1,241 @@
+/**
+ * @file src/utils/aws-event-stream-decoder.js
+ * @description A decoder for the binary AWS event stream encoding (`application/vnd.amazon.eventstream`).
+ *
+ * Amazon Bedrock's `InvokeModelWithResponseStream` and `ConverseStream` APIs do
+ * not use SSE. Each message is a binary frame:
+ *
+ * | Bytes    | Content                                                  |
+ * |----------|----------------------------------------------------------|
+ * | 4        | Total length of the message (big-endian)                 |
+ * | 4        | Length of the headers (big-endian)                       |
+ * | 4        | CRC32 of the first 8 bytes                               |
+ * | variable | Headers: name length (1), name, value type (1), value    |
+ * | variable | Payload                                                  |
+ * | 4        | CRC32 of the whole message before this field             |
+ *
+ * @see {@link https://docs.aws.amazon.com/transcribe/latest/dg/event-stream.html}
+ */
+
+import { StreamError } from '../errors/StreamError.js';
+
+/**
+ * @typedef {object} AWSEventStreamMessage
+ * @property {Object<string, string | number | bigint | boolean | Uint8Array | Date>} headers - The headers of the message
+ *   (e.g. `:event-type`, `:message-type`, `:content-type`), by name.
+ * @property {Uint8Array} payload - The payload of the message.
+ */
+
+const PRELUDE_LENGTH = 12;
+const CHECKSUM_LENGTH = 4;
+const MINIMUM_MESSAGE_LENGTH = PRELUDE_LENGTH + CHECKSUM_LENGTH;
+// Messages are at most 16 MB; a larger length means the stream is not an event stream or is corrupted.
+const MAXIMUM_MESSAGE_LENGTH = 16 * 1024 * 1024;
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Computes the CRC32 checksum the event stream encoding uses.
+ *
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {number} The checksum, as an unsigned 32-bit integer.
+ * @private
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Creates the error for a malformed message.
+ *
+ * @param {string} reason - What is wrong with the message.
+ * @returns {StreamError} The error.
+ * @private
+ */
+function createFormatError(reason) {
+  return new StreamError(`Invalid AWS event stream message: ${reason}`, { code: 'UNEXPECTED_FORMAT' });
+}
+
+/**
+ * Parses the headers of a message.
+ *
+ * @param {Uint8Array} bytes - The header bytes.
+ * @returns {AWSEventStreamMessage['headers']} The headers, by name.
+ * @throws {StreamError} If a header has an unknown value type or exceeds the header bytes.
+ * @private
+ */
+function parseHeaders(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const textDecoder = new TextDecoder('utf-8');
+  const headers = {};
+  let offset = 0;
+
+  // Returns the offset of the next `length` bytes and moves past them.
+  const advance = (length) => {
+    if (offset + length > bytes.byteLength) {
+      throw createFormatError('a header exceeds the header length.');
+    }
+    offset += length;
+    return offset - length;
+  };
+  const readBytes = (length) => {
+    const start = advance(length);
+    return bytes.subarray(start, start + length);
+  };
+
+  while (offset < bytes.byteLength) {
+    const name = textDecoder.decode(readBytes(view.getUint8(advance(1))));
+    const type = view.getUint8(advance(1));
+    let value;
+    switch (type) {
+      case 0:
+        value = true;
+        break;
+      case 1:
+        value = false;
+        break;
+      case 2:
+        value = view.getInt8(advance(1));
+        break;
+      case 3:
+        value = view.getInt16(advance(2));
+        break;
+      case 4:
+        value = view.getInt32(advance(4));
+        break;
+      case 5:
+        value = view.getBigInt64(advance(8));
+        break;
+      case 6:
+        value = readBytes(view.getUint16(advance(2))).slice();
+        break;
+      case 7:
+        value = textDecoder.decode(readBytes(view.getUint16(advance(2))));
+        break;
+      case 8:
+        value = new Date(Number(view.getBigInt64(advance(8))));
+        break;
+      case 9:
+        value = readBytes(16).slice();
+        break;
+      default:
+        throw createFormatError(`unknown header value type ${type} for header "${name}".`);
+    }
+    headers[name] = value;
+  }
+  return headers;
+}
+
+/**
+ * Incrementally decodes the bytes of an AWS event stream.
+ *
+ * Bytes are pushed as they arrive, and each push returns the messages completed
+ * by them. A new decoder must be used for every stream.
+ */
+export class AWSEventStreamDecoder {
+  /**
+   * The bytes of the message that has not been received completely yet.
+   * @type {Uint8Array}
+   */
+  #buffer = new Uint8Array(0);
+
+  /**
+   * The number of bytes received after the last complete message.
+   * A non-zero value at the end of a stream indicates a truncated response.
+   *
+   * @returns {number} The number of unprocessed bytes.
+   */
+  get pendingBytes() {
+    return this.#buffer.byteLength;
+  }
+
+  /**
+   * Decodes the next bytes of the stream.
+   *
+   * @param {Uint8Array} bytes - The next bytes.
+   * @returns {AWSEventStreamMessage[]} The messages completed by these bytes, in order.
+   * @throws {StreamError} If a message is malformed or fails its checksum.
+   */
+  push(bytes) {
+    let buffer = this.#buffer.byteLength === 0 ? bytes : concatBytes(this.#buffer, bytes);
+    const messages = [];
+
+    while (buffer.byteLength >= PRELUDE_LENGTH) {
+      const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+      const totalLength = view.getUint32(0);
+      const headersLength = view.getUint32(4);
+
+      if (crc32(buffer.subarray(0, 8)) !== view.getUint32(8)) {
+        throw createFormatError('the prelude checksum does not match.');
+      }
+      if (totalLength < MINIMUM_MESSAGE_LENGTH || totalLength > MAXIMUM_MESSAGE_LENGTH
+        || headersLength > totalLength - MINIMUM_MESSAGE_LENGTH) {
+        throw createFormatError(`the message length ${totalLength} or headers length ${headersLength} is invalid.`);
+      }
+      if (buffer.byteLength < totalLength) {
+        break;
+      }
+
+      const messageChecksum = view.getUint32(totalLength - CHECKSUM_LENGTH);
+      if (crc32(buffer.subarray(0, totalLength - CHECKSUM_LENGTH)) !== messageChecksum) {
+        throw createFormatError('the message checksum does not match.');
+      }
+      const headersEnd = PRELUDE_LENGTH + headersLength;
+      messages.push({
+        headers: parseHeaders(buffer.subarray(PRELUDE_LENGTH, headersEnd)),
+        payload: buffer.slice(headersEnd, totalLength - CHECKSUM_LENGTH),
+      });
+      buffer = buffer.subarray(totalLength);
+    }
+
+    // Copy the rest, so the decoder does not keep the whole chunk alive.
+    this.#buffer = buffer.slice();
+    return messages;
+  }
+}
+
+/**
+ * Concatenates two byte arrays.
+ *
+ * @param {Uint8Array} a - The first bytes.
+ * @param {Uint8Array} b - The following bytes.
+ * @returns {Uint8Array} The bytes of both.
+ * @private
+ */
+function concatBytes(a, b) {
+  const bytes = new Uint8Array(a.byteLength + b.byteLength);
+  bytes.set(a, 0);
+  bytes.set(b, a.byteLength);
+  return bytes;
+}
+
+/**
+ * Decodes an AWS event stream into an async iterator of messages.
+ *
+ * Pass a decoder to read its `pendingBytes` after the iteration; otherwise a new one is created.
+ *
+ * @async
+ * @generator
+ * @param {AsyncIterable<Uint8Array>} stream - The response body.
+ * @param {AWSEventStreamDecoder} [decoder=new AWSEventStreamDecoder()] - The decoder to use.
+ * @yields {AWSEventStreamMessage} The messages of the stream, in order.
+ * @throws {StreamError} If the stream yields text instead of bytes, or a message is malformed.
+ */
+export async function* decodeAWSEventStream(stream, decoder = new AWSEventStreamDecoder()) {
+  for await (const value of stream) {
+    if (!(value instanceof Uint8Array)) {
+      throw new StreamError('An AWS event stream must be read as bytes, not text.', { code: 'UNEXPECTED_FORMAT' });
+    }
+    yield* decoder.push(value);
+  }
+}
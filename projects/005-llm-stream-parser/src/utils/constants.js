@@ -9,18 +9,11 @@
  */
 
 /**
- * @constant {string} SSE_DATA_PREFIX
- * The standard prefix for a data line in a Server-Sent Event stream.
+ * @constant {string} SSE_DEFAULT_EVENT_TYPE
+ * The type of a Server-Sent Event that has no `event` field.
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Server-sent_events/Using_server-sent_events#event_stream_format}
  */
-export const SSE_DATA_PREFIX = 'data: ';
-
-/**
- * @constant {string} SSE_EVENT_PREFIX
- * The standard prefix for an event type line in a Server-Sent Event stream.
- * Used by providers like Anthropic to signal different event types (e.g., 'ping', 'content_block_delta').
- */
-export const SSE_EVENT_PREFIX = 'event: ';
+export const SSE_DEFAULT_EVENT_TYPE = 'message';
 
 /**
  * @constant {string} OPENAI_STREAM_TERMINATOR
@@ -30,13 +23,26 @@ export const OPENAI_STREAM_TERMINATOR = '[DONE]';
 
 /**
  * @constant {RegExp} NEWLINE_REGEXP
- * A regular expression to match one or more newline characters (`\n` or `\r\n`).
- * Used to split the incoming stream data into individual lines for processing.
+ * A regular expression to match a newline (`\n` or `\r\n`).
+ * Used to split newline-delimited JSON streams into individual lines for processing.
  * This is more robust than a simple `string.split('\n')` as it handles
  * different line ending conventions and multiple blank lines between events.
  */
 export const NEWLINE_REGEXP = /\r?\n/g;
 
+/**
+ * @constant {object} STREAM_FRAMINGS
+ * A frozen object containing the ways a provider can frame the messages of a stream.
+ * @property {string} SSE - Server-Sent Events (`text/event-stream`), used by most providers.
+ * @property {string} NDJSON - One JSON object per line (`application/x-ndjson`), e.g. Ollama.
+ * @property {string} AWS_EVENT_STREAM - The binary AWS event stream encoding (`application/vnd.amazon.eventstream`), used by Amazon Bedrock.
+ */
+export const STREAM_FRAMINGS = Object.freeze({
+  SSE: 'sse',
+  NDJSON: 'ndjson',
+  AWS_EVENT_STREAM: 'aws-event-stream',
+});
+
 /**
  * @constant {object} ANTHROPIC_EVENT_TYPES
  * A frozen object containing the known event types for Anthropic's streaming API.
@@ -59,4 +65,64 @@ export const ANTHROPIC_EVENT_TYPES = Object.freeze({
   CONTENT_BLOCK_DELTA: 'content_block_delta',
   CONTENT_BLOCK_STOP: 'content_block_stop',
   ERROR: 'error',
-});
\ No newline at end of file
+});
+
+/**
+ * @constant {object} TOOL_CALL_EVENT_TYPES
+ * A frozen object containing the provider-neutral event types adapters emit for tool (function) calls.
+ * @property {string} DELTA - A streamed part of a tool call's arguments, for real-time display.
+ * @property {string} COMPLETE - A finished tool call with its fully parsed arguments.
+ */
+export const TOOL_CALL_EVENT_TYPES = Object.freeze({
+  DELTA: 'tool_call_delta',
+  COMPLETE: 'tool_call',
+});
+
+/**
+ * @constant {object} COHERE_EVENT_TYPES
+ * A frozen object containing the event types of Cohere's v2 chat stream.
+ * @property {string} MESSAGE_START - Signals the beginning of a message and carries its ID.
+ * @property {string} CONTENT_START - Signals the start of a content block.
+ * @property {string} CONTENT_DELTA - Contains a piece of the message text.
+ * @property {string} CONTENT_END - Signals the end of a content block.
+ * @property {string} TOOL_PLAN_DELTA - Contains a piece of the model's plan for its tool calls.
+ * @property {string} TOOL_CALL_START - Signals the start of a tool call and carries its ID and name.
+ * @property {string} TOOL_CALL_DELTA - Contains a piece of a tool call's JSON arguments.
+ * @property {string} TOOL_CALL_END - Signals the end of a tool call.
+ * @property {string} MESSAGE_END - Signals the end of the message and carries the finish reason and usage.
+ */
+export const COHERE_EVENT_TYPES = Object.freeze({
+  MESSAGE_START: 'message-start',
+  CONTENT_START: 'content-start',
+  CONTENT_DELTA: 'content-delta',
+  CONTENT_END: 'content-end',
+  TOOL_PLAN_DELTA: 'tool-plan-delta',
+  TOOL_CALL_START: 'tool-call-start',
+  TOOL_CALL_DELTA: 'tool-call-delta',
+  TOOL_CALL_END: 'tool-call-end',
+  MESSAGE_END: 'message-end',
+});
+
+/**
+ * @constant {object} PARTIAL_JSON_EVENT_TYPES
+ * A frozen object containing the event types of the partial JSON parser.
+ * @property {string} PARTIAL - A best-effort snapshot of the document parsed so far.
+ * @property {string} FIELD - A value at a path of the document is complete.
+ * @property {string} COMPLETE - The document is complete, with its schema validation result if a schema was given.
+ */
+export const PARTIAL_JSON_EVENT_TYPES = Object.freeze({
+  PARTIAL: 'partial',
+  FIELD: 'field',
+  COMPLETE: 'complete',
+});
+
+/**
+ * @constant {object} SSE_RESPONSE_HEADERS
+ * The HTTP response headers for re-emitting a stream as Server-Sent Events (see `encodeSSE`).
+ * `X-Accel-Buffering: no` stops nginx and similar reverse proxies from buffering the events.
+ */
+export const SSE_RESPONSE_HEADERS = Object.freeze({
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache',
+  'X-Accel-Buffering': 'no',
+});
@@ -0,0 +1,48 @@
+/**
+ * @file src/utils/metadata.js
+ * @description Helpers for adapters to build the response metadata of a chunk.
+ *
+ * Providers send the message ID, model, stop reason and token usage in
+ * different places and often as `null` until they are known. These helpers
+ * drop the missing values, so that a metadata object only contains what the
+ * chunk actually reported.
+ */
+
+/**
+ * Copies the properties of an object that are neither null nor undefined.
+ *
+ * @param {object} values - The values.
+ * @returns {object | null} The defined values, or null if there are none.
+ * @private
+ */
+function pickDefined(values) {
+  const entries = Object.entries(values).filter(([, value]) => value !== null && value !== undefined);
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
+
+/**
+ * Creates token usage from the counts a provider reported.
+ *
+ * @param {object} counts - The token counts. Missing counts may be null or undefined.
+ * @param {number | null} [counts.inputTokens] - The number of tokens in the prompt.
+ * @param {number | null} [counts.outputTokens] - The number of generated tokens.
+ * @param {number | null} [counts.totalTokens] - The total number of tokens.
+ * @returns {import('../adapters/base-adapter.js').Usage | null} The usage, or null if no count was reported.
+ */
+export function createUsage({ inputTokens, outputTokens, totalTokens }) {
+  return pickDefined({ inputTokens, outputTokens, totalTokens });
+}
+
+/**
+ * Creates the metadata of a chunk from the values a provider reported.
+ *
+ * @param {object} values - The metadata values. Missing values may be null or undefined.
+ * @param {string | null} [values.messageId] - The provider's identifier for the response.
+ * @param {string | null} [values.model] - The model that generated the response.
+ * @param {string | null} [values.stopReason] - Why the model stopped generating.
+ * @param {import('../adapters/base-adapter.js').Usage | null} [values.usage] - Token usage (see `createUsage`).
+ * @returns {import('../adapters/base-adapter.js').ChunkMetadata | null} The metadata, or null if the chunk has none.
+ */
+export function createMetadata({ messageId, model, stopReason, usage }) {
+  return pickDefined({ messageId, model, stopReason, usage });
+}
@@ -0,0 +1,225 @@
+/**
+ * @file src/utils/sse-decoder.js
+ * @description A Server-Sent Events decoder following the WHATWG EventSource specification.
+ *
+ * The decoder turns the text of an `text/event-stream` response into events:
+ * lines are split on CRLF, LF or CR, fields are collected until a blank line
+ * dispatches the event, multiple `data` lines are joined with newlines, comments
+ * are ignored and the last event ID and reconnection time are tracked across events.
+ *
+ * @see {@link https://html.spec.whatwg.org/multipage/server-sent-events.html#event-stream-interpretation}
+ */
+
+import { readText } from './text-stream.js';
+import { SSE_DEFAULT_EVENT_TYPE } from './constants.js';
+
+/**
+ * @typedef {object} SSEEvent
+ * @property {string} event - The event type, `'message'` if the event has no `event` field.
+ * @property {string} data - The data of the event, with multiple `data` lines joined by `\n`.
+ * @property {string} lastEventId - The last event ID received on the stream, at the time of this event.
+ */
+
+const LINE_END_REGEXP = /\r\n|\r|\n/g;
+const BYTE_ORDER_MARK = '\uFEFF';
+
+/**
+ * Incrementally decodes the text of an SSE stream.
+ *
+ * Text is pushed in chunks as it arrives, and each push returns the events
+ * completed by that chunk. A new decoder must be used for every stream.
+ *
+ * @example
+ * const decoder = new SSEDecoder();
+ * decoder.push('event: greeting\ndata: hel'); // []
+ * decoder.push('lo\n\n'); // [{ event: 'greeting', data: 'hello', lastEventId: '' }]
+ */
+export class SSEDecoder {
+  /**
+   * The last event ID received on the stream, e.g. to send as `Last-Event-ID` when reconnecting.
+   * @type {string}
+   */
+  lastEventId = '';
+
+  /**
+   * The reconnection time in milliseconds requested by the server with a `retry` field, or null if none was.
+   * @type {number | null}
+   */
+  retry = null;
+
+  /**
+   * The text of the line that has not ended yet.
+   * @type {string}
+   */
+  #buffer = '';
+
+  /**
+   * Whether the stream has started, to strip a leading byte order mark once.
+   * @type {boolean}
+   */
+  #started = false;
+
+  /**
+   * Whether the last chunk ended with a CR, so that an LF starting the next chunk belongs to the same line end.
+   * @type {boolean}
+   */
+  #skipLineFeed = false;
+
+  /**
+   * The event type, data and ID fields of the event that has not been dispatched yet.
+   * @type {string}
+   */
+  #eventType = '';
+  #data = '';
+  #lastEventIdBuffer = '';
+
+  /**
+   * The field lines of the event that has not been dispatched yet, as received.
+   * @type {string}
+   */
+  #pendingLines = '';
+
+  /**
+   * The text received after the last dispatched event, without comments.
+   * Per the specification, an event that is not followed by a blank line when the stream ends is discarded;
+   * a non-empty value at the end of a stream may indicate a truncated response.
+   *
+   * @returns {string} The unprocessed text.
+   */
+  get pending() {
+    return this.#pendingLines + this.#buffer;
+  }
+
+  /**
+   * Decodes the next chunk of text.
+   *
+   * @param {string} text - The next chunk of the stream.
+   * @returns {SSEEvent[]} The events completed by this chunk, in order.
+   */
+  push(text) {
+    if (!this.#started && text !== '') {
+      this.#started = true;
+      if (text.startsWith(BYTE_ORDER_MARK)) {
+        text = text.slice(BYTE_ORDER_MARK.length);
+      }
+    }
+    if (this.#skipLineFeed && text !== '') {
+      this.#skipLineFeed = false;
+      if (text.startsWith('\n')) {
+        text = text.slice(1);
+      }
+    }
+
+    const buffer = this.#buffer + text;
+    const events = [];
+    let lineStart = 0;
+    let match;
+    LINE_END_REGEXP.lastIndex = 0;
+    while ((match = LINE_END_REGEXP.exec(buffer)) !== null) {
+      // A CR at the end of the chunk may be the first half of a CRLF split across chunks.
+      if (match[0] === '\r' && LINE_END_REGEXP.lastIndex === buffer.length) {
+        this.#skipLineFeed = true;
+      }
+      const event = this.#processLine(buffer.slice(lineStart, match.index));
+      if (event) {
+        events.push(event);
+      }
+      lineStart = LINE_END_REGEXP.lastIndex;
+    }
+    this.#buffer = buffer.slice(lineStart);
+    return events;
+  }
+
+  /**
+   * Interprets a complete line, dispatching the pending event on a blank line.
+   *
+   * @param {string} line - The line, without its line end.
+   * @returns {SSEEvent | null} The dispatched event, if any.
+   * @private
+   */
+  #processLine(line) {
+    if (line === '') {
+      return this.#dispatch();
+    }
+    if (line.startsWith(':')) {
+      // A comment, often sent as a keep-alive.
+      return null;
+    }
+    this.#pendingLines += `${line}\n`;
+
+    const colonIndex = line.indexOf(':');
+    const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+    let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    switch (field) {
+      case 'event':
+        this.#eventType = value;
+        break;
+      case 'data':
+        this.#data += `${value}\n`;
+        break;
+      case 'id':
+        if (!value.includes('\0')) {
+          this.#lastEventIdBuffer = value;
+        }
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) {
+          this.retry = Number(value);
+        }
+        break;
+      default:
+        // Unknown fields are ignored.
+        break;
+    }
+    return null;
+  }
+
+  /**
+   * Dispatches the pending event and resets the event fields.
+   * The last event ID is kept for the following events, as the specification requires.
+   *
+   * @returns {SSEEvent | null} The event, or null if it has no data.
+   * @private
+   */
+  #dispatch() {
+    this.lastEventId = this.#lastEventIdBuffer;
+    const event = this.#data === ''
+      ? null
+      : {
+        event: this.#eventType || SSE_DEFAULT_EVENT_TYPE,
+        data: this.#data.slice(0, -1),
+        lastEventId: this.lastEventId,
+      };
+    this.#eventType = '';
+    this.#data = '';
+    this.#pendingLines = '';
+    return event;
+  }
+}
+
+/**
+ * Decodes an SSE stream into an async iterator of events.
+ *
+ * Pass a decoder to read its `lastEventId`, `retry` and `pending` text during or
+ * after the iteration; otherwise a new one is created.
+ *
+ * @async
+ * @generator
+ * @param {AsyncIterable<Uint8Array | string>} stream - The SSE response body.
+ * @param {SSEDecoder} [decoder=new SSEDecoder()] - The decoder to use.
+ * @yields {SSEEvent} The events of the stream, in order.
+ *
+ * @example
+ * for await (const { event, data } of decodeSSE(response.body)) {
+ *   console.log(event, JSON.parse(data));
+ * }
+ */
+export async function* decodeSSE(stream, decoder = new SSEDecoder()) {
+  for await (const text of readText(stream)) {
+    yield* decoder.push(text);
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * @file src/utils/text-stream.js
+ * @description Reads a byte or string stream as text.
+ */
+
+/**
+ * Decodes the chunks of a stream as UTF-8 text.
+ *
+ * Multi-byte characters split across chunks are decoded correctly. A byte order
+ * mark is passed through, so that the consumer can decide whether to strip it
+ * (the SSE decoder does, as the specification requires).
+ *
+ * @async
+ * @generator
+ * @param {AsyncIterable<Uint8Array | string>} stream - The stream to read. Streams in object mode
+ *   (e.g. `Readable.from(['...'])`) may yield strings, which are passed through as they are.
+ * @yields {string} The text of each chunk. May be empty.
+ */
+export async function* readText(stream) {
+  const decoder = new TextDecoder('utf-8', { ignoreBOM: true });
+  for await (const value of stream) {
+    yield typeof value === 'string' ? value : decoder.decode(value, { stream: true });
+  }
+  // Flush an incomplete multi-byte sequence at the end of the stream.
+  const rest = decoder.decode();
+  if (rest) {
+    yield rest;
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * @file src/utils/tool-call-buffer.js
+ * @description Per-stream buffer that reassembles tool (function) calls from streamed deltas.
+ *
+ * Providers stream the arguments of a tool call as fragments of a JSON string
+ * (OpenAI's `tool_calls[i].function.arguments`, Anthropic's `input_json_delta`).
+ * Adapters append those fragments to a `ToolCallBuffer` and finish a call once
+ * the provider signals that its block has ended, at which point the complete
+ * JSON is parsed into an arguments object.
+ */
+
+import { StreamError } from '../errors/StreamError.js';
+import { TOOL_CALL_EVENT_TYPES } from './constants.js';
+
+/**
+ * @typedef {object} ToolCall
+ * @property {number} index - The position of the tool call within the response.
+ * @property {string | null} id - The provider's identifier for the tool call, used to send back its result.
+ * @property {string | null} name - The name of the tool (function) to call.
+ * @property {object} arguments - The fully parsed arguments.
+ */
+
+/**
+ * @typedef {object} ToolCallDelta
+ * @property {number} index - The position of the tool call within the response.
+ * @property {string | null} id - The provider's identifier for the tool call, once known.
+ * @property {string | null} name - The name of the tool, once known.
+ * @property {string} argumentsDelta - The fragment of the JSON arguments received in this chunk.
+ */
+
+/**
+ * Collects the streamed parts of the tool calls of a single response.
+ *
+ * A new buffer must be used for every stream; adapters receive one through the
+ * stream state created by `BaseAdapter#createStreamState`.
+ */
+export class ToolCallBuffer {
+  /**
+   * The tool calls that have started but not finished, by index.
+   * @type {Map<number, {id: string | null, name: string | null, argumentsText: string}>}
+   */
+  #pending = new Map();
+
+  /**
+   * The index the next tool call without a provider-assigned index gets.
+   * @type {number}
+   */
+  #nextIndex = 0;
+
+  /**
+   * Appends a streamed part of a tool call, starting the call if it is new.
+   *
+   * @param {object} delta - The streamed part.
+   * @param {number} delta.index - The position of the tool call within the response.
+   * @param {string | null} [delta.id] - The tool call ID, if sent in this part.
+   * @param {string | null} [delta.name] - The tool name, if sent in this part.
+   * @param {string} [delta.argumentsDelta=''] - A fragment of the JSON arguments.
+   * @returns {ToolCallDelta} The part, with the ID and name known so far.
+   */
+  append({ index, id = null, name = null, argumentsDelta = '' }) {
+    const call = this.#pending.get(index) ?? { id: null, name: null, argumentsText: '' };
+    call.id = id ?? call.id;
+    call.name = name ?? call.name;
+    call.argumentsText += argumentsDelta;
+    this.#pending.set(index, call);
+    this.#nextIndex = Math.max(this.#nextIndex, index + 1);
+    return { index, id: call.id, name: call.name, argumentsDelta };
+  }
+
+  /**
+   * Checks whether a tool call has started and not finished yet.
+   *
+   * @param {number} index - The position of the tool call.
+   * @returns {boolean} True if the tool call is pending.
+   */
+  has(index) {
+    return this.#pending.has(index);
+  }
+
+  /**
+   * Finishes a pending tool call and parses its arguments.
+   *
+   * @param {number} index - The position of the tool call.
+   * @returns {ToolCall | null} The complete tool call, or null if no call with that index is pending.
+   * @throws {StreamError} If the accumulated arguments are not valid JSON.
+   */
+  finish(index) {
+    const call = this.#pending.get(index);
+    if (!call) {
+      return null;
+    }
+    this.#pending.delete(index);
+    return {
+      index,
+      id: call.id,
+      name: call.name,
+      arguments: parseToolArguments(call.argumentsText),
+    };
+  }
+
+  /**
+   * Finishes the pending tool calls with an index lower than the given one,
+   * for providers that stream parallel tool calls one after another.
+   *
+   * @param {number} index - The index of the tool call that has started.
+   * @returns {ToolCall[]} The complete tool calls, in index order.
+   */
+  finishBefore(index) {
+    return [...this.#pending.keys()]
+      .filter((pendingIndex) => pendingIndex < index)
+      .sort((a, b) => a - b)
+      .map((pendingIndex) => this.finish(pendingIndex));
+  }
+
+  /**
+   * Finishes all pending tool calls, e.g. when the response ends.
+   *
+   * @returns {ToolCall[]} The complete tool calls, in index order.
+   */
+  finishAll() {
+    return this.finishBefore(Infinity);
+  }
+
+  /**
+   * Records a tool call that the provider sent whole (e.g. Gemini's `functionCall` parts).
+   *
+   * @param {object} call - The tool call.
+   * @param {string | null} [call.id] - The tool call ID, if the provider assigns one.
+   * @param {string | null} call.name - The tool name.
+   * @param {object} [call.arguments={}] - The parsed arguments.
+   * @returns {ToolCall} The tool call, with the next free index.
+   */
+  complete({ id = null, name, arguments: args = {} }) {
+    const index = this.#nextIndex;
+    this.#nextIndex += 1;
+    return { index, id, name, arguments: args };
+  }
+}
+
+/**
+ * Parses the accumulated JSON arguments of a tool call.
+ * Tools without parameters may stream no arguments at all, which is treated as `{}`.
+ *
+ * @param {string} argumentsText - The complete JSON arguments.
+ * @returns {object} The parsed arguments.
+ * @throws {StreamError} If the text is not valid JSON.
+ * @private
+ */
+function parseToolArguments(argumentsText) {
+  if (argumentsText.trim() === '') {
+    return {};
+  }
+  try {
+    return JSON.parse(argumentsText);
+  } catch (error) {
+    throw new StreamError('Failed to parse tool call arguments as JSON.', {
+      code: 'JSON_PARSE_ERROR',
+      chunk: argumentsText,
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Creates the normalized `tool_call` chunk for a finished tool call.
+ *
+ * @param {ToolCall} toolCall - The complete tool call.
+ * @param {object} raw - The provider chunk that finished the call.
+ * @param {string | null} [id=null] - The stream or event ID, if the provider sends one with every chunk.
+ * @returns {import('../adapters/base-adapter.js').NormalizedChunk} The normalized chunk.
+ */
+export function createToolCallChunk(toolCall, raw, id = null) {
+  return {
+    id,
+    event: TOOL_CALL_EVENT_TYPES.COMPLETE,
+    data: '',
+    done: false,
+    raw,
+    toolCall,
+  };
+}
+
+/**
+ * Creates the normalized `tool_call_delta` chunk for a streamed part of a tool call.
+ *
+ * @param {ToolCallDelta} toolCallDelta - The streamed part, as returned by `ToolCallBuffer#append`.
+ * @param {object} raw - The provider chunk that contained the part.
+ * @param {string | null} [id=null] - The stream or event ID, if the provider sends one with every chunk.
+ * @returns {import('../adapters/base-adapter.js').NormalizedChunk} The normalized chunk.
+ */
+export function createToolCallDeltaChunk(toolCallDelta, raw, id = null) {
+  return {
+    id,
+    event: TOOL_CALL_EVENT_TYPES.DELTA,
+    data: '',
+    done: false,
+    raw,
+    toolCall: toolCallDelta,
+  };
+}
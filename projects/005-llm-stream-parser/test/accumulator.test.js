@@ -0,0 +1,174 @@
+/**
+ * @file test/accumulator.test.js
+ * @description Unit tests for the message accumulator.
+ *
+ * The accumulator is tested on real provider streams parsed with the built-in
+ * adapters, so that the metadata the adapters report and the chunks they
+ * produce are covered together.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Readable } from 'node:stream';
+import { parseStream } from '../src/parser.js';
+import { MessageAccumulator, accumulateMessage } from '../src/accumulator.js';
+import { openAIAdapter } from '../src/adapters/openai-adapter.js';
+import { anthropicAdapter } from '../src/adapters/anthropic-adapter.js';
+import { geminiAdapter } from '../src/adapters/gemini-adapter.js';
+
+/**
+ * Creates an SSE stream from events.
+ * @param {Array<{event?: string, data: object | string}>} events - The events.
+ * @returns {Readable} The stream.
+ */
+const createSSEStream = (events) => Readable.from(events.map(({ event, data }) => {
+  const payload = typeof data === 'string' ? data : JSON.stringify(data);
+  return `${event ? `event: ${event}\n` : ''}data: ${payload}\n\n`;
+}));
+
+describe('MessageAccumulator', () => {
+  it('should assemble an OpenAI stream with usage', async () => {
+    const base = { id: 'chatcmpl-1', object: 'chat.completion.chunk', model: 'gpt-4o', usage: null };
+    const stream = createSSEStream([
+      { data: { ...base, choices: [{ index: 0, delta: { role: 'assistant', content: '' }, finish_reason: null }] } },
+      { data: { ...base, choices: [{ index: 0, delta: { content: 'Hello' }, finish_reason: null }] } },
+      { data: { ...base, choices: [{ index: 0, delta: { content: ' world' }, finish_reason: null }] } },
+      { data: { ...base, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] } },
+      { data: { ...base, choices: [], usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 } } },
+      { data: '[DONE]' },
+    ]);
+
+    const message = await accumulateMessage(parseStream({ stream, adapter: openAIAdapter }));
+
+    assert.deepStrictEqual(message, {
+      id: 'chatcmpl-1',
+      model: 'gpt-4o',
+      text: 'Hello world',
+      content: [{ type: 'text', text: 'Hello world' }],
+      toolCalls: [],
+      stopReason: 'stop',
+      usage: { inputTokens: 5, outputTokens: 2, totalTokens: 7 },
+    });
+  });
+
+  it('should assemble an Anthropic stream with text and a tool call', async () => {
+    const stream = createSSEStream([
+      {
+        event: 'message_start',
+        data: {
+          type: 'message_start',
+          message: { id: 'msg_1', model: 'claude-3-5-sonnet', content: [], stop_reason: null, usage: { input_tokens: 20, output_tokens: 1 } },
+        },
+      },
+      { event: 'content_block_start', data: { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } } },
+      { event: 'ping', data: { type: 'ping' } },
+      { event: 'content_block_delta', data: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Let me check.' } } },
+      { event: 'content_block_stop', data: { type: 'content_block_stop', index: 0 } },
+      {
+        event: 'content_block_start',
+        data: { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: {} } },
+      },
+      {
+        event: 'content_block_delta',
+        data: { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"city":"Oslo"}' } },
+      },
+      { event: 'content_block_stop', data: { type: 'content_block_stop', index: 1 } },
+      {
+        event: 'message_delta',
+        data: { type: 'message_delta', delta: { stop_reason: 'tool_use', stop_sequence: null }, usage: { output_tokens: 30 } },
+      },
+      { event: 'message_stop', data: { type: 'message_stop' } },
+    ]);
+
+    const message = await accumulateMessage(parseStream({ stream, adapter: anthropicAdapter }));
+
+    const toolCall = { index: 1, id: 'toolu_1', name: 'get_weather', arguments: { city: 'Oslo' } };
+    assert.deepStrictEqual(message, {
+      id: 'msg_1',
+      model: 'claude-3-5-sonnet',
+      text: 'Let me check.',
+      content: [{ type: 'text', text: 'Let me check.' }, { type: 'tool_call', toolCall }],
+      toolCalls: [toolCall],
+      stopReason: 'tool_use',
+      usage: { inputTokens: 20, outputTokens: 30, totalTokens: 50 },
+    });
+  });
+
+  it('should keep the text of each Anthropic content block in its own part', async () => {
+    const textBlock = (index, texts) => [
+      { event: 'content_block_start', data: { type: 'content_block_start', index, content_block: { type: 'text', text: '' } } },
+      ...texts.map((text) => ({
+        event: 'content_block_delta',
+        data: { type: 'content_block_delta', index, delta: { type: 'text_delta', text } },
+      })),
+      { event: 'content_block_stop', data: { type: 'content_block_stop', index } },
+    ];
+    const stream = createSSEStream([
+      { event: 'message_start', data: { type: 'message_start', message: { id: 'msg_1', model: 'claude-3-5-sonnet' } } },
+      ...textBlock(0, ['First ', 'block.']),
+      ...textBlock(1, ['Second block.']),
+      { event: 'message_stop', data: { type: 'message_stop' } },
+    ]);
+
+    const message = await accumulateMessage(parseStream({ stream, adapter: anthropicAdapter }));
+
+    assert.deepStrictEqual(message.content, [
+      { type: 'text', text: 'First block.' },
+      { type: 'text', text: 'Second block.' },
+    ]);
+    assert.strictEqual(message.text, 'First block.Second block.');
+  });
+
+  it('should assemble a Gemini stream', async () => {
+    const stream = Readable.from([
+      `${JSON.stringify({ candidates: [{ content: { parts: [{ text: 'Hi' }], role: 'model' }, index: 0 }], responseId: 'r1', modelVersion: 'gemini-2.0-flash' })}\n`,
+      `${JSON.stringify({
+        candidates: [{ content: { parts: [{ text: ' there' }], role: 'model' }, finishReason: 'STOP', index: 0 }],
+        usageMetadata: { promptTokenCount: 3, candidatesTokenCount: 2, totalTokenCount: 5 },
+        responseId: 'r1',
+        modelVersion: 'gemini-2.0-flash',
+      })}\n`,
+    ]);
+
+    const message = await accumulateMessage(parseStream({ stream, adapter: geminiAdapter, isSSE: false }));
+
+    assert.strictEqual(message.id, 'r1');
+    assert.strictEqual(message.model, 'gemini-2.0-flash');
+    assert.strictEqual(message.text, 'Hi there');
+    assert.strictEqual(message.stopReason, 'STOP');
+    assert.deepStrictEqual(message.usage, { inputTokens: 3, outputTokens: 2, totalTokens: 5 });
+  });
+
+  it('should pass chunks through in real time while tracking them', async () => {
+    const stream = createSSEStream([
+      { data: { id: 'c1', choices: [{ index: 0, delta: { content: 'a' }, finish_reason: null }] } },
+      { data: { id: 'c1', choices: [{ index: 0, delta: { content: 'b' }, finish_reason: 'stop' }] } },
+    ]);
+    const accumulator = new MessageAccumulator();
+
+    const textSoFar = [];
+    for await (const chunk of accumulator.track(parseStream({ stream, adapter: openAIAdapter }))) {
+      assert.strictEqual(typeof chunk.data, 'string');
+      textSoFar.push(accumulator.message.text);
+    }
+
+    assert.deepStrictEqual(textSoFar, ['a', 'ab']);
+    assert.strictEqual(accumulator.message.usage, null);
+  });
+
+  it('should split text around tool calls into separate parts', () => {
+    const accumulator = new MessageAccumulator();
+    const toolCall = { index: 0, id: 'call_1', name: 'search', arguments: {} };
+    accumulator.add({ id: null, event: 'completion', data: 'Before', done: false, raw: {} });
+    accumulator.add({ id: null, event: 'tool_call_delta', data: '', done: false, raw: {}, toolCall: { ...toolCall, argumentsDelta: '{}' } });
+    accumulator.add({ id: null, event: 'tool_call', data: '', done: false, raw: {}, toolCall });
+    accumulator.add({ id: null, event: 'completion', data: 'After', done: true, raw: {} });
+
+    assert.deepStrictEqual(accumulator.message.content, [
+      { type: 'text', text: 'Before' },
+      { type: 'tool_call', toolCall },
+      { type: 'text', text: 'After' },
+    ]);
+    assert.strictEqual(accumulator.message.text, 'BeforeAfter');
+  });
+});
@@ -2,7 +2,8 @@
  * @file test/adapters.test.js
  * @description Unit tests for each provider adapter, ensuring correct normalization of various chunk formats.
  *
- * These tests verify that each adapter (`OpenAIAdapter`, `AnthropicAdapter`, `GeminiAdapter`)
+ * These tests verify that each adapter (`OpenAIAdapter`, `AnthropicAdapter`, `GeminiAdapter`,
+ * `OllamaAdapter`, `CohereAdapter`, `MistralAdapter`, `BedrockAdapter`)
  * correctly transforms its provider-specific input chunk into the standard `NormalizedChunk` format.
  * This includes handling various event types, extracting data correctly, identifying termination
  * conditions, and throwing appropriate `StreamError` exceptions for malformed or provider-error chunks.
@@ -13,8 +14,12 @@ import assert from 'node:assert';
 import { OpenAIAdapter } from '../src/adapters/openai-adapter.js';
 import { AnthropicAdapter } from '../src/adapters/anthropic-adapter.js';
 import { GeminiAdapter } from '../src/adapters/gemini-adapter.js';
+import { OllamaAdapter } from '../src/adapters/ollama-adapter.js';
+import { CohereAdapter } from '../src/adapters/cohere-adapter.js';
+import { MistralAdapter } from '../src/adapters/mistral-adapter.js';
+import { BedrockAdapter } from '../src/adapters/bedrock-adapter.js';
 import { StreamError } from '../src/errors/StreamError.js';
-import { ANTHROPIC_EVENT_TYPES } from '../src/utils/constants.js';
+import { ANTHROPIC_EVENT_TYPES, COHERE_EVENT_TYPES } from '../src/utils/constants.js';
 
 describe('Adapters', () => {
   describe('OpenAIAdapter', () => {
@@ -185,6 +190,134 @@ describe('Adapters', () => {
         raw: chunk,
       });
     });
+
+    describe('tool calls', () => {
+      const toolCallChunk = (toolCalls, finishReason = null) => ({
+        id: 'chatcmpl-123',
+        object: 'chat.completion.chunk',
+        choices: [{ index: 0, delta: { tool_calls: toolCalls }, finish_reason: finishReason }],
+      });
+
+      it('should emit a `tool_call_delta` for each streamed argument fragment', () => {
+        const state = adapter.createStreamState();
+        const chunk = toolCallChunk([
+          { index: 0, id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '' } },
+        ]);
+        const normalized = adapter.normalize(chunk, undefined, state);
+        assert.deepStrictEqual(normalized, [
+          {
+            id: 'chatcmpl-123',
+            event: 'tool_call_delta',
+            data: '',
+            done: false,
+            raw: chunk,
+            toolCall: { index: 0, id: 'call_1', name: 'get_weather', argumentsDelta: '' },
+          },
+        ]);
+
+        const [delta] = adapter.normalize(toolCallChunk([{ index: 0, function: { arguments: '{"city":' } }]), undefined, state);
+        assert.deepStrictEqual(delta.toolCall, { index: 0, id: 'call_1', name: 'get_weather', argumentsDelta: '{"city":' });
+      });
+
+      it('should emit the parsed `tool_call` before the final chunk when the choice finishes', () => {
+        const state = adapter.createStreamState();
+        adapter.normalize(toolCallChunk([{ index: 0, id: 'call_1', function: { name: 'get_weather', arguments: '{"ci' } }]), undefined, state);
+        adapter.normalize(toolCallChunk([{ index: 0, function: { arguments: 'ty":"Paris"}' } }]), undefined, state);
+        const finalChunk = {
+          id: 'chatcmpl-123',
+          choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }],
+        };
+        const normalized = adapter.normalize(finalChunk, undefined, state);
+
+        assert.strictEqual(normalized.length, 2);
+        assert.deepStrictEqual(normalized[0], {
+          id: 'chatcmpl-123',
+          event: 'tool_call',
+          data: '',
+          done: false,
+          raw: finalChunk,
+          toolCall: { index: 0, id: 'call_1', name: 'get_weather', arguments: { city: 'Paris' } },
+        });
+        assert.strictEqual(normalized[1].event, 'completion');
+        assert.strictEqual(normalized[1].done, true);
+      });
+
+      it('should finish a tool call when the next parallel tool call starts', () => {
+        const state = adapter.createStreamState();
+        adapter.normalize(toolCallChunk([{ index: 0, id: 'call_1', function: { name: 'a', arguments: '{}' } }]), undefined, state);
+        const normalized = adapter.normalize(
+          toolCallChunk([{ index: 1, id: 'call_2', function: { name: 'b', arguments: '' } }]),
+          undefined,
+          state,
+        );
+
+        assert.deepStrictEqual(normalized.map((chunk) => chunk.event), ['tool_call', 'tool_call_delta']);
+        assert.deepStrictEqual(normalized[0].toolCall, { index: 0, id: 'call_1', name: 'a', arguments: {} });
+        assert.strictEqual(normalized[1].toolCall.id, 'call_2');
+      });
+
+      it('should throw a StreamError if the finished arguments are not valid JSON', () => {
+        const state = adapter.createStreamState();
+        adapter.normalize(toolCallChunk([{ index: 0, id: 'call_1', function: { name: 'a', arguments: '{"city"' } }]), undefined, state);
+        assert.throws(
+          () => adapter.normalize(toolCallChunk([], 'tool_calls'), undefined, state),
+          (err) => {
+            assert(err instanceof StreamError);
+            assert.strictEqual(err.code, 'JSON_PARSE_ERROR');
+            assert.strictEqual(err.chunk, '{"city"');
+            return true;
+          },
+        );
+      });
+    });
+
+    describe('metadata and usage', () => {
+      it('should normalize the usage-only chunk of a stream with `include_usage`', () => {
+        const chunk = {
+          id: 'chatcmpl-123',
+          model: 'gpt-4',
+          choices: [],
+          usage: { prompt_tokens: 9, completion_tokens: 12, total_tokens: 21 },
+        };
+        assert.deepStrictEqual(adapter.normalize(chunk), {
+          id: 'chatcmpl-123',
+          event: 'usage',
+          data: '',
+          done: true,
+          raw: chunk,
+        });
+      });
+
+      it('should not be done with the finished choice if a usage chunk follows', () => {
+        const chunk = {
+          id: 'chatcmpl-123',
+          choices: [{ index: 0, delta: {}, finish_reason: 'stop' }],
+          usage: null,
+        };
+        assert.strictEqual(adapter.normalize(chunk).done, false);
+      });
+
+      it('should report the ID, model, finish reason and usage as metadata', () => {
+        assert.deepStrictEqual(
+          adapter.getMetadata({
+            id: 'chatcmpl-123',
+            model: 'gpt-4',
+            choices: [{ index: 0, delta: {}, finish_reason: 'stop' }],
+            usage: { prompt_tokens: 9, completion_tokens: 12, total_tokens: 21 },
+          }),
+          {
+            messageId: 'chatcmpl-123',
+            model: 'gpt-4',
+            stopReason: 'stop',
+            usage: { inputTokens: 9, outputTokens: 12, totalTokens: 21 },
+          },
+        );
+        assert.deepStrictEqual(
+          adapter.getMetadata({ id: 'chatcmpl-123', choices: [{ index: 0, delta: {}, finish_reason: null }], usage: null }),
+          { messageId: 'chatcmpl-123' },
+        );
+      });
+    });
   });
 
   describe('AnthropicAdapter', () => {
@@ -310,6 +443,38 @@ describe('Adapters', () => {
       );
     });
 
+    it('should skip the deltas of thinking blocks and citations', () => {
+      const events = [
+        ['content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } }],
+        ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Let me see' } }],
+        ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'signature_delta', signature: 'EqQBCgIYAhIM' } }],
+        ['content_block_stop', { type: 'content_block_stop', index: 0 }],
+        ['content_block_start', { type: 'content_block_start', index: 1, content_block: { type: 'text', text: '' } }],
+        ['content_block_delta', { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'Hi' } }],
+        ['content_block_delta', {
+          type: 'content_block_delta',
+          index: 1,
+          delta: { type: 'citations_delta', citation: { type: 'char_location', cited_text: 'Hi', document_index: 0 } },
+        }],
+        ['content_block_stop', { type: 'content_block_stop', index: 1 }],
+      ];
+      const state = adapter.createStreamState();
+
+      const normalized = events.map(([eventType, chunk]) => adapter.normalize(chunk, eventType, state));
+
+      assert.deepStrictEqual(normalized.map(({ data }) => data), ['', '', '', '', '', 'Hi', '', '']);
+      assert(normalized.every(({ done }) => done === false));
+      assert.deepStrictEqual(normalized[1].raw, events[1][1]);
+    });
+
+    it('should throw a StreamError for a `text_delta` without text', () => {
+      const chunk = { type: 'content_block_delta', index: 0, delta: { type: 'text_delta' } };
+      assert.throws(
+        () => adapter.normalize(chunk, ANTHROPIC_EVENT_TYPES.CONTENT_BLOCK_DELTA),
+        (err) => err instanceof StreamError && err.code === 'UNEXPECTED_FORMAT',
+      );
+    });
+
     it('should handle unknown event types gracefully', () => {
       const eventType = 'future_event';
       const chunk = { type: 'future_event', data: 'some data' };
@@ -322,6 +487,112 @@ describe('Adapters', () => {
         raw: chunk,
       });
     });
+
+    describe('tool calls', () => {
+      it('should reassemble `input_json_delta` parts into a `tool_call` when the block stops', () => {
+        const state = adapter.createStreamState();
+        const start = {
+          type: 'content_block_start',
+          index: 1,
+          content_block: { type: 'tool_use', id: 'toolu_01', name: 'get_weather', input: {} },
+        };
+        assert.deepStrictEqual(adapter.normalize(start, ANTHROPIC_EVENT_TYPES.CONTENT_BLOCK_START, state), {
+          id: null,
+          event: 'tool_call_delta',
+          data: '',
+          done: false,
+          raw: start,
+          toolCall: { index: 1, id: 'toolu_01', name: 'get_weather', argumentsDelta: '' },
+        });
+
+        const delta = {
+          type: 'content_block_delta',
+          index: 1,
+          delta: { type: 'input_json_delta', partial_json: '{"city": "Pa' },
+        };
+        const normalizedDelta = adapter.normalize(delta, ANTHROPIC_EVENT_TYPES.CONTENT_BLOCK_DELTA, state);
+        assert.deepStrictEqual(normalizedDelta.toolCall, {
+          index: 1,
+          id: 'toolu_01',
+          name: 'get_weather',
+          argumentsDelta: '{"city": "Pa',
+        });
+        adapter.normalize(
+          { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: 'ris"}' } },
+          ANTHROPIC_EVENT_TYPES.CONTENT_BLOCK_DELTA,
+          state,
+        );
+
+        const stop = { type: 'content_block_stop', index: 1 };
+        assert.deepStrictEqual(adapter.normalize(stop, ANTHROPIC_EVENT_TYPES.CONTENT_BLOCK_STOP, state), {
+          id: null,
+          event: 'tool_call',
+          data: '',
+          done: false,
+          raw: stop,
+          toolCall: { index: 1, id: 'toolu_01', name: 'get_weather', arguments: { city: 'Paris' } },
+        });
+      });
+
+      it('should treat a tool call without input deltas as having no arguments', () => {
+        const state = adapter.createStreamState();
+        adapter.normalize(
+          { type: 'content_block_start', index: 0, content_block: { type: 'tool_use', id: 'toolu_02', name: 'now', input: {} } },
+          ANTHROPIC_EVENT_TYPES.CONTENT_BLOCK_START,
+          state,
+        );
+        const normalized = adapter.normalize({ type: 'content_block_stop', index: 0 }, ANTHROPIC_EVENT_TYPES.CONTENT_BLOCK_STOP, state);
+        assert.deepStrictEqual(normalized.toolCall.arguments, {});
+      });
+
+      it('should keep the stop of a text block a metadata event', () => {
+        const state = adapter.createStreamState();
+        const stop = { type: 'content_block_stop', index: 0 };
+        assert.deepStrictEqual(adapter.normalize(stop, ANTHROPIC_EVENT_TYPES.CONTENT_BLOCK_STOP, state), {
+          id: null,
+          event: ANTHROPIC_EVENT_TYPES.CONTENT_BLOCK_STOP,
+          data: '',
+          done: false,
+          raw: stop,
+        });
+      });
+    });
+
+    describe('metadata', () => {
+      it('should report the message ID, model and input tokens of `message_start`', () => {
+        const chunk = {
+          type: 'message_start',
+          message: {
+            id: 'msg_123',
+            model: 'claude-3-opus-20240229',
+            stop_reason: null,
+            usage: { input_tokens: 25, output_tokens: 1 },
+          },
+        };
+        assert.deepStrictEqual(adapter.getMetadata(chunk, ANTHROPIC_EVENT_TYPES.MESSAGE_START), {
+          messageId: 'msg_123',
+          model: 'claude-3-opus-20240229',
+          usage: { inputTokens: 25, outputTokens: 1 },
+        });
+      });
+
+      it('should report the stop reason and output tokens of `message_delta`', () => {
+        const chunk = {
+          type: 'message_delta',
+          delta: { stop_reason: 'end_turn', stop_sequence: null },
+          usage: { output_tokens: 15 },
+        };
+        assert.deepStrictEqual(adapter.getMetadata(chunk, ANTHROPIC_EVENT_TYPES.MESSAGE_DELTA), {
+          stopReason: 'end_turn',
+          usage: { outputTokens: 15 },
+        });
+      });
+
+      it('should report no metadata for other events', () => {
+        const chunk = { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hi' } };
+        assert.strictEqual(adapter.getMetadata(chunk, ANTHROPIC_EVENT_TYPES.CONTENT_BLOCK_DELTA), null);
+      });
+    });
   });
 
   describe('GeminiAdapter', () => {
@@ -467,5 +738,398 @@ describe('Adapters', () => {
         raw: chunk,
       });
     });
+
+    describe('tool calls', () => {
+      it('should emit a `tool_call` for each `functionCall` part', () => {
+        const state = adapter.createStreamState();
+        const chunk = {
+          candidates: [
+            {
+              content: {
+                parts: [
+                  { functionCall: { name: 'get_weather', args: { city: 'Paris' } } },
+                  { functionCall: { name: 'get_time', args: { zone: 'CET' } } },
+                ],
+                role: 'model',
+              },
+              index: 0,
+            },
+          ],
+        };
+        const normalized = adapter.normalize(chunk, undefined, state);
+        assert.deepStrictEqual(normalized, [
+          {
+            id: null,
+            event: 'tool_call',
+            data: '',
+            done: false,
+            raw: chunk,
+            toolCall: { index: 0, id: null, name: 'get_weather', arguments: { city: 'Paris' } },
+          },
+          {
+            id: null,
+            event: 'tool_call',
+            data: '',
+            done: false,
+            raw: chunk,
+            toolCall: { index: 1, id: null, name: 'get_time', arguments: { zone: 'CET' } },
+          },
+        ]);
+      });
+
+      it('should emit the final chunk after the function calls of the last chunk', () => {
+        const state = adapter.createStreamState();
+        const chunk = {
+          candidates: [
+            {
+              content: { parts: [{ functionCall: { id: 'fc_1', name: 'now' } }], role: 'model' },
+              finishReason: 'STOP',
+              index: 0,
+            },
+          ],
+        };
+        const normalized = adapter.normalize(chunk, undefined, state);
+        assert.deepStrictEqual(normalized.map((item) => [item.event, item.done]), [['tool_call', false], ['completion', true]]);
+        assert.deepStrictEqual(normalized[0].toolCall, { index: 0, id: 'fc_1', name: 'now', arguments: {} });
+      });
+    });
+
+    describe('metadata', () => {
+      it('should report the response ID, model version, finish reason and usage', () => {
+        const chunk = {
+          candidates: [{ content: { parts: [{ text: 'Hi' }], role: 'model' }, finishReason: 'STOP', index: 0 }],
+          usageMetadata: { promptTokenCount: 4, candidatesTokenCount: 2, totalTokenCount: 6 },
+          modelVersion: 'gemini-1.5-pro',
+          responseId: 'resp_1',
+        };
+        assert.deepStrictEqual(adapter.getMetadata(chunk), {
+          messageId: 'resp_1',
+          model: 'gemini-1.5-pro',
+          stopReason: 'STOP',
+          usage: { inputTokens: 4, outputTokens: 2, totalTokens: 6 },
+        });
+      });
+
+      it('should report no metadata for a chunk without any', () => {
+        const chunk = { candidates: [{ content: { parts: [{ text: 'Hi' }], role: 'model' }, index: 0 }] };
+        assert.strictEqual(adapter.getMetadata(chunk), null);
+      });
+    });
+  });
+
+  describe('OllamaAdapter', () => {
+    let adapter;
+
+    beforeEach(() => {
+      adapter = new OllamaAdapter();
+    });
+
+    it('should default the parser to newline-delimited JSON', () => {
+      assert.strictEqual(adapter.framing, 'ndjson');
+    });
+
+    it('should normalize an `/api/chat` chunk', () => {
+      const chunk = {
+        model: 'llama3.2',
+        created_at: '2024-07-22T20:33:28.123Z',
+        message: { role: 'assistant', content: 'Hello' },
+        done: false,
+      };
+      assert.deepStrictEqual(adapter.normalize(chunk), {
+        id: null,
+        event: 'completion',
+        data: 'Hello',
+        done: false,
+        raw: chunk,
+      });
+    });
+
+    it('should normalize an `/api/generate` chunk', () => {
+      const chunk = { model: 'llama3.2', response: 'Hi', done: false };
+      assert.strictEqual(adapter.normalize(chunk).data, 'Hi');
+    });
+
+    it('should identify the final chunk by `done` and report its metadata', () => {
+      const chunk = {
+        model: 'llama3.2',
+        message: { role: 'assistant', content: '' },
+        done: true,
+        done_reason: 'stop',
+        prompt_eval_count: 26,
+        eval_count: 290,
+      };
+      assert.strictEqual(adapter.normalize(chunk).done, true);
+      assert.deepStrictEqual(adapter.getMetadata(chunk), {
+        model: 'llama3.2',
+        stopReason: 'stop',
+        usage: { inputTokens: 26, outputTokens: 290 },
+      });
+    });
+
+    it('should emit a `tool_call` for each tool call', () => {
+      const chunk = {
+        model: 'llama3.2',
+        message: {
+          role: 'assistant',
+          content: '',
+          tool_calls: [{ function: { name: 'get_weather', arguments: { city: 'Paris' } } }],
+        },
+        done: false,
+      };
+      assert.deepStrictEqual(adapter.normalize(chunk, undefined, adapter.createStreamState()), [
+        {
+          id: null,
+          event: 'tool_call',
+          data: '',
+          done: false,
+          raw: chunk,
+          toolCall: { index: 0, id: null, name: 'get_weather', arguments: { city: 'Paris' } },
+        },
+      ]);
+    });
+
+    it('should throw a StreamError for error lines', () => {
+      assert.throws(
+        () => adapter.normalize({ error: 'model "nope" not found' }),
+        (err) => {
+          assert(err instanceof StreamError);
+          assert.strictEqual(err.code, 'PROVIDER_ERROR');
+          assert.strictEqual(err.message, 'Ollama API Error: model "nope" not found');
+          return true;
+        },
+      );
+    });
+  });
+
+  describe('CohereAdapter', () => {
+    let adapter;
+
+    beforeEach(() => {
+      adapter = new CohereAdapter();
+    });
+
+    it('should normalize a `content-delta` event', () => {
+      const chunk = {
+        type: 'content-delta',
+        index: 0,
+        delta: { message: { content: { text: 'Hello' } } },
+      };
+      assert.deepStrictEqual(adapter.normalize(chunk, COHERE_EVENT_TYPES.CONTENT_DELTA), {
+        id: null,
+        event: 'content-delta',
+        data: 'Hello',
+        done: false,
+        raw: chunk,
+      });
+    });
+
+    it('should throw a StreamError for a malformed `content-delta` event', () => {
+      assert.throws(
+        () => adapter.normalize({ type: 'content-delta', index: 0, delta: {} }),
+        (err) => err instanceof StreamError && err.code === 'UNEXPECTED_FORMAT',
+      );
+    });
+
+    it('should normalize `message-start` with the message ID', () => {
+      const chunk = { id: 'c14c80c3', type: 'message-start', delta: { message: { role: 'assistant', content: [] } } };
+      assert.strictEqual(adapter.normalize(chunk).id, 'c14c80c3');
+      assert.deepStrictEqual(adapter.getMetadata(chunk), { messageId: 'c14c80c3' });
+    });
+
+    it('should end the stream on `message-end` and report the finish reason and usage', () => {
+      const chunk = {
+        type: 'message-end',
+        delta: {
+          finish_reason: 'COMPLETE',
+          usage: {
+            billed_units: { input_tokens: 3, output_tokens: 10 },
+            tokens: { input_tokens: 69, output_tokens: 10 },
+          },
+        },
+      };
+      assert.strictEqual(adapter.normalize(chunk).done, true);
+      assert.deepStrictEqual(adapter.getMetadata(chunk), {
+        stopReason: 'COMPLETE',
+        usage: { inputTokens: 69, outputTokens: 10 },
+      });
+    });
+
+    it('should reassemble a streamed tool call', () => {
+      const state = adapter.createStreamState();
+      const start = {
+        type: 'tool-call-start',
+        index: 0,
+        delta: { message: { tool_calls: { id: 'get_weather_1', type: 'function', function: { name: 'get_weather', arguments: '' } } } },
+      };
+      assert.deepStrictEqual(adapter.normalize(start, undefined, state).toolCall, {
+        index: 0,
+        id: 'get_weather_1',
+        name: 'get_weather',
+        argumentsDelta: '',
+      });
+      adapter.normalize(
+        { type: 'tool-call-delta', index: 0, delta: { message: { tool_calls: { function: { arguments: '{"city":"Toronto"}' } } } } },
+        undefined,
+        state,
+      );
+      const end = { type: 'tool-call-end', index: 0 };
+      assert.deepStrictEqual(adapter.normalize(end, undefined, state), {
+        id: null,
+        event: 'tool_call',
+        data: '',
+        done: false,
+        raw: end,
+        toolCall: { index: 0, id: 'get_weather_1', name: 'get_weather', arguments: { city: 'Toronto' } },
+      });
+    });
+
+    it('should return an empty data chunk for other events', () => {
+      const chunk = { type: 'tool-plan-delta', delta: { message: { tool_plan: 'I will look up the weather.' } } };
+      assert.deepStrictEqual(adapter.normalize(chunk), {
+        id: null,
+        event: 'tool-plan-delta',
+        data: '',
+        done: false,
+        raw: chunk,
+      });
+    });
+  });
+
+  describe('MistralAdapter', () => {
+    let adapter;
+
+    beforeEach(() => {
+      adapter = new MistralAdapter();
+    });
+
+    it('should normalize an OpenAI-compatible chunk', () => {
+      const chunk = {
+        id: 'cmpl-1',
+        object: 'chat.completion.chunk',
+        model: 'mistral-small-latest',
+        choices: [{ index: 0, delta: { content: 'Bonjour' }, finish_reason: null }],
+      };
+      assert.deepStrictEqual(adapter.normalize(chunk), {
+        id: 'cmpl-1',
+        event: 'completion',
+        data: 'Bonjour',
+        done: false,
+        raw: chunk,
+      });
+    });
+
+    it('should keep only the text of array content', () => {
+      const chunk = {
+        id: 'cmpl-1',
+        model: 'magistral-medium-latest',
+        choices: [
+          {
+            index: 0,
+            delta: {
+              content: [
+                { type: 'thinking', thinking: [{ type: 'text', text: 'Let me think.' }] },
+                { type: 'text', text: 'The answer' },
+              ],
+            },
+            finish_reason: null,
+          },
+        ],
+      };
+      assert.deepStrictEqual(adapter.normalize(chunk), {
+        id: 'cmpl-1',
+        event: 'completion',
+        data: 'The answer',
+        done: false,
+        raw: chunk,
+      });
+    });
+
+    it('should emit whole tool calls without an index', () => {
+      const chunk = {
+        id: 'cmpl-1',
+        model: 'mistral-large-latest',
+        choices: [
+          {
+            index: 0,
+            delta: {
+              content: '',
+              tool_calls: [
+                { id: 'a1', function: { name: 'first', arguments: '{"x":1}' } },
+                { id: 'b2', function: { name: 'second', arguments: '{"y":2}' } },
+              ],
+            },
+            finish_reason: 'tool_calls',
+          },
+        ],
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+      };
+      const normalized = adapter.normalize(chunk, undefined, adapter.createStreamState());
+      const toolCalls = normalized.filter(({ event }) => event === 'tool_call').map(({ toolCall }) => toolCall);
+      assert.deepStrictEqual(toolCalls, [
+        { index: 0, id: 'a1', name: 'first', arguments: { x: 1 } },
+        { index: 1, id: 'b2', name: 'second', arguments: { y: 2 } },
+      ]);
+      assert.strictEqual(normalized.at(-1).done, true);
+      assert.deepStrictEqual(adapter.getMetadata(chunk).usage, { inputTokens: 10, outputTokens: 5, totalTokens: 15 });
+    });
+  });
+
+  describe('BedrockAdapter', () => {
+    /**
+     * Wraps a model chunk the way Bedrock does.
+     * @param {object} modelChunk - The model chunk.
+     * @returns {{bytes: string}} The payload of the `chunk` event.
+     */
+    const toBedrockChunk = (modelChunk) => ({ bytes: Buffer.from(JSON.stringify(modelChunk)).toString('base64') });
+
+    let adapter;
+
+    beforeEach(() => {
+      adapter = new BedrockAdapter();
+    });
+
+    it('should default the parser to the AWS event stream framing', () => {
+      assert.strictEqual(adapter.framing, 'aws-event-stream');
+    });
+
+    it('should normalize Anthropic model chunks by their `type`', () => {
+      const chunk = toBedrockChunk({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hi' } });
+      const normalized = adapter.normalize(chunk, 'chunk');
+      assert.strictEqual(normalized.event, 'content_block_delta');
+      assert.strictEqual(normalized.data, 'Hi');
+      assert.deepStrictEqual(normalized.raw, { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hi' } });
+    });
+
+    it('should normalize chunks with the given model adapter', () => {
+      const openAIBedrock = new BedrockAdapter({ modelAdapter: new OpenAIAdapter() });
+      const chunk = toBedrockChunk({ id: 'x', choices: [{ index: 0, delta: { content: 'Hey' }, finish_reason: null }] });
+      assert.strictEqual(openAIBedrock.normalize(chunk, 'chunk').data, 'Hey');
+    });
+
+    it('should report the usage from the invocation metrics', () => {
+      const chunk = toBedrockChunk({
+        type: 'message_stop',
+        'amazon-bedrock-invocationMetrics': { inputTokenCount: 8, outputTokenCount: 12, invocationLatency: 500 },
+      });
+      assert.deepStrictEqual(adapter.getMetadata(chunk, 'chunk'), { usage: { inputTokens: 8, outputTokens: 12 } });
+    });
+
+    it('should end Anthropic model streams at `message_stop` instead of `message_delta`', () => {
+      const delta = toBedrockChunk({ type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 12 } });
+      const stop = toBedrockChunk({ type: 'message_stop' });
+      assert.strictEqual(adapter.normalize(delta, 'chunk').done, false);
+      assert.strictEqual(adapter.normalize(stop, 'chunk').done, true);
+    });
+
+    it('should throw a StreamError if the model chunk cannot be decoded', () => {
+      assert.throws(
+        () => adapter.normalize({ bytes: Buffer.from('not json').toString('base64') }, 'chunk'),
+        (err) => err instanceof StreamError && err.code === 'JSON_PARSE_ERROR',
+      );
+      assert.throws(
+        () => adapter.normalize({}, 'chunk'),
+        (err) => err instanceof StreamError && err.code === 'UNEXPECTED_FORMAT',
+      );
+    });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,144 @@
+/**
+ * @file test/aws-event-stream-decoder.test.js
+ * @description Unit tests for the AWS event stream decoder and its use for Amazon Bedrock streams.
+ *
+ * The messages are built with a small encoder following the same binary format
+ * (`helpers/aws-event-stream.js`), so the tests cover message framing, header
+ * types, checksums and messages split across stream chunks.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Readable } from 'node:stream';
+import { AWSEventStreamDecoder, decodeAWSEventStream } from '../src/utils/aws-event-stream-decoder.js';
+import { parseStream } from '../src/parser.js';
+import { accumulateMessage } from '../src/accumulator.js';
+import { bedrockAdapter } from '../src/adapters/bedrock-adapter.js';
+import { StreamError } from '../src/errors/StreamError.js';
+import { encodeBedrockChunk, encodeMessage } from './helpers/aws-event-stream.js';
+
+describe('AWSEventStreamDecoder', () => {
+  it('should decode a message with its headers and payload', () => {
+    const decoder = new AWSEventStreamDecoder();
+    const [message] = decoder.push(encodeMessage({ ':event-type': 'chunk' }, '{"a":1}'));
+
+    assert.deepStrictEqual(message.headers, { ':event-type': 'chunk' });
+    assert.strictEqual(Buffer.from(message.payload).toString(), '{"a":1}');
+    assert.strictEqual(decoder.pendingBytes, 0);
+  });
+
+  it('should decode messages split across and combined in chunks', () => {
+    const bytes = Buffer.concat([
+      encodeMessage({ ':event-type': 'first' }, 'one'),
+      encodeMessage({ ':event-type': 'second' }, 'two'),
+    ]);
+    const decoder = new AWSEventStreamDecoder();
+    const messages = [];
+    for (let offset = 0; offset < bytes.length; offset += 7) {
+      messages.push(...decoder.push(bytes.subarray(offset, offset + 7)));
+    }
+
+    assert.deepStrictEqual(messages.map(({ headers }) => headers[':event-type']), ['first', 'second']);
+    assert.deepStrictEqual(messages.map(({ payload }) => Buffer.from(payload).toString()), ['one', 'two']);
+  });
+
+  it('should decode non-string header types', () => {
+    // A boolean, an int32 and a timestamp header.
+    const headers = Buffer.from([
+      4, ...Buffer.from('flag'), 0,
+      5, ...Buffer.from('count'), 4, 0, 0, 1, 0,
+      4, ...Buffer.from('time'), 8, 0, 0, 0, 0, 0, 0, 0x03, 0xe8,
+    ]);
+
+    const [decoded] = new AWSEventStreamDecoder().push(encodeMessage(headers, ''));
+
+    assert.deepStrictEqual(decoded.headers, { flag: true, count: 256, time: new Date(1000) });
+  });
+
+  it('should throw a StreamError if a checksum does not match', () => {
+    const message = encodeMessage({ ':event-type': 'chunk' }, 'payload');
+    message[message.length - 5] ^= 0xff;
+
+    assert.throws(
+      () => new AWSEventStreamDecoder().push(message),
+      (err) => {
+        assert(err instanceof StreamError);
+        assert.strictEqual(err.code, 'UNEXPECTED_FORMAT');
+        assert.strictEqual(err.message, 'Invalid AWS event stream message: the message checksum does not match.');
+        return true;
+      },
+    );
+  });
+
+  it('should keep the bytes of an incomplete message', () => {
+    const message = encodeMessage({ ':event-type': 'chunk' }, 'payload');
+    const decoder = new AWSEventStreamDecoder();
+
+    assert.deepStrictEqual(decoder.push(message.subarray(0, 20)), []);
+    assert.strictEqual(decoder.pendingBytes, 20);
+  });
+});
+
+describe('decodeAWSEventStream()', () => {
+  it('should reject streams of text', async () => {
+    const messages = decodeAWSEventStream(Readable.from(['not bytes']));
+    await assert.rejects(messages.next(), (err) => err instanceof StreamError && err.code === 'UNEXPECTED_FORMAT');
+  });
+});
+
+describe('parseStream() with Bedrock', () => {
+  it('should parse an Anthropic model stream from Bedrock', async () => {
+    const bytes = Buffer.concat([
+      encodeBedrockChunk({ type: 'message_start', message: { id: 'msg_1', model: 'claude-3-haiku', usage: { input_tokens: 5, output_tokens: 1 } } }),
+      encodeBedrockChunk({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hello' } }),
+      encodeBedrockChunk({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: ' there' } }),
+      encodeBedrockChunk({ type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 3 } }),
+      // Bedrock adds the invocation metrics to the last model chunk.
+      encodeBedrockChunk({
+        type: 'message_stop',
+        'amazon-bedrock-invocationMetrics': { inputTokenCount: 99, outputTokenCount: 77, invocationLatency: 500, firstByteLatency: 200 },
+      }),
+    ]);
+    // Split the bytes so messages span stream chunks.
+    const stream = Readable.from([bytes.subarray(0, 50), bytes.subarray(50, 333), bytes.subarray(333)]);
+
+    const chunks = [];
+    for await (const chunk of parseStream({ stream, adapter: bedrockAdapter })) {
+      chunks.push(chunk);
+    }
+
+    assert.deepStrictEqual(
+      chunks.map(({ event }) => event),
+      ['message_start', 'content_block_delta', 'content_block_delta', 'message_delta', 'message_stop'],
+    );
+    assert.strictEqual(chunks.map(({ data }) => data).join(''), 'Hello there');
+    assert.deepStrictEqual(chunks.map(({ done }) => done), [false, false, false, false, true]);
+    assert.deepStrictEqual(chunks.at(-1).metadata, { usage: { inputTokens: 99, outputTokens: 77 } });
+
+    const message = await accumulateMessage(chunks);
+    assert.strictEqual(message.stopReason, 'end_turn');
+    assert.deepStrictEqual(message.usage, { inputTokens: 99, outputTokens: 77, totalTokens: 176 });
+  });
+
+  it('should throw a StreamError for exception messages', async () => {
+    const stream = Readable.from([
+      encodeMessage(
+        { ':message-type': 'exception', ':exception-type': 'throttlingException', ':content-type': 'application/json' },
+        '{"message":"Too many requests, please wait before trying again."}',
+      ),
+    ]);
+
+    await assert.rejects(
+      parseStream({ stream, adapter: bedrockAdapter }).next(),
+      (err) => {
+        assert(err instanceof StreamError);
+        assert.strictEqual(err.code, 'PROVIDER_ERROR');
+        assert.strictEqual(
+          err.message,
+          'AWS event stream exception "throttlingException": Too many requests, please wait before trying again.',
+        );
+        return true;
+      },
+    );
+  });
+});
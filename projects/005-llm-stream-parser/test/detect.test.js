@@ -0,0 +1,246 @@
+/**
+ * @file test/detect.test.js
+ * @description Unit tests for the provider detection behind `createStreamParser({ adapter: 'auto' })`.
+ *
+ * The streams are the first events of each provider's real responses, so the tests
+ * cover the framing from `Content-Type` and from the first bytes, the provider from
+ * the event name and JSON shape, and that the detected stream is parsed in full.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Readable } from 'node:stream';
+import { detectStream } from '../src/detect.js';
+import { createStreamParser } from '../src/index.js';
+import { openAIAdapter } from '../src/adapters/openai-adapter.js';
+import { anthropicAdapter } from '../src/adapters/anthropic-adapter.js';
+import { geminiAdapter } from '../src/adapters/gemini-adapter.js';
+import { ollamaAdapter } from '../src/adapters/ollama-adapter.js';
+import { cohereAdapter } from '../src/adapters/cohere-adapter.js';
+import { mistralAdapter } from '../src/adapters/mistral-adapter.js';
+import { BedrockAdapter, bedrockAdapter } from '../src/adapters/bedrock-adapter.js';
+import { StreamError } from '../src/errors/StreamError.js';
+import { encodeBedrockChunk } from './helpers/aws-event-stream.js';
+
+/**
+ * Asynchronously collects all yielded values from an async iterable into an array.
+ * @param {AsyncIterable} iterable - The iterable to consume.
+ * @returns {Promise<Array<any>>} A promise that resolves to an array of the items.
+ */
+const collect = async (iterable) => {
+  const results = [];
+  for await (const value of iterable) {
+    results.push(value);
+  }
+  return results;
+};
+
+const STREAMS = {
+  openai: [
+    'data: {"id":"chatcmpl-1","object":"chat.completion.chunk","model":"gpt-4o","choices":[{"index":0,"delta":{"content":"Hi"},"finish_reason":null}]}\n\n',
+    'data: [DONE]\n\n',
+  ],
+  mistral: [
+    'data: {"id":"cmpl-1","object":"chat.completion.chunk","model":"mistral-large-latest","choices":[{"index":0,"delta":{"content":"Hi"},"finish_reason":null}]}\n\n',
+    'data: [DONE]\n\n',
+  ],
+  anthropic: [
+    'event: message_start\ndata: {"type":"message_start","message":{"id":"msg_1","model":"claude-3-haiku","usage":{"input_tokens":5,"output_tokens":1}}}\n\n',
+    'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"Hi"}}\n\n',
+    'event: message_stop\ndata: {"type":"message_stop"}\n\n',
+  ],
+  cohere: [
+    'event: message-start\ndata: {"id":"c1","type":"message-start","delta":{"message":{"role":"assistant"}}}\n\n',
+    'event: content-delta\ndata: {"type":"content-delta","index":0,"delta":{"message":{"content":{"text":"Hi"}}}}\n\n',
+    'event: message-end\ndata: {"type":"message-end","delta":{"finish_reason":"COMPLETE"}}\n\n',
+  ],
+  gemini: [
+    'data: {"candidates":[{"content":{"parts":[{"text":"Hi"}],"role":"model"}}],"modelVersion":"gemini-2.0-flash"}\r\n\r\n',
+  ],
+  ollama: [
+    '{"model":"llama3.2","message":{"role":"assistant","content":"Hi"},"done":false}\n',
+    '{"model":"llama3.2","message":{"role":"assistant","content":""},"done":true,"done_reason":"stop"}\n',
+  ],
+};
+
+describe('detectStream()', () => {
+  for (const [provider, adapter] of [
+    ['openai', openAIAdapter],
+    ['mistral', mistralAdapter],
+    ['anthropic', anthropicAdapter],
+    ['cohere', cohereAdapter],
+    ['gemini', geminiAdapter],
+  ]) {
+    it(`should detect ${provider} from an SSE stream`, async () => {
+      const detection = await detectStream(Readable.from(STREAMS[provider]), { contentType: 'text/event-stream; charset=utf-8' });
+
+      assert.strictEqual(detection.provider, provider);
+      assert.strictEqual(detection.adapter, adapter);
+      assert.strictEqual(detection.framing, 'sse');
+    });
+  }
+
+  it('should detect Ollama from a newline-delimited JSON stream', async () => {
+    const detection = await detectStream(Readable.from(STREAMS.ollama), { contentType: 'application/x-ndjson' });
+
+    assert.strictEqual(detection.provider, 'ollama');
+    assert.strictEqual(detection.adapter, ollamaAdapter);
+    assert.strictEqual(detection.framing, 'ndjson');
+  });
+
+  it('should guess the framing from the first bytes without a Content-Type', async () => {
+    const sse = await detectStream(Readable.from([Buffer.from(': keep-alive\n'), Buffer.from('\n'), ...STREAMS.anthropic]));
+    const ndjson = await detectStream(Readable.from([Buffer.from('\n'), ...STREAMS.ollama]));
+
+    assert.strictEqual(sse.framing, 'sse');
+    assert.strictEqual(sse.provider, 'anthropic');
+    assert.strictEqual(ndjson.framing, 'ndjson');
+    assert.strictEqual(ndjson.provider, 'ollama');
+  });
+
+  it('should wait for a field name split across chunks before guessing the framing', async () => {
+    const [first] = STREAMS.openai;
+    const detection = await detectStream(Readable.from([first.slice(0, 3), first.slice(3)]));
+
+    assert.strictEqual(detection.framing, 'sse');
+    assert.strictEqual(detection.provider, 'openai');
+  });
+
+  it('should detect Bedrock and the adapter of its model', async () => {
+    const anthropic = await detectStream(Readable.from([
+      encodeBedrockChunk({ type: 'message_start', message: { id: 'msg_1' } }),
+    ]));
+    const mistral = await detectStream(Readable.from([
+      encodeBedrockChunk({ id: 'cmpl-1', model: 'mistral-large-2407', choices: [{ index: 0, delta: { content: 'Hi' } }] }),
+    ]), { contentType: 'application/vnd.amazon.eventstream' });
+
+    assert.strictEqual(anthropic.provider, 'bedrock');
+    assert.strictEqual(anthropic.framing, 'aws-event-stream');
+    assert.strictEqual(anthropic.adapter, bedrockAdapter);
+    assert.strictEqual(mistral.provider, 'bedrock');
+    assert(mistral.adapter instanceof BedrockAdapter);
+    assert.notStrictEqual(mistral.adapter, bedrockAdapter);
+  });
+
+  it('should replay the bytes read for the detection', async () => {
+    const chunks = STREAMS.anthropic.map((text) => Buffer.from(text));
+    const { stream } = await detectStream(Readable.from(chunks));
+
+    assert.deepStrictEqual(Buffer.concat(await collect(stream)), Buffer.concat(chunks));
+  });
+
+  it('should use the given framing instead of guessing it', async () => {
+    // A JSON line that is not framed as SSE is never an event.
+    await assert.rejects(
+      detectStream(Readable.from(STREAMS.ollama), { framing: 'sse' }),
+      { message: "Could not detect the provider of the stream: the stream ended before its first message. Pass an adapter instead of 'auto'." },
+    );
+  });
+
+  it('should throw a StreamError if the first message matches no provider', async () => {
+    await assert.rejects(
+      detectStream(Readable.from(['data: {"text":"Hi"}\n\n'])),
+      (err) => {
+        assert(err instanceof StreamError);
+        assert.strictEqual(err.code, 'UNEXPECTED_FORMAT');
+        assert.strictEqual(
+          err.message,
+          "Could not detect the provider of the stream: the first message matches no supported provider. Pass an adapter instead of 'auto'.",
+        );
+        assert.strictEqual(err.chunk, '{"text":"Hi"}');
+        return true;
+      },
+    );
+  });
+
+  it('should throw a StreamError if the stream is a JSON array', async () => {
+    const gemini = '[{\n  "candidates": [{"content": {"parts": [{"text": "Hi"}], "role": "model"}}]\n}\n';
+
+    for (const contentType of ['application/json', undefined]) {
+      await assert.rejects(
+        detectStream(Readable.from([gemini.slice(0, 1), gemini.slice(1)]), { contentType }),
+        (err) => {
+          assert(err instanceof StreamError);
+          assert.strictEqual(err.code, 'UNEXPECTED_FORMAT');
+          assert.strictEqual(
+            err.message,
+            'Could not detect the provider of the stream: the stream is a single JSON array, not SSE or newline-delimited JSON '
+              + "(e.g. Gemini without `alt=sse`). Pass an adapter instead of 'auto'.",
+          );
+          return true;
+        },
+      );
+    }
+  });
+
+  it('should throw a StreamError if the first message is not JSON', async () => {
+    await assert.rejects(
+      detectStream(Readable.from(['data: Hello\n\n'])),
+      (err) => err instanceof StreamError && err.code === 'JSON_PARSE_ERROR',
+    );
+  });
+
+  it('should throw a StreamError if the stream fails before its first message', async () => {
+    const stream = new Readable({
+      read() {
+        this.destroy(new Error('Connection reset'));
+      },
+    });
+
+    await assert.rejects(detectStream(stream), (err) => err instanceof StreamError && err.code === 'STREAM_ABORTED');
+  });
+
+  it('should throw an error if `stream` is not a readable stream', async () => {
+    await assert.rejects(detectStream({}), { message: 'A valid ReadableStream must be provided in the `stream` option.' });
+  });
+});
+
+describe("createStreamParser({ adapter: 'auto' })", () => {
+  it('should parse the stream with the detected adapter and report it', async () => {
+    const detections = [];
+    const parser = createStreamParser({ adapter: 'auto', onDetect: (detection) => detections.push(detection) });
+
+    const chunks = await collect(parser.parse(Readable.from(STREAMS.anthropic), { contentType: 'text/event-stream' }));
+
+    assert.deepStrictEqual(detections, [{ provider: 'anthropic', adapter: anthropicAdapter, framing: 'sse' }]);
+    assert.deepStrictEqual(chunks.map(({ event }) => event), ['message_start', 'content_block_delta', 'message_stop']);
+    assert.strictEqual(chunks[1].data, 'Hi');
+    assert.strictEqual(chunks[2].done, true);
+  });
+
+  it('should detect each stream on its own', async () => {
+    const providers = [];
+    const parser = createStreamParser({ adapter: 'auto', onDetect: ({ provider }) => providers.push(provider) });
+
+    const ollamaChunks = await collect(parser.parse(Readable.from(STREAMS.ollama)));
+    const openAIChunks = await collect(parser.parse(Readable.from(STREAMS.openai)));
+
+    assert.deepStrictEqual(providers, ['ollama', 'openai']);
+    assert.strictEqual(ollamaChunks.map(({ data }) => data).join(''), 'Hi');
+    assert.strictEqual(openAIChunks.map(({ data }) => data).join(''), 'Hi');
+  });
+
+  it('should parse Bedrock streams', async () => {
+    const stream = Readable.from([
+      Buffer.concat([
+        encodeBedrockChunk({ type: 'message_start', message: { id: 'msg_1' } }),
+        encodeBedrockChunk({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hi' } }),
+        encodeBedrockChunk({ type: 'message_stop' }),
+      ]),
+    ]);
+
+    const chunks = await collect(createStreamParser({ adapter: 'auto' }).parse(stream));
+
+    assert.strictEqual(chunks.map(({ data }) => data).join(''), 'Hi');
+    assert.strictEqual(chunks.at(-1).done, true);
+  });
+
+  it('should use the framing set on the parser', async () => {
+    const parser = createStreamParser({ adapter: 'auto', isSSE: false });
+
+    // The parser's framing takes precedence over the Content-Type.
+    const chunks = await collect(parser.parse(Readable.from(STREAMS.ollama), { contentType: 'text/plain' }));
+
+    assert.strictEqual(chunks.at(-1).done, true);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * @file test/helpers/aws-event-stream.js
+ * @description A small encoder for the AWS event stream format, shared by the tests of Bedrock streams.
+ *
+ * The CRC32 is computed here rather than with `zlib.crc32`, which needs Node 20.15 or later.
+ */
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let crc = n;
+  for (let bit = 0; bit < 8; bit += 1) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+/**
+ * Computes the CRC32 checksum of some bytes.
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {number} The checksum.
+ */
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Encodes a message in the AWS event stream format, with string headers.
+ * @param {Object<string, string> | Buffer} headers - The headers, or the encoded headers (e.g. of other types).
+ * @param {string | Buffer} payload - The payload.
+ * @returns {Buffer} The encoded message.
+ */
+export const encodeMessage = (headers, payload) => {
+  const headerBytes = Buffer.isBuffer(headers) ? headers : Buffer.concat(Object.entries(headers).map(([name, value]) => {
+    const nameBytes = Buffer.from(name);
+    const valueBytes = Buffer.from(value);
+    const header = Buffer.alloc(1 + nameBytes.length + 3 + valueBytes.length);
+    header.writeUInt8(nameBytes.length, 0);
+    nameBytes.copy(header, 1);
+    header.writeUInt8(7, 1 + nameBytes.length);
+    header.writeUInt16BE(valueBytes.length, 2 + nameBytes.length);
+    valueBytes.copy(header, 4 + nameBytes.length);
+    return header;
+  }));
+  const payloadBytes = Buffer.from(payload);
+  const totalLength = 12 + headerBytes.length + payloadBytes.length + 4;
+  const message = Buffer.alloc(totalLength);
+  message.writeUInt32BE(totalLength, 0);
+  message.writeUInt32BE(headerBytes.length, 4);
+  message.writeUInt32BE(crc32(message.subarray(0, 8)), 8);
+  headerBytes.copy(message, 12);
+  payloadBytes.copy(message, 12 + headerBytes.length);
+  message.writeUInt32BE(crc32(message.subarray(0, totalLength - 4)), totalLength - 4);
+  return message;
+};
+
+/**
+ * Encodes a Bedrock `chunk` event carrying a model chunk.
+ * @param {object} modelChunk - The model chunk.
+ * @returns {Buffer} The encoded message.
+ */
+export const encodeBedrockChunk = (modelChunk) => encodeMessage(
+  { ':event-type': 'chunk', ':content-type': 'application/json', ':message-type': 'event' },
+  JSON.stringify({ bytes: Buffer.from(JSON.stringify(modelChunk)).toString('base64') }),
+);
@@ -0,0 +1,224 @@
+/**
+ * @file test/output.test.js
+ * @description Unit tests for re-emitting normalized chunks as provider-neutral Server-Sent Events.
+ *
+ * The output is read back with the library's own SSE decoder, so the tests check
+ * what a client receives: the events, the heartbeats, the error event, and that
+ * stopping the output (abort, cancel, destroy) also stops reading the source.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Readable } from 'node:stream';
+import { setTimeout as delay } from 'node:timers/promises';
+import { encodeSSE, toReadableStream, toNodeReadable } from '../src/output.js';
+import { parseStream } from '../src/parser.js';
+import { anthropicAdapter } from '../src/adapters/anthropic-adapter.js';
+import { SSEDecoder } from '../src/utils/sse-decoder.js';
+import { StreamError } from '../src/errors/StreamError.js';
+
+/**
+ * Creates a normalized chunk.
+ * @param {object} fields - The fields to set.
+ * @returns {object} The chunk.
+ */
+const chunk = (fields) => ({ id: 'msg_1', event: 'content_block_delta', data: '', done: false, raw: {}, ...fields });
+
+/**
+ * Creates an async iterable from an array of values.
+ * @param {Array<any>} values - The values to yield.
+ * @returns {AsyncGenerator<any>} The async iterable.
+ */
+const fromArray = async function* (values) {
+  yield* values;
+};
+
+/**
+ * Creates a source whose reads never complete, like a provider that stopped sending,
+ * and records whether it was stopped.
+ * @returns {AsyncIterator<any> & AsyncIterable<any> & {returned: boolean}} The source.
+ */
+const createStalledSource = () => ({
+  returned: false,
+  next: () => new Promise(() => {}),
+  async return() {
+    this.returned = true;
+    return { value: undefined, done: true };
+  },
+  [Symbol.asyncIterator]() {
+    return this;
+  },
+});
+
+/**
+ * Reads SSE bytes and decodes them into the events and comments a client receives.
+ * @param {AsyncIterable<Uint8Array>} bytes - The SSE bytes.
+ * @returns {Promise<{events: Array<{event: string, data: any}>, text: string}>} The events, with parsed JSON data, and the raw text.
+ */
+const readEvents = async (bytes) => {
+  let text = '';
+  for await (const value of bytes) {
+    assert(value instanceof Uint8Array);
+    text += new TextDecoder().decode(value);
+  }
+  const events = new SSEDecoder().push(text).map(({ event, data }) => ({ event, data: JSON.parse(data) }));
+  return { events, text };
+};
+
+describe('encodeSSE()', () => {
+  it('should serialize chunks without their provider-specific fields', async () => {
+    const toolCall = { index: 0, id: 'call_1', name: 'get_weather', arguments: { city: 'Oslo' } };
+    const metadata = { stopReason: 'tool_use', usage: { outputTokens: 12 } };
+    const { events, text } = await readEvents(encodeSSE(fromArray([
+      chunk({ data: 'Hello\nthere' }),
+      chunk({ event: 'tool_call', toolCall }),
+      chunk({ event: 'message_delta', metadata, done: true }),
+    ])));
+
+    assert.deepStrictEqual(events, [
+      { event: 'message', data: { data: 'Hello\nthere', done: false } },
+      { event: 'tool_call', data: { data: '', done: false, toolCall } },
+      { event: 'message', data: { data: '', done: true, metadata } },
+    ]);
+    assert(text.startsWith('data: {"data":"Hello\\nthere","done":false}\n\nevent: tool_call\n'));
+  });
+
+  it('should skip chunks that carry nothing for the client', async () => {
+    const { events } = await readEvents(encodeSSE(fromArray([
+      chunk({ event: 'content_block_start' }),
+      chunk({ data: 'Hi' }),
+    ])));
+
+    assert.deepStrictEqual(events, [{ event: 'message', data: { data: 'Hi', done: false } }]);
+  });
+
+  it('should re-emit a provider stream the same way as any other', async () => {
+    const stream = Readable.from([
+      'event: message_start\ndata: {"type":"message_start","message":{"id":"msg_1","model":"claude-3-haiku"}}\n\n',
+      'event: content_block_start\ndata: {"type":"content_block_start","index":0,"content_block":{"type":"text","text":""}}\n\n',
+      'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"Hi"}}\n\n',
+      'event: message_stop\ndata: {"type":"message_stop"}\n\n',
+    ]);
+
+    const { events } = await readEvents(encodeSSE(parseStream({ stream, adapter: anthropicAdapter })));
+
+    assert.deepStrictEqual(events, [
+      { event: 'message', data: { data: '', done: false, metadata: { messageId: 'msg_1', model: 'claude-3-haiku' } } },
+      { event: 'message', data: { data: 'Hi', done: false } },
+      { event: 'message', data: { data: '', done: true } },
+    ]);
+  });
+
+  it('should send an error event if the source fails', async () => {
+    const source = async function* () {
+      yield chunk({ data: 'Hi' });
+      throw new StreamError('Anthropic API Error: Overloaded', { code: 'PROVIDER_ERROR' });
+    };
+
+    const { events } = await readEvents(encodeSSE(source()));
+
+    assert.deepStrictEqual(events, [
+      { event: 'message', data: { data: 'Hi', done: false } },
+      { event: 'error', data: { code: 'PROVIDER_ERROR', message: 'Anthropic API Error: Overloaded' } },
+    ]);
+  });
+
+  it('should send heartbeats while the source is idle', async () => {
+    const source = async function* () {
+      await delay(100);
+      yield chunk({ data: 'Hi' });
+    };
+
+    const { events, text } = await readEvents(encodeSSE(source(), { heartbeatInterval: 20 }));
+
+    assert.match(text, /^(: heartbeat\n\n)+data: /);
+    assert.deepStrictEqual(events, [{ event: 'message', data: { data: 'Hi', done: false } }]);
+  });
+
+  it('should stop and stop reading the source when aborted', async () => {
+    const source = createStalledSource();
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+
+    const { text } = await readEvents(encodeSSE(source, { heartbeatInterval: 5, signal: controller.signal }));
+
+    assert.match(text, /^(: heartbeat\n\n)+$/);
+    assert.strictEqual(source.returned, true);
+  });
+
+  it('should stop reading the source if the output is not read to the end', async () => {
+    let returned = false;
+    const source = async function* () {
+      try {
+        yield chunk({ data: 'one' });
+        yield chunk({ data: 'two' });
+      } finally {
+        returned = true;
+      }
+    };
+
+    for await (const bytes of encodeSSE(source())) {
+      assert(bytes.length > 0);
+      break;
+    }
+    await delay(0);
+
+    assert.strictEqual(returned, true);
+  });
+});
+
+describe('toReadableStream()', () => {
+  it('should return a ReadableStream of the SSE bytes', async () => {
+    const stream = toReadableStream(fromArray([chunk({ data: 'Hi' }), chunk({ done: true })]));
+
+    assert(stream instanceof ReadableStream);
+    const { events } = await readEvents(stream);
+    assert.deepStrictEqual(events.map(({ data }) => data), [{ data: 'Hi', done: false }, { data: '', done: true }]);
+  });
+
+  it('should stop reading the source when cancelled', async () => {
+    const source = createStalledSource();
+    const stream = toReadableStream(source, { heartbeatInterval: 5 });
+    const reader = stream.getReader();
+
+    await reader.read();
+    await reader.cancel();
+    await delay(0);
+
+    assert.strictEqual(source.returned, true);
+  });
+});
+
+describe('toNodeReadable()', () => {
+  it('should return a Node Readable of the SSE bytes', async () => {
+    const readable = toNodeReadable(fromArray([chunk({ data: 'Hi' }), chunk({ done: true })]));
+
+    assert(readable instanceof Readable);
+    const { events } = await readEvents(readable);
+    assert.deepStrictEqual(events.map(({ data }) => data), [{ data: 'Hi', done: false }, { data: '', done: true }]);
+  });
+
+  it('should stop reading the source when destroyed', async () => {
+    const source = createStalledSource();
+    const readable = toNodeReadable(source);
+
+    readable.resume();
+    readable.destroy();
+    await delay(0);
+
+    assert.strictEqual(source.returned, true);
+  });
+
+  it('should stop reading the source when the given signal aborts', async () => {
+    const source = createStalledSource();
+    const controller = new AbortController();
+    const readable = toNodeReadable(source, { signal: controller.signal });
+    const ended = new Promise((resolve) => readable.on('end', resolve));
+
+    readable.resume();
+    controller.abort();
+    await ended;
+
+    assert.strictEqual(source.returned, true);
+  });
+});
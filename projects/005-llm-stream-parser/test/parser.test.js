@@ -8,7 +8,7 @@
  * independent of any specific LLM provider's adapter logic.
  */
 
-import { test, describe, it, mock } from 'node:test';
+import { test, describe, it, mock, beforeEach } from 'node:test';
 import assert from 'node:assert';
 import { Readable } from 'node:stream';
 import { parseStream } from '../src/parser.js';
@@ -176,16 +176,32 @@ describe('parseStream()', () => {
       assert.strictEqual(results[1].data, 'Default');
     });
 
-    it('should handle multi-line data within a single SSE event (not standard but robust)', async () => {
-      // This is not standard SSE, but tests the line-by-line processing.
-      // The parser should process each `data:` line as a separate message.
-      const stream = createMockStream(['data: {"content":"line1"}\ndata: {"content":"line2"}\n\n']);
+    it('should join multi-line data within a single SSE event', async () => {
+      const stream = createMockStream(['data: {"content":\ndata: "line1"}\n\n']);
       const parser = parseStream({ stream, adapter });
       const results = await collectStream(parser);
 
-      assert.strictEqual(results.length, 2);
+      assert.strictEqual(results.length, 1);
       assert.strictEqual(results[0].data, 'line1');
-      assert.strictEqual(results[1].data, 'line2');
+    });
+
+    it('should accept fields without a space after the colon and CRLF line endings', async () => {
+      const stream = createMockStream(['event:custom_event\r\ndata:{"content":"Compact"}\r', '\n\r\n']);
+      const parser = parseStream({ stream, adapter });
+      const results = await collectStream(parser);
+
+      assert.strictEqual(results.length, 1);
+      assert.strictEqual(results[0].event, 'custom_event');
+      assert.strictEqual(results[0].data, 'Compact');
+    });
+
+    it('should keep the event type until the event is dispatched', async () => {
+      const stream = createMockStream(['event: custom_event\nid: 1\ndata: {"content":"Custom"}\n\n']);
+      const parser = parseStream({ stream, adapter });
+      const results = await collectStream(parser);
+
+      assert.strictEqual(results.length, 1);
+      assert.strictEqual(results[0].event, 'custom_event');
     });
 
     it('should ignore comment lines and empty lines', async () => {
@@ -290,6 +306,50 @@ describe('parseStream()', () => {
     });
   });
 
+  describe('Stream Framing', () => {
+    /**
+     * A mock adapter for a provider that streams newline-delimited JSON.
+     * @extends {MockAdapter}
+     */
+    class NDJSONAdapter extends MockAdapter {
+      get framing() {
+        return 'ndjson';
+      }
+    }
+
+    it("should default to the adapter's framing", async () => {
+      const stream = createMockStream(['{"content":"Chunk 1"}\n{"content":"Chunk 2"}\n']);
+      const results = await collectStream(parseStream({ stream, adapter: new NDJSONAdapter() }));
+
+      assert.deepStrictEqual(results.map(({ data }) => data), ['Chunk 1', 'Chunk 2']);
+    });
+
+    it("should prefer the `framing` option over `isSSE` and the adapter's framing", async () => {
+      const stream = createMockStream(['data: {"content":"Hello"}\n\n']);
+      const parser = parseStream({ stream, adapter: new NDJSONAdapter(), isSSE: false, framing: 'sse' });
+      const results = await collectStream(parser);
+
+      assert.deepStrictEqual(results.map(({ data }) => data), ['Hello']);
+    });
+
+    it("should prefer `isSSE` over the adapter's framing", async () => {
+      const stream = createMockStream(['data: {"content":"Hello"}\n\n']);
+      const results = await collectStream(parseStream({ stream, adapter: new NDJSONAdapter(), isSSE: true }));
+
+      assert.deepStrictEqual(results.map(({ data }) => data), ['Hello']);
+    });
+
+    it('should throw an error if the framing is unknown', () => {
+      assert.throws(
+        () => parseStream({ stream: createMockStream([]), adapter, framing: 'websocket' }),
+        {
+          name: 'Error',
+          message: 'Unknown stream framing "websocket". Use one of: sse, ndjson, aws-event-stream.',
+        },
+      );
+    });
+  });
+
   describe('Error Handling', () => {
     it('should throw StreamError on invalid JSON', async () => {
       const malformedChunk = 'data: { "content": "bad json\n\n';
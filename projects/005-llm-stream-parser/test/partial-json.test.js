@@ -0,0 +1,232 @@
+/**
+ * @file test/partial-json.test.js
+ * @description Unit tests for the incremental partial JSON parser.
+ *
+ * The documents are split at every position, so the tests cover tokens cut
+ * anywhere (inside strings, escapes, numbers and literals) as well as the
+ * partial snapshots, the path events and the schema validation.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { PartialJSONParser, parsePartialJSON } from '../src/partial-json.js';
+import { StreamError } from '../src/errors/StreamError.js';
+
+/**
+ * Creates an async iterable from an array of values.
+ * @param {Array<any>} values - The values to yield.
+ * @returns {AsyncGenerator<any>} The async iterable.
+ */
+const fromArray = async function* (values) {
+  yield* values;
+};
+
+/**
+ * Asynchronously collects all yielded values from an async iterable into an array.
+ * @param {AsyncIterable} iterable - The iterable to consume.
+ * @returns {Promise<Array<any>>} A promise that resolves to an array of the items.
+ */
+const collect = async (iterable) => {
+  const results = [];
+  for await (const value of iterable) {
+    results.push(value);
+  }
+  return results;
+};
+
+const DOCUMENT = '{"items": [{"title": "Dune", "year": 1965}, {"title": "Caf\\u00e9 \\"Noir\\"", "rating": -4.5e-1, "read": true}], '
+  + '"meta": {"content-type": "books", "next": null}, "tags": [false]}';
+
+describe('PartialJSONParser', () => {
+  it('should parse a document split at any position', () => {
+    for (let split = 1; split < DOCUMENT.length; split += 1) {
+      const parser = new PartialJSONParser();
+      const events = [...parser.push(DOCUMENT.slice(0, split)), ...parser.push(DOCUMENT.slice(split))];
+      parser.end();
+
+      assert.deepStrictEqual(events.at(-1), { type: 'complete', value: JSON.parse(DOCUMENT) }, `split at ${split}`);
+      assert.strictEqual(parser.done, true);
+    }
+  });
+
+  it('should report the path of every complete value, innermost first', () => {
+    const parser = new PartialJSONParser();
+    const fields = parser.push(DOCUMENT).filter(({ type }) => type === 'field');
+
+    assert.deepStrictEqual(fields.map(({ path }) => path), [
+      'items[0].title',
+      'items[0].year',
+      'items[0]',
+      'items[1].title',
+      'items[1].rating',
+      'items[1].read',
+      'items[1]',
+      'items',
+      'meta["content-type"]',
+      'meta.next',
+      'meta',
+      'tags[0]',
+      'tags',
+    ]);
+    assert.strictEqual(fields[3].value, 'Café "Noir"');
+    assert.strictEqual(fields[4].value, -0.45);
+  });
+
+  it('should report best-effort snapshots with incomplete strings and numbers', () => {
+    const parser = new PartialJSONParser();
+
+    assert.deepStrictEqual(parser.push('{"items": [{"title": "Du'), [
+      { type: 'partial', value: { items: [{ title: 'Du' }] } },
+    ]);
+    assert.deepStrictEqual(parser.push('ne", "year": 19'), [
+      { type: 'field', path: 'items[0].title', value: 'Dune' },
+      { type: 'partial', value: { items: [{ title: 'Dune', year: 19 }] } },
+    ]);
+    // Neither an incomplete key nor an incomplete literal is part of the snapshot.
+    assert.deepStrictEqual(parser.push('65, "re'), [
+      { type: 'field', path: 'items[0].year', value: 1965 },
+      { type: 'partial', value: { items: [{ title: 'Dune', year: 1965 }] } },
+    ]);
+    assert.deepStrictEqual(parser.push('ad": tr'), []);
+    assert.deepStrictEqual(parser.value, { items: [{ title: 'Dune', year: 1965 }] });
+  });
+
+  it('should not change snapshots already reported', () => {
+    const parser = new PartialJSONParser();
+    const [first] = parser.push('{"title": "Du');
+    parser.push('ne"}');
+
+    assert.deepStrictEqual(first.value, { title: 'Du' });
+  });
+
+  it('should keep a `__proto__` key as an own property, as JSON.parse does', () => {
+    const text = '{"__proto__": {"admin": true}, "a": 1}';
+    const parser = new PartialJSONParser();
+    const { value } = parser.push(text).at(-1);
+    const partial = new PartialJSONParser().push('{"__proto__": {"admin": tr').at(-1);
+
+    assert.deepStrictEqual(value, JSON.parse(text));
+    assert.strictEqual(value.admin, undefined);
+    assert.deepStrictEqual(Object.keys(value), ['__proto__', 'a']);
+    assert.strictEqual(Object.getPrototypeOf(value), Object.prototype);
+    assert.deepStrictEqual(partial.value, JSON.parse('{"__proto__": {}}'));
+  });
+
+  it('should skip text around the document', () => {
+    const parser = new PartialJSONParser();
+    const events = parser.push('Here is the list:\n```json\n[1, 2]\n```\nLet me know');
+    parser.end();
+
+    assert.deepStrictEqual(events, [
+      { type: 'field', path: '[0]', value: 1 },
+      { type: 'field', path: '[1]', value: 2 },
+      { type: 'complete', value: [1, 2] },
+    ]);
+  });
+
+  it('should skip brackets in the text before the document', () => {
+    for (const pieces of [['Sure [see below]: {"a": 1}'], ['Sure [', 'see below]: {"a": 1}'], ['(note {like this}, [no]) [1]']]) {
+      const parser = new PartialJSONParser();
+      const events = pieces.flatMap((piece) => parser.push(piece));
+
+      assert.deepStrictEqual(events.at(-1).type, 'complete', pieces.join(''));
+      assert.deepStrictEqual(events.filter(({ type }) => type === 'partial'), []);
+    }
+    assert.deepStrictEqual(new PartialJSONParser().push('Sure [see below]: {"a": 1}').at(-1).value, { a: 1 });
+    assert.deepStrictEqual(new PartialJSONParser().push('(note {like this}, [no]) [1]').at(-1).value, [1]);
+  });
+
+  it('should report a bracket without a document after it as a missing document', () => {
+    const parser = new PartialJSONParser();
+    parser.push('See [');
+
+    assert.throws(() => parser.end(), { code: 'JSON_PARSE_ERROR', message: 'The stream ended without a JSON document.' });
+  });
+
+  it('should run the validator on the complete document', () => {
+    const validator = (value) => {
+      validator.errors = typeof value.title === 'string' ? null : [{ instancePath: '/title', message: 'must be string' }];
+      return !validator.errors;
+    };
+
+    const valid = new PartialJSONParser({ validator }).push('{"title": "Dune"}').at(-1);
+    const invalid = new PartialJSONParser({ validator }).push('{"title": 1}').at(-1);
+
+    assert.deepStrictEqual(valid, { type: 'complete', value: { title: 'Dune' }, valid: true, errors: [] });
+    assert.deepStrictEqual(invalid, {
+      type: 'complete',
+      value: { title: 1 },
+      valid: false,
+      errors: [{ instancePath: '/title', message: 'must be string' }],
+    });
+  });
+
+  it('should throw a StreamError on invalid JSON', () => {
+    for (const [text, position] of [['{"a" 1}', 5], ['[1, 2}', 5], ['{"a": tru!}', 9], ['{"a": 01}', 8], ['["\\x"]', 3]]) {
+      assert.throws(
+        () => new PartialJSONParser().push(text),
+        (err) => {
+          assert(err instanceof StreamError);
+          assert.strictEqual(err.code, 'JSON_PARSE_ERROR');
+          assert.match(err.message, new RegExp(`^Invalid JSON in the stream: unexpected ".+" at position ${position}\\.$`));
+          assert.strictEqual(err.chunk, text);
+          return true;
+        },
+        text,
+      );
+    }
+  });
+
+  it('should throw a StreamError if the document is missing or incomplete at the end', () => {
+    const incomplete = new PartialJSONParser();
+    incomplete.push('{"items": [1');
+
+    assert.throws(() => new PartialJSONParser().end(), {
+      code: 'JSON_PARSE_ERROR',
+      message: 'The stream ended without a JSON document.',
+    });
+    assert.throws(() => incomplete.end(), {
+      code: 'JSON_PARSE_ERROR',
+      message: 'The stream ended before the JSON document was complete.',
+      chunk: '{"items":[1]}',
+    });
+  });
+});
+
+describe('parsePartialJSON()', () => {
+  const schema = {
+    type: 'object',
+    required: ['items'],
+    properties: {
+      items: { type: 'array', items: { type: 'object', required: ['title'] } },
+    },
+  };
+
+  it('should parse the data of normalized chunks', async () => {
+    const chunks = ['{"items": [{"ti', 'tle": "Dune"}]}'].map((data) => ({ id: null, event: 'message', data, done: false, raw: {} }));
+
+    const events = await collect(parsePartialJSON(fromArray([...chunks, { data: '', done: true }])));
+
+    assert.deepStrictEqual(events.map(({ type }) => type), ['partial', 'field', 'field', 'field', 'complete']);
+    assert.deepStrictEqual(events.at(-1).value, { items: [{ title: 'Dune' }] });
+  });
+
+  it('should validate the document against a JSON Schema', async () => {
+    const valid = (await collect(parsePartialJSON(fromArray(['{"items": []}']), { schema }))).at(-1);
+    const invalid = (await collect(parsePartialJSON(fromArray(['{"items": [{}]}']), { schema }))).at(-1);
+
+    assert.strictEqual(valid.valid, true);
+    assert.deepStrictEqual(valid.errors, []);
+    assert.strictEqual(invalid.valid, false);
+    assert.deepStrictEqual(invalid.errors.map(({ instancePath, message }) => ({ instancePath, message })), [
+      { instancePath: '/items/0', message: "must have required property 'title'" },
+    ]);
+  });
+
+  it('should throw a StreamError if the stream ends before the document is complete', async () => {
+    await assert.rejects(
+      collect(parsePartialJSON(fromArray(['{"items": ']))),
+      (err) => err instanceof StreamError && err.code === 'JSON_PARSE_ERROR',
+    );
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * @file test/sse-decoder.test.js
+ * @description Unit tests for the Server-Sent Events decoder.
+ *
+ * The cases follow the event stream interpretation rules of the WHATWG HTML
+ * specification: line endings, blank-line dispatch, field parsing, comments,
+ * the last event ID and the reconnection time.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Readable } from 'node:stream';
+import { SSEDecoder, decodeSSE } from '../src/utils/sse-decoder.js';
+
+/**
+ * Pushes chunks of text through a new decoder and collects the events.
+ * @param {string[]} chunks - The chunks of the stream.
+ * @returns {{events: object[], decoder: SSEDecoder}} The events and the decoder.
+ */
+const decodeChunks = (chunks) => {
+  const decoder = new SSEDecoder();
+  const events = chunks.flatMap((chunk) => decoder.push(chunk));
+  return { events, decoder };
+};
+
+describe('SSEDecoder', () => {
+  describe('Dispatch', () => {
+    it('should dispatch an event on a blank line', () => {
+      const { events } = decodeChunks(['data: hello\n', '\n']);
+      assert.deepStrictEqual(events, [{ event: 'message', data: 'hello', lastEventId: '' }]);
+    });
+
+    it('should not dispatch an event before the blank line', () => {
+      const { events, decoder } = decodeChunks(['data: hello\n']);
+      assert.deepStrictEqual(events, []);
+      assert.strictEqual(decoder.pending, 'data: hello\n');
+    });
+
+    it('should join multiple data lines with newlines', () => {
+      const { events } = decodeChunks(['data: first\ndata:\ndata: third\n\n']);
+      assert.strictEqual(events[0].data, 'first\n\nthird');
+    });
+
+    it('should not dispatch events without data', () => {
+      const { events } = decodeChunks(['event: ping\n\n', 'data: after\n\n']);
+      assert.deepStrictEqual(events, [{ event: 'message', data: 'after', lastEventId: '' }]);
+    });
+
+    it('should reset the event type after each event', () => {
+      const { events } = decodeChunks(['event: custom\ndata: 1\n\ndata: 2\n\n']);
+      assert.deepStrictEqual(events.map(({ event }) => event), ['custom', 'message']);
+    });
+  });
+
+  describe('Line endings', () => {
+    it('should accept CRLF, LF and CR line endings', () => {
+      const { events } = decodeChunks(['data: a\r\n\r\ndata: b\n\ndata: c\r\r']);
+      assert.deepStrictEqual(events.map(({ data }) => data), ['a', 'b', 'c']);
+    });
+
+    it('should treat a CRLF split across chunks as a single line ending', () => {
+      const { events } = decodeChunks(['data: a\r', '\n', 'data: b\r\n\r\n']);
+      assert.deepStrictEqual(events.map(({ data }) => data), ['a\nb']);
+    });
+
+    it('should keep lines split across chunks together', () => {
+      const { events } = decodeChunks(['da', 'ta: hel', 'lo\n', '\n']);
+      assert.strictEqual(events[0].data, 'hello');
+    });
+  });
+
+  describe('Fields', () => {
+    it('should remove only a single space after the colon', () => {
+      const { events } = decodeChunks(['data:no space\n\ndata:  two spaces\n\n']);
+      assert.deepStrictEqual(events.map(({ data }) => data), ['no space', ' two spaces']);
+    });
+
+    it('should treat a line without a colon as a field with an empty value', () => {
+      const { events } = decodeChunks(['data\ndata\n\n']);
+      assert.strictEqual(events[0].data, '\n');
+    });
+
+    it('should ignore comments and unknown fields', () => {
+      const { events, decoder } = decodeChunks([': keep-alive\nfoo: bar\ndata: x\n\n: trailing comment\n']);
+      assert.deepStrictEqual(events, [{ event: 'message', data: 'x', lastEventId: '' }]);
+      assert.strictEqual(decoder.pending, '');
+    });
+
+    it('should strip a byte order mark at the start of the stream only', () => {
+      const { events } = decodeChunks(['\uFEFFdata: a\n\n', '\uFEFFdata: b\n\n']);
+      assert.deepStrictEqual(events.map(({ data }) => data), ['a']);
+    });
+  });
+
+  describe('Last event ID and retry', () => {
+    it('should keep the last event ID for following events', () => {
+      const { events, decoder } = decodeChunks(['id: 1\ndata: a\n\ndata: b\n\nid\ndata: c\n\n']);
+      assert.deepStrictEqual(events.map(({ lastEventId }) => lastEventId), ['1', '1', '']);
+      assert.strictEqual(decoder.lastEventId, '');
+    });
+
+    it('should update the last event ID even if the event has no data', () => {
+      const { decoder } = decodeChunks(['id: 42\n\n']);
+      assert.strictEqual(decoder.lastEventId, '42');
+    });
+
+    it('should ignore IDs containing a null character', () => {
+      const { events } = decodeChunks(['id: 1\ndata: a\n\nid: 2\0\ndata: b\n\n']);
+      assert.deepStrictEqual(events.map(({ lastEventId }) => lastEventId), ['1', '1']);
+    });
+
+    it('should set the reconnection time from a numeric retry field', () => {
+      const { decoder } = decodeChunks(['retry: 3000\n\nretry: soon\n\n']);
+      assert.strictEqual(decoder.retry, 3000);
+    });
+  });
+});
+
+describe('decodeSSE()', () => {
+  it('should decode a byte stream into events', async () => {
+    const bytes = Buffer.from('\uFEFFevent: greeting\ndata: héllo\n\n');
+    // Split inside the two-byte "é".
+    const splitAt = bytes.indexOf(0xc3) + 1;
+    const stream = Readable.from([bytes.subarray(0, splitAt), bytes.subarray(splitAt)]);
+
+    const events = [];
+    for await (const event of decodeSSE(stream)) {
+      events.push(event);
+    }
+
+    assert.deepStrictEqual(events, [{ event: 'greeting', data: 'héllo', lastEventId: '' }]);
+  });
+
+  it('should use the given decoder', async () => {
+    const decoder = new SSEDecoder();
+    const stream = Readable.from(['id: abc\ndata: x\n\ndata: incomplete']);
+
+    for await (const event of decodeSSE(stream, decoder)) {
+      assert.strictEqual(event.data, 'x');
+    }
+
+    assert.strictEqual(decoder.lastEventId, 'abc');
+    assert.strictEqual(decoder.pending, 'data: incomplete');
+  });
+});